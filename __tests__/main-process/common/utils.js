@@ -1,10 +1,16 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
 const utils = require('../../../src/main-process/common/utils');
 
+const CRYPTO_KEY = Buffer.from('KgSAOli9bHgiQB+Verg5q5MUMRqYvEVSr38cNQe98L4=', 'base64');
+
 describe('encrypt', () => {
 	test('encrypt string with iv', () => {
 		const result = utils.encrypt({
 			value: Buffer.from('test value'),
 			iv: Buffer.from('31682eec1f9655da345101e94ca741ba', 'hex'),
+			key: CRYPTO_KEY,
 		});
 
 		expect(result.toString('hex')).toMatchSnapshot();
@@ -15,6 +21,7 @@ describe('encrypt', () => {
 			utils.encrypt({
 				value: Buffer.from('test value'),
 				iv: Buffer.from('31682eec1f9655da345101e94ca741', 'hex'),
+				key: CRYPTO_KEY,
 			});
 		}).toThrow('Invalid initialization vector');
 	});
@@ -25,6 +32,7 @@ describe('decrypt', () => {
 		const result = utils.decrypt({
 			value: Buffer.from('8595b720aebb469f8ce1cb1c5982a813', 'hex'),
 			iv: Buffer.from('31682eec1f9655da345101e94ca741ba', 'hex'),
+			key: CRYPTO_KEY,
 		});
 
 		expect(result.toString()).toMatchSnapshot();
@@ -35,6 +43,7 @@ describe('decrypt', () => {
 			utils.decrypt({
 				value: Buffer.from('8595b720aebb469f8ce1cb1c5982a813', 'hex'),
 				iv: Buffer.from('31682eec1f9655da345101e94ca741', 'hex'),
+				key: CRYPTO_KEY,
 			});
 		}).toThrow('Invalid initialization vector');
 	});
@@ -48,6 +57,28 @@ describe('parse keyword', () => {
 	});
 });
 
+describe('parse filter values', () => {
+	test('parse size', () => {
+		expect(utils.parseSize('100MB')).toBe(100 * 1024 * 1024);
+		expect(utils.parseSize('1.5kb')).toBe(1536);
+		expect(utils.parseSize('500')).toBe(500);
+		expect(utils.parseSize('big')).toBeNull();
+	});
+
+	test('parse duration', () => {
+		expect(utils.parseDuration('7d')).toBe(7 * 24 * 60 * 60 * 1000);
+		expect(utils.parseDuration('2h')).toBe(2 * 60 * 60 * 1000);
+		expect(utils.parseDuration('7')).toBeNull();
+	});
+
+	test('parse comparison', () => {
+		expect(utils.parseComparison('>100MB')).toEqual({operator: 'gt', values: ['100MB']});
+		expect(utils.parseComparison('<=7d')).toEqual({operator: 'lte', values: ['7d']});
+		expect(utils.parseComparison('1KB..5MB')).toEqual({operator: 'between', values: ['1KB', '5MB']});
+		expect(utils.parseComparison('file')).toEqual({operator: 'eq', values: ['file']});
+	});
+});
+
 describe('generate like syntax', () => {
 	test('generateLikeSyntax start with keyword', () => {
 		const result = utils.generateLikeSyntax('key%w_ord', {start: ''});
@@ -61,3 +92,36 @@ describe('generate like syntax', () => {
 		expect(result).toMatchSnapshot();
 	});
 });
+
+describe('walk directory', () => {
+	test('walk directory with files', async () => {
+		const directory = path.join(__dirname, '..', 'resources');
+		const result = await utils.walkDirectory(directory);
+
+		expect(result).toEqual({
+			folders: [],
+			files: [
+				{localPath: path.join(directory, 'image.png'), relativePath: 'image.png', size: 107},
+			],
+		});
+	});
+});
+
+describe('hash file', () => {
+	test('hash file with crypto and crc algorithms', async () => {
+		const filePath = path.join(os.tmpdir(), `hash-file-${Date.now()}.txt`);
+
+		fs.writeFileSync(filePath, '123456789');
+
+		try {
+			const result = await utils.hashFile(filePath, ['md5', 'sha256', 'crc32', 'crc32c']);
+
+			expect(result.md5.toString('hex')).toBe('25f9e794323b453885f5181f1b624d0b');
+			expect(result.sha256.toString('hex')).toBe('15e2b0d3c33891ebb0f1ef609ec419420c20e320ce94c65fbc8c3312448eb225');
+			expect(result.crc32.toString('hex')).toBe('cbf43926');
+			expect(result.crc32c.toString('hex')).toBe('e3069283');
+		} finally {
+			fs.rmSync(filePath, {force: true});
+		}
+	});
+});
@@ -1,5 +1,7 @@
+const fs = require('fs');
 const https = require('https');
 const path = require('path');
+const MockedEvent = require('electron-mock-ipc/lib/src/event').default;
 const {
 	api,
 } = require('../../../../src/main-process/preload/utils');
@@ -10,6 +12,7 @@ const {
 	cleanDatabase,
 } = require('../../utils');
 
+let folder;
 let image;
 
 beforeAll(async () => {
@@ -34,9 +37,9 @@ describe('ipc main api object handler', () => {
 	});
 
 	test.concurrent('create folder', async () => {
-		const object = await api.createFolder({basename: 'folder'});
+		folder = await api.createFolder({basename: 'folder'});
 
-		expect(object).toMatchSnapshot({
+		expect(folder).toMatchSnapshot({
 			id: expect.any(Number),
 			createdAt: expect.any(Date),
 			updatedAt: expect.any(Date),
@@ -59,7 +62,6 @@ describe('ipc main api object handler', () => {
 			lastModified: expect.any(Date),
 		});
 		expect(onProgress).toBeCalledWith(
-			expect.objectContaining({}),
 			{
 				Bucket: AWS_CONFIG.bucket,
 				Key: 'folder/image.png',
@@ -107,4 +109,85 @@ describe('ipc main api object handler', () => {
 			});
 		});
 	});
+
+	test.concurrent('rename image file', async () => {
+		const object = await api.renameObject({id: image.id, basename: 'renamed.png'});
+
+		expect(object).toMatchObject({
+			id: image.id,
+			path: 'folder/renamed.png',
+			dirname: 'folder',
+			basename: 'renamed.png',
+		});
+	});
+
+	test.concurrent('move folder', async () => {
+		await api.createFolder({basename: 'parent'});
+		await api.moveObjects({ids: [folder.id], dirname: 'parent'});
+
+		const objects = await api.getObjects({dirname: 'parent/folder'});
+
+		expect(objects.items).toMatchObject([
+			{id: image.id, path: 'parent/folder/renamed.png'},
+		]);
+	});
+
+	test.concurrent('copy folder', async () => {
+		const onProgress = jest.fn();
+		const copies = await api.copyObjects({
+			onProgress,
+			ids: [folder.id],
+			dirname: 'parent',
+			basename: 'copied',
+		});
+
+		expect(copies.map(object => object.path).sort()).toEqual([
+			'parent/copied/',
+			'parent/copied/renamed.png',
+		]);
+		expect(onProgress).toBeCalledWith(
+			{basename: 'renamed.png', loaded: 107, total: 107},
+		);
+	});
+
+	test.concurrent('upload folder', async () => {
+		const result = await api.uploadFolder({
+			localPath: path.join(__dirname, '..', '..', 'resources'),
+			dirname: 'parent',
+		});
+
+		expect(result.folders.map(object => object.path)).toEqual(['parent/resources/']);
+		expect(result.files.map(object => object.path)).toEqual(['parent/resources/image.png']);
+	});
+
+	test.concurrent('drag objects out after they are prepared', async () => {
+		const {startDrag} = new MockedEvent().sender;
+		const {items} = await api.getObjects({dirname: 'parent/resources'});
+		const ids = items.map(object => object.id);
+
+		await expect(api.startDragObjects({dirname: 'parent/resources', ids}))
+			.rejects.toMatchObject({status: 400});
+		await api.prepareDragObjects({dirname: 'parent/resources', ids});
+
+		expect(await api.startDragObjects({dirname: 'parent/resources', ids})).toBeNull();
+		expect(startDrag).toBeCalledWith({
+			file: expect.stringMatching(/image\.png$/),
+			files: [expect.stringMatching(/image\.png$/)],
+			icon: expect.anything(),
+		});
+		expect(fs.statSync(startDrag.mock.calls[0][0].file).size).toBe(107);
+	});
+
+	test.concurrent('get objects sorted by size', async () => {
+		const {items} = await api.getObjects({sortBy: 'size', sortDirection: 'desc'});
+		const files = items.filter(object => object.type === 'file');
+
+		expect(files.map(object => object.size))
+			.toEqual(files.map(object => object.size).sort((a, b) => b - a));
+	});
+
+	test.concurrent('reject unknown sort', async () => {
+		await expect(api.getObjects({sortBy: 'etag'}))
+			.rejects.toMatchObject({status: 400});
+	});
 });
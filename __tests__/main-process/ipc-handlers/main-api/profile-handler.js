@@ -0,0 +1,432 @@
+const {EventEmitter} = require('events');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {ipcMain, ipcRenderer} = require('electron');
+const {MFA} = require('../../../../src/shared/constants/ipc');
+const CREDENTIAL_SOURCE = require('../../../../src/shared/constants/credential-source');
+const LISTING_MODE = require('../../../../src/shared/constants/listing-mode');
+const OBJECT_TYPE = require('../../../../src/shared/constants/object-type');
+const TRANSFER_STATE = require('../../../../src/shared/constants/transfer-state');
+const TRANSFER_TYPE = require('../../../../src/shared/constants/transfer-type');
+const {
+	api,
+} = require('../../../../src/main-process/preload/utils');
+const mfaPrompt = require('../../../../src/main-process/common/mfa-prompt');
+const ObjectModel = require('../../../../src/main-process/models/data/object-model');
+const ProfileModel = require('../../../../src/main-process/models/data/profile-model');
+const TransferModel = require('../../../../src/main-process/models/data/transfer-model');
+const {
+	STAND_IN_BUCKET,
+	mockIpcMainApi,
+	protectSecrets,
+	cleanDatabase,
+	startStandIn,
+} = require('../../utils');
+
+const STAGING = {
+	name: 'staging',
+	accessKeyId: 'staging-key',
+	secretAccessKey: 'staging-secret',
+	region: 'us-west-2',
+	bucket: 'staging-bucket',
+	endpoint: '',
+};
+const PRODUCTION = {
+	name: 'production',
+	accessKeyId: 'production-key',
+	secretAccessKey: 'production-secret',
+	region: 'us-east-1',
+	bucket: 'production-bucket',
+	endpoint: '',
+	capabilities: {list: true, get: true, put: false, delete: false, copy: false},
+};
+
+const ROLE_ARN = 'arn:aws:iam::123456789012:role/production';
+const AWS_FOLDER = fs.mkdtempSync(path.join(os.tmpdir(), 'aws-'));
+let standIn;
+
+/**
+ * Test the connection of the stand-in with the role.
+ * @param {Object} values
+ * @returns {Promise<{isReachable, isAuthenticated, isBucketFound, capabilities, error}>}
+ */
+function testRoleConnection(values) {
+	standIn.requests = [];
+	return api.testConnection({
+		accessKeyId: 'source-key',
+		secretAccessKey: 'source-secret',
+		roleArn: ROLE_ARN,
+		region: 'us-east-1',
+		bucket: STAND_IN_BUCKET,
+		endpoint: standIn.endpoint,
+		stsEndpoint: standIn.endpoint,
+		...values,
+	});
+}
+
+/**
+ * @returns {Array<URLSearchParams>}
+ */
+function getAssumeRoleRequests() {
+	return standIn.requests
+		.filter(request => request.method === 'POST' && request.url === '/')
+		.map(request => new URLSearchParams(request.body));
+}
+
+beforeAll(async () => {
+	mockIpcMainApi();
+	await protectSecrets();
+	mfaPrompt.setWebContents(ipcMain);
+	standIn = await startStandIn();
+	fs.writeFileSync(
+		path.join(AWS_FOLDER, 'credentials'),
+		'[default]\naws_access_key_id = default-key\naws_secret_access_key = default-secret\n',
+	);
+	fs.writeFileSync(
+		path.join(AWS_FOLDER, 'config'),
+		'[profile deploy]\nrole_arn = arn:aws:iam::123456789012:role/deploy\nsource_profile = default\nregion = ap-northeast-1\n',
+	);
+	process.env.AWS_SHARED_CREDENTIALS_FILE = path.join(AWS_FOLDER, 'credentials');
+	process.env.AWS_CONFIG_FILE = path.join(AWS_FOLDER, 'config');
+});
+
+afterAll(async () => {
+	mfaPrompt.setWebContents(null);
+	await standIn.close();
+	delete process.env.AWS_SHARED_CREDENTIALS_FILE;
+	delete process.env.AWS_CONFIG_FILE;
+	fs.rmSync(AWS_FOLDER, {recursive: true, force: true});
+	await cleanDatabase();
+});
+
+describe('ipc main api profile handler', () => {
+	test.concurrent('create profiles', async () => {
+		const staging = await api.createProfile(STAGING);
+		const production = await api.createProfile(PRODUCTION);
+
+		expect(staging).toMatchObject({name: 'staging', accessKeyId: 'staging-key', bucket: 'staging-bucket'});
+		expect(staging).not.toHaveProperty('secretAccessKey');
+		expect(production).toMatchObject({name: 'production', region: 'us-east-1', capabilities: PRODUCTION.capabilities});
+		expect(staging.capabilities).toBeNull();
+	});
+
+	test.concurrent('reject the duplicated profile name', async () => {
+		await expect(api.createProfile(STAGING)).rejects.toMatchObject({status: 409});
+	});
+
+	test.concurrent('strip unknown fields of the request', async () => {
+		const profile = await api.createProfile({...STAGING, name: 'unknown fields', id: 1000, isAdmin: true});
+
+		expect(profile.id).not.toBe(1000);
+		expect(profile).not.toHaveProperty('isAdmin');
+		await api.deleteProfile({id: profile.id});
+	});
+
+	test.concurrent('reject the invalid profile id', async () => {
+		await expect(api.switchProfile({id: 'staging'})).rejects.toMatchObject({status: 400});
+		await expect(api.switchProfile({id: 0})).rejects.toMatchObject({status: 422});
+	});
+
+	test.concurrent('update profile without changing the secret', async () => {
+		const [, staging] = await api.getProfiles();
+		const profile = await api.updateProfile({...STAGING, id: staging.id, name: 'stage', secretAccessKey: ''});
+
+		expect(profile).toMatchObject({id: staging.id, name: 'stage', bucket: 'staging-bucket'});
+	});
+
+	test.concurrent('keep the secret in memory when it is not persisted', async () => {
+		const {id} = await api.createProfile({...STAGING, name: 'session', isSecretPersisted: false});
+		const profile = await ProfileModel.findOne({where: {id}});
+
+		expect(profile.getDataValue('secretAccessKey')).toBeNull();
+		expect(profile.secretAccessKey).toBe('staging-secret');
+
+		await api.updateProfile({...STAGING, id, name: 'session', secretAccessKey: ''});
+		await profile.reload();
+
+		expect(profile.isSecretPersisted).toBe(false);
+		expect(profile.getDataValue('secretAccessKey')).toBeNull();
+
+		await api.updateProfile({...STAGING, id, name: 'session', secretAccessKey: '', isSecretPersisted: true});
+		await profile.reload();
+
+		expect(profile.getDataValue('secretAccessKey')).not.toBeNull();
+		expect(profile.secretAccessKey).toBe('staging-secret');
+		await api.deleteProfile({id});
+	});
+
+	test.concurrent('reject changing the bucket with pending transfers', async () => {
+		const {id} = await api.createProfile({...STAGING, name: 'transferring'});
+		const transfer = await TransferModel.create({
+			profileId: id,
+			type: TRANSFER_TYPE.UPLOAD,
+			state: TRANSFER_STATE.PAUSED,
+			path: 'paused.txt',
+			localPath: path.join(AWS_FOLDER, 'paused.txt'),
+			size: 1,
+		});
+
+		await expect(api.updateProfile({...STAGING, id, name: 'transferring', bucket: 'next-bucket', secretAccessKey: ''}))
+			.rejects.toMatchObject({status: 409});
+
+		await transfer.update({state: TRANSFER_STATE.CANCELLED});
+
+		expect(await api.updateProfile({...STAGING, id, name: 'transferring', bucket: 'next-bucket', secretAccessKey: ''}))
+			.toMatchObject({bucket: 'next-bucket'});
+		await api.deleteProfile({id});
+	});
+
+	test.concurrent('reject listing buckets without the secret', async () => {
+		await expect(api.listBuckets({accessKeyId: 'staging-key', region: 'us-west-2'}))
+			.rejects.toMatchObject({status: 400});
+	});
+
+	test.concurrent('reject testing the connection without the bucket', async () => {
+		await expect(api.testConnection({accessKeyId: 'staging-key', secretAccessKey: 'staging-secret', region: 'us-west-2'}))
+			.rejects.toMatchObject({status: 400});
+	});
+
+	test.concurrent('get AWS profiles of the shared config files', async () => {
+		expect(await api.getAwsProfiles()).toEqual([
+			{name: 'default', region: null},
+			{name: 'deploy', region: 'ap-northeast-1'},
+		]);
+	});
+
+	test.concurrent('create profile with the AWS profile', async () => {
+		const profile = await api.createProfile({
+			name: 'deploy',
+			credentialSource: CREDENTIAL_SOURCE.AWS_PROFILE,
+			awsProfile: 'deploy',
+			accessKeyId: 'ignored-key',
+			region: 'ap-northeast-1',
+			bucket: 'deploy-bucket',
+			endpoint: '',
+		});
+
+		expect(profile).toMatchObject({credentialSource: CREDENTIAL_SOURCE.AWS_PROFILE, awsProfile: 'deploy', accessKeyId: null});
+		await api.deleteProfile({id: profile.id});
+	});
+
+	test.concurrent('assume the role with the external id', async () => {
+		const report = await testRoleConnection({externalId: 'production-external-id'});
+		const assumeRoleRequests = getAssumeRoleRequests();
+		const s3Requests = standIn.requests.filter(request => request.url !== '/');
+
+		expect(report).toMatchObject({isAuthenticated: true, error: null});
+		expect(assumeRoleRequests).toHaveLength(1);
+		expect(assumeRoleRequests[0].get('RoleArn')).toBe(ROLE_ARN);
+		expect(assumeRoleRequests[0].get('ExternalId')).toBe('production-external-id');
+		expect(s3Requests.length).toBeGreaterThan(1);
+		s3Requests.forEach(request => {
+			expect(request.headers.authorization).toContain('Credential=ASSUMED-KEY/');
+			expect(request.headers['x-amz-security-token']).toBe('assumed-token');
+		});
+	});
+
+	test.concurrent('assume the role on the regional STS endpoint without the STS endpoint', async () => {
+		const report = await testRoleConnection({region: 'us-west-2', stsEndpoint: ''});
+
+		expect(report).toMatchObject({isAuthenticated: false, error: expect.stringContaining(`can't assume the role "${ROLE_ARN}"`)});
+		expect(getAssumeRoleRequests()).toHaveLength(0);
+	});
+
+	test.concurrent('refresh the session of the role before expiry', async () => {
+		standIn.sessionDuration = 60;
+		try {
+			const report = await testRoleConnection();
+
+			expect(report.error).toBeNull();
+			expect(getAssumeRoleRequests().length).toBeGreaterThan(1);
+		} finally {
+			standIn.sessionDuration = 3600;
+		}
+	});
+
+	test.concurrent('translate errors of S3', async () => {
+		standIn.s3Error = {status: 404, code: 'NoSuchBucket'};
+		try {
+			const report = await testRoleConnection();
+
+			expect(report).toMatchObject({isAuthenticated: true, isBucketFound: false, error: `not found bucket "${STAND_IN_BUCKET}"`});
+		} finally {
+			standIn.s3Error = null;
+		}
+	});
+
+	test.concurrent('ask the MFA token code to assume the role', async () => {
+		const onMfaPrompt = (_, {id, mfaSerial}) => {
+			expect(mfaSerial).toBe('arn:aws:iam::123456789012:mfa/engineer');
+			// Replies of the mocked IPC are matched by the channel, so the pending request can't share it.
+			mfaPrompt.answer({id, tokenCode: '123456'});
+		};
+
+		ipcRenderer.once(MFA.PROMPT, onMfaPrompt);
+		try {
+			const report = await testRoleConnection({mfaSerial: 'arn:aws:iam::123456789012:mfa/engineer'});
+			const [assumeRoleRequest] = getAssumeRoleRequests();
+
+			expect(report.error).toBeNull();
+			expect(assumeRoleRequest.get('SerialNumber')).toBe('arn:aws:iam::123456789012:mfa/engineer');
+			expect(assumeRoleRequest.get('TokenCode')).toBe('123456');
+		} finally {
+			ipcRenderer.removeListener(MFA.PROMPT, onMfaPrompt);
+		}
+	});
+
+	test.concurrent('cancel the MFA prompt', async () => {
+		const onMfaPrompt = (_, {id}) => {
+			mfaPrompt.answer({id, tokenCode: null});
+		};
+
+		ipcRenderer.once(MFA.PROMPT, onMfaPrompt);
+		try {
+			const report = await testRoleConnection({mfaSerial: 'arn:aws:iam::123456789012:mfa/engineer'});
+
+			expect(report).toMatchObject({isAuthenticated: false, capabilities: null});
+			expect(getAssumeRoleRequests()).toHaveLength(0);
+		} finally {
+			ipcRenderer.removeListener(MFA.PROMPT, onMfaPrompt);
+		}
+	});
+
+	test.concurrent('close the MFA prompt which is not answered in time', async () => {
+		const onMfaPromptClose = jest.fn();
+
+		ipcRenderer.on(MFA.PROMPT_CLOSE, onMfaPromptClose);
+		try {
+			const report = await testRoleConnection({mfaSerial: 'arn:aws:iam::123456789012:mfa/engineer'});
+
+			expect(report).toMatchObject({isAuthenticated: false, error: expect.stringContaining('is not entered in time')});
+			expect(onMfaPromptClose).toHaveBeenCalledTimes(1);
+		} finally {
+			ipcRenderer.removeListener(MFA.PROMPT_CLOSE, onMfaPromptClose);
+		}
+	});
+
+	test.concurrent('reject pending MFA prompts when the page of the window is gone', async () => {
+		// Web contents of the window, its messages go to the mocked renderer process.
+		const webContents = Object.assign(new EventEmitter(), {send: (...args) => ipcMain.send(...args)});
+		const testConnectionWithMfa = onMfaPrompt => {
+			ipcRenderer.once(MFA.PROMPT, (_, prompt) => onMfaPrompt(prompt));
+			return testRoleConnection({mfaSerial: 'arn:aws:iam::123456789012:mfa/engineer'});
+		};
+
+		mfaPrompt.setWebContents(webContents);
+		try {
+			// Navigations in the page keep the prompt.
+			expect(await testConnectionWithMfa(({id}) => {
+				webContents.emit('did-start-navigation', {}, 'http://localhost/#/settings', true, true);
+				mfaPrompt.answer({id, tokenCode: '123456'});
+			})).toMatchObject({error: null});
+			expect(await testConnectionWithMfa(() => {
+				webContents.emit('did-start-navigation', {}, 'http://localhost/', false, true);
+			})).toMatchObject({isAuthenticated: false, error: expect.stringContaining('closed with the window')});
+			expect(await testConnectionWithMfa(() => {
+				webContents.emit('destroyed');
+			})).toMatchObject({isAuthenticated: false, error: expect.stringContaining('closed with the window')});
+			expect(getAssumeRoleRequests()).toHaveLength(0);
+		} finally {
+			mfaPrompt.setWebContents(ipcMain);
+		}
+	});
+
+	test.concurrent('fall back to the default session duration the role allows', async () => {
+		const roleArn = 'arn:aws:iam::123456789012:role/short-session';
+		const getDurations = () => getAssumeRoleRequests().map(params => params.get('DurationSeconds'));
+
+		standIn.maxSessionDuration = 3600;
+		try {
+			expect((await testRoleConnection({roleArn})).error).toBeNull();
+			expect(getDurations()).toEqual(['43200', '3600']);
+
+			// The duration is remembered for sessions of the role after it.
+			expect((await testRoleConnection({roleArn})).error).toBeNull();
+			expect(getDurations()).toEqual(['3600']);
+		} finally {
+			standIn.maxSessionDuration = 12 * 3600;
+		}
+	});
+
+	test.concurrent('switch profiles with their own objects', async () => {
+		const [production, staging] = await api.getProfiles();
+
+		await api.switchProfile({id: staging.id});
+		await ObjectModel.create({profileId: staging.id, type: OBJECT_TYPE.FOLDER, path: 'staging/'});
+		await ObjectModel.create({profileId: production.id, type: OBJECT_TYPE.FOLDER, path: 'production/'});
+
+		expect((await api.getSettings()).profileId).toBe(staging.id);
+		expect((await api.getObjects()).items.map(object => object.path)).toEqual(['staging/']);
+
+		await api.switchProfile({id: production.id});
+
+		expect((await api.getSettings()).profileId).toBe(production.id);
+		expect((await api.getObjects()).items.map(object => object.path)).toEqual(['production/']);
+	});
+
+	test.concurrent('delete the profile in use', async () => {
+		const [production, staging] = await api.getProfiles();
+
+		await api.deleteProfile({id: production.id});
+
+		expect((await api.getSettings()).profileId).toBeNull();
+		expect(await api.getProfiles()).toMatchObject([{id: staging.id}]);
+		expect(await ObjectModel.count({where: {profileId: production.id}})).toBe(0);
+	});
+
+	test.concurrent('list folders on demand for the lazy listing mode', async () => {
+		const profile = await api.createProfile({
+			...STAGING,
+			name: 'lazy',
+			bucket: STAND_IN_BUCKET,
+			endpoint: standIn.endpoint,
+			listingMode: LISTING_MODE.LAZY,
+		});
+		const getListRequests = () => standIn.requests.filter(request => request.url.includes('list-type=2'));
+
+		await api.switchProfile({id: profile.id});
+		standIn.keys = ['a/1.txt', 'b.txt'];
+		standIn.requests = [];
+		try {
+			const objects = await api.getObjects();
+
+			expect(objects).toMatchObject({listedAt: expect.any(Date), isOffline: false});
+			expect(objects.items.map(object => object.path)).toEqual(['a/', 'b.txt']);
+			expect(getListRequests()).toHaveLength(1);
+
+			await api.getObjects();
+			await api.getObjects({keyword: 'b'});
+			await api.getObjects({dirname: 'a'});
+
+			// The root is fresh and keyword searches query the local index.
+			expect(getListRequests()).toHaveLength(2);
+		} finally {
+			standIn.keys = [];
+			await api.deleteProfile({id: profile.id});
+		}
+	});
+
+	test.concurrent('fall back to the cached listing when S3 is unreachable', async () => {
+		const profile = await api.createProfile({
+			...STAGING,
+			name: 'offline',
+			bucket: STAND_IN_BUCKET,
+			endpoint: standIn.endpoint,
+			listingMode: LISTING_MODE.LAZY,
+		});
+
+		await api.switchProfile({id: profile.id});
+		await ObjectModel.create({profileId: profile.id, type: OBJECT_TYPE.FOLDER, path: 'cached/'});
+		standIn.isUnreachable = true;
+		try {
+			const objects = await api.getObjects();
+
+			expect(objects).toMatchObject({listedAt: null, isOffline: true});
+			expect(objects.items.map(object => object.path)).toEqual(['cached/']);
+		} finally {
+			standIn.isUnreachable = false;
+			await api.deleteProfile({id: profile.id});
+		}
+	});
+});
@@ -0,0 +1,85 @@
+const crypto = require('crypto');
+const SECRET_PROTECTION = require('../../../../src/shared/constants/secret-protection');
+const {
+	api,
+} = require('../../../../src/main-process/preload/utils');
+const utils = require('../../../../src/main-process/common/utils');
+const ProfileModel = require('../../../../src/main-process/models/data/profile-model');
+const {
+	MASTER_PASSWORD,
+	mockIpcMainApi,
+	protectSecrets,
+	cleanDatabase,
+} = require('../../utils');
+
+const LEGACY_CRYPTO_KEY = Buffer.from('KgSAOli9bHgiQB+Verg5q5MUMRqYvEVSr38cNQe98L4=', 'base64');
+const LEGACY_IV = crypto.randomBytes(16);
+const LEGACY_SECRET = utils.encrypt({value: Buffer.from('legacy-secret'), iv: LEGACY_IV, key: LEGACY_CRYPTO_KEY});
+
+beforeAll(async () => {
+	mockIpcMainApi();
+
+	// A profile of earlier versions, its secret is encrypted with the key in the source.
+	await ProfileModel.build(
+		{
+			name: 'legacy',
+			accessKeyId: 'legacy-key',
+			cryptoIv: LEGACY_IV.toString('base64'),
+			secretAccessKey: LEGACY_SECRET.toString('base64'),
+			region: 'us-east-1',
+			bucket: 'legacy-bucket',
+		},
+		{raw: true},
+	).save();
+});
+
+afterAll(async () => {
+	await cleanDatabase();
+});
+
+describe('ipc main api secret handler', () => {
+	test.concurrent('lock secrets until they are protected', async () => {
+		expect(await api.getSecretStatus()).toEqual({protection: null, isUnlocked: false, isSafeStorageAvailable: false});
+		await expect(api.createProfile({name: 'locked', accessKeyId: 'key', secretAccessKey: 'secret', region: 'us-east-1', bucket: 'bucket'}))
+			.rejects.toMatchObject({status: 401});
+
+		// Profiles are serialized without decrypting their secrets.
+		const [profile] = await api.getProfiles();
+
+		expect(profile).toMatchObject({name: 'legacy', bucket: 'legacy-bucket'});
+		expect(profile).not.toHaveProperty('secretAccessKey');
+	});
+
+	test.concurrent('reject the secret store of the OS when it is unavailable', async () => {
+		await expect(api.updateSecretProtection({protection: SECRET_PROTECTION.SAFE_STORAGE}))
+			.rejects.toMatchObject({status: 400});
+	});
+
+	test.concurrent('re-encrypt secrets of earlier versions with the master password', async () => {
+		const status = await protectSecrets();
+		const profile = await ProfileModel.findOne({where: {name: 'legacy'}});
+
+		expect(status).toEqual({protection: SECRET_PROTECTION.MASTER_PASSWORD, isUnlocked: true, isSafeStorageAvailable: false});
+		expect(profile.secretAccessKey).toBe('legacy-secret');
+		expect(profile.getDataValue('secretAccessKey')).not.toBe(LEGACY_SECRET.toString('base64'));
+		expect(await api.getSettings()).not.toHaveProperty('secretKey');
+	});
+
+	test.concurrent('unlock secrets with the master password', async () => {
+		await expect(api.unlockSecrets({password: 'wrong password'})).rejects.toMatchObject({status: 401});
+		expect(await api.unlockSecrets({password: MASTER_PASSWORD})).toMatchObject({isUnlocked: true});
+	});
+
+	test.concurrent('change the master password without re-encrypting secrets', async () => {
+		const {cryptoIv} = (await ProfileModel.findOne({where: {name: 'legacy'}})).get({plain: true});
+
+		await api.updateSecretProtection({protection: SECRET_PROTECTION.MASTER_PASSWORD, password: 'next master password'});
+		await expect(api.unlockSecrets({password: MASTER_PASSWORD})).rejects.toMatchObject({status: 401});
+		await api.unlockSecrets({password: 'next master password'});
+
+		const profile = await ProfileModel.findOne({where: {name: 'legacy'}});
+
+		expect(profile.getDataValue('cryptoIv')).toBe(cryptoIv);
+		expect(profile.secretAccessKey).toBe('legacy-secret');
+	});
+});
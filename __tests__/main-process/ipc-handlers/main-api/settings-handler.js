@@ -1,47 +1,206 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
 const {
 	api,
 } = require('../../../../src/main-process/preload/utils');
+const ObjectModel = require('../../../../src/main-process/models/data/object-model');
+const StagedObjectModel = require('../../../../src/main-process/models/data/staged-object-model');
 const {
-	AWS_CONFIG,
+	STAND_IN_BUCKET,
 	mockIpcMainApi,
+	protectSecrets,
 	cleanDatabase,
+	startStandIn,
 } = require('../../utils');
 
-beforeAll(() => {
+let standIn;
+
+beforeAll(async () => {
 	mockIpcMainApi();
+	standIn = await startStandIn();
 });
 
 afterAll(async () => {
+	await standIn.close();
 	await cleanDatabase();
 });
 
 describe('ipc main api settings handler', () => {
-	test.concurrent('get initial s3 settings', async () => {
+	test.concurrent('get initial settings', async () => {
 		const settings = await api.getSettings();
 
 		expect(settings).toMatchSnapshot();
 	});
 
-	test.concurrent('update s3 settings', async () => {
-		const settings = await api.updateS3Settings({
-			accessKeyId: AWS_CONFIG.accessKeyId,
-			secretAccessKey: AWS_CONFIG.secretAccessKey,
-			region: AWS_CONFIG.region,
-			bucket: AWS_CONFIG.bucket,
+	test.concurrent('update transfer settings', async () => {
+		const settings = await api.updateTransferSettings({downloadConcurrency: 4});
+
+		expect(settings).toMatchObject({id: 1, downloadConcurrency: 4});
+	});
+
+	test.concurrent('reject invalid transfer settings', async () => {
+		await expect(api.updateTransferSettings({})).rejects.toMatchObject({status: 400});
+		await expect(api.updateTransferSettings({downloadConcurrency: 100})).rejects.toMatchObject({
+			status: 422,
+			extra: {frontendOperationValue: {downloadConcurrency: expect.any(String)}},
 		});
+	});
 
-		expect(settings).toMatchSnapshot({
-			createdAt: expect.any(Date),
-			updatedAt: expect.any(Date),
+	test.concurrent('reject the sync without the profile in use', async () => {
+		await expect(api.syncObjectsFromS3()).rejects.toMatchObject({status: 400});
+	});
+
+	test.concurrent('cancel the sync by the request id', async () => {
+		await protectSecrets();
+
+		const profile = await api.createProfile({
+			name: 'stand-in',
+			accessKeyId: 'stand-in-key',
+			secretAccessKey: 'stand-in-secret',
+			region: 'us-east-1',
+			bucket: STAND_IN_BUCKET,
+			endpoint: standIn.endpoint,
 		});
+
+		await api.switchProfile({id: profile.id});
+		standIn.responseDelay = 1000;
+		try {
+			const sync = api.syncObjectsFromS3({requestId: 'sync'});
+
+			setTimeout(() => api.cancelRequest('sync'), 100);
+			await expect(sync).rejects.toMatchObject({status: 499});
+		} finally {
+			standIn.responseDelay = 0;
+		}
+
+		expect(await api.syncObjectsFromS3({requestId: 'sync'})).toBeNull();
 	});
 
-	test.concurrent('get updated s3 settings', async () => {
-		const settings = await api.getSettings();
+	test.concurrent('retry throttled requests with the retry policy', async () => {
+		await api.updateTransferSettings({downloadConcurrency: 4, retryMaxAttempts: 3, retryBaseDelay: 10, retryJitter: 0});
+		standIn.requests = [];
+		standIn.s3Error = {status: 503, code: 'SlowDown', count: 2};
+
+		expect(await api.syncObjectsFromS3()).toBeNull();
+		expect(standIn.requests).toHaveLength(3);
+
+		standIn.requests = [];
+		standIn.s3Error = {status: 503, code: 'SlowDown', count: 3};
+
+		await expect(api.syncObjectsFromS3()).rejects.toMatchObject({status: 429});
+		expect(standIn.requests).toHaveLength(3);
+	});
+
+	test.concurrent('refresh the folder without touching other folders', async () => {
+		const getPaths = async () => (await ObjectModel.findAll({order: [['path', 'ASC']]})).map(object => object.path);
+
+		standIn.keys = ['a/1.txt', 'a/b/2.txt', 'c/3.txt'];
+		await api.syncObjectsFromS3();
+		standIn.keys = ['a/1.txt', 'a/d/4.txt', 'a/new.txt', 'c/5.txt'];
+		standIn.requests = [];
+
+		expect(await api.refreshFolder({dirname: 'a'})).toBeNull();
+		expect(standIn.requests).toHaveLength(1);
+		expect(new URL(standIn.requests[0].url, standIn.endpoint).searchParams.get('prefix')).toBe('a/');
+		expect(await getPaths()).toEqual(['a/', 'a/1.txt', 'a/d/', 'a/new.txt', 'c/', 'c/3.txt']);
 
-		expect(settings).toMatchSnapshot({
-			createdAt: expect.any(Date),
-			updatedAt: expect.any(Date),
+		await api.refreshFolder({dirname: 'a', isRecursive: true});
+
+		expect(await getPaths()).toEqual(['a/', 'a/1.txt', 'a/d/', 'a/d/4.txt', 'a/new.txt', 'c/', 'c/3.txt']);
+		standIn.keys = [];
+	});
+
+	test.concurrent('stage objects of the sync and record its result', async () => {
+		const getObjects = async () => (await ObjectModel.findAll({order: [['path', 'ASC']]}))
+			.map(({id, path}) => ({id, path}));
+		const getProfile = async () => (await api.getProfiles()).find(({bucket}) => bucket === STAND_IN_BUCKET);
+		const onProgress = jest.fn();
+
+		standIn.keys = ['a/1.txt', 'a/2.txt', 'b/3.txt'];
+		standIn.maxKeys = 2;
+		expect(await api.syncObjectsFromS3({onProgress})).toBeNull();
+		expect(onProgress).toHaveBeenCalledTimes(2);
+		expect(onProgress).toHaveBeenLastCalledWith({pageCount: 2, objectCount: 3, byteCount: 3, elapsed: expect.any(Number)});
+		expect((await getObjects()).map(({path}) => path)).toEqual(['a/', 'a/1.txt', 'a/2.txt', 'b/', 'b/3.txt']);
+		expect(await getProfile()).toMatchObject({
+			lastSyncedAt: expect.any(Date),
+			lastSyncResult: {pageCount: 2, objectCount: 3, byteCount: 3, error: null},
 		});
+
+		// The sync is cancelled after the first page, objects are kept.
+		const objects = await getObjects();
+
+		standIn.keys = ['a/1.txt', 'c/4.txt', 'c/5.txt'];
+		standIn.responseDelay = 300;
+		try {
+			await expect(api.syncObjectsFromS3({
+				requestId: 'staged-sync',
+				onProgress: () => api.cancelRequest('staged-sync'),
+			})).rejects.toMatchObject({status: 499});
+		} finally {
+			standIn.responseDelay = 0;
+		}
+
+		expect(await getObjects()).toEqual(objects);
+		expect(await StagedObjectModel.count()).toBe(0);
+		expect((await getProfile()).lastSyncResult).toMatchObject({pageCount: 1, objectCount: 2, error: 'the sync is cancelled'});
+
+		// Objects which are still on S3 keep their ids.
+		await api.syncObjectsFromS3();
+
+		expect(await getObjects()).toEqual([
+			objects[0],
+			objects[1],
+			{id: expect.any(Number), path: 'c/'},
+			{id: expect.any(Number), path: 'c/4.txt'},
+			{id: expect.any(Number), path: 'c/5.txt'},
+		]);
+		expect(await StagedObjectModel.count()).toBe(0);
+		standIn.keys = [];
+		standIn.maxKeys = null;
+	});
+
+	test.concurrent('resume the interrupted download with range requests', async () => {
+		const localPath = fs.mkdtempSync(path.join(os.tmpdir(), 'stand-in-download-'));
+		const getRanges = () => standIn.requests
+			.filter(request => request.method === 'GET' && request.url.includes('/d/'))
+			.map(request => request.headers.range);
+
+		standIn.keys = ['d/1.txt'];
+		standIn.contents = {'d/1.txt': 'content of the stand-in'};
+		try {
+			await api.syncObjectsFromS3();
+
+			const file = await ObjectModel.findOne({where: {path: 'd/1.txt'}});
+
+			// The part file and its ETag are kept after the failed download.
+			await api.updateTransferSettings({downloadConcurrency: 4, retryMaxAttempts: 1, retryBaseDelay: 10, retryJitter: 0});
+			standIn.requests = [];
+			standIn.interruptedBytes = 7;
+			await expect(api.downloadObjects({localPath, dirname: 'd', ids: [file.id]})).rejects.toThrow();
+			expect(fs.readFileSync(path.join(localPath, '1.txt.part'), 'utf8')).toBe('content');
+
+			await api.downloadObjects({localPath, dirname: 'd', ids: [file.id]});
+
+			expect(getRanges()).toEqual(['bytes=0-', 'bytes=7-']);
+			expect(fs.readdirSync(localPath)).toEqual(['1.txt']);
+			expect(fs.readFileSync(path.join(localPath, '1.txt'), 'utf8')).toBe('content of the stand-in');
+
+			// The interrupted response is resumed in the same request.
+			await api.updateTransferSettings({downloadConcurrency: 4, retryMaxAttempts: 3, retryBaseDelay: 10, retryJitter: 0});
+			fs.rmSync(path.join(localPath, '1.txt'));
+			standIn.requests = [];
+			standIn.interruptedBytes = 7;
+			await api.downloadObjects({localPath, dirname: 'd', ids: [file.id]});
+
+			expect(getRanges()).toEqual(['bytes=0-', 'bytes=7-']);
+			expect(fs.readFileSync(path.join(localPath, '1.txt'), 'utf8')).toBe('content of the stand-in');
+		} finally {
+			fs.rmSync(localPath, {recursive: true, force: true});
+			standIn.keys = [];
+			standIn.contents = {};
+			standIn.interruptedBytes = null;
+		}
 	});
 });
@@ -0,0 +1,95 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const TRANSFER_STATE = require('../../../../src/shared/constants/transfer-state');
+const {
+	api,
+} = require('../../../../src/main-process/preload/utils');
+const transferManager = require('../../../../src/main-process/common/transfer-manager');
+const {
+	mockIpcMainApi,
+	setS3Settings,
+	cleanDatabase,
+} = require('../../utils');
+
+const IMAGE_PATH = path.join(__dirname, '..', '..', 'resources', 'image.png');
+
+/**
+ * Wait until every transfer is finished.
+ * @returns {Promise<Array<Object>>} The transfers.
+ */
+async function waitForTransfers() {
+	const {items} = await api.getTransfers();
+
+	if (items.some(item => [TRANSFER_STATE.QUEUED, TRANSFER_STATE.RUNNING].includes(item.state))) {
+		await new Promise(resolve => {
+			setTimeout(resolve, 100);
+		});
+		return waitForTransfers();
+	}
+
+	return items;
+}
+
+beforeAll(async () => {
+	mockIpcMainApi();
+	await setS3Settings();
+	await transferManager.start();
+});
+
+afterAll(async () => {
+	await cleanDatabase();
+});
+
+describe('ipc main api transfer handler', () => {
+	test.concurrent('upload file with the transfer queue', async () => {
+		const objects = await api.getObjects({limit: 500});
+
+		await api.deleteObjects({ids: objects.items.map(object => object.id)});
+		await api.createFolder({basename: 'transfers'});
+
+		const result = await api.enqueueUploads({dirname: 'transfers', localPaths: [IMAGE_PATH]});
+		const transfers = await waitForTransfers();
+		const {items: files} = await api.getObjects({dirname: 'transfers'});
+
+		expect(result).toEqual({folders: [], transferCount: 1});
+		expect(transfers).toMatchObject([{
+			state: TRANSFER_STATE.COMPLETED,
+			path: 'transfers/image.png',
+			size: fs.statSync(IMAGE_PATH).size,
+			error: null,
+		}]);
+		expect(files).toMatchObject([{path: 'transfers/image.png', size: fs.statSync(IMAGE_PATH).size}]);
+	});
+
+	test.concurrent('reject uploading the existing file', async () => {
+		await expect(api.enqueueUploads({dirname: 'transfers', localPaths: [IMAGE_PATH]}))
+			.rejects.toMatchObject({status: 409});
+	});
+
+	test.concurrent('download folder with the transfer queue', async () => {
+		const localPath = fs.mkdtempSync(path.join(os.tmpdir(), 'transfers-'));
+		const {items: [folder]} = await api.getObjects({keyword: 'transfers'});
+
+		await api.clearTransfers();
+		await api.enqueueDownloads({localPath, dirname: '', ids: [folder.id]});
+		const transfers = await waitForTransfers();
+
+		expect(transfers).toMatchObject([{state: TRANSFER_STATE.COMPLETED}]);
+		expect(fs.readFileSync(path.join(localPath, 'transfers', 'image.png')))
+			.toEqual(fs.readFileSync(IMAGE_PATH));
+		expect(fs.existsSync(path.join(localPath, 'transfers', 'image.png.part'))).toBe(false);
+	});
+
+	test.concurrent('clear finished transfers', async () => {
+		await api.clearTransfers();
+
+		expect(await api.getTransfers()).toEqual({hasNextPage: false, items: []});
+	});
+
+	test.concurrent('clean up abandoned multipart uploads', async () => {
+		const result = await api.cleanUpMultipartUploads();
+
+		expect(result).toEqual({uploads: expect.any(Array)});
+	});
+});
@@ -1,8 +1,15 @@
 const createIPCMock = require('electron-mock-ipc').default;
+const MockedEvent = require('electron-mock-ipc/lib/src/event').default;
 
 const mocked = createIPCMock();
 
+// Senders of mocked events can't drag files out of the window, drags are recorded instead.
+Object.getPrototypeOf(new MockedEvent().sender).startDrag = jest.fn();
+
 module.exports = {
 	ipcMain: mocked.ipcMain,
 	ipcRenderer: mocked.ipcRenderer,
+	app: {
+		getFileIcon: jest.fn(async () => ({})),
+	},
 };
@@ -1,9 +1,13 @@
 require('dotenv').config();
+const crypto = require('crypto');
+const http = require('http');
 const pLimit = require('p-limit');
 const {ipcMain} = require('electron');
 const {
 	MAIN_API,
+	MAIN_API_CANCEL,
 } = require('../../src/shared/constants/ipc');
+const SECRET_PROTECTION = require('../../src/shared/constants/secret-protection');
 const {
 	api,
 } = require('../../src/main-process/preload/utils');
@@ -16,23 +20,284 @@ const AWS_CONFIG = {
 };
 
 exports.AWS_CONFIG = AWS_CONFIG;
+// Not DNS compatible, so the SDK sends path-style requests to the stand-in.
+exports.STAND_IN_BUCKET = 'Stand_In';
+
+/**
+ * ListObjectsV2 of keys of the stand-in, with the prefix and the delimiter of the request.
+ * Contents are split into pages of the max keys, the continuation token is the offset of the next page.
+ * @param {URLSearchParams} params
+ * @param {Array<string>} keys
+ * @param {(number|null)} maxKeys
+ * @returns {string}
+ */
+function listStandInObjects(params, keys, maxKeys) {
+	const prefix = params.get('prefix') || '';
+	const delimiter = params.get('delimiter');
+	const offset = Number(params.get('continuation-token') || 0);
+	const contents = [];
+	const commonPrefixes = new Set();
+
+	keys.filter(key => key.startsWith(prefix)).forEach(key => {
+		const index = delimiter ? key.indexOf(delimiter, prefix.length) : -1;
+
+		if (index >= 0) {
+			commonPrefixes.add(key.slice(0, index + delimiter.length));
+		} else {
+			contents.push(key);
+		}
+	});
+
+	const pageContents = contents.slice(offset, maxKeys ? offset + maxKeys : undefined);
+	const nextOffset = offset + pageContents.length;
+	const isTruncated = nextOffset < contents.length;
+
+	return `<ListBucketResult>
+		<Name>Stand_In</Name>
+		<Prefix>${prefix}</Prefix>
+		<KeyCount>${pageContents.length + commonPrefixes.size}</KeyCount>
+		<IsTruncated>${isTruncated}</IsTruncated>
+		${isTruncated ? `<NextContinuationToken>${nextOffset}</NextContinuationToken>` : ''}
+		${pageContents.map(key => `<Contents>
+			<Key>${key}</Key>
+			<LastModified>2022-01-01T00:00:00.000Z</LastModified>
+			<Size>${key.endsWith('/') ? 0 : 1}</Size>
+			<StorageClass>STANDARD</StorageClass>
+		</Contents>`).join('')}
+		${[...commonPrefixes].map(commonPrefix => `<CommonPrefixes><Prefix>${commonPrefix}</Prefix></CommonPrefixes>`).join('')}
+	</ListBucketResult>`;
+}
+
+/**
+ * HeadObject and GetObject of contents of the stand-in, the range of GetObject is "bytes=<start>-".
+ * @param {{method: string, headers: Object}} request
+ * @param {string} content
+ * @returns {{status: number, headers: Object, body: string}}
+ */
+function answerStandInObject(request, content) {
+	const etag = `"${crypto.createHash('md5').update(content).digest('hex')}"`;
+	const start = Number(/^bytes=(\d+)-$/.exec(request.headers.range || '')?.[1] || 0);
+
+	if (request.headers['if-match'] && request.headers['if-match'] !== etag) {
+		return {status: 412, body: '<Error><Code>PreconditionFailed</Code><Message>PreconditionFailed</Message></Error>'};
+	}
+
+	return {
+		status: request.headers.range ? 206 : 200,
+		headers: {
+			'Content-Type': 'application/octet-stream',
+			'Content-Length': request.method === 'HEAD' ? content.length : content.length - start,
+			ETag: etag,
+			...(request.headers.range ? {'Content-Range': `bytes ${start}-${content.length - 1}/${content.length}`} : {}),
+		},
+		body: content.slice(start),
+	};
+}
+
+/**
+ * Answer the request of the stand-in, STS AssumeRole is POST "/" and others are S3 requests.
+ * S3 requests are answered with the error of the stand-in when it is set, the error is cleared after its count.
+ * @param {{method: string, url: string, headers: Object, body: string}} request
+ * @param {{
+ * 	sessionDuration: number,
+ * 	maxSessionDuration: number,
+ * 	s3Error: ({status: number, code: string, count: (number|undefined)}|null),
+ * 	keys: Array<string>,
+ * 	maxKeys: (number|null),
+ * 	contents: Object<string, string>,
+ * }} standIn
+ * @returns {{status: number, headers: (Object|undefined), body: string}}
+ */
+function answerStandInRequest(request, standIn) {
+	if (request.method === 'POST' && request.url === '/') {
+		const params = new URLSearchParams(request.body);
+
+		if (Number(params.get('DurationSeconds')) > standIn.maxSessionDuration) {
+			return {
+				status: 400,
+				body: `<ErrorResponse>
+					<Error>
+						<Type>Sender</Type>
+						<Code>ValidationError</Code>
+						<Message>The requested DurationSeconds exceeds the MaxSessionDuration set for this role.</Message>
+					</Error>
+				</ErrorResponse>`,
+			};
+		}
+
+		return {
+			status: 200,
+			body: `<AssumeRoleResponse xmlns="https://sts.amazonaws.com/doc/2011-06-15/">
+				<AssumeRoleResult>
+					<Credentials>
+						<AccessKeyId>ASSUMED-KEY</AccessKeyId>
+						<SecretAccessKey>assumed-secret</SecretAccessKey>
+						<SessionToken>assumed-token</SessionToken>
+						<Expiration>${new Date(Date.now() + (standIn.sessionDuration * 1000)).toISOString()}</Expiration>
+					</Credentials>
+					<AssumedRoleUser>
+						<AssumedRoleId>ROLE:${params.get('RoleSessionName')}</AssumedRoleId>
+						<Arn>${params.get('RoleArn')}</Arn>
+					</AssumedRoleUser>
+				</AssumeRoleResult>
+			</AssumeRoleResponse>`,
+		};
+	}
+
+	if (standIn.s3Error) {
+		const {status, code, count} = standIn.s3Error;
+
+		if (count != null) {
+			standIn.s3Error = count > 1 ? {...standIn.s3Error, count: count - 1} : null;
+		}
+
+		return {
+			status,
+			body: `<Error><Code>${code}</Code><Message>${code}</Message></Error>`,
+		};
+	}
+
+	const {pathname, searchParams} = new URL(request.url, 'http://stand-in');
+	const key = decodeURIComponent(pathname.split('/').slice(2).join('/'));
+
+	if (['GET', 'HEAD'].includes(request.method) && key in standIn.contents) {
+		return answerStandInObject(request, standIn.contents[key]);
+	}
+
+	if (request.method === 'GET' && searchParams.get('list-type') === '2') {
+		return {status: 200, body: listStandInObjects(searchParams, standIn.keys, standIn.maxKeys)};
+	}
+
+	if (request.method === 'GET') {
+		return {status: 200, body: '<ListBucketResult><Name>Stand_In</Name><KeyCount>0</KeyCount></ListBucketResult>'};
+	}
+
+	if (request.headers['x-amz-copy-source']) {
+		return {status: 200, body: '<CopyObjectResult><ETag>"etag"</ETag></CopyObjectResult>'};
+	}
+
+	return {status: request.method === 'DELETE' ? 204 : 200, body: ''};
+}
+
+/**
+ * Start a local S3 and STS stand-in which records its requests.
+ * @returns {Promise<{
+ * 	endpoint: string,
+ * 	requests: Array<Object>,
+ * 	sessionDuration: number,
+ * 	maxSessionDuration: number,
+ * 	s3Error: ({status: number, code: string, count: (number|undefined)}|null),
+ * 	responseDelay: number,
+ * 	keys: Array<string>,
+ * 	maxKeys: (number|null),
+ * 	isUnreachable: boolean,
+ * 	contents: Object<string, string>,
+ * 	interruptedBytes: (number|null),
+ * 	close: function(): Promise<void>,
+ * }>}
+ */
+exports.startStandIn = () => new Promise(resolve => {
+	const standIn = {
+		endpoint: null,
+		requests: [],
+		// Seconds of sessions of assumed roles.
+		sessionDuration: 3600,
+		// Seconds of the longest session which roles allow, longer DurationSeconds are rejected.
+		maxSessionDuration: 12 * 3600,
+		s3Error: null,
+		// Milliseconds before answering requests, so they can be aborted while they are pending.
+		responseDelay: 0,
+		// Keys of objects which are listed by ListObjectsV2.
+		keys: [],
+		// Keys in a page of ListObjectsV2, all keys are in one page when it is null.
+		maxKeys: null,
+		// Drop connections of requests like the network is down.
+		isUnreachable: false,
+		// Contents of objects by keys for HeadObject and GetObject.
+		contents: {},
+		// Bytes of the next object body which are sent before its connection is dropped.
+		interruptedBytes: null,
+		close: null,
+	};
+	const server = http.createServer((req, res) => {
+		const chunks = [];
+
+		if (standIn.isUnreachable) {
+			req.socket.destroy();
+			return;
+		}
+
+		req.on('data', chunk => chunks.push(chunk));
+		req.on('end', () => {
+			const request = {
+				method: req.method,
+				url: req.url,
+				headers: req.headers,
+				body: Buffer.concat(chunks).toString(),
+			};
+			const {status, headers, body} = answerStandInRequest(request, standIn);
+
+			standIn.requests.push(request);
+			setTimeout(() => {
+				res.writeHead(status, headers || {'Content-Type': 'application/xml'});
+				if (req.method === 'HEAD') {
+					res.end();
+				} else if (headers && standIn.interruptedBytes != null) {
+					// Wait for the client to write the bytes before the connection is dropped.
+					res.write(body.slice(0, standIn.interruptedBytes), () => setTimeout(() => res.destroy(), 100));
+					standIn.interruptedBytes = null;
+				} else {
+					res.end(body);
+				}
+			}, standIn.responseDelay);
+		});
+	});
+
+	server.listen(0, '127.0.0.1', () => {
+		standIn.endpoint = `http://127.0.0.1:${server.address().port}`;
+		standIn.close = () => new Promise(resolve => {
+			server.close(() => resolve());
+		});
+		resolve(standIn);
+	});
+});
 
 exports.mockIpcMainApi = () => {
 	const {
 		generateIpcMainApiHandler,
+		generateIpcMainApiCancelHandler,
 	} = require('../../src/main-process/ipc-handlers/main-api');
 
 	ipcMain.handle(MAIN_API, generateIpcMainApiHandler());
+	ipcMain.on(MAIN_API_CANCEL, generateIpcMainApiCancelHandler());
 };
 
-exports.setS3Settings = async () => api.updateS3Settings({
-	accessKeyId: AWS_CONFIG.accessKeyId,
-	secretAccessKey: AWS_CONFIG.secretAccessKey,
-	region: AWS_CONFIG.region,
-	bucket: AWS_CONFIG.bucket,
-	endpoint: AWS_CONFIG.endpoint,
+exports.MASTER_PASSWORD = 'correct horse battery staple';
+
+/**
+ * Protect secrets with the master password, profiles can't be saved before it.
+ * @returns {Promise<{protection: string, isUnlocked: boolean, isSafeStorageAvailable: boolean}>}
+ */
+exports.protectSecrets = () => api.updateSecretProtection({
+	protection: SECRET_PROTECTION.MASTER_PASSWORD,
+	password: exports.MASTER_PASSWORD,
 });
 
+exports.setS3Settings = async () => {
+	await exports.protectSecrets();
+
+	const profile = await api.createProfile({
+		name: 'integration',
+		accessKeyId: AWS_CONFIG.accessKeyId,
+		secretAccessKey: AWS_CONFIG.secretAccessKey,
+		region: AWS_CONFIG.region,
+		bucket: AWS_CONFIG.bucket,
+		endpoint: AWS_CONFIG.endpoint,
+	});
+
+	return api.switchProfile({id: profile.id});
+};
+
 exports.cleanDatabase = async () => {
 	const models = require('../../src/main-process/models/data');
 	const limit = pLimit(1);
@@ -0,0 +1,123 @@
+const crypto = require('crypto');
+const {
+	MFA: {PROMPT, PROMPT_CLOSE},
+} = require('../../shared/constants/ipc');
+const {
+	MFA_PROMPT_TIMEOUT,
+} = require('../../shared/constants/config');
+const {NotFoundError, UnauthorizedError} = require('../../shared/errors');
+
+/**
+ * Prompts which wait for the token code from the renderer process.
+ * @type {Map<string, {resolve: function(string), reject: function(Error), timer: NodeJS.Timeout}>}
+ */
+const pendingPrompts = new Map();
+let webContents = null;
+
+/**
+ * Reject the prompt with the error, then close it in the renderer process.
+ * @param {string} id
+ * @param {Error} error
+ * @returns {void}
+ */
+function rejectPrompt(id, error) {
+	const prompt = pendingPrompts.get(id);
+
+	if (!prompt) {
+		return;
+	}
+
+	clearTimeout(prompt.timer);
+	pendingPrompts.delete(id);
+	prompt.reject(error);
+	if (webContents && !webContents.isDestroyed?.()) {
+		webContents.send(PROMPT_CLOSE, {id});
+	}
+}
+
+/**
+ * Prompts can't be answered after the page of the window is gone.
+ * @returns {void}
+ */
+function onWebContentsDestroyed() {
+	[...pendingPrompts.keys()].forEach(id => {
+		rejectPrompt(id, new UnauthorizedError('the MFA prompt is closed with the window'));
+	});
+}
+
+/**
+ * Navigations in the page, like changes of the hash, keep the prompts.
+ * @param {Event} event
+ * @param {string} url
+ * @param {boolean} isInPlace
+ * @param {boolean} isMainFrame
+ * @returns {void}
+ */
+function onWebContentsStartNavigation(event, url, isInPlace, isMainFrame) {
+	if (!isInPlace && isMainFrame) {
+		onWebContentsDestroyed();
+	}
+}
+
+/**
+ * Set the web contents of the window which shows prompts, pending prompts of the previous one are rejected.
+ * @param {{send: function(string, *), on: function(string, function), removeListener: function(string, function)}|null} value
+ * @returns {void}
+ */
+exports.setWebContents = value => {
+	if (webContents) {
+		webContents.removeListener('destroyed', onWebContentsDestroyed);
+		webContents.removeListener('did-start-navigation', onWebContentsStartNavigation);
+		onWebContentsDestroyed();
+	}
+
+	webContents = value;
+	if (webContents) {
+		webContents.on('destroyed', onWebContentsDestroyed);
+		webContents.on('did-start-navigation', onWebContentsStartNavigation);
+	}
+};
+
+/**
+ * Ask the renderer process for the token code of the MFA device.
+ * The prompt is rejected when it isn't answered in MFA_PROMPT_TIMEOUT, requests which wait for it fail then.
+ * @param {string} mfaSerial
+ * @returns {Promise<string>}
+ */
+exports.requestTokenCode = mfaSerial => new Promise((resolve, reject) => {
+	if (!webContents) {
+		reject(new UnauthorizedError(`the MFA token code of "${mfaSerial}" can't be asked without a window`));
+		return;
+	}
+
+	const id = crypto.randomUUID();
+	const timer = setTimeout(
+		() => rejectPrompt(id, new UnauthorizedError(`the MFA token code of "${mfaSerial}" is not entered in time`)),
+		MFA_PROMPT_TIMEOUT,
+	);
+
+	pendingPrompts.set(id, {resolve, reject, timer});
+	webContents.send(PROMPT, {id, mfaSerial});
+});
+
+/**
+ * Resolve the prompt with the token code, the prompt is cancelled when the token code is empty.
+ * @param {string} id
+ * @param {string|null} tokenCode
+ * @returns {void}
+ */
+exports.answer = ({id, tokenCode}) => {
+	const prompt = pendingPrompts.get(id);
+
+	if (!prompt) {
+		throw new NotFoundError(`not found MFA prompt "${id}"`);
+	}
+
+	clearTimeout(prompt.timer);
+	pendingPrompts.delete(id);
+	if (tokenCode) {
+		prompt.resolve(tokenCode);
+	} else {
+		prompt.reject(new UnauthorizedError('the MFA token code is cancelled'));
+	}
+};
@@ -0,0 +1,150 @@
+const {AsyncLocalStorage} = require('async_hooks');
+const {Readable} = require('stream');
+const {setTimeout: wait} = require('timers/promises');
+const {
+	isClockSkewError,
+	isRetryableByTrait,
+	isThrottlingError,
+	isTransientError,
+} = require('@aws-sdk/service-error-classification');
+const {
+	S3_RETRY_MAX_ATTEMPTS,
+	S3_RETRY_BASE_DELAY,
+	S3_RETRY_MAX_DELAY,
+	S3_RETRY_JITTER,
+	S3_RETRY_THROTTLING_DELAY_FACTOR,
+} = require('../../shared/constants/config');
+
+// Codes of S3 errors which are only in bodies, like errors of keys of DeleteObjects.
+const TRANSIENT_ERROR_NAMES = ['InternalError', 'ServiceUnavailable', 'RequestTimeout'];
+/**
+ * Listeners of retries of the async context, like the transfer which sends the requests.
+ * @type {AsyncLocalStorage<function({error: Error, attempts: number, delay: number}): void>}
+ */
+const retryListeners = new AsyncLocalStorage();
+let policy = {
+	maxAttempts: S3_RETRY_MAX_ATTEMPTS,
+	baseDelay: S3_RETRY_BASE_DELAY,
+	jitter: S3_RETRY_JITTER,
+};
+
+/**
+ * @param {Error} error
+ * @returns {boolean}
+ */
+function isThrottled(error) {
+	return isThrottlingError(error) || error.$metadata?.httpStatusCode === 503;
+}
+
+/**
+ * The delay of the Retry-After header of the response.
+ * @param {Error} error
+ * @returns {number} Milliseconds, 0 when there is no header.
+ */
+function getRetryAfterDelay(error) {
+	const seconds = Number(error.$response?.headers?.['retry-after']);
+
+	return Number.isFinite(seconds) ? seconds * 1000 : 0;
+}
+
+/**
+ * Exponential backoff with jitter, throttled requests start with a longer delay.
+ * @param {Error} error
+ * @param {number} attempts - The number of failed attempts.
+ * @returns {number} Milliseconds.
+ */
+function getDelay(error, attempts) {
+	const baseDelay = policy.baseDelay * (isThrottled(error) ? S3_RETRY_THROTTLING_DELAY_FACTOR : 1);
+	const delay = Math.min(baseDelay * (2 ** (attempts - 1)), S3_RETRY_MAX_DELAY);
+	const jitteredDelay = delay * (1 - ((policy.jitter / 100) * Math.random()));
+
+	return Math.round(Math.min(Math.max(jitteredDelay, getRetryAfterDelay(error)), S3_RETRY_MAX_DELAY));
+}
+
+/**
+ * Throttling, transient network errors and clock skews are retryable, aborted requests are stopped on purpose.
+ * @param {Error} error
+ * @returns {boolean}
+ */
+exports.isRetryable = error => {
+	if (error.name === 'AbortError') {
+		return false;
+	}
+
+	return TRANSIENT_ERROR_NAMES.includes(error.name)
+		|| isRetryableByTrait(error)
+		|| isClockSkewError(error)
+		|| isThrottled(error)
+		|| isTransientError(error);
+};
+
+/**
+ * @param {SettingsModel|null} settings - {retryMaxAttempts, retryBaseDelay, retryJitter}
+ * @returns {void}
+ */
+exports.updatePolicy = settings => {
+	policy = {
+		maxAttempts: settings?.retryMaxAttempts || S3_RETRY_MAX_ATTEMPTS,
+		baseDelay: settings?.retryBaseDelay || S3_RETRY_BASE_DELAY,
+		jitter: settings?.retryJitter ?? S3_RETRY_JITTER,
+	};
+};
+
+/**
+ * @returns {number}
+ */
+exports.getMaxAttempts = () => policy.maxAttempts;
+
+/**
+ * Tell the listener of the async context then wait before the next attempt.
+ * @param {Error} error
+ * @param {number} attempts - The number of failed attempts.
+ * @returns {Promise<void>}
+ */
+exports.waitForRetry = (error, attempts) => {
+	const delay = getDelay(error, attempts);
+
+	retryListeners.getStore()?.({error, attempts, delay});
+	return wait(delay);
+};
+
+/**
+ * Listen to retries of S3 requests which are sent by the function, including its async calls.
+ * @param {function({error: Error, attempts: number, delay: number}): void} onRetry
+ * @param {function(): Promise<*>} fn
+ * @returns {Promise<*>}
+ */
+exports.runWithRetryListener = (onRetry, fn) => retryListeners.run(onRetry, fn);
+
+/**
+ * The retry strategy of S3 clients, it follows the policy in settings without rebuilding clients.
+ * Requests with stream bodies can't be sent again, their callers resume them instead.
+ * @returns {{mode: string, retry: function(function, Object): Promise<Object>}}
+ */
+exports.createRetryStrategy = () => ({
+	mode: 'standard',
+	retry(next, args) {
+		const send = async attempts => {
+			try {
+				const {response, output} = await next(args);
+
+				output.$metadata.attempts = attempts;
+				return {response, output};
+			} catch (error) {
+				if (
+					attempts >= policy.maxAttempts
+					|| args.request?.body instanceof Readable
+					|| !exports.isRetryable(error)
+				) {
+					error.$metadata = {...error.$metadata, attempts};
+					throw error;
+				}
+
+				await exports.waitForRetry(error, attempts);
+				return send(attempts + 1);
+			}
+		};
+
+		return send(1);
+	},
+});
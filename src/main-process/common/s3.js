@@ -1,126 +1,864 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const https = require('https');
+const {Transform} = require('stream');
+const {pipeline} = require('stream/promises');
+const pLimit = require('p-limit');
 const {Op} = require('sequelize');
 const {
+	AbortMultipartUploadCommand,
+	CompleteMultipartUploadCommand,
+	CopyObjectCommand,
+	CreateMultipartUploadCommand,
+	DeleteObjectCommand,
 	DeleteObjectsCommand,
+	GetBucketLocationCommand,
 	GetObjectCommand,
 	HeadObjectCommand,
+	ListBucketsCommand,
+	ListMultipartUploadsCommand,
 	ListObjectsV2Command,
+	ListPartsCommand,
 	PutObjectCommand,
 	S3Client,
+	UploadPartCommand,
+	UploadPartCopyCommand,
 } = require('@aws-sdk/client-s3');
+const {
+	AssumeRoleCommand,
+	STSClient,
+	getDefaultRoleAssumer,
+} = require('@aws-sdk/client-sts');
+const {
+	fromIni,
+} = require('@aws-sdk/credential-provider-ini');
+const {
+	fromProcess,
+} = require('@aws-sdk/credential-provider-process');
 const {
 	getSignedUrl,
 } = require('@aws-sdk/s3-request-presigner');
 const {
 	Upload,
 } = require('@aws-sdk/lib-storage');
+const {
+	NodeHttpHandler,
+} = require('@aws-sdk/node-http-handler');
+const {
+	CredentialsProviderError,
+	chain,
+} = require('@aws-sdk/property-provider');
+const {
+	ASSUME_ROLE_DURATION,
+	ASSUME_ROLE_FALLBACK_DURATION,
+	S3_CLIENT_KEEP_ALIVE,
+	S3_CLIENT_MAX_SOCKETS,
+	S3_CLIENT_CONNECTION_TIMEOUT,
+} = require('../../shared/constants/config');
+const CREDENTIAL_SOURCE = require('../../shared/constants/credential-source');
+const FRONTEND_OPERATION_CODE = require('../../shared/constants/frontend-operation-code');
+const LISTING_MODE = require('../../shared/constants/listing-mode');
 const OBJECT_TYPE = require('../../shared/constants/object-type');
+const PROFILE_CAPABILITY = require('../../shared/constants/profile-capability');
+const {
+	BaseError,
+	UnauthorizedError,
+	ForbiddenError,
+	NotFoundError,
+	UnprocessableEntityError,
+	TooManyRequestsError,
+} = require('../../shared/errors');
 const ObjectModel = require('../models/data/object-model');
+const StagedObjectModel = require('../models/data/staged-object-model');
+const mfaPrompt = require('./mfa-prompt');
+const retryPolicy = require('./retry-policy');
+const utils = require('./utils');
+
+// CopyObject accepts sources up to 5 GB, larger objects have to be copied part by part.
+const MAX_COPY_OBJECT_SIZE = 5 * 1024 * 1024 * 1024;
+const MIN_COPY_PART_SIZE = 512 * 1024 * 1024;
+const MAX_UPLOAD_PARTS = 10000;
+const COPY_PART_CONCURRENCY = 4;
+const BUCKET_LOCATION_CONCURRENCY = 4;
+// Regions of legacy location constraints, an empty one is us-east-1.
+const LEGACY_BUCKET_LOCATIONS = {
+	'': 'us-east-1',
+	EU: 'eu-west-1',
+};
+// Probe objects are written to test the put, get, copy and delete permissions then removed.
+const PROBE_OBJECT_KEY_PREFIX = '.electron-s3-file-manager-probe-';
+const CREDENTIALS_ERROR_NAMES = [
+	'InvalidAccessKeyId',
+	'SignatureDoesNotMatch',
+	'ExpiredToken',
+	'InvalidToken',
+	// The credentials can't be resolved from the AWS profile or by assuming the role.
+	'CredentialsProviderError',
+];
+// S3 errors which the renderer explains with guidance, the first matched one is used.
+const S3_ERRORS = [
+	{
+		isMatched: error => CREDENTIALS_ERROR_NAMES.includes(error.name),
+		ErrorClass: UnauthorizedError,
+		frontendOperationCode: FRONTEND_OPERATION_CODE.SHOW_S3_CREDENTIALS_REJECTED_ALERT,
+		generateMessage: ({error}) => `the credentials are rejected: ${error.message || error.name}`,
+	},
+	{
+		isMatched: error => error.name === 'RequestTimeTooSkewed',
+		ErrorClass: ForbiddenError,
+		frontendOperationCode: FRONTEND_OPERATION_CODE.SHOW_S3_CLOCK_SKEWED_ALERT,
+		generateMessage: () => 'the clock of this computer is too different from the time of S3',
+	},
+	{
+		isMatched: error => error.name === 'InvalidObjectState',
+		ErrorClass: UnprocessableEntityError,
+		frontendOperationCode: FRONTEND_OPERATION_CODE.SHOW_S3_OBJECT_ARCHIVED_ALERT,
+		generateMessage: ({target}) => `${target} is archived`,
+	},
+	{
+		isMatched: error => error.name === 'NoSuchBucket',
+		ErrorClass: NotFoundError,
+		frontendOperationCode: FRONTEND_OPERATION_CODE.SHOW_S3_BUCKET_NOT_FOUND_ALERT,
+		generateMessage: ({bucket}) => `not found bucket "${bucket}"`,
+	},
+	{
+		// Responses of HeadObject don't have the body, their errors are named by the status.
+		isMatched: error => ['NoSuchKey', 'NotFound'].includes(error.name),
+		ErrorClass: NotFoundError,
+		frontendOperationCode: FRONTEND_OPERATION_CODE.SHOW_S3_OBJECT_NOT_FOUND_ALERT,
+		generateMessage: ({target}) => `not found ${target}`,
+	},
+	{
+		isMatched: error => error.name === 'SlowDown' || error.$metadata?.httpStatusCode === 503,
+		ErrorClass: TooManyRequestsError,
+		frontendOperationCode: FRONTEND_OPERATION_CODE.SHOW_S3_SLOW_DOWN_ALERT,
+		generateMessage: () => 'S3 is slowing down requests of the bucket',
+	},
+	{
+		isMatched: error => error.name === 'AccessDenied' || error.$metadata?.httpStatusCode === 403,
+		ErrorClass: ForbiddenError,
+		frontendOperationCode: FRONTEND_OPERATION_CODE.SHOW_S3_ACCESS_DENIED_ALERT,
+		generateMessage: ({target}) => `access denied to ${target}`,
+	},
+];
+const ASSUME_ROLE_SESSION_NAME_PREFIX = 'electron-s3-file-manager-';
+// Checksum headers of objects and algorithms to verify them.
+const CHECKSUM_ALGORITHMS = {
+	ChecksumCRC32: 'crc32',
+	ChecksumCRC32C: 'crc32c',
+	ChecksumSHA1: 'sha1',
+	ChecksumSHA256: 'sha256',
+};
 
-let settings;
+let profile;
+// Ids of syncs in progress, staged objects of other syncs are left by failures or crashes.
+const runningSyncIds = new Set();
 
 /**
- * @param {SettingsModel} value
- * @returns {undefined}
+ * The pooled client and the profile it was built from.
+ * The client is rebuilt only when the profile object is replaced by `updateProfile`.
+ * @type {{profile: ProfileModel|null, client: S3Client|null}}
  */
-exports.updateSettings = value => {
-	settings = value;
+const clientCache = {
+	profile: null,
+	client: null,
 };
+// Session durations which roles accepted by their ARNs, refreshes don't try the longer one again.
+const assumeRoleDurations = new Map();
 
 /**
- * Sync all objects on S3 to local database.
- * @returns {Promise<void>}
+ * Translate the S3 error into the shared error, the frontend operation value is the key or the bucket.
+ * The name and the metadata of the S3 error are kept for callers which check them.
+ * Errors which aren't listed in S3_ERRORS are returned as they are.
+ * @param {Error} error
+ * @param {string} [Bucket]
+ * @param {string} [Key]
+ * @returns {Error}
  */
-exports.syncObjectsFromS3 = async () => {
-	const start = new Date();
+function translateError(error, {Bucket, Key} = {}) {
+	const s3Error = error instanceof BaseError ? null : S3_ERRORS.find(item => item.isMatched(error));
+
+	if (!s3Error) {
+		return error;
+	}
+
+	const {ErrorClass, frontendOperationCode, generateMessage} = s3Error;
+	const target = Key ? `object "${Key}"` : `bucket "${Bucket}"`;
+	const result = new ErrorClass(
+		{message: generateMessage({error, bucket: Bucket, target}), stack: error.stack},
+		{frontendOperationCode, frontendOperationValue: Key || Bucket || null},
+	);
+
+	result.name = error.name;
+	result.$metadata = error.$metadata;
+	return result;
+}
+
+/**
+ * Credentials of the AWS profile are resolved by the SDK.
+ * The ini provider resolves keys and role_arn with source_profile, the process provider runs credential_process.
+ * The client refreshes them when they are expired.
+ * @param {string} credentialSource - CREDENTIAL_SOURCE
+ * @param {string} awsProfile
+ * @param {string} accessKeyId
+ * @param {string} secretAccessKey
+ * @returns {{accessKeyId: string, secretAccessKey: string}|function(): Promise<Object>}
+ */
+function createSourceCredentials({credentialSource, awsProfile, accessKeyId, secretAccessKey}) {
+	if (credentialSource === CREDENTIAL_SOURCE.AWS_PROFILE) {
+		return chain(
+			fromIni({
+				profile: awsProfile,
+				roleAssumer: getDefaultRoleAssumer(),
+			}),
+			fromProcess({profile: awsProfile}),
+		);
+	}
+
+	if (!secretAccessKey) {
+		// The profile doesn't persist its secret and it isn't entered since the app started.
+		throw new UnauthorizedError('the secret access key is not saved, enter it in settings');
+	}
+
+	return {accessKeyId, secretAccessKey};
+}
+
+/**
+ * Is the error of AssumeRole about the session duration which is longer than the role allows?
+ * @param {Error} error
+ * @returns {boolean}
+ */
+function isAssumeRoleDurationError(error) {
+	return error.name === 'ValidationError' && /DurationSeconds/i.test(error.message);
+}
+
+/**
+ * Assume the role with the source credentials when the connection has the role ARN.
+ * STS requests go to the regional STS endpoint of the region, S3 compatible services which serve STS set their STS endpoint.
+ * The S3 client calls the provider again 5 minutes before the session expires,
+ * so uploads which take longer than the session are signed with the next one.
+ * Sessions are as long as the role allows, so MFA token codes are asked as rarely as possible.
+ * @param {Object} connection - {region, roleArn, externalId, mfaSerial, stsEndpoint} and the source credentials.
+ * @returns {{accessKeyId: string, secretAccessKey: string}|function(): Promise<Object>}
+ */
+function createCredentials({region, roleArn, externalId, mfaSerial, stsEndpoint, ...source}) {
+	const sourceCredentials = createSourceCredentials(source);
+
+	if (!roleArn) {
+		return sourceCredentials;
+	}
+
+	return async () => {
+		const client = new STSClient({region, endpoint: stsEndpoint || undefined, credentials: sourceCredentials});
+		const assumeRole = async ({duration, tokenCode}) => {
+			try {
+				return await client.send(new AssumeRoleCommand({
+					RoleArn: roleArn,
+					RoleSessionName: `${ASSUME_ROLE_SESSION_NAME_PREFIX}${Date.now()}`,
+					DurationSeconds: duration,
+					ExternalId: externalId || undefined,
+					SerialNumber: mfaSerial || undefined,
+					TokenCode: tokenCode,
+				}));
+			} catch (error) {
+				if (duration === ASSUME_ROLE_FALLBACK_DURATION || !isAssumeRoleDurationError(error)) {
+					throw error;
+				}
+
+				// The request is rejected for its duration, its token code is sent again with the fallback duration.
+				assumeRoleDurations.set(roleArn, ASSUME_ROLE_FALLBACK_DURATION);
+				return assumeRole({duration: ASSUME_ROLE_FALLBACK_DURATION, tokenCode});
+			}
+		};
+
+		try {
+			const {Credentials} = await assumeRole({
+				duration: assumeRoleDurations.get(roleArn) || ASSUME_ROLE_DURATION,
+				tokenCode: mfaSerial ? await mfaPrompt.requestTokenCode(mfaSerial) : undefined,
+			});
+
+			return {
+				accessKeyId: Credentials.AccessKeyId,
+				secretAccessKey: Credentials.SecretAccessKey,
+				sessionToken: Credentials.SessionToken,
+				expiration: Credentials.Expiration,
+			};
+		} catch (error) {
+			// Denied STS requests must not look like denied S3 requests.
+			throw new CredentialsProviderError(`can't assume the role "${roleArn}": ${error.message}`, false);
+		} finally {
+			client.destroy();
+		}
+	};
+}
+
+/**
+ * @param {string} region
+ * @param {string} endpoint
+ * @param {string} credentialSource - CREDENTIAL_SOURCE
+ * @param {string} awsProfile
+ * @param {string} accessKeyId
+ * @param {string} secretAccessKey
+ * @param {string} roleArn
+ * @param {string} externalId
+ * @param {string} mfaSerial
+ * @param {string} stsEndpoint
+ * @returns {S3Client}
+ */
+function createClient({
+	region, endpoint, credentialSource, awsProfile, accessKeyId, secretAccessKey, roleArn, externalId, mfaSerial, stsEndpoint,
+}) {
+	const agentOptions = {
+		keepAlive: S3_CLIENT_KEEP_ALIVE,
+		maxSockets: S3_CLIENT_MAX_SOCKETS,
+	};
 	const client = new S3Client({
-		region: settings.region,
-		endpoint: settings.endpoint,
-		credentials: {
-			accessKeyId: settings.accessKeyId,
-			secretAccessKey: settings.secretAccessKey,
+		region,
+		endpoint: endpoint || undefined,
+		credentials: createCredentials({
+			region,
+			credentialSource,
+			awsProfile,
+			accessKeyId,
+			secretAccessKey,
+			roleArn,
+			externalId,
+			mfaSerial,
+			stsEndpoint,
+		}),
+		requestHandler: new NodeHttpHandler({
+			connectionTimeout: S3_CLIENT_CONNECTION_TIMEOUT,
+			httpAgent: new http.Agent(agentOptions),
+			httpsAgent: new https.Agent(agentOptions),
+		}),
+		retryStrategy: retryPolicy.createRetryStrategy(),
+	});
+
+	// Errors are translated after all retries of the request, uploads of lib-storage are included.
+	client.middlewareStack.add(
+		next => async args => {
+			try {
+				return await next(args);
+			} catch (error) {
+				throw translateError(error, args.input);
+			}
 		},
+		{step: 'initialize', name: 'translateErrorMiddleware'},
+	);
+	return client;
+}
+
+/**
+ * Tear down the pooled client.
+ * Pending requests of the old client are aborted, so they never continue with replaced credentials.
+ * @returns {undefined}
+ */
+function destroyClient() {
+	if (clientCache.client) {
+		clientCache.client.destroy();
+	}
+
+	clientCache.profile = null;
+	clientCache.client = null;
+}
+
+/**
+ * Get the pooled S3 client of the current profile.
+ * @returns {S3Client}
+ */
+function getClient() {
+	if (clientCache.client && clientCache.profile === profile) {
+		return clientCache.client;
+	}
+
+	destroyClient();
+	clientCache.profile = profile;
+	clientCache.client = createClient(profile);
+
+	return clientCache.client;
+}
+
+/**
+ * @param {ProfileModel|null} value
+ * @returns {undefined}
+ */
+exports.updateProfile = value => {
+	destroyClient();
+	profile = value;
+};
+
+/**
+ * Objects and transfers are scoped by the profile in use.
+ * @returns {number|null}
+ */
+exports.getProfileId = () => profile?.id || null;
+
+/**
+ * @returns {string} LISTING_MODE of the profile in use.
+ */
+exports.getListingMode = () => profile?.listingMode || LISTING_MODE.INDEX;
+
+/**
+ * List buckets of the credentials with their regions, the credentials don't have to be saved in a profile.
+ * The region is null when the location of the bucket is denied.
+ * https://docs.aws.amazon.com/AWSJavaScriptSDK/v3/latest/clients/client-s3/classes/listbucketscommand.html
+ * https://docs.aws.amazon.com/AWSJavaScriptSDK/v3/latest/clients/client-s3/classes/getbucketlocationcommand.html
+ * @param {string} region - The region to send requests, us-east-1 when it is empty.
+ * @param {string} endpoint
+ * @param {Object} credentials - {credentialSource, awsProfile, accessKeyId, secretAccessKey, roleArn, externalId, mfaSerial, stsEndpoint}
+ * @returns {Promise<Array<{name: string, region: (string|null), createdAt: Date}>>}
+ */
+exports.listBuckets = async ({region, endpoint, ...credentials}) => {
+	const client = createClient({
+		...credentials,
+		region: region || LEGACY_BUCKET_LOCATIONS[''],
+		endpoint,
 	});
+	const limit = pLimit(BUCKET_LOCATION_CONCURRENCY);
 
-	const scanObjects = async continuationToken => {
-		const pathSet = new Set();
-		const result = await client.send(new ListObjectsV2Command({
-			Bucket: settings.bucket,
-			ContinuationToken: continuationToken,
+	try {
+		const {Buckets = []} = await client.send(new ListBucketsCommand({}));
+
+		return await Promise.all(Buckets.map(bucket => limit(async () => {
+			let bucketRegion = null;
+
+			try {
+				const {LocationConstraint} = await client.send(new GetBucketLocationCommand({Bucket: bucket.Name}));
+				const location = LocationConstraint || '';
+
+				bucketRegion = LEGACY_BUCKET_LOCATIONS[location] || location;
+			} catch (error) {
+				if (error.name !== 'AccessDenied') {
+					throw error;
+				}
+			}
+
+			return {name: bucket.Name, region: bucketRegion, createdAt: bucket.CreationDate};
+		})));
+	} finally {
+		client.destroy();
+	}
+};
+
+/**
+ * Is the request denied by the policy of the credentials? Invalid credentials are also 403 but not denied.
+ * @param {Error} error
+ * @returns {boolean}
+ */
+function isAccessDeniedError(error) {
+	return error.$metadata?.httpStatusCode === 403 && !CREDENTIALS_ERROR_NAMES.includes(error.name);
+}
+
+/**
+ * Send the request of the capability probe.
+ * @param {S3Client} client
+ * @param {Object} command
+ * @returns {Promise<boolean>} - False when the request is denied.
+ */
+async function probe(client, command) {
+	try {
+		await client.send(command);
+		return true;
+	} catch (error) {
+		if (isAccessDeniedError(error)) {
+			return false;
+		}
+
+		throw error;
+	}
+}
+
+/**
+ * Probe operations of the bucket, the capability is null when it can't be tested.
+ * The probe object is kept when it can be put but can't be deleted.
+ * @param {S3Client} client
+ * @param {string} bucket
+ * @param {function(): void} onResponse - Call after the first response of the bucket.
+ * @returns {Promise<Object<string, boolean|null>>}
+ */
+async function probeCapabilities(client, bucket, onResponse) {
+	const key = `${PROBE_OBJECT_KEY_PREFIX}${crypto.randomUUID()}`;
+	const copyKey = `${key}-copy`;
+	const capabilities = {};
+	let firstKey;
+
+	try {
+		const {Contents = []} = await client.send(new ListObjectsV2Command({Bucket: bucket, MaxKeys: 1}));
+
+		capabilities[PROFILE_CAPABILITY.LIST] = true;
+		firstKey = Contents[0]?.Key;
+	} catch (error) {
+		if (!isAccessDeniedError(error)) {
+			throw error;
+		}
+
+		capabilities[PROFILE_CAPABILITY.LIST] = false;
+	}
+
+	onResponse();
+	capabilities[PROFILE_CAPABILITY.PUT] = await probe(client, new PutObjectCommand({Bucket: bucket, Key: key, Body: ''}));
+
+	if (capabilities[PROFILE_CAPABILITY.PUT]) {
+		capabilities[PROFILE_CAPABILITY.GET] = await probe(client, new HeadObjectCommand({Bucket: bucket, Key: key}));
+		capabilities[PROFILE_CAPABILITY.COPY] = await probe(client, new CopyObjectCommand({
+			Bucket: bucket,
+			CopySource: `${bucket}/${encodeURIComponent(key)}`,
+			Key: copyKey,
 		}));
+	} else {
+		capabilities[PROFILE_CAPABILITY.GET] = firstKey == null
+			? null
+			: await probe(client, new HeadObjectCommand({Bucket: bucket, Key: firstKey}));
+		capabilities[PROFILE_CAPABILITY.COPY] = false;
+	}
+
+	// Deleting a missing object is fine, so it is tested even when the probe object can't be put.
+	capabilities[PROFILE_CAPABILITY.DELETE] = await probe(client, new DeleteObjectCommand({Bucket: bucket, Key: key}));
+	if (capabilities[PROFILE_CAPABILITY.DELETE] && capabilities[PROFILE_CAPABILITY.COPY]) {
+		await client.send(new DeleteObjectCommand({Bucket: bucket, Key: copyKey}));
+	}
+
+	return capabilities;
+}
+
+/**
+ * Check the endpoint, the credentials and the bucket, then which operations the credentials can do.
+ * The probe stops at the first failure and its message is the error of the report.
+ * @param {string} region
+ * @param {string} bucket
+ * @param {string} endpoint
+ * @param {Object} credentials - {credentialSource, awsProfile, accessKeyId, secretAccessKey, roleArn, externalId, mfaSerial, stsEndpoint}
+ * @returns {Promise<{
+ * 	isReachable: boolean,
+ * 	isAuthenticated: (boolean|null),
+ * 	isBucketFound: (boolean|null),
+ * 	capabilities: (Object<string, boolean|null>|null),
+ * 	error: (string|null),
+ * }>}
+ */
+exports.testConnection = async ({region, bucket, endpoint, ...credentials}) => {
+	const client = createClient({...credentials, region, endpoint});
+	const report = {
+		isReachable: false,
+		isAuthenticated: null,
+		isBucketFound: null,
+		capabilities: null,
+		error: null,
+	};
+
+	try {
+		report.capabilities = await probeCapabilities(client, bucket, () => {
+			Object.assign(report, {isReachable: true, isAuthenticated: true, isBucketFound: true});
+		});
+	} catch (error) {
+		report.error = error.message || error.name;
+		if (error.$metadata?.httpStatusCode != null) {
+			report.isReachable = true;
+		}
+
+		if (CREDENTIALS_ERROR_NAMES.includes(error.name)) {
+			report.isAuthenticated = false;
+		} else if (error.name === 'NoSuchBucket') {
+			Object.assign(report, {isAuthenticated: true, isBucketFound: false});
+		}
+	} finally {
+		client.destroy();
+	}
+
+	return report;
+};
+
+/**
+ * @param {string} Key
+ * @param {number} [Size]
+ * @param {Date} [LastModified]
+ * @param {string} [StorageClass]
+ * @returns {Object} Values of the object model of the profile in use.
+ */
+function convertS3Object({Key, Size, LastModified, StorageClass}) {
+	return {
+		profileId: profile.id,
+		type: Key.slice(-1) === '/' ? OBJECT_TYPE.FOLDER : OBJECT_TYPE.FILE,
+		path: Key,
+		lastModified: LastModified,
+		size: Size,
+		storageClass: StorageClass,
+	};
+}
+
+/**
+ * Convert listed objects with their parent folders, folders may only exist as prefixes of keys.
+ * @param {Array<Object>} contents - Contents of ListObjectsV2.
+ * @returns {Array<Object>} Values of the object model.
+ */
+function convertS3ObjectsWithFolders(contents) {
+	const pathSet = new Set();
+
+	return contents
+		.map(content => {
+			const pieces = content.Key.split('/').slice(0, -1);
+
+			return [
+				convertS3Object(content),
+				...pieces.map((piece, index) => convertS3Object({
+					Key: `${pieces.slice(0, index + 1).join('/')}/`,
+				})),
+			];
+		})
+		.flat()
+		.filter(object => {
+			if (object.type === OBJECT_TYPE.FILE) {
+				pathSet.add(object.path);
+				return true;
+			}
+
+			if (pathSet.has(object.path)) {
+				return false;
+			}
+
+			pathSet.add(object.path);
+			return true;
+		});
+}
 
-		const convertS3Object = ({Key, Size, LastModified, StorageClass}) => ({
-			type: Key.slice(-1) === '/' ? OBJECT_TYPE.FOLDER : OBJECT_TYPE.FILE,
-			path: Key,
-			lastModified: LastModified,
-			size: Size,
-			storageClass: StorageClass,
+/**
+ * Upsert listed objects with their parent folders.
+ * Children of the listing with the delimiter are stamped with the listing time instead, their parents are out of the listing.
+ * @param {Array<Object>} contents - Contents of ListObjectsV2.
+ * @param {Date} [listedAt]
+ * @returns {Promise<void>}
+ */
+async function saveListedObjects(contents, {listedAt} = {}) {
+	const fields = ['type', 'lastModified', 'size', 'updatedAt', 'storageClass'];
+
+	if (!contents.length) {
+		return;
+	}
+
+	if (listedAt) {
+		await ObjectModel.bulkCreate(
+			contents.map(content => ({...convertS3Object(content), listedAt})),
+			{updateOnDuplicate: [...fields, 'listedAt']},
+		);
+		return;
+	}
+
+	await ObjectModel.bulkCreate(convertS3ObjectsWithFolders(contents), {updateOnDuplicate: fields});
+}
+
+/**
+ * Stage listed objects with their parent folders, values are converted by the object model like saved objects.
+ * @param {string} syncId
+ * @param {Array<Object>} contents - Contents of ListObjectsV2.
+ * @returns {Promise<void>}
+ */
+async function stageListedObjects(syncId, contents) {
+	if (!contents.length) {
+		return;
+	}
+
+	await StagedObjectModel.bulkCreate(
+		convertS3ObjectsWithFolders(contents).map(values => {
+			const {dataValues} = ObjectModel.build(values);
+
+			return {...dataValues, id: undefined, syncId};
+		}),
+		// Parent folders of keys in different pages are staged again.
+		{ignoreDuplicates: true},
+	);
+}
+
+/**
+ * Replace objects of the profile with staged objects of the sync in a transaction,
+ * ids of objects which are still on S3 are kept.
+ * @param {string} syncId
+ * @param {number} profileId
+ * @returns {Promise<void>}
+ */
+async function commitStagedObjects(syncId, profileId) {
+	const {sequelize} = ObjectModel;
+	const objectTable = ObjectModel.getTableName();
+	const stagedObjectTable = StagedObjectModel.getTableName();
+	const columns = ['profileId', 'type', 'path', 'dirname', 'basename', 'lastModified', 'size', 'storageClass'];
+
+	await sequelize.transaction(async transaction => {
+		await sequelize.query(
+			`INSERT INTO ${objectTable} (${columns.join(', ')}, createdAt, updatedAt)`
+				+ ` SELECT ${columns.join(', ')}, :now, :now FROM ${stagedObjectTable} WHERE syncId = :syncId`
+				+ ' ON CONFLICT (profileId, path) DO UPDATE SET'
+				+ ' type = excluded.type, lastModified = excluded.lastModified, size = excluded.size,'
+				+ ' storageClass = excluded.storageClass, updatedAt = excluded.updatedAt',
+			{replacements: {syncId, now: new Date()}, transaction},
+		);
+		await ObjectModel.destroy({
+			where: {
+				profileId,
+				path: {
+					[Op.notIn]: sequelize.literal(
+						`(SELECT path FROM ${stagedObjectTable} WHERE syncId = ${sequelize.escape(syncId)})`,
+					),
+				},
+			},
+			transaction,
 		});
+	});
+}
+
+/**
+ * Sync all objects on S3 to local database.
+ * Listed objects are staged until all pages are listed, then they replace objects of the profile at once,
+ * so a failed or aborted sync doesn't change any object.
+ * @param {AbortSignal} [abortSignal]
+ * @param {function({pageCount: number, objectCount: number, byteCount: number, elapsed: number})} [onProgress]
+ * 	It is called whenever a page is staged, the elapsed time is in milliseconds.
+ * @returns {Promise<{pageCount: number, objectCount: number, byteCount: number, elapsed: number}>}
+ */
+exports.syncObjectsFromS3 = async ({abortSignal, onProgress} = {}) => {
+	const start = Date.now();
+	const client = getClient();
+	const {id: profileId, bucket} = profile;
+	const syncId = crypto.randomUUID();
+	const stats = {pageCount: 0, objectCount: 0, byteCount: 0, elapsed: 0};
+
+	const stagePage = async contents => {
+		await stageListedObjects(syncId, contents);
+		stats.pageCount += 1;
+		stats.objectCount += contents.length;
+		stats.byteCount += contents.reduce((sum, content) => sum + (content.Size || 0), 0);
+		stats.elapsed = Date.now() - start;
+		onProgress?.({...stats});
+	};
+
+	const scanObjects = async continuationToken => {
+		const result = await client.send(
+			new ListObjectsV2Command({
+				Bucket: bucket,
+				ContinuationToken: continuationToken,
+			}),
+			{abortSignal},
+		);
 
 		await Promise.all([
-			result.Contents
-				? ObjectModel.bulkCreate(
-					result.Contents
-						.map(content => {
-							const pieces = content.Key.split('/').slice(0, -1);
-
-							return [
-								convertS3Object(content),
-								...pieces.map((piece, index) => convertS3Object({
-									Key: `${pieces.slice(0, index + 1).join('/')}/`,
-								})),
-							];
-						})
-						.flat()
-						.filter(object => {
-							if (object.type === OBJECT_TYPE.FILE) {
-								pathSet.add(object.path);
-								return true;
-							}
-
-							if (pathSet.has(object.path)) {
-								return false;
-							}
-
-							pathSet.add(object.path);
-							return true;
-						}),
-					{updateOnDuplicate: ['type', 'lastModified', 'size', 'updatedAt', 'storageClass']},
-				)
-				: null,
+			stagePage(result.Contents || []),
+			result.NextContinuationToken ? scanObjects(result.NextContinuationToken) : null,
+		]);
+	};
+
+	await StagedObjectModel.destroy({
+		where: {profileId, syncId: {[Op.notIn]: [...runningSyncIds]}},
+	});
+	runningSyncIds.add(syncId);
+	try {
+		await scanObjects();
+		await commitStagedObjects(syncId, profileId);
+	} finally {
+		runningSyncIds.delete(syncId);
+		await StagedObjectModel.destroy({where: {syncId}});
+	}
+
+	return {...stats, elapsed: Date.now() - start};
+};
+
+/**
+ * Sync objects under the folder from S3, rows out of the folder are untouched.
+ * Without `isRecursive` only children of the folder are listed with the delimiter,
+ * folders which are gone are removed with their descendants.
+ * Like the full sync, rows are only removed after all pages are listed.
+ * @param {string} dirname - The path of the folder without the tail slash, "" is the root.
+ * @param {boolean} isRecursive - List every key under the folder instead of its children.
+ * @param {AbortSignal} [abortSignal]
+ * @returns {Promise<Date>} When the listing started, children are stamped with it without `isRecursive`.
+ */
+exports.syncFolderFromS3 = async ({dirname = '', isRecursive = false, abortSignal} = {}) => {
+	const start = new Date();
+	const client = getClient();
+	const prefix = dirname ? `${dirname}/` : '';
+
+	const scanObjects = async continuationToken => {
+		const result = await client.send(
+			new ListObjectsV2Command({
+				Bucket: profile.bucket,
+				Prefix: prefix || undefined,
+				Delimiter: isRecursive ? undefined : '/',
+				ContinuationToken: continuationToken,
+			}),
+			{abortSignal},
+		);
+
+		await Promise.all([
+			saveListedObjects([
+				// The folder itself is out of the scope.
+				...(result.Contents || []).filter(content => content.Key !== prefix),
+				...(result.CommonPrefixes || []).map(({Prefix}) => ({Key: Prefix})),
+			], {listedAt: isRecursive ? null : start}),
 			result.NextContinuationToken ? scanObjects(result.NextContinuationToken) : null,
 		]);
 	};
 
 	await scanObjects();
 
-	// Remove missing objects.
+	if (isRecursive) {
+		await ObjectModel.destroy({
+			where: {
+				profileId: profile.id,
+				updatedAt: {[Op.lt]: start},
+				...(prefix
+					? {
+						[Op.and]: [
+							{path: {[Op.like]: utils.generateLikeSyntax(prefix, {start: ''})}},
+							{path: {[Op.ne]: prefix}},
+						],
+					}
+					: undefined),
+			},
+		});
+		return start;
+	}
+
+	const missingObjects = await ObjectModel.findAll({
+		attributes: ['id', 'type', 'path'],
+		where: {
+			profileId: profile.id,
+			dirname,
+			updatedAt: {[Op.lt]: start},
+		},
+	});
+
+	if (!missingObjects.length) {
+		return start;
+	}
+
 	await ObjectModel.destroy({
-		where: {updatedAt: {[Op.lt]: start}},
+		where: {
+			profileId: profile.id,
+			[Op.or]: [
+				{id: {[Op.in]: missingObjects.map(object => object.id)}},
+				...missingObjects
+					.filter(object => object.type === OBJECT_TYPE.FOLDER)
+					.map(folder => ({path: {[Op.like]: utils.generateLikeSyntax(folder.path, {start: ''})}})),
+			],
+		},
 	});
+	return start;
 };
 
 /**
  * https://docs.aws.amazon.com/AWSJavaScriptSDK/v3/latest/clients/client-s3/classes/headobjectcommand.html
  * @param {string} path
- * @param {Object} options
+ * @param {AbortSignal} abortSignal
+ * @param {Object} options - Options of HeadObject like ChecksumMode.
  * @returns {Promise<HeadObjectCommandOutput>}
  */
-exports.headObject = (path, options) => {
-	const client = new S3Client({
-		region: settings.region,
-		endpoint: settings.endpoint,
-		credentials: {
-			accessKeyId: settings.accessKeyId,
-			secretAccessKey: settings.secretAccessKey,
-		},
-	});
+exports.headObject = (path, {abortSignal, ...options} = {}) => {
+	const client = getClient();
 	const headObjectCommand = new HeadObjectCommand({
 		...options,
-		Bucket: settings.bucket,
+		Bucket: profile.bucket,
 		Key: path,
 	});
 
-	return client.send(headObjectCommand);
+	return client.send(headObjectCommand, {abortSignal});
 };
 
 /**
@@ -129,16 +867,9 @@ exports.headObject = (path, options) => {
  * @returns {Promise<string>}
  */
 exports.getSignedUrl = (path, {expiresIn = 24 * 60 * 60} = {}) => {
-	const client = new S3Client({
-		region: settings.region,
-		endpoint: settings.endpoint,
-		credentials: {
-			accessKeyId: settings.accessKeyId,
-			secretAccessKey: settings.secretAccessKey,
-		},
-	});
+	const client = getClient();
 	const getObjectCommand = new GetObjectCommand({
-		Bucket: settings.bucket,
+		Bucket: profile.bucket,
 		Key: path,
 	});
 
@@ -148,23 +879,137 @@ exports.getSignedUrl = (path, {expiresIn = 24 * 60 * 60} = {}) => {
 /**
  * https://docs.aws.amazon.com/AWSJavaScriptSDK/v3/latest/clients/client-s3/classes/getobjectcommand.html
  * @param {string} path
+ * @param {AbortSignal} abortSignal
+ * @param {Object} options - Options of GetObject like Range and IfMatch.
  * @returns {Promise<GetObjectCommandOutput>}
  */
-exports.getObject = path => {
-	const client = new S3Client({
-		region: settings.region,
-		endpoint: settings.endpoint,
-		credentials: {
-			accessKeyId: settings.accessKeyId,
-			secretAccessKey: settings.secretAccessKey,
-		},
-	});
+exports.getObject = (path, {abortSignal, ...options} = {}) => {
+	const client = getClient();
 	const getObjectCommand = new GetObjectCommand({
-		Bucket: settings.bucket,
+		...options,
+		Bucket: profile.bucket,
 		Key: path,
 	});
 
-	return client.send(getObjectCommand);
+	return client.send(getObjectCommand, {abortSignal});
+};
+
+/**
+ * The incomplete download is written into this file next to the destination.
+ * @param {string} localPath - The destination.
+ * @returns {string}
+ */
+exports.getDownloadPartPath = localPath => `${localPath}.part`;
+
+/**
+ * Make sure the downloaded file is the object of the headers.
+ * The ETag is the MD5 of the content only when the object was not uploaded by parts or encrypted by KMS or customer keys.
+ * Composite checksums of multipart uploads ("checksum-N") can't be computed from the whole file, they are skipped.
+ * @param {string} filePath
+ * @param {HeadObjectCommandOutput} headers
+ * @returns {Promise<void>}
+ */
+async function verifyDownloadedFile(filePath, headers) {
+	const {size} = await fs.promises.stat(filePath);
+
+	if (size !== headers.ContentLength) {
+		throw new UnprocessableEntityError(
+			`the downloaded size ${size} doesn't match the content length ${headers.ContentLength}`,
+		);
+	}
+
+	const expectedDigests = {};
+
+	if (
+		/^"[\da-f]{32}"$/.test(headers.ETag)
+		&& !`${headers.ServerSideEncryption}`.startsWith('aws:kms')
+		&& !headers.SSECustomerAlgorithm
+	) {
+		expectedDigests.md5 = {name: 'ETag', value: headers.ETag.slice(1, -1)};
+	}
+
+	Object.entries(CHECKSUM_ALGORITHMS).forEach(([field, algorithm]) => {
+		if (headers[field] && !headers[field].includes('-')) {
+			expectedDigests[algorithm] = {
+				name: field,
+				value: Buffer.from(headers[field], 'base64').toString('hex'),
+			};
+		}
+	});
+
+	const digests = await utils.hashFile(filePath, Object.keys(expectedDigests));
+
+	Object.entries(expectedDigests).forEach(([algorithm, expected]) => {
+		if (digests[algorithm].toString('hex') !== expected.value) {
+			throw new UnprocessableEntityError(`the downloaded file doesn't match the ${expected.name}`);
+		}
+	});
+}
+
+/**
+ * Download the object into the local file.
+ * The content is appended into the part file, an existing part file is continued with a range request.
+ * The part file is renamed to the local path after it is verified, it is removed when the verification is failed.
+ * @param {string} path
+ * @param {string} localPath
+ * @param {HeadObjectCommandOutput} headers - Headers with checksums (ChecksumMode: ENABLED) of the object.
+ * 	The request is failed with PreconditionFailed when the object was changed after them.
+ * @param {AbortSignal} abortSignal
+ * @param {function({loaded: number, total: number})} onProgress
+ * @returns {Promise<void>}
+ */
+exports.downloadObject = async ({path, localPath, headers, abortSignal, onProgress}) => {
+	const partPath = exports.getDownloadPartPath(localPath);
+	const total = headers.ContentLength;
+	let loaded = await fs.promises.stat(partPath)
+		.then(stats => stats.size)
+		.catch(error => {
+			if (error.code === 'ENOENT') {
+				return 0;
+			}
+
+			throw error;
+		});
+
+	if (loaded > total) {
+		await fs.promises.rm(partPath, {force: true});
+		loaded = 0;
+	}
+
+	onProgress?.({loaded, total});
+
+	if (loaded < total) {
+		const result = await exports.getObject(path, {
+			abortSignal,
+			IfMatch: headers.ETag,
+			Range: `bytes=${loaded}-`,
+		});
+
+		await pipeline(
+			result.Body,
+			new Transform({
+				transform(chunk, encoding, callback) {
+					loaded += chunk.length;
+					onProgress?.({loaded, total});
+					callback(null, chunk);
+				},
+			}),
+			fs.createWriteStream(partPath, {flags: 'a'}),
+			{signal: abortSignal},
+		);
+	} else {
+		// Create the part file of the empty object.
+		await fs.promises.appendFile(partPath, '');
+	}
+
+	try {
+		await verifyDownloadedFile(partPath, headers);
+	} catch (error) {
+		await fs.promises.rm(partPath, {force: true});
+		throw error;
+	}
+
+	await fs.promises.rename(partPath, localPath);
 };
 
 /**
@@ -174,18 +1019,10 @@ exports.getObject = path => {
  * @returns {Promise<PutObjectCommandOutput>}
  */
 exports.putObject = (path, options = {}) => {
-	const client = new S3Client({
-		region: settings.region,
-		endpoint: settings.endpoint,
-		credentials: {
-			accessKeyId: settings.accessKeyId,
-			secretAccessKey: settings.secretAccessKey,
-		},
-	});
-
+	const client = getClient();
 	const putObjectCommand = new PutObjectCommand({
 		...options,
-		Bucket: settings.bucket,
+		Bucket: profile.bucket,
 		Key: path,
 		...(options.Body == null ? {Body: null, ContentLength: 0} : {}),
 	});
@@ -198,23 +1035,16 @@ exports.putObject = (path, options = {}) => {
  * @param {Buffer|Stream} content
  * @param {Object} options
  * @param {function({Bucket: string, Key: string, loaded: number, part: number, total: number})} onProgress
+ * @param {AbortSignal} abortSignal - Abort the upload and its multipart upload.
  * @returns {Promise<CompleteMultipartUploadCommandOutput | AbortMultipartUploadCommandOutput>}
  */
-exports.upload = ({path, content, options, onProgress}) => {
-	const client = new S3Client({
-		region: settings.region,
-		endpoint: settings.endpoint,
-		credentials: {
-			accessKeyId: settings.accessKeyId,
-			secretAccessKey: settings.secretAccessKey,
-		},
-	});
-
+exports.upload = async ({path, content, options, onProgress, abortSignal}) => {
+	const client = getClient();
 	const upload = new Upload({
 		client,
 		params: {
 			...options,
-			Bucket: settings.bucket,
+			Bucket: profile.bucket,
 			Key: path,
 			Body: content,
 		},
@@ -224,29 +1054,280 @@ exports.upload = ({path, content, options, onProgress}) => {
 		upload.on('httpUploadProgress', onProgress);
 	}
 
-	return upload.done();
+	const abortUpload = () => upload.abort();
+
+	if (abortSignal?.aborted) {
+		upload.abort();
+	} else {
+		abortSignal?.addEventListener('abort', abortUpload, {once: true});
+	}
+
+	try {
+		return await upload.done();
+	} finally {
+		// The signal may be shared by uploads of a folder, finished uploads shouldn't be kept by it.
+		abortSignal?.removeEventListener('abort', abortUpload);
+	}
+};
+
+/**
+ * Copy the object inside the bucket on the server side.
+ * Objects larger than 5 GB are copied with UploadPartCopy.
+ * https://docs.aws.amazon.com/AWSJavaScriptSDK/v3/latest/clients/client-s3/classes/copyobjectcommand.html
+ * https://docs.aws.amazon.com/AWSJavaScriptSDK/v3/latest/clients/client-s3/classes/uploadpartcopycommand.html
+ * @param {string} sourcePath
+ * @param {string} path
+ * The copy keeps the storage class of the source, S3 copies objects as STANDARD without it.
+ * @param {number|null} size - The size of the source object, it is fetched by HeadObject when missing.
+ * @param {string|null} storageClass - The storage class of the source object, it is fetched by HeadObject when missing.
+ * @param {function({Key: string, loaded: number, total: number})} onProgress
+ * @returns {Promise<CopyObjectCommandOutput|CompleteMultipartUploadCommandOutput>} The output with the storage class of the copy.
+ */
+exports.copyObject = async ({sourcePath, path, size, storageClass, onProgress}) => {
+	const client = getClient();
+	const {bucket} = profile;
+	const copySource = `${bucket}/${sourcePath.split('/').map(encodeURIComponent).join('/')}`;
+	let sourceHeaders;
+
+	if (size == null || storageClass == null) {
+		sourceHeaders = await client.send(new HeadObjectCommand({Bucket: bucket, Key: sourcePath}));
+		size = sourceHeaders.ContentLength;
+		// HeadObject omits the storage class of STANDARD objects.
+		storageClass = sourceHeaders.StorageClass || 'STANDARD';
+	}
+
+	if (size <= MAX_COPY_OBJECT_SIZE) {
+		const result = await client.send(new CopyObjectCommand({
+			Bucket: bucket,
+			Key: path,
+			CopySource: copySource,
+			StorageClass: storageClass,
+		}));
+
+		if (onProgress) {
+			onProgress({Key: path, loaded: size, total: size});
+		}
+
+		return {...result, StorageClass: storageClass};
+	}
+
+	sourceHeaders = sourceHeaders || await client.send(new HeadObjectCommand({Bucket: bucket, Key: sourcePath}));
+
+	const limit = pLimit(COPY_PART_CONCURRENCY);
+	const partSize = Math.max(MIN_COPY_PART_SIZE, Math.ceil(size / MAX_UPLOAD_PARTS));
+	const {UploadId} = await client.send(new CreateMultipartUploadCommand({
+		Bucket: bucket,
+		Key: path,
+		ContentType: sourceHeaders.ContentType,
+		Metadata: sourceHeaders.Metadata,
+		StorageClass: storageClass,
+	}));
+	let loaded = 0;
+
+	try {
+		const parts = await Promise.all(
+			Array.from({length: Math.ceil(size / partSize)}, (_, index) => limit(async () => {
+				const start = index * partSize;
+				const end = Math.min(start + partSize, size) - 1;
+				const {CopyPartResult} = await client.send(new UploadPartCopyCommand({
+					Bucket: bucket,
+					Key: path,
+					UploadId,
+					PartNumber: index + 1,
+					CopySource: copySource,
+					CopySourceRange: `bytes=${start}-${end}`,
+				}));
+
+				loaded += end - start + 1;
+				if (onProgress) {
+					onProgress({Key: path, loaded, total: size});
+				}
+
+				return {ETag: CopyPartResult.ETag, PartNumber: index + 1};
+			})),
+		);
+
+		const result = await client.send(new CompleteMultipartUploadCommand({
+			Bucket: bucket,
+			Key: path,
+			UploadId,
+			MultipartUpload: {Parts: parts},
+		}));
+
+		return {...result, StorageClass: storageClass};
+	} catch (error) {
+		await client.send(new AbortMultipartUploadCommand({Bucket: bucket, Key: path, UploadId}));
+		throw error;
+	}
+};
+
+/**
+ * https://docs.aws.amazon.com/AWSJavaScriptSDK/v3/latest/clients/client-s3/classes/createmultipartuploadcommand.html
+ * @param {string} path
+ * @param {Object} options
+ * @returns {Promise<CreateMultipartUploadCommandOutput>}
+ */
+exports.createMultipartUpload = (path, options = {}) => {
+	const client = getClient();
+
+	return client.send(new CreateMultipartUploadCommand({
+		...options,
+		Bucket: profile.bucket,
+		Key: path,
+	}));
+};
+
+/**
+ * https://docs.aws.amazon.com/AWSJavaScriptSDK/v3/latest/clients/client-s3/classes/uploadpartcommand.html
+ * @param {string} path
+ * @param {string} uploadId
+ * @param {number} partNumber
+ * @param {Buffer|Stream} content
+ * @param {number} contentLength - It is required when the content is a stream.
+ * @param {AbortSignal} abortSignal
+ * @returns {Promise<UploadPartCommandOutput>}
+ */
+exports.uploadPart = ({path, uploadId, partNumber, content, contentLength, abortSignal}) => {
+	const client = getClient();
+
+	return client.send(
+		new UploadPartCommand({
+			Bucket: profile.bucket,
+			Key: path,
+			UploadId: uploadId,
+			PartNumber: partNumber,
+			Body: content,
+			ContentLength: contentLength,
+		}),
+		{abortSignal},
+	);
+};
+
+/**
+ * List all uploaded parts of the multipart upload.
+ * https://docs.aws.amazon.com/AWSJavaScriptSDK/v3/latest/clients/client-s3/classes/listpartscommand.html
+ * @param {string} path
+ * @param {string} uploadId
+ * @returns {Promise<Array<{PartNumber: number, ETag: string, Size: number}>>}
+ */
+exports.listParts = async ({path, uploadId}) => {
+	const client = getClient();
+	const parts = [];
+	const listParts = async partNumberMarker => {
+		const result = await client.send(new ListPartsCommand({
+			Bucket: profile.bucket,
+			Key: path,
+			UploadId: uploadId,
+			PartNumberMarker: partNumberMarker,
+		}));
+
+		parts.push(...(result.Parts || []));
+
+		if (result.IsTruncated) {
+			return listParts(result.NextPartNumberMarker);
+		}
+	};
+
+	await listParts();
+	return parts;
+};
+
+/**
+ * https://docs.aws.amazon.com/AWSJavaScriptSDK/v3/latest/clients/client-s3/classes/completemultipartuploadcommand.html
+ * @param {string} path
+ * @param {string} uploadId
+ * @param {Array<{PartNumber: number, ETag: string}>} parts
+ * @returns {Promise<CompleteMultipartUploadCommandOutput>}
+ */
+exports.completeMultipartUpload = ({path, uploadId, parts}) => {
+	const client = getClient();
+
+	return client.send(new CompleteMultipartUploadCommand({
+		Bucket: profile.bucket,
+		Key: path,
+		UploadId: uploadId,
+		MultipartUpload: {
+			Parts: [...parts].sort((a, b) => a.PartNumber - b.PartNumber),
+		},
+	}));
+};
+
+/**
+ * https://docs.aws.amazon.com/AWSJavaScriptSDK/v3/latest/clients/client-s3/classes/abortmultipartuploadcommand.html
+ * @param {string} path
+ * @param {string} uploadId
+ * @returns {Promise<AbortMultipartUploadCommandOutput>}
+ */
+exports.abortMultipartUpload = ({path, uploadId}) => {
+	const client = getClient();
+
+	return client.send(new AbortMultipartUploadCommand({
+		Bucket: profile.bucket,
+		Key: path,
+		UploadId: uploadId,
+	}));
+};
+
+/**
+ * List all incomplete multipart uploads of the bucket.
+ * https://docs.aws.amazon.com/AWSJavaScriptSDK/v3/latest/clients/client-s3/classes/listmultipartuploadscommand.html
+ * @returns {Promise<Array<{Key: string, UploadId: string, Initiated: Date}>>}
+ */
+exports.listMultipartUploads = async () => {
+	const client = getClient();
+	const uploads = [];
+	const listMultipartUploads = async ({keyMarker, uploadIdMarker} = {}) => {
+		const result = await client.send(new ListMultipartUploadsCommand({
+			Bucket: profile.bucket,
+			KeyMarker: keyMarker,
+			UploadIdMarker: uploadIdMarker,
+		}));
+
+		uploads.push(...(result.Uploads || []));
+
+		if (result.IsTruncated) {
+			return listMultipartUploads({
+				keyMarker: result.NextKeyMarker,
+				uploadIdMarker: result.NextUploadIdMarker,
+			});
+		}
+	};
+
+	await listMultipartUploads();
+	return uploads;
 };
 
 /**
  * https://docs.aws.amazon.com/AWSJavaScriptSDK/v3/latest/clients/client-s3/classes/deleteobjectscommand.html
+ * Keys which failed with retryable errors like SlowDown are deleted again by the retry policy,
+ * the response is successful for them so the client doesn't retry them.
  * @param {Array<string>} paths
- * @returns {Promise<DeleteObjectsCommandOutput>}
+ * @returns {Promise<DeleteObjectsCommandOutput>} Errors are keys which still failed.
  */
 exports.deleteObjects = paths => {
-	const client = new S3Client({
-		region: settings.region,
-		endpoint: settings.endpoint,
-		credentials: {
-			accessKeyId: settings.accessKeyId,
-			secretAccessKey: settings.secretAccessKey,
-		},
-	});
-	const deleteObjectsCommand = new DeleteObjectsCommand({
-		Bucket: settings.bucket,
-		Delete: {
-			Objects: paths.map(path => ({Key: path})),
-		},
-	});
+	const client = getClient();
+	const deleted = [];
+	const failed = [];
+	const deleteKeys = async (keys, attempts) => {
+		const result = await client.send(new DeleteObjectsCommand({
+			Bucket: profile.bucket,
+			Delete: {
+				Objects: keys.map(key => ({Key: key})),
+			},
+		}));
+		const errors = result.Errors || [];
+		const retryableErrors = errors.filter(error => retryPolicy.isRetryable({name: error.Code}));
+
+		deleted.push(...(result.Deleted || []));
+
+		if (!retryableErrors.length || attempts >= retryPolicy.getMaxAttempts()) {
+			return {...result, Deleted: deleted, Errors: [...failed, ...errors]};
+		}
+
+		failed.push(...errors.filter(error => !retryableErrors.includes(error)));
+		await retryPolicy.waitForRetry({name: retryableErrors[0].Code}, attempts);
+		return deleteKeys(retryableErrors.map(error => error.Key), attempts + 1);
+	};
 
-	return client.send(deleteObjectsCommand);
+	return deleteKeys(paths, 1);
 };
@@ -0,0 +1,285 @@
+const crypto = require('crypto');
+const util = require('util');
+const {safeStorage} = require('electron');
+const {Op} = require('sequelize');
+const SECRET_PROTECTION = require('../../shared/constants/secret-protection');
+const {MAIN_SETTINGS_ID} = require('../../shared/constants/settings');
+const {BadRequestError, UnauthorizedError} = require('../../shared/errors');
+const SettingsModel = require('../models/data/settings-model');
+const utils = require('./utils');
+
+// Earlier versions encrypted secrets with this key in the source, it is only used to re-encrypt them.
+const LEGACY_CRYPTO_KEY = Buffer.from(
+	'KgSAOli9bHgiQB+Verg5q5MUMRqYvEVSr38cNQe98L4=',
+	'base64',
+);
+const SCRYPT_OPTIONS = {
+	N: 2 ** 15,
+	r: 8,
+	p: 1,
+	maxmem: 64 * 1024 * 1024,
+};
+const WRAPPING_IV_LENGTH = 12;
+const WRAPPING_AUTH_TAG_LENGTH = 16;
+const scrypt = util.promisify(crypto.scrypt);
+
+/**
+ * The key of secrets of profiles, it is only kept in memory.
+ * @type {Buffer|null}
+ */
+let secretKey = null;
+let resolveUnlocked;
+const unlocked = new Promise(resolve => {
+	resolveUnlocked = resolve;
+});
+/**
+ * Secret access keys of profiles which don't persist them, they are forgotten when the app quits.
+ * @type {Map<number, string>}
+ */
+const sessionSecrets = new Map();
+
+/**
+ * @returns {boolean}
+ */
+function isSafeStorageAvailable() {
+	return Boolean(safeStorage?.isEncryptionAvailable());
+}
+
+/**
+ * @param {string} password
+ * @param {Buffer} salt
+ * @returns {Promise<Buffer>} 32 bytes key.
+ */
+function deriveKey(password, salt) {
+	return scrypt(password, salt, 32, SCRYPT_OPTIONS);
+}
+
+/**
+ * Encrypt the key with AES-256-GCM, its auth tag rejects a wrong master password.
+ * @param {Buffer} key
+ * @param {Buffer} wrappingKey
+ * @returns {string} Base64 of the iv, the auth tag and the encrypted key.
+ */
+function wrapKey(key, wrappingKey) {
+	const iv = crypto.randomBytes(WRAPPING_IV_LENGTH);
+	const cipher = crypto.createCipheriv('aes-256-gcm', wrappingKey, iv);
+	const encrypted = Buffer.concat([cipher.update(key), cipher.final()]);
+
+	return Buffer.concat([iv, cipher.getAuthTag(), encrypted]).toString('base64');
+}
+
+/**
+ * @param {string} value - The wrapped key.
+ * @param {Buffer} wrappingKey
+ * @returns {Buffer}
+ */
+function unwrapKey(value, wrappingKey) {
+	const buffer = Buffer.from(value, 'base64');
+	const authTagEnd = WRAPPING_IV_LENGTH + WRAPPING_AUTH_TAG_LENGTH;
+	const decipher = crypto.createDecipheriv('aes-256-gcm', wrappingKey, buffer.subarray(0, WRAPPING_IV_LENGTH));
+
+	decipher.setAuthTag(buffer.subarray(WRAPPING_IV_LENGTH, authTagEnd));
+	try {
+		return Buffer.concat([decipher.update(buffer.subarray(authTagEnd)), decipher.final()]);
+	} catch {
+		throw new UnauthorizedError('the master password is incorrect');
+	}
+}
+
+/**
+ * @returns {Promise<SettingsModel|null>}
+ */
+function findSettings() {
+	return SettingsModel.findOne({where: {id: MAIN_SETTINGS_ID}});
+}
+
+/**
+ * @param {Buffer} key
+ * @returns {void}
+ */
+function setSecretKey(key) {
+	secretKey = key;
+	resolveUnlocked();
+}
+
+/**
+ * Re-encrypt secrets of profiles of earlier versions with the key.
+ * @param {Buffer} key
+ * @param {Transaction} transaction
+ * @returns {Promise<void>}
+ */
+async function reencryptLegacySecrets(key, transaction) {
+	// The profile model requires this module to encrypt secrets.
+	const ProfileModel = require('../models/data/profile-model');
+	const profiles = await ProfileModel.findAll({
+		where: {secretAccessKey: {[Op.ne]: null}},
+		transaction,
+	});
+
+	await Promise.all(profiles.map(profile => {
+		const iv = crypto.randomBytes(16);
+		const value = utils.decrypt({
+			value: Buffer.from(profile.getDataValue('secretAccessKey'), 'base64'),
+			iv: Buffer.from(profile.getDataValue('cryptoIv'), 'base64'),
+			key: LEGACY_CRYPTO_KEY,
+		});
+
+		profile.setDataValue('cryptoIv', iv.toString('base64'));
+		profile.setDataValue('secretAccessKey', utils.encrypt({value, iv, key}).toString('base64'));
+		return profile.save({transaction});
+	}));
+}
+
+/**
+ * The key to encrypt and decrypt secrets of profiles.
+ * @returns {Buffer}
+ */
+exports.getSecretKey = () => {
+	if (!secretKey) {
+		throw new UnauthorizedError('secrets are locked');
+	}
+
+	return secretKey;
+};
+
+/**
+ * Resolved when secrets are unlocked the first time.
+ * @returns {Promise<void>}
+ */
+exports.whenUnlocked = () => unlocked;
+
+/**
+ * @returns {Promise<{protection: (string|null), isUnlocked: boolean, isSafeStorageAvailable: boolean}>}
+ */
+exports.getStatus = async () => {
+	const settings = await findSettings();
+
+	return {
+		protection: settings?.secretProtection || null,
+		isUnlocked: secretKey != null,
+		isSafeStorageAvailable: isSafeStorageAvailable(),
+	};
+};
+
+/**
+ * Unlock secrets at startup when the secret store of the OS protects them.
+ * Secrets of earlier versions are moved to the secret store of the OS when it is available,
+ * otherwise they wait for the master password.
+ * @returns {Promise<void>}
+ */
+exports.initialize = async () => {
+	const settings = await findSettings();
+
+	if (!isSafeStorageAvailable()) {
+		return;
+	}
+
+	if (settings?.secretProtection === SECRET_PROTECTION.SAFE_STORAGE) {
+		const key = safeStorage.decryptString(Buffer.from(settings.secretKey, 'base64'));
+
+		setSecretKey(Buffer.from(key, 'base64'));
+	} else if (!settings?.secretProtection) {
+		await exports.updateProtection({protection: SECRET_PROTECTION.SAFE_STORAGE});
+	}
+};
+
+/**
+ * @param {string} password - The master password.
+ * @returns {Promise<void>}
+ */
+exports.unlock = async password => {
+	const settings = await findSettings();
+
+	if (settings?.secretProtection !== SECRET_PROTECTION.MASTER_PASSWORD) {
+		throw new BadRequestError('secrets are not protected by the master password');
+	}
+
+	if (!password) {
+		throw new BadRequestError('the master password is required');
+	}
+
+	const wrappingKey = await deriveKey(password, Buffer.from(settings.secretSalt, 'base64'));
+
+	setSecretKey(unwrapKey(settings.secretKey, wrappingKey));
+};
+
+/**
+ * Protect the key of secrets with the secret store of the OS or the master password.
+ * The key is generated the first time and secrets of earlier versions are re-encrypted with it.
+ * Later the key is kept, so changing the protection doesn't touch secrets of profiles.
+ * @param {string} protection - SECRET_PROTECTION
+ * @param {string} [password] - The master password.
+ * @returns {Promise<void>}
+ */
+exports.updateProtection = async ({protection, password}) => {
+	const settings = await findSettings();
+	const isFirstTime = !settings?.secretProtection;
+
+	if (!Object.values(SECRET_PROTECTION).includes(protection)) {
+		throw new BadRequestError(`unknown secret protection "${protection}"`);
+	}
+
+	if (!isFirstTime && !secretKey) {
+		throw new UnauthorizedError('secrets are locked');
+	}
+
+	if (protection === SECRET_PROTECTION.SAFE_STORAGE && !isSafeStorageAvailable()) {
+		throw new BadRequestError('the secret store of the OS is not available');
+	}
+
+	if (protection === SECRET_PROTECTION.MASTER_PASSWORD && !password) {
+		throw new BadRequestError('the master password is required');
+	}
+
+	const key = secretKey || crypto.randomBytes(32);
+	const salt = protection === SECRET_PROTECTION.MASTER_PASSWORD ? crypto.randomBytes(16) : null;
+	const wrappedKey = salt
+		? wrapKey(key, await deriveKey(password, salt))
+		: safeStorage.encryptString(key.toString('base64')).toString('base64');
+	const values = {
+		id: MAIN_SETTINGS_ID,
+		secretProtection: protection,
+		secretKey: wrappedKey,
+		secretSalt: salt?.toString('base64') || null,
+	};
+	const options = {
+		updateOnDuplicate: [
+			'secretProtection',
+			'secretKey',
+			'secretSalt',
+			'updatedAt',
+		],
+	};
+
+	if (isFirstTime) {
+		// Transfers don't run before secrets are unlocked, so no other writer conflicts with the transaction.
+		await SettingsModel.sequelize.transaction(async transaction => {
+			await reencryptLegacySecrets(key, transaction);
+			await SettingsModel.upsert(values, {...options, transaction});
+		});
+	} else {
+		await SettingsModel.upsert(values, options);
+	}
+
+	setSecretKey(key);
+};
+
+/**
+ * @param {number} profileId
+ * @returns {string|null}
+ */
+exports.getSessionSecret = profileId => sessionSecrets.get(profileId) || null;
+
+/**
+ * Keep the secret of the profile until the app quits, it is forgotten when the value is empty.
+ * @param {number} profileId
+ * @param {string|null} value
+ * @returns {void}
+ */
+exports.setSessionSecret = (profileId, value) => {
+	if (value) {
+		sessionSecrets.set(profileId, value);
+	} else {
+		sessionSecrets.delete(profileId);
+	}
+};
@@ -0,0 +1,688 @@
+const fs = require('fs');
+const path = require('path');
+const {Transform} = require('stream');
+const lodash = require('lodash');
+const mimeTypes = require('mime-types');
+const pLimit = require('p-limit');
+const {Op} = require('sequelize');
+const {
+	TRANSFER_UPLOAD_CONCURRENCY,
+	TRANSFER_DOWNLOAD_CONCURRENCY,
+	TRANSFER_MAX_ATTEMPTS,
+	TRANSFER_RETRY_BASE_DELAY,
+	TRANSFER_RETRY_MAX_DELAY,
+	TRANSFER_RESUMABLE_UPLOAD_MIN_SIZE,
+	TRANSFER_UPLOAD_PART_SIZE,
+	TRANSFER_UPLOAD_PART_CONCURRENCY,
+} = require('../../shared/constants/config');
+const OBJECT_TYPE = require('../../shared/constants/object-type');
+const STORAGE_CLASS = require('../../shared/constants/storage-class');
+const TRANSFER_STATE = require('../../shared/constants/transfer-state');
+const TRANSFER_TYPE = require('../../shared/constants/transfer-type');
+const {BadRequestError, NotFoundError} = require('../../shared/errors');
+const ObjectModel = require('../models/data/object-model');
+const TransferModel = require('../models/data/transfer-model');
+const retryPolicy = require('./retry-policy');
+const s3 = require('./s3');
+
+// The speed is measured over the progress in this duration.
+const SPEED_SAMPLE_DURATION = 5 * 1000;
+const MAX_UPLOAD_PARTS = 10000;
+// Fields of the multipart upload, they are saved without the state which may be changed by pausing or cancelling.
+const MULTIPART_UPLOAD_FIELDS = ['uploadId', 'partSize', 'parts'];
+
+const scheduleLimit = pLimit(1);
+/**
+ * Transfers which are running in this process.
+ * `retries` counts retried S3 requests of this attempt, `done` is resolved after the transfer stopped and saved its state.
+ * @type {Map<number, {type: number, abortController: AbortController, loaded: number, retries: number, samples: Array<{time: number, loaded: number}>, done: Promise<void>}>}
+ */
+const runningTransfers = new Map();
+let settings;
+let isStarted = false;
+let retryTimer = null;
+
+/**
+ * @param {number} attempts - The number of failed attempts.
+ * @returns {number} The delay in milliseconds.
+ */
+function getRetryDelay(attempts) {
+	return Math.min(TRANSFER_RETRY_BASE_DELAY * (2 ** (attempts - 1)), TRANSFER_RETRY_MAX_DELAY);
+}
+
+/**
+ * @param {{loaded: number, samples: Array<{time: number, loaded: number}>}} running
+ * @param {number} loaded
+ * @returns {void}
+ */
+function updateProgress(running, loaded) {
+	const now = Date.now();
+
+	running.loaded = loaded;
+	running.samples = [
+		...running.samples.filter(sample => now - sample.time <= SPEED_SAMPLE_DURATION),
+		{time: now, loaded},
+	];
+}
+
+/**
+ * @param {{samples: Array<{time: number, loaded: number}>}} running
+ * @returns {number|null} Bytes per second.
+ */
+function getSpeed(running) {
+	const first = running.samples[0];
+	const last = running.samples.slice(-1)[0];
+
+	if (!first || last.time === first.time) {
+		return null;
+	}
+
+	return (last.loaded - first.loaded) / ((last.time - first.time) / 1000);
+}
+
+/**
+ * Abort the multipart upload of the transfer, it can't be resumed after this.
+ * @param {TransferModel} transfer
+ * @returns {Promise<void>}
+ */
+async function discardMultipartUpload(transfer) {
+	if (!transfer.uploadId) {
+		return;
+	}
+
+	try {
+		await s3.abortMultipartUpload({path: transfer.path, uploadId: transfer.uploadId});
+	} catch (error) {
+		if (error.name !== 'NoSuchUpload') {
+			throw error;
+		}
+	}
+
+	transfer.uploadId = null;
+	transfer.partSize = null;
+	transfer.parts = null;
+	await transfer.save({fields: MULTIPART_UPLOAD_FIELDS});
+}
+
+/**
+ * Upload the local file part by part.
+ * The upload id and uploaded parts are saved on the transfer,
+ * so the upload is resumed from parts listed by ListParts after it was paused, failed or the app was restarted.
+ * @param {TransferModel} transfer
+ * @param {Object} options - Options of CreateMultipartUpload.
+ * @param {AbortController} abortController
+ * @param {function(loaded: number)} onProgress
+ * @returns {Promise<void>}
+ */
+async function runMultipartUpload(transfer, {options, abortController, onProgress}) {
+	const stats = await fs.promises.stat(transfer.localPath);
+	let uploadedParts = [];
+
+	if (transfer.uploadId && stats.size !== transfer.size) {
+		// The local file was changed, uploaded parts are useless.
+		await discardMultipartUpload(transfer);
+	}
+
+	transfer.size = stats.size;
+
+	if (transfer.uploadId) {
+		try {
+			uploadedParts = await s3.listParts({path: transfer.path, uploadId: transfer.uploadId});
+		} catch (error) {
+			if (error.name !== 'NoSuchUpload') {
+				throw error;
+			}
+
+			transfer.uploadId = null;
+		}
+	}
+
+	if (!transfer.uploadId) {
+		const {UploadId} = await s3.createMultipartUpload(transfer.path, options);
+
+		transfer.uploadId = UploadId;
+		transfer.partSize = Math.max(TRANSFER_UPLOAD_PART_SIZE, Math.ceil(transfer.size / MAX_UPLOAD_PARTS));
+	}
+
+	const {size, partSize} = transfer;
+	const partCount = Math.ceil(size / partSize);
+	const getPartLength = partNumber => Math.min(partSize, size - ((partNumber - 1) * partSize));
+	const saveLimit = pLimit(1);
+	const partLimit = pLimit(TRANSFER_UPLOAD_PART_CONCURRENCY);
+	const loadedParts = {};
+	const reportProgress = () => onProgress(lodash.sum(Object.values(loadedParts)));
+	// Stop other parts when one is failed, the next attempt resumes them.
+	const partsAbortController = new AbortController();
+	const abortParts = () => partsAbortController.abort();
+	let failure = null;
+
+	// Parts with an unexpected size were uploaded by other part sizes, they are uploaded again.
+	transfer.parts = uploadedParts
+		.filter(part => part.Size === getPartLength(part.PartNumber))
+		.map(({PartNumber, ETag}) => ({PartNumber, ETag}));
+	await transfer.save({fields: ['size', ...MULTIPART_UPLOAD_FIELDS]});
+	transfer.parts.forEach(({PartNumber}) => {
+		loadedParts[PartNumber] = getPartLength(PartNumber);
+	});
+	reportProgress();
+
+	const uploadedPartNumbers = transfer.parts.map(part => part.PartNumber);
+	const partNumbers = lodash.range(1, partCount + 1)
+		.filter(partNumber => !uploadedPartNumbers.includes(partNumber));
+
+	abortController.signal.addEventListener('abort', abortParts);
+	if (abortController.signal.aborted) {
+		// It was paused or cancelled while the upload was prepared, the abort event was already dispatched.
+		abortParts();
+	}
+
+	// Wait for every running part, so they don't save parts after this attempt.
+	await Promise.all(partNumbers.map(partNumber => partLimit(async () => {
+		if (partsAbortController.signal.aborted) {
+			return;
+		}
+
+		const start = (partNumber - 1) * partSize;
+		const length = getPartLength(partNumber);
+		const content = fs.createReadStream(transfer.localPath, {start, end: start + length - 1})
+			.pipe(new Transform({
+				transform(chunk, encoding, callback) {
+					loadedParts[partNumber] = (loadedParts[partNumber] || 0) + chunk.length;
+					reportProgress();
+					callback(null, chunk);
+				},
+			}));
+
+		try {
+			const {ETag} = await s3.uploadPart({
+				path: transfer.path,
+				uploadId: transfer.uploadId,
+				partNumber,
+				content,
+				contentLength: length,
+				abortSignal: partsAbortController.signal,
+			});
+
+			loadedParts[partNumber] = length;
+			reportProgress();
+			await saveLimit(() => {
+				transfer.parts = [...transfer.parts, {PartNumber: partNumber, ETag}];
+				return transfer.save({fields: ['parts']});
+			});
+		} catch (error) {
+			if (!partsAbortController.signal.aborted) {
+				failure = error;
+				abortParts();
+			}
+		}
+	})));
+
+	abortController.signal.removeEventListener('abort', abortParts);
+
+	if (abortController.signal.aborted) {
+		throw new Error('aborted');
+	}
+
+	if (failure) {
+		throw failure;
+	}
+
+	await s3.completeMultipartUpload({
+		path: transfer.path,
+		uploadId: transfer.uploadId,
+		parts: transfer.parts,
+	});
+	transfer.uploadId = null;
+	transfer.partSize = null;
+	transfer.parts = null;
+}
+
+/**
+ * Upload the local file then create or update its object.
+ * @param {TransferModel} transfer
+ * @param {AbortController} abortController
+ * @param {function(loaded: number)} onProgress
+ * @returns {Promise<void>}
+ */
+async function runUpload(transfer, {abortController, onProgress}) {
+	const dirname = path.posix.dirname(transfer.path);
+
+	if (dirname !== '.') {
+		const parent = await ObjectModel.findOne({
+			where: {
+				profileId: transfer.profileId,
+				type: OBJECT_TYPE.FOLDER,
+				path: `${dirname}/`,
+			},
+		});
+
+		if (!parent) {
+			throw new NotFoundError(`not found parent "${dirname}"`);
+		}
+	}
+
+	const options = {
+		ContentType: (mimeTypes.lookup(transfer.localPath)) || 'application/octet-stream',
+	};
+
+	if (transfer.size >= TRANSFER_RESUMABLE_UPLOAD_MIN_SIZE) {
+		await runMultipartUpload(transfer, {options, abortController, onProgress});
+	} else {
+		await s3.upload({
+			path: transfer.path,
+			content: fs.createReadStream(transfer.localPath),
+			options,
+			onProgress: progress => onProgress(progress.loaded),
+			abortSignal: abortController.signal,
+		});
+	}
+
+	const objectHeaders = await s3.headObject(transfer.path);
+	// Avoid findOrCreate, its transaction conflicts with other writers of SQLite.
+	const object = await ObjectModel.findOne({where: {profileId: transfer.profileId, path: transfer.path}})
+		|| new ObjectModel({
+			profileId: transfer.profileId,
+			type: OBJECT_TYPE.FILE,
+			path: transfer.path,
+			storageClass: STORAGE_CLASS.STANDARD,
+		});
+
+	object.size = objectHeaders.ContentLength;
+	object.lastModified = objectHeaders.LastModified;
+	await object.save();
+}
+
+/**
+ * Download the object into the local file.
+ * The part file is kept when the download is failed or paused, the next attempt resumes it.
+ * @param {TransferModel} transfer
+ * @param {AbortController} abortController
+ * @param {function(loaded: number)} onProgress
+ * @returns {Promise<void>}
+ */
+async function runDownload(transfer, {abortController, onProgress}) {
+	await fs.promises.mkdir(path.dirname(transfer.localPath), {recursive: true});
+
+	const headers = await s3.headObject(transfer.path, {ChecksumMode: 'ENABLED'});
+
+	if (transfer.etag !== headers.ETag) {
+		// The object was changed, the part file is useless.
+		await fs.promises.rm(s3.getDownloadPartPath(transfer.localPath), {force: true});
+		transfer.etag = headers.ETag;
+		await transfer.save({fields: ['etag']});
+	}
+
+	transfer.size = headers.ContentLength;
+	await s3.downloadObject({
+		path: transfer.path,
+		localPath: transfer.localPath,
+		headers,
+		abortSignal: abortController.signal,
+		onProgress: progress => onProgress(progress.loaded),
+	});
+	transfer.etag = null;
+}
+
+/**
+ * Discard the uploaded parts or the part file, the transfer starts over after this.
+ * @param {TransferModel} transfer
+ * @returns {Promise<void>}
+ */
+async function discardPartialTransfer(transfer) {
+	if (transfer.type === TRANSFER_TYPE.UPLOAD) {
+		await discardMultipartUpload(transfer);
+		return;
+	}
+
+	await fs.promises.rm(s3.getDownloadPartPath(transfer.localPath), {force: true});
+
+	if (transfer.etag) {
+		transfer.etag = null;
+		await transfer.save({fields: ['etag']});
+	}
+}
+
+/**
+ * Update the state of the running transfer, it is kept when the transfer was paused or cancelled meanwhile.
+ * @param {TransferModel} transfer
+ * @param {Object} values
+ * @returns {Promise<void>}
+ */
+async function updateRunningTransfer(transfer, values) {
+	await TransferModel.update(values, {where: {id: transfer.id, state: TRANSFER_STATE.RUNNING}});
+}
+
+/**
+ * Run the transfer, it is queued again with backoff when it is failed.
+ * @param {TransferModel} transfer
+ * @returns {Promise<void>}
+ */
+async function runTransfer(transfer) {
+	const abortController = new AbortController();
+	let resolveDone;
+	const running = {
+		type: transfer.type,
+		abortController,
+		loaded: 0,
+		retries: 0,
+		samples: [],
+		done: new Promise(resolve => {
+			resolveDone = resolve;
+		}),
+	};
+
+	runningTransfers.set(transfer.id, running);
+
+	try {
+		const [updatedCount] = await TransferModel.update(
+			{state: TRANSFER_STATE.RUNNING, loaded: 0},
+			{where: {id: transfer.id, state: TRANSFER_STATE.QUEUED}},
+		);
+
+		if (updatedCount === 0) {
+			// It was paused or cancelled before running.
+			return;
+		}
+
+		// Progress of the job is saved by fields, so the running state is never written back over pausing or cancelling.
+		await transfer.reload();
+
+		const run = transfer.type === TRANSFER_TYPE.UPLOAD ? runUpload : runDownload;
+
+		await retryPolicy.runWithRetryListener(
+			() => {
+				running.retries += 1;
+			},
+			() => run(transfer, {
+				abortController,
+				onProgress: loaded => updateProgress(running, loaded),
+			}),
+		);
+		await transfer.save({fields: ['size', 'etag', ...MULTIPART_UPLOAD_FIELDS]});
+		await updateRunningTransfer(transfer, {
+			state: TRANSFER_STATE.COMPLETED,
+			loaded: transfer.size,
+			nextAttemptAt: null,
+			error: null,
+		});
+	} catch (error) {
+		if (abortController.signal.aborted) {
+			// Paused, cancelled or interrupted, the state is updated by who aborted it.
+			await transfer.reload();
+
+			if (transfer.state === TRANSFER_STATE.CANCELLED) {
+				await discardPartialTransfer(transfer);
+			}
+
+			return;
+		}
+
+		const attempts = transfer.attempts + 1;
+		const isRetryable = attempts < TRANSFER_MAX_ATTEMPTS;
+
+		await transfer.save({fields: ['size', 'etag', ...MULTIPART_UPLOAD_FIELDS]});
+		await updateRunningTransfer(transfer, {
+			state: isRetryable ? TRANSFER_STATE.QUEUED : TRANSFER_STATE.FAILED,
+			attempts,
+			loaded: 0,
+			error: error.message || `${error}`,
+			nextAttemptAt: isRetryable ? new Date(Date.now() + getRetryDelay(attempts)) : null,
+		});
+	} finally {
+		runningTransfers.delete(transfer.id);
+		resolveDone();
+		exports.schedule();
+	}
+}
+
+/**
+ * Find the transfer and make sure its state is one of the states.
+ * @param {number} id
+ * @param {Array<number>} states - TRANSFER_STATE
+ * @param {string} action - It is used in the error message.
+ * @returns {Promise<TransferModel>}
+ */
+async function findTransferInStates(id, states, action) {
+	const transfer = await TransferModel.findOne({where: {id}});
+
+	if (!transfer) {
+		throw new NotFoundError(`not found transfer "${id}"`);
+	}
+
+	if (!states.includes(transfer.state)) {
+		throw new BadRequestError(`can't ${action} the transfer "${id}"`);
+	}
+
+	return transfer;
+}
+
+/**
+ * Update the transfer only when it is still in one of the states then abort it.
+ * @param {number} id
+ * @param {Array<number>} states - TRANSFER_STATE
+ * @param {Object} values
+ * @returns {Promise<void>}
+ */
+async function stopTransfer(id, states, values) {
+	await TransferModel.update(values, {
+		where: {
+			id,
+			state: {[Op.in]: states},
+		},
+	});
+	runningTransfers.get(id)?.abortController.abort();
+}
+
+/**
+ * @param {SettingsModel|null} value
+ * @returns {void}
+ */
+exports.updateSettings = value => {
+	settings = value;
+	exports.schedule();
+};
+
+/**
+ * Start to run queued transfers.
+ * Transfers which were running when the app quit are queued again.
+ * @returns {Promise<void>}
+ */
+exports.start = async () => {
+	await TransferModel.update(
+		{state: TRANSFER_STATE.QUEUED, loaded: 0},
+		{where: {state: TRANSFER_STATE.RUNNING}},
+	);
+	isStarted = true;
+	await exports.schedule();
+};
+
+/**
+ * Switch the profile of S3 requests.
+ * Only transfers of the profile in use are run, running ones are queued again and resumed when their profile is used again.
+ * It is serialized with scheduling, so no transfer is started with the previous profile.
+ * @param {ProfileModel|null} profile
+ * @returns {Promise<void>}
+ */
+exports.updateProfile = async profile => {
+	await scheduleLimit(async () => {
+		const runnings = [...runningTransfers.entries()];
+
+		runnings.forEach(([_, running]) => running.abortController.abort());
+		await Promise.all(runnings.map(([_, running]) => running.done));
+		// Aborted transfers keep the running state, queue them again.
+		await TransferModel.update(
+			{state: TRANSFER_STATE.QUEUED, loaded: 0},
+			{where: {id: {[Op.in]: runnings.map(([id]) => id)}, state: TRANSFER_STATE.RUNNING}},
+		);
+		s3.updateProfile(profile);
+	});
+	await exports.schedule();
+};
+
+/**
+ * Run queued transfers of the profile in use in free slots and wake up for the next retry.
+ * @returns {Promise<void>}
+ */
+exports.schedule = () => {
+	if (!isStarted) {
+		return Promise.resolve();
+	}
+
+	return scheduleLimit(async () => {
+		const now = new Date();
+		const concurrencies = {
+			[TRANSFER_TYPE.UPLOAD]: TRANSFER_UPLOAD_CONCURRENCY,
+			[TRANSFER_TYPE.DOWNLOAD]: settings?.downloadConcurrency || TRANSFER_DOWNLOAD_CONCURRENCY,
+		};
+		const runnings = [...runningTransfers.values()];
+
+		clearTimeout(retryTimer);
+		retryTimer = null;
+
+		await Promise.all(Object.values(TRANSFER_TYPE).map(async type => {
+			const slots = concurrencies[type] - runnings.filter(running => running.type === type).length;
+
+			if (slots <= 0) {
+				return;
+			}
+
+			const transfers = await TransferModel.findAll({
+				where: {
+					profileId: s3.getProfileId(),
+					id: {[Op.notIn]: [...runningTransfers.keys()]},
+					type,
+					state: TRANSFER_STATE.QUEUED,
+					[Op.or]: [
+						{nextAttemptAt: null},
+						{nextAttemptAt: {[Op.lte]: now}},
+					],
+				},
+				order: [['id', 'ASC']],
+				limit: slots,
+			});
+
+			transfers.forEach(transfer => {
+				runTransfer(transfer).catch(error => console.error(error));
+			});
+		}));
+
+		const nextTransfer = await TransferModel.findOne({
+			where: {
+				profileId: s3.getProfileId(),
+				state: TRANSFER_STATE.QUEUED,
+				nextAttemptAt: {[Op.gt]: now},
+			},
+			order: [['nextAttemptAt', 'ASC']],
+		});
+
+		if (nextTransfer) {
+			retryTimer = setTimeout(exports.schedule, Math.max(nextTransfer.nextAttemptAt - Date.now(), 0));
+			retryTimer.unref?.();
+		}
+	});
+};
+
+/**
+ * @param {Array<{type: number, path: string, localPath: string, size: number}>} transfers
+ * @returns {Promise<void>}
+ */
+exports.enqueue = async transfers => {
+	await TransferModel.bulkCreate(transfers.map(transfer => ({
+		...transfer,
+		profileId: s3.getProfileId(),
+		state: TRANSFER_STATE.QUEUED,
+	})));
+	exports.schedule();
+};
+
+/**
+ * Serialize the transfer with its live progress, speed (bytes per second), ETA (seconds)
+ * and retries of S3 requests of the running attempt.
+ * @param {TransferModel} transfer
+ * @returns {Object}
+ */
+exports.serialize = transfer => {
+	const result = transfer.toJSON();
+	const running = runningTransfers.get(transfer.id);
+	const speed = running ? getSpeed(running) : null;
+
+	result.speed = speed;
+	result.eta = null;
+	result.retries = running?.retries || 0;
+
+	if (running) {
+		result.loaded = running.loaded;
+
+		if (speed > 0) {
+			result.eta = Math.ceil((result.size - running.loaded) / speed);
+		}
+	}
+
+	return result;
+};
+
+/**
+ * @param {number} id
+ * @returns {Promise<void>}
+ */
+exports.pause = async id => {
+	const states = [TRANSFER_STATE.QUEUED, TRANSFER_STATE.RUNNING];
+
+	await findTransferInStates(id, states, 'pause');
+	await stopTransfer(id, states, {state: TRANSFER_STATE.PAUSED, loaded: 0});
+};
+
+/**
+ * @param {number} id
+ * @returns {Promise<void>}
+ */
+exports.resume = async id => {
+	const transfer = await findTransferInStates(id, [TRANSFER_STATE.PAUSED], 'resume');
+
+	transfer.state = TRANSFER_STATE.QUEUED;
+	transfer.nextAttemptAt = null;
+	await transfer.save();
+	exports.schedule();
+};
+
+/**
+ * @param {number} id
+ * @returns {Promise<void>}
+ */
+exports.cancel = async id => {
+	const states = [
+		TRANSFER_STATE.QUEUED,
+		TRANSFER_STATE.RUNNING,
+		TRANSFER_STATE.PAUSED,
+		TRANSFER_STATE.FAILED,
+	];
+
+	const transfer = await findTransferInStates(id, states, 'cancel');
+
+	await stopTransfer(id, states, {state: TRANSFER_STATE.CANCELLED, loaded: 0, nextAttemptAt: null});
+
+	if (!runningTransfers.has(id)) {
+		// The running transfer discards its partial data after it is aborted.
+		await discardPartialTransfer(transfer);
+	}
+};
+
+/**
+ * Queue the failed or cancelled transfer again with a fresh retry budget.
+ * @param {number} id
+ * @returns {Promise<void>}
+ */
+exports.retry = async id => {
+	const transfer = await findTransferInStates(
+		id,
+		[TRANSFER_STATE.FAILED, TRANSFER_STATE.CANCELLED],
+		'retry',
+	);
+
+	transfer.state = TRANSFER_STATE.QUEUED;
+	transfer.attempts = 0;
+	transfer.nextAttemptAt = null;
+	transfer.error = null;
+	await transfer.save();
+	exports.schedule();
+};
@@ -1,20 +1,19 @@
 const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
 const sequelize = require('sequelize');
 const sqlString = require('sequelize/lib/sql-string');
-
-// 32 bytes key.
-const CRYPTO_KEY = Buffer.from(
-	'KgSAOli9bHgiQB+Verg5q5MUMRqYvEVSr38cNQe98L4=',
-	'base64',
-);
+const {Crc32} = require('@aws-crypto/crc32');
+const {Crc32c} = require('@aws-crypto/crc32c');
 
 /**
  * @param {Buffer} value
  * @param {Buffer} iv - 16 bytes iv
+ * @param {Buffer} key - 32 bytes key
  * @returns {Buffer}
  */
-exports.encrypt = ({value, iv}) => {
-	const cipher = crypto.createCipheriv('aes-256-cbc', CRYPTO_KEY, iv);
+exports.encrypt = ({value, iv, key}) => {
+	const cipher = crypto.createCipheriv('aes-256-cbc', key, iv);
 
 	return Buffer.concat([cipher.setAutoPadding(true).update(value), cipher.final()]);
 };
@@ -22,10 +21,11 @@ exports.encrypt = ({value, iv}) => {
 /**
  * @param {Buffer} value
  * @param {Buffer} iv - 16 bytes iv
+ * @param {Buffer} key - 32 bytes key
  * @returns {Buffer}
  */
-exports.decrypt = ({value, iv}) => {
-	const decipher = crypto.createDecipheriv('aes-256-cbc', CRYPTO_KEY, iv);
+exports.decrypt = ({value, iv, key}) => {
+	const decipher = crypto.createDecipheriv('aes-256-cbc', key, iv);
 
 	return Buffer.concat([decipher.update(value), decipher.final()]);
 };
@@ -79,6 +79,82 @@ exports.parseKeyword = keyword => {
 	return {plus, minus, fields};
 };
 
+// Units of sizes are based on 1024.
+const SIZE_UNITS = {
+	B: 1,
+	KB: 1024,
+	MB: 1024 ** 2,
+	GB: 1024 ** 3,
+	TB: 1024 ** 4,
+};
+const DURATION_UNITS = {
+	h: 60 * 60 * 1000,
+	d: 24 * 60 * 60 * 1000,
+	w: 7 * 24 * 60 * 60 * 1000,
+};
+const COMPARISON_OPERATORS = {
+	'>': 'gt',
+	'>=': 'gte',
+	'<': 'lt',
+	'<=': 'lte',
+};
+
+/**
+ * Parse the size with an unit.
+ * 	"100MB": 104857600
+ * 	"1.5kb": 1536
+ * @param {string} value
+ * @returns {number|null} Bytes, null when the value is invalid.
+ */
+exports.parseSize = value => {
+	const match = `${value}`.trim().match(/^(\d+(?:\.\d+)?)\s*([kmgt]?b)?$/i);
+
+	if (!match) {
+		return null;
+	}
+
+	return Math.round(Number(match[1]) * SIZE_UNITS[(match[2] || 'B').toUpperCase()]);
+};
+
+/**
+ * Parse the duration with an unit of hours, days or weeks.
+ * 	"7d": 604800000
+ * @param {string} value
+ * @returns {number|null} Milliseconds, null when the value is invalid.
+ */
+exports.parseDuration = value => {
+	const match = `${value}`.trim().match(/^(\d+)([hdw])$/i);
+
+	if (!match) {
+		return null;
+	}
+
+	return Number(match[1]) * DURATION_UNITS[match[2].toLowerCase()];
+};
+
+/**
+ * Parse the comparison of the filter value.
+ * 	">100MB": {operator: "gt", values: ["100MB"]}
+ * 	"1KB..5MB": {operator: "between", values: ["1KB", "5MB"]}
+ * 	"file": {operator: "eq", values: ["file"]}
+ * @param {string} value
+ * @returns {{operator: string, values: Array<string>}}
+ */
+exports.parseComparison = value => {
+	const range = value.split('..');
+
+	if (range.length === 2) {
+		return {operator: 'between', values: range};
+	}
+
+	const [, operator, operand] = value.match(/^(>=|<=|>|<)?(.*)$/);
+
+	return {
+		operator: COMPARISON_OPERATORS[operator] || 'eq',
+		values: [operand],
+	};
+};
+
 /**
  * Generate sequelize like syntax.
  * ref:
@@ -102,3 +178,92 @@ exports.generateLikeSyntax = (value, {start = '%', end = '%'} = {}) => {
 
 	return sequelize.literal(items.join(''));
 };
+
+/**
+ * List folders and files under the local directory recursively.
+ * Relative paths are separated by "/" on every platform.
+ * @param {string} directory
+ * @returns {Promise<{folders: Array<string>, files: Array<{localPath: string, relativePath: string, size: number}>}>}
+ */
+exports.walkDirectory = async directory => {
+	const folders = [];
+	const files = [];
+	const walk = async relativeDirname => {
+		const entries = await fs.promises.readdir(
+			path.join(directory, ...relativeDirname.split('/')),
+			{withFileTypes: true},
+		);
+
+		await Promise.all(entries.map(async entry => {
+			const relativePath = relativeDirname ? `${relativeDirname}/${entry.name}` : entry.name;
+
+			if (entry.isDirectory()) {
+				folders.push(relativePath);
+				await walk(relativePath);
+			} else if (entry.isFile()) {
+				const localPath = path.join(directory, ...relativePath.split('/'));
+				const {size} = await fs.promises.stat(localPath);
+
+				files.push({localPath, relativePath, size});
+			}
+		}));
+	};
+
+	await walk('');
+
+	return {
+		folders: folders.sort(),
+		files: files.sort((a, b) => (a.relativePath < b.relativePath ? -1 : 1)),
+	};
+};
+
+// CRC algorithms of S3 checksums, crypto doesn't support them.
+const CRC_CLASSES = {
+	crc32: Crc32,
+	crc32c: Crc32c,
+};
+
+/**
+ * Create a hash with the same update/digest interface for crypto and CRC algorithms.
+ * The CRC digest is 4 bytes in big-endian like the checksum of S3.
+ * @param {string} algorithm - "md5" | "sha1" | "sha256" | "crc32" | "crc32c"
+ * @returns {{update: function(Buffer), digest: function(): Buffer}}
+ */
+function createHash(algorithm) {
+	if (!CRC_CLASSES[algorithm]) {
+		return crypto.createHash(algorithm);
+	}
+
+	const crc = new CRC_CLASSES[algorithm]();
+
+	return {
+		update(chunk) {
+			crc.update(chunk);
+		},
+		digest() {
+			const result = Buffer.alloc(4);
+
+			result.writeUInt32BE(crc.digest());
+			return result;
+		},
+	};
+}
+
+/**
+ * Hash the file with algorithms in one read.
+ * @param {string} filePath
+ * @param {Array<string>} algorithms - "md5" | "sha1" | "sha256" | "crc32" | "crc32c"
+ * @returns {Promise<Object<string, Buffer>>} Digests by the algorithm.
+ */
+exports.hashFile = async (filePath, algorithms) => {
+	const hashes = algorithms.map(createHash);
+
+	await new Promise((resolve, reject) => {
+		fs.createReadStream(filePath)
+			.on('data', chunk => hashes.forEach(hash => hash.update(chunk)))
+			.on('error', reject)
+			.on('end', resolve);
+	});
+
+	return Object.fromEntries(algorithms.map((algorithm, index) => [algorithm, hashes[index].digest()]));
+};
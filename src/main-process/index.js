@@ -1,13 +1,16 @@
 const path = require('path');
+const {pathToFileURL} = require('url');
 const {app, BrowserWindow, ipcMain} = require('electron');
 const isDev = require('electron-is-dev');
 const {
 	MAIN_API,
+	MAIN_API_CANCEL,
 	CONFIG: {GET_CONFIG},
 	DIALOG: {SHOW_ERROR_BOX, SHOW_OPEN_DIALOG},
 } = require('../shared/constants/ipc');
 const {MAIN_SETTINGS_ID} = require('../shared/constants/settings');
 const {connectDatabase, runMigrations} = require('./common/database');
+const mfaPrompt = require('./common/mfa-prompt');
 const configHandler = require('./ipc-handlers/config-handler');
 const dialogHandler = require('./ipc-handlers/dialog-handler');
 
@@ -17,6 +20,23 @@ try {
 
 connectDatabase({isLogSQL: isDev});
 
+const RENDERER_URL = isDev
+	? 'http://localhost:3000/index.html'
+	: pathToFileURL(path.join(app.getAppPath(), 'dist', 'renderer-process', 'index.html')).href;
+
+/**
+ * Windows only show the page of the renderer process, links of previews never replace it.
+ * @param {string} value
+ * @returns {boolean}
+ */
+function isRendererUrl(value) {
+	const url = new URL(value);
+
+	url.search = '';
+	url.hash = '';
+	return url.href === RENDERER_URL;
+}
+
 function createWindow() {
 	const mainWindow = new BrowserWindow({
 		minWidth: 400,
@@ -25,34 +45,63 @@ function createWindow() {
 		height: 600,
 		webPreferences: {
 			preload: path.join(__dirname, 'preload', 'index.js'),
-			nodeIntegration: true,
+			contextIsolation: true,
+			nodeIntegration: false,
+			// The preload requires shared modules, a sandboxed preload can only require electron.
+			sandbox: false,
 		},
 	});
 
+	mainWindow.loadURL(RENDERER_URL);
 	if (isDev) {
-		mainWindow.loadURL('http://localhost:3000/index.html');
 		mainWindow.webContents.openDevTools();
-	} else {
-		mainWindow.loadFile('dist/renderer-process/index.html');
 	}
 
+	mfaPrompt.setWebContents(mainWindow.webContents);
+	mainWindow.on('closed', () => mfaPrompt.setWebContents(null));
+
 	return mainWindow;
 }
 
-ipcMain.handle(GET_CONFIG, configHandler.getConfig);
+ipcMain.on(GET_CONFIG, event => {
+	// The preload exposes the config before scripts of the page run.
+	event.returnValue = configHandler.getConfig();
+});
 ipcMain.handle(SHOW_ERROR_BOX, dialogHandler.showErrorBox);
 ipcMain.handle(SHOW_OPEN_DIALOG, dialogHandler.showOpenDialog);
 
+/**
+ * Start transfers of the profile in use with the retry policy in settings,
+ * its secret is decrypted after secrets are unlocked.
+ * @returns {Promise<void>}
+ */
+async function startTransfers() {
+	const retryPolicy = require('./common/retry-policy');
+	const transferManager = require('./common/transfer-manager');
+	const ProfileModel = require('./models/data/profile-model');
+	const SettingsModel = require('./models/data/settings-model');
+	const settings = await SettingsModel.findOne({where: {id: MAIN_SETTINGS_ID}});
+	const profile = settings?.profileId
+		? await ProfileModel.findOne({where: {id: settings.profileId}})
+		: null;
+
+	retryPolicy.updatePolicy(settings);
+	await transferManager.updateProfile(profile);
+	transferManager.updateSettings(settings);
+	await transferManager.start();
+}
+
 app.whenReady().then(async () => {
 	await runMigrations();
 
-	const s3 = require('./common/s3');
-	const SettingsModel = require('./models/data/settings-model');
-	const {generateIpcMainApiHandler} = require('./ipc-handlers/main-api');
-	const settings = await SettingsModel.findOne({where: {id: MAIN_SETTINGS_ID}});
+	const secretStore = require('./common/secret-store');
+	const {generateIpcMainApiHandler, generateIpcMainApiCancelHandler} = require('./ipc-handlers/main-api');
 
-	s3.updateSettings(settings);
+	await secretStore.initialize();
 	ipcMain.handle(MAIN_API, generateIpcMainApiHandler());
+	ipcMain.on(MAIN_API_CANCEL, generateIpcMainApiCancelHandler());
+	// The window asks the master password first when secrets are locked.
+	secretStore.whenUnlocked().then(startTransfers);
 	createWindow();
 
 	app.on('activate', () => {
@@ -62,6 +111,16 @@ app.whenReady().then(async () => {
 	});
 });
 
+app.on('web-contents-created', (_, contents) => {
+	contents.on('will-navigate', (event, url) => {
+		if (!isRendererUrl(url)) {
+			event.preventDefault();
+		}
+	});
+	contents.on('will-attach-webview', event => event.preventDefault());
+	contents.setWindowOpenHandler(() => ({action: 'deny'}));
+});
+
 app.on('window-all-closed', () => {
 	if (process.platform !== 'darwin') {
 		app.quit();
@@ -15,11 +15,16 @@ exports.showOpenDialog = async (event, options) => {
 		return result;
 	}
 
-	result.files = result.filePaths.map(filePath => ({
-		path: filePath,
-		name: path.basename(filePath),
-		size: fs.statSync(filePath).size,
-	}));
+	result.files = result.filePaths.map(filePath => {
+		const stats = fs.statSync(filePath);
+
+		return {
+			path: filePath,
+			name: path.basename(filePath),
+			size: stats.size,
+			isDirectory: stats.isDirectory(),
+		};
+	});
 	delete result.filePaths;
 	return result;
 };
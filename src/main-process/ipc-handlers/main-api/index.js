@@ -1,10 +1,23 @@
 const fs = require('fs');
 const path = require('path');
-const {BadRequestError} = require('../../../shared/errors');
+const Validator = require('fastest-validator');
+const {BadRequestError, UnprocessableEntityError, CancelledError} = require('../../../shared/errors');
+const FRONTEND_OPERATION_CODE = require('../../../shared/constants/frontend-operation-code');
 const {MAIN_API} = require('../../../shared/constants/ipc');
 
+// Errors of these types mean the request is malformed, others are invalid values.
+const MALFORMED_ERROR_TYPES = new Set(['required', 'string', 'number', 'boolean', 'array', 'object', 'enumValue']);
 const basename = path.basename(__filename);
+const validator = new Validator({
+	useNewCustomCheckerFunction: true,
+});
 const handlers = {};
+const validators = {};
+/**
+ * Abort controllers of running requests which have request ids, keyed by the web contents and the request id.
+ * @type {Map<string, AbortController>}
+ */
+const abortControllers = new Map();
 
 fs
 	.readdirSync(__dirname)
@@ -17,32 +30,100 @@ fs
 				throw new Error(`${name} of ${file} is duplicated`);
 			}
 
+			if (!method.schema) {
+				throw new Error(`${name} of ${file} doesn't declare the schema of its input`);
+			}
+
 			handlers[name] = method;
+			// Unknown fields are removed before the handler gets them.
+			validators[name] = validator.compile({$$strict: 'remove', ...method.schema});
 		});
 	});
 
+/**
+ * Validate the request data with the schema of the handler, the result is converted and without unknown fields.
+ * @param {string} method
+ * @param {*} data
+ * @returns {Object}
+ */
+function validateRequestData(method, data = {}) {
+	if (data === null || typeof data !== 'object' || Array.isArray(data)) {
+		throw new BadRequestError(`the data of "${method}" must be an object`);
+	}
+
+	const result = {...data};
+	const checkResult = validators[method](result);
+
+	if (checkResult === true) {
+		return result;
+	}
+
+	const ErrorClass = checkResult.some(item => MALFORMED_ERROR_TYPES.has(item.type))
+		? BadRequestError
+		: UnprocessableEntityError;
+	const fieldMessages = {};
+
+	checkResult.forEach(item => {
+		fieldMessages[item.field] = fieldMessages[item.field] || item.message;
+	});
+	throw new ErrorClass(
+		checkResult.map(item => item.message).join(' '),
+		{
+			frontendOperationCode: FRONTEND_OPERATION_CODE.SHOW_FIELD_ERRORS,
+			frontendOperationValue: fieldMessages,
+		},
+	);
+}
+
+/**
+ * @param {IpcMainEvent|IpcMainInvokeEvent} event
+ * @param {string} requestId
+ * @returns {string}
+ */
+function generateAbortControllerKey(event, requestId) {
+	return `${event.sender.id}:${requestId}`;
+}
+
+/**
+ * Handlers get the IPC event as "$event" and the signal which is aborted by the cancel channel as "$abortSignal".
+ * @returns {function(IpcMainInvokeEvent, {method: string, data: Object, requestId: (string|undefined)}): Promise<Array>}
+ */
 function generateIpcMainApiHandler() {
 	return async (event, args = {}) => {
 		const startTime = new Date();
+		const abortController = new AbortController();
+		const abortControllerKey = args.requestId ? generateAbortControllerKey(event, args.requestId) : null;
 		let error;
 
+		if (abortControllerKey) {
+			abortControllers.set(abortControllerKey, abortController);
+		}
+
 		try {
 			const {method, data} = args;
-			const handler = handlers[method];
+			const handler = Object.hasOwn(handlers, method) ? handlers[method] : null;
 
 			if (typeof handler !== 'function') {
 				throw new BadRequestError(`not found "${method}"`);
 			}
 
-			const result = await handler({...data, $event: event});
+			const result = await handler({
+				...validateRequestData(method, data),
+				$event: event,
+				$abortSignal: abortController.signal,
+			});
 			return [null, result];
 		} catch (err) {
-			error = err;
+			error = abortController.signal.aborted ? new CancelledError(`"${args.method}" is cancelled`) : err;
 			return [
 				typeof error.toJSON === 'function' ? error.toJSON() : error,
 				null,
 			];
 		} finally {
+			if (abortControllerKey) {
+				abortControllers.delete(abortControllerKey);
+			}
+
 			const processTimeInMillisecond = Date.now() - startTime;
 			const processTime = `${processTimeInMillisecond}`.replace(/\B(?=(\d{3})+(?!\d))/g, ',');
 
@@ -57,7 +138,18 @@ function generateIpcMainApiHandler() {
 	};
 }
 
+/**
+ * Abort the running request of the web contents, it is rejected with CancelledError.
+ * @returns {function(IpcMainEvent, string): void}
+ */
+function generateIpcMainApiCancelHandler() {
+	return (event, requestId) => {
+		abortControllers.get(generateAbortControllerKey(event, requestId))?.abort();
+	};
+}
+
 module.exports = {
 	handlers,
 	generateIpcMainApiHandler,
+	generateIpcMainApiCancelHandler,
 };
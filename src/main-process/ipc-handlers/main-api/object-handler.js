@@ -1,32 +1,810 @@
 const fs = require('fs');
+const os = require('os');
 const path = require('path');
+const {app} = require('electron');
+const lodash = require('lodash');
 const mimeTypes = require('mime-types');
 const pLimit = require('p-limit');
 const {Op, UniqueConstraintError} = require('sequelize');
 const {
+	BadRequestError,
 	NotFoundError,
 	ConflictError,
+	CancelledError,
+	MainProcessError,
 } = require('../../../shared/errors');
+const {
+	LOCAL_LIST_MAX_LIMIT,
+	OBJECT_LISTING_TTL,
+	TRANSFER_DOWNLOAD_CONCURRENCY,
+} = require('../../../shared/constants/config');
+const {
+	MAIN_SETTINGS_ID,
+} = require('../../../shared/constants/settings');
+const LISTING_MODE = require('../../../shared/constants/listing-mode');
+const OBJECT_SORT_FIELD = require('../../../shared/constants/object-sort-field');
 const OBJECT_TYPE = require('../../../shared/constants/object-type');
 const FRONTEND_OPERATION_CODE = require('../../../shared/constants/frontend-operation-code');
+const SORT_DIRECTION = require('../../../shared/constants/sort-direction');
 const STORAGE_CLASS = require('../../../shared/constants/storage-class');
+const TRANSFER_STATE = require('../../../shared/constants/transfer-state');
+const TRANSFER_TYPE = require('../../../shared/constants/transfer-type');
+const objectSchema = require('../../../shared/validation/model-schemas/object');
+const {
+	generateIdSchema,
+	generateCursorPaginationSchema,
+	generateKeywordSchema,
+} = require('../../../shared/validation/schema-generators');
+const retryPolicy = require('../../common/retry-policy');
 const s3 = require('../../common/s3');
+const transferManager = require('../../common/transfer-manager');
 const utils = require('../../common/utils');
 const ObjectModel = require('../../models/data/object-model');
+const SettingsModel = require('../../models/data/settings-model');
+const TransferModel = require('../../models/data/transfer-model');
+
+// DeleteObjects accepts at most 1000 keys per request.
+const DELETE_OBJECTS_BATCH_SIZE = 1000;
+const PARTIAL_FAILURE_DETAILS_LIMIT = 5;
+const S3_REQUEST_CONCURRENCY = 4;
+// Columns of sort fields.
+const SORT_COLUMNS = {
+	[OBJECT_SORT_FIELD.NAME]: 'basename',
+	[OBJECT_SORT_FIELD.SIZE]: 'size',
+	[OBJECT_SORT_FIELD.LAST_MODIFIED]: 'lastModified',
+	[OBJECT_SORT_FIELD.STORAGE_CLASS]: 'storageClass',
+};
+// Codes of errors which mean S3 is unreachable, folders listed on demand fall back to the cached listing.
+const NETWORK_ERROR_CODES = ['ECONNREFUSED', 'ECONNRESET', 'ENOTFOUND', 'EAI_AGAIN', 'ENETUNREACH', 'EHOSTUNREACH', 'ETIMEDOUT'];
+// Keep SQL variables of "IN" conditions under the limit of SQLite.
+const QUERY_PATHS_BATCH_SIZE = 500;
+// Schemas of fields which many handlers share.
+const OPTIONAL_DIRNAME_SCHEMA = {...objectSchema.dirname, optional: true};
+const IDS_SCHEMA = {type: 'array', items: generateIdSchema().id};
+const LOCAL_PATH_SCHEMA = {type: 'string', empty: false};
+const ON_PROGRESS_CHANNEL_SCHEMA = {type: 'string', optional: true};
+const DRAG_TEMP_DIRECTORY_PREFIX = 'electron-s3-file-manager-drag-';
+
+/**
+ * Objects which are downloaded for dragging, they are kept until the next preparation because the drop may be still copying them.
+ * The preparation which failed keeps its folder without localPaths, preparing the same objects again resumes its part files.
+ * @type {({key: string, localPath: string, localPaths: (Array<string>|undefined), icon: (NativeImage|undefined)}|null)}
+ */
+let preparedDrag = null;
+
+/**
+ * @param {number} type - OBJECT_TYPE
+ * @param {string} dirname
+ * @param {string} basename
+ * @returns {string}
+ */
+function generateObjectPath({type, dirname, basename}) {
+	const objectPath = (dirname || null) ? `${dirname}/${basename}` : basename;
+
+	return type === OBJECT_TYPE.FOLDER ? `${objectPath}/` : objectPath;
+}
+
+/**
+ * Generate the local path of the object downloaded into the local folder.
+ * 	("/tmp", "a", "a/b/c.txt") -> "/tmp/b/c.txt"
+ * @param {string} localPath - The local folder.
+ * @param {string} dirname - The folder which is downloading from.
+ * @param {string} objectPath
+ * @returns {string}
+ */
+function generateLocalPath({localPath, dirname, objectPath}) {
+	const relativePath = dirname && objectPath.startsWith(`${dirname}/`)
+		? objectPath.slice(dirname.length + 1)
+		: objectPath;
+
+	return path.join(localPath, ...relativePath.split('/'));
+}
+
+/**
+ * Find objects by ids, throw NotFoundError when any of them is missing.
+ * @param {Array<number>} ids
+ * @returns {Promise<Array<ObjectModel>>}
+ */
+async function findObjectsByIds(ids) {
+	const objects = await ObjectModel.findAll({
+		where: {
+			profileId: s3.getProfileId(),
+			id: {[Op.in]: ids},
+		},
+	});
+
+	if (objects.length !== ids.length) {
+		const existsIds = objects.map(({id}) => id);
+
+		ids.forEach(id => {
+			if (!existsIds.includes(id)) {
+				throw new NotFoundError(`not found object "${id}"`);
+			}
+		});
+	}
+
+	return objects;
+}
+
+/**
+ * Throw NotFoundError when the folder of the dirname is missing.
+ * @param {string} dirname
+ * @returns {Promise<void>}
+ */
+async function assertFolderExists(dirname) {
+	if (!dirname) {
+		return;
+	}
+
+	const folder = await ObjectModel.findOne({
+		where: {
+			profileId: s3.getProfileId(),
+			type: OBJECT_TYPE.FOLDER,
+			path: `${dirname}/`,
+		},
+	});
+
+	if (!folder) {
+		throw new NotFoundError(`not found parent "${dirname}"`);
+	}
+}
+
+/**
+ * Upload the local file into the dirname.
+ * @param {string} localPath
+ * @param {string} dirname
+ * @param {function({Bucket: string, Key: string, loaded: number, part: number, total: number})} onProgress
+ * @param {AbortSignal} [abortSignal] - The object is removed when the upload is aborted.
+ * @returns {Promise<ObjectModel>}
+ */
+async function uploadFile({localPath, dirname, onProgress, abortSignal}) {
+	const basename = path.basename(localPath);
+	const object = new ObjectModel({
+		profileId: s3.getProfileId(),
+		type: OBJECT_TYPE.FILE,
+		path: (dirname || null) ? `${dirname}/${basename}` : `${basename}`,
+		storageClass: STORAGE_CLASS.STANDARD,
+	});
+
+	if (object.dirname) {
+		const parent = await ObjectModel.findOne({
+			where: {
+				profileId: object.profileId,
+				type: OBJECT_TYPE.FOLDER,
+				path: `${object.dirname}/`,
+			},
+		});
+
+		if (!parent) {
+			throw new NotFoundError(`not found parent "${object.dirname}"`);
+		}
+	}
+
+	try {
+		await object.save();
+	} catch (error) {
+		if (
+			error instanceof UniqueConstraintError
+			&& (error.fields || []).includes('path')
+		) {
+			throw new ConflictError(error, {
+				frontendOperationCode: FRONTEND_OPERATION_CODE.SHOW_OBJECT_DUPLICATED_ALERT,
+				frontendOperationValue: object.path,
+			});
+		}
+
+		throw error;
+	}
+
+	try {
+		await s3.upload({
+			path: object.path,
+			content: fs.createReadStream(localPath),
+			options: {
+				ContentType: (mimeTypes.lookup(basename)) || 'application/octet-stream',
+			},
+			onProgress,
+			abortSignal,
+		});
+		const objectHeaders = await s3.headObject(object.path, {abortSignal});
+
+		object.size = objectHeaders.ContentLength;
+		object.lastModified = objectHeaders.LastModified;
+		await object.save();
+	} catch (error) {
+		console.log(error.message);
+		await object.destroy();
+		throw error;
+	}
+
+	return object;
+}
 
 /**
+ * Stop the request between steps which can't be aborted by themselves.
+ * @param {AbortSignal} [abortSignal]
+ * @returns {void}
+ */
+function assertNotAborted(abortSignal) {
+	if (abortSignal?.aborted) {
+		throw new CancelledError();
+	}
+}
+
+/**
+ * Create the folder of the dirname and its missing ancestors.
  * @param {string} dirname
- * @param {string} keyword
- * @param {integer} after
+ * @returns {Promise<Array<ObjectModel>>} The created folders.
+ */
+async function ensureFolders(dirname) {
+	const limit = pLimit(1);
+	const profileId = s3.getProfileId();
+	const pieces = (dirname || null)?.split('/') || [];
+	const createdFolders = [];
+
+	await Promise.all(pieces.map((_, index) => limit(async () => {
+		const folderPath = `${pieces.slice(0, index + 1).join('/')}/`;
+
+		// Not findOrCreate: its transaction fails with SQLITE_BUSY while transfers are saving.
+		if (await ObjectModel.findOne({where: {profileId, path: folderPath}})) {
+			return;
+		}
+
+		const folder = await ObjectModel.create({profileId, type: OBJECT_TYPE.FOLDER, path: folderPath});
+
+		await s3.putObject(folder.path);
+		createdFolders.push(folder);
+	})));
+
+	return createdFolders;
+}
+
+/**
+ * Get files of the objects, folders are replaced with all their descendant files.
+ * @param {Array<ObjectModel>} objects
+ * @returns {Promise<Array<ObjectModel>>}
+ */
+async function findFilesOfObjects(objects) {
+	const files = [];
+	const limit = pLimit(1);
+
+	await Promise.all(objects.map(object => limit(async () => {
+		if (object.type === OBJECT_TYPE.FILE) {
+			files.push(object);
+			return;
+		}
+
+		const deepFiles = await ObjectModel.findAll({
+			where: {
+				profileId: object.profileId,
+				path: {[Op.like]: utils.generateLikeSyntax(object.path, {start: ''})},
+				type: OBJECT_TYPE.FILE,
+			},
+		});
+
+		files.push(...deepFiles);
+	})));
+
+	return files;
+}
+
+/**
+ * Throw ConflictError when any of the paths is already an object or waiting to be uploaded.
+ * @param {Array<string>} paths
+ * @returns {Promise<void>}
+ */
+async function assertUploadPathsAvailable(paths) {
+	const limit = pLimit(1);
+	const profileId = s3.getProfileId();
+
+	await Promise.all(lodash.chunk(paths, QUERY_PATHS_BATCH_SIZE).map(chunk => limit(async () => {
+		const duplicated = await ObjectModel.findOne({
+			where: {profileId, path: {[Op.in]: chunk}},
+		}) || await TransferModel.findOne({
+			where: {
+				profileId,
+				type: TRANSFER_TYPE.UPLOAD,
+				state: {[Op.notIn]: [TRANSFER_STATE.COMPLETED, TRANSFER_STATE.CANCELLED]},
+				path: {[Op.in]: chunk},
+			},
+		});
+
+		if (duplicated) {
+			throw new ConflictError(`"${duplicated.path}" already exists`, {
+				frontendOperationCode: FRONTEND_OPERATION_CODE.SHOW_OBJECT_DUPLICATED_ALERT,
+				frontendOperationValue: duplicated.path,
+			});
+		}
+	})));
+}
+
+/**
+ * Drop objects which are inside other selected folders, they are handled with their folder.
+ * @param {Array<ObjectModel>} objects
+ * @returns {Array<ObjectModel>}
+ */
+function excludeNestedObjects(objects) {
+	const folders = objects.filter(object => object.type === OBJECT_TYPE.FOLDER);
+
+	return objects.filter(object => !folders.some(folder => folder !== object && object.path.startsWith(folder.path)));
+}
+
+/**
+ * Expand folders of the targets to all their descendants with new paths.
+ * Throw ConflictError when any of the new paths already exists.
+ * @param {Array<{object: ObjectModel, path: string}>} targets - The objects and their new paths.
+ * @returns {Promise<Array<{object: ObjectModel, path: string}>>}
+ */
+async function expandObjectTargets(targets) {
+	const limit = pLimit(1);
+	const entries = [];
+
+	await Promise.all(targets.map(target => limit(async () => {
+		entries.push(target);
+
+		if (target.object.type !== OBJECT_TYPE.FOLDER) {
+			return;
+		}
+
+		const descendants = await ObjectModel.findAll({
+			where: {
+				profileId: target.object.profileId,
+				id: {[Op.ne]: target.object.id},
+				path: {[Op.like]: utils.generateLikeSyntax(target.object.path, {start: ''})},
+			},
+		});
+
+		entries.push(...descendants.map(object => ({
+			object,
+			path: `${target.path}${object.path.slice(target.object.path.length)}`,
+		})));
+	})));
+
+	await Promise.all(lodash.chunk(entries.map(entry => entry.path), QUERY_PATHS_BATCH_SIZE).map(paths => limit(async () => {
+		const duplicated = await ObjectModel.findOne({
+			where: {
+				profileId: s3.getProfileId(),
+				path: {[Op.in]: paths},
+			},
+		});
+
+		if (duplicated) {
+			throw new ConflictError(`"${duplicated.path}" already exists`, {
+				frontendOperationCode: FRONTEND_OPERATION_CODE.SHOW_OBJECT_DUPLICATED_ALERT,
+				frontendOperationValue: duplicated.path,
+			});
+		}
+	})));
+
+	return entries;
+}
+
+/**
+ * Copy entries to their new paths on S3 without downloading them.
+ * Folders may only exist in the database, so their markers are created instead of copied.
+ * @param {Array<{object: ObjectModel, path: string}>} entries
+ * @param {function({Key: string, loaded: number, total: number})} onProgress
+ * @returns {Promise<Array<PromiseSettledResult<(string|null)>>>} Storage classes of copies of the entries,
+ * 	null for folders. Every entry is settled, so failed ones don't stop the others.
+ */
+function copyEntriesOnS3(entries, {onProgress} = {}) {
+	const limit = pLimit(S3_REQUEST_CONCURRENCY);
+
+	return Promise.allSettled(entries.map(({object, path}) => limit(async () => {
+		if (object.type === OBJECT_TYPE.FOLDER) {
+			await s3.putObject(path);
+			return null;
+		}
+
+		const {StorageClass} = await s3.copyObject({
+			sourcePath: object.path,
+			path,
+			size: object.size,
+			storageClass: object.storageClass,
+			onProgress,
+		});
+
+		return StorageClass;
+	})));
+}
+
+/**
+ * Delete keys on S3 in batches and collect the ones which failed.
+ * A batch whose request failed counts all its keys as failed.
+ * @param {Array<string>} paths
+ * @returns {Promise<Array<{path: string, message: string}>>}
+ */
+async function deleteKeysOnS3(paths) {
+	const limit = pLimit(S3_REQUEST_CONCURRENCY);
+	const failures = [];
+
+	await Promise.all(lodash.chunk(paths, DELETE_OBJECTS_BATCH_SIZE).map(batch => limit(async () => {
+		try {
+			const {Errors} = await s3.deleteObjects(batch);
+
+			failures.push(...Errors.map(error => ({path: error.Key, message: error.Message || error.Code})));
+		} catch (error) {
+			failures.push(...batch.map(path => ({path, message: error.message})));
+		}
+	})));
+
+	return failures;
+}
+
+/**
+ * Generate the error of objects which failed in a batch operation, others were done so the list has changed.
+ * @param {string} action - The verb of the operation, "move" or "copy".
+ * @param {Array<{path: string, message: string}>} failures
+ * @returns {MainProcessError}
+ */
+function generatePartialFailureError(action, failures) {
+	const details = failures
+		.slice(0, PARTIAL_FAILURE_DETAILS_LIMIT)
+		.map(({path, message}) => `"${path}": ${message}`);
+
+	if (failures.length > PARTIAL_FAILURE_DETAILS_LIMIT) {
+		details.push(`and ${failures.length - PARTIAL_FAILURE_DETAILS_LIMIT} more`);
+	}
+
+	return new MainProcessError(`failed to ${action} ${failures.length} objects, ${details.join(', ')}`, {
+		frontendOperationCode: FRONTEND_OPERATION_CODE.SHOW_OBJECTS_PARTLY_FAILED_ALERT,
+		frontendOperationValue: failures.map(({path}) => path),
+	});
+}
+
+/**
+ * Move objects to new paths on S3 then update them in the database.
+ * Sources are deleted only after their copies succeeded, folder markers are kept while anything in them failed.
+ * Rows follow what happened on S3, so a partial failure leaves both copies indexed where both still exist.
+ * @param {Array<{object: ObjectModel, path: string}>} targets - The objects and their new paths.
+ * @returns {Promise<void>}
+ */
+async function moveObjectsToPaths(targets) {
+	const limit = pLimit(1);
+	const entries = await expandObjectTargets(targets);
+	const results = await copyEntriesOnS3(entries);
+	const failures = [];
+	const copiedEntries = [];
+	const storageClassMap = {};
+
+	results.forEach((result, index) => {
+		const {object} = entries[index];
+
+		if (result.status === 'rejected') {
+			failures.push({path: object.path, message: result.reason?.message});
+			return;
+		}
+
+		copiedEntries.push(entries[index]);
+		storageClassMap[object.path] = result.value;
+	});
+
+	const isFailedPath = path => failures.some(failure => failure.path.startsWith(path));
+
+	// Files go first, folder markers containing anything which failed have to stay with it.
+	failures.push(...await deleteKeysOnS3(
+		copiedEntries
+			.filter(({object}) => object.type === OBJECT_TYPE.FILE)
+			.map(({object}) => object.path),
+	));
+
+	const keptFolderPaths = copiedEntries
+		.filter(({object}) => object.type === OBJECT_TYPE.FOLDER && isFailedPath(object.path))
+		.map(({object}) => object.path);
+
+	failures.push(...await deleteKeysOnS3(
+		copiedEntries
+			.filter(({object}) => object.type === OBJECT_TYPE.FOLDER && !keptFolderPaths.includes(object.path))
+			.map(({object}) => object.path)
+			.sort((a, b) => b.split('/').length - a.split('/').length),
+	));
+
+	await Promise.all(copiedEntries.map(({object, path}) => limit(async () => {
+		const isSourceKept = keptFolderPaths.includes(object.path)
+			|| failures.some(failure => failure.path === object.path);
+
+		if (isSourceKept) {
+			await ObjectModel.create({
+				profileId: object.profileId,
+				type: object.type,
+				path,
+				...(object.type === OBJECT_TYPE.FILE
+					? {size: object.size, storageClass: storageClassMap[object.path], lastModified: new Date()}
+					: undefined),
+			});
+			return;
+		}
+
+		object.path = path;
+
+		if (object.type === OBJECT_TYPE.FILE) {
+			object.lastModified = new Date();
+		}
+
+		await object.save();
+	})));
+
+	if (failures.length) {
+		throw generatePartialFailureError('move', failures);
+	}
+}
+
+/**
+ * Parse the date or the age of the filter value into the time range it covers.
+ * 	"2024-01-01": the day in the local time zone.
+ * 	"7d": the time 7 days ago, its comparisons are reversed because it is an age.
+ * @param {string} value
+ * @returns {{start: Date, end: Date, isAge: boolean}|null} The range is [start, end), null when the value is invalid.
+ */
+function parseModifiedFilterValue(value) {
+	const duration = utils.parseDuration(value);
+
+	if (duration != null) {
+		const time = new Date(Date.now() - duration);
+
+		return {start: time, end: time, isAge: true};
+	}
+
+	if (/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+		const start = new Date(`${value}T00:00:00`);
+		const end = new Date(start);
+
+		end.setDate(end.getDate() + 1);
+		return Number.isNaN(start.getTime()) ? null : {start, end, isAge: false};
+	}
+
+	const time = new Date(value);
+
+	return Number.isNaN(time.getTime())
+		? null
+		: {start: time, end: new Date(time.getTime() + 1), isAge: false};
+}
+
+/**
+ * Generate the condition of lastModified by the filter value.
+ * 	">2024-01-01": modified after the day.
+ * 	"<7d": modified within 7 days.
+ * 	"2024-01-01..2024-01-31": modified in these days.
+ * @param {{operator: string, values: Array<string>}} comparison
+ * @returns {Object|null} Null when the value is invalid.
+ */
+function generateModifiedCondition({operator, values}) {
+	const ranges = values.map(parseModifiedFilterValue);
+
+	if (ranges.some(range => range == null) || lodash.uniqBy(ranges, 'isAge').length > 1) {
+		return null;
+	}
+
+	const [range] = ranges;
+
+	if (operator === 'between') {
+		const [from, to] = range.isAge ? [ranges[1], ranges[0]] : ranges;
+
+		return {[Op.gte]: from.start, [Op.lt]: to.end};
+	}
+
+	if (range.isAge) {
+		// An older age is an earlier time, objects without an operator are modified within the age.
+		return {
+			gt: {[Op.lt]: range.start},
+			gte: {[Op.lte]: range.start},
+			lt: {[Op.gt]: range.start},
+			lte: {[Op.gte]: range.start},
+			eq: {[Op.gt]: range.start},
+		}[operator];
+	}
+
+	return {
+		gt: {[Op.gte]: range.end},
+		gte: {[Op.gte]: range.start},
+		lt: {[Op.lt]: range.start},
+		lte: {[Op.lt]: range.end},
+		eq: {[Op.gte]: range.start, [Op.lt]: range.end},
+	}[operator];
+}
+
+/**
+ * Generate the condition of size by the filter value.
+ * 	">100MB", "<=1KB", "1KB..5MB", "0"
+ * @param {{operator: string, values: Array<string>}} comparison
+ * @returns {Object|null} Null when the value is invalid.
+ */
+function generateSizeCondition({operator, values}) {
+	const sizes = values.map(utils.parseSize);
+
+	if (sizes.some(size => size == null)) {
+		return null;
+	}
+
+	return {
+		gt: {[Op.gt]: sizes[0]},
+		gte: {[Op.gte]: sizes[0]},
+		lt: {[Op.lt]: sizes[0]},
+		lte: {[Op.lte]: sizes[0]},
+		eq: {[Op.eq]: sizes[0]},
+		between: {[Op.between]: sizes},
+	}[operator];
+}
+
+/**
+ * Generators of conditions by the filter value of `field:value` in keywords.
+ * They return null when the value is invalid.
+ * @type {Object<string, function(string): Object|null>}
+ */
+const FILTER_CONDITION_GENERATORS = {
+	type(value) {
+		const type = OBJECT_TYPE[value.toUpperCase()];
+
+		return type ? {type} : null;
+	},
+	ext(value) {
+		const extensions = value.split(',').map(extension => extension.replace(/^\./, '')).filter(Boolean);
+
+		return extensions.length
+			? {
+				type: OBJECT_TYPE.FILE,
+				[Op.or]: extensions.map(extension => ({
+					basename: {[Op.like]: utils.generateLikeSyntax(`.${extension}`, {end: ''})},
+				})),
+			}
+			: null;
+	},
+	size(value) {
+		const condition = generateSizeCondition(utils.parseComparison(value));
+
+		return condition ? {type: OBJECT_TYPE.FILE, size: condition} : null;
+	},
+	modified(value) {
+		const condition = generateModifiedCondition(utils.parseComparison(value));
+
+		return condition ? {lastModified: condition} : null;
+	},
+	class(value) {
+		const storageClasses = value.toUpperCase().split(',').map(storageClass => STORAGE_CLASS[storageClass]);
+
+		return storageClasses.every(Boolean) ? {storageClass: {[Op.in]: storageClasses}} : null;
+	},
+	in(value) {
+		const prefix = value.replace(/^\/+|\/+$/g, '');
+
+		if (!prefix) {
+			return null;
+		}
+
+		// Objects under the folder without the folder itself.
+		return {
+			path: {
+				[Op.like]: utils.generateLikeSyntax(`${prefix}/`, {start: ''}),
+				[Op.ne]: `${prefix}/`,
+			},
+		};
+	},
+};
+
+/**
+ * Generate conditions of filters in the keyword.
+ * @param {Object<string, string>} fields - Fields of `utils.parseKeyword`.
+ * @returns {Array<Object>}
+ */
+function generateFilterConditions(fields) {
+	return Object.entries(fields).map(([field, value]) => {
+		const generateCondition = FILTER_CONDITION_GENERATORS[field.toLowerCase()];
+
+		if (!generateCondition) {
+			throw new BadRequestError(
+				`unknown filter "${field}", filters are ${Object.keys(FILTER_CONDITION_GENERATORS).join(', ')}`,
+			);
+		}
+
+		const condition = value ? generateCondition(value) : null;
+
+		if (!condition) {
+			throw new BadRequestError(`invalid filter "${field}:${value || ''}"`);
+		}
+
+		return condition;
+	});
+}
+
+/**
+ * Generate conditions of objects after the cursor for keyset pagination.
+ * Objects are sorted by the type (folders first), the column then the id,
+ * SQLite puts NULL first in ascending order and last in descending order.
+ * @param {ObjectModel} cursor
+ * @param {string} column
+ * @param {string} direction - SORT_DIRECTION
+ * @returns {Array<Object>} Conditions which are combined with "or".
+ */
+function generateAfterConditions(cursor, column, direction) {
+	const value = cursor.getDataValue(column);
+	const columnConditions = [];
+
+	if (value == null) {
+		columnConditions.push({[column]: null, id: {[Op.gt]: cursor.id}});
+
+		if (direction === SORT_DIRECTION.ASC) {
+			columnConditions.push({[column]: {[Op.not]: null}});
+		}
+	} else {
+		columnConditions.push(
+			{[column]: {[direction === SORT_DIRECTION.ASC ? Op.gt : Op.lt]: value}},
+			{[column]: value, id: {[Op.gt]: cursor.id}},
+		);
+
+		if (direction === SORT_DIRECTION.DESC) {
+			columnConditions.push({[column]: null});
+		}
+	}
+
+	return [
+		{type: {[Op.gt]: cursor.type}},
+		{type: cursor.type, [Op.or]: columnConditions},
+	];
+}
+
+/**
+ * List children of the folder from S3 when their cached listing is older than OBJECT_LISTING_TTL.
+ * The cached listing is kept when S3 is unreachable.
+ * @param {AbortSignal} abortSignal
+ * @param {string} dirname
+ * @param {boolean} isCachedOnly - Next pages are queried from the listing of the first page.
+ * @returns {Promise<{listedAt: (Date|null), isOffline: boolean}>} listedAt is null until the folder is listed.
+ */
+async function listFolderOnDemand({abortSignal, dirname, isCachedOnly}) {
+	// NULL is first in ascending order, so children which are only indexed by syncs make the listing stale.
+	const oldestObject = await ObjectModel.findOne({
+		attributes: ['listedAt'],
+		where: {profileId: s3.getProfileId(), dirname},
+		order: [['listedAt', 'ASC']],
+	});
+	const listedAt = oldestObject?.listedAt || null;
+
+	if (isCachedOnly || (listedAt && Date.now() - listedAt < OBJECT_LISTING_TTL)) {
+		return {listedAt, isOffline: false};
+	}
+
+	try {
+		return {listedAt: await s3.syncFolderFromS3({dirname, abortSignal}), isOffline: false};
+	} catch (error) {
+		if (!NETWORK_ERROR_CODES.includes(error.code) && error.name !== 'TimeoutError') {
+			throw error;
+		}
+
+		return {listedAt, isOffline: true};
+	}
+}
+
+/**
+ * Profiles of the lazy listing mode list the folder from S3 on demand,
+ * keyword searches always query the local index which is built by syncs.
+ * @param {AbortSignal} $abortSignal
+ * @param {string} dirname
+ * @param {string} keyword - Plus/minus words and filters like "type:file size:>100MB".
+ * @param {string} sortBy - OBJECT_SORT_FIELD
+ * @param {string} sortDirection - SORT_DIRECTION
+ * @param {integer} after - The id of the last object of the previous page in the same order.
  * @param {integer} limit
- * @returns {Promise<{hasNextPage: boolean, items: ObjectModel[]}>}
+ * @returns {Promise<{hasNextPage: boolean, items: ObjectModel[], listedAt: (Date|null), isOffline: boolean}>}
  */
-exports.getObjects = async ({dirname = '', keyword, after, limit = 50} = {}) => {
+exports.getObjects = async ({
+	$abortSignal,
+	dirname = '',
+	keyword,
+	sortBy = OBJECT_SORT_FIELD.NAME,
+	sortDirection = SORT_DIRECTION.ASC,
+	after,
+	limit = 50,
+} = {}) => {
+	const column = SORT_COLUMNS[sortBy];
 	const keywordConditions = [];
 	const afterConditions = [];
 
+	if (!column || !Object.values(SORT_DIRECTION).includes(sortDirection)) {
+		throw new BadRequestError(`invalid sort "${sortBy} ${sortDirection}"`);
+	}
+
 	if (keyword) {
-		const {plus, minus} = utils.parseKeyword(keyword);
+		const {plus, minus, fields} = utils.parseKeyword(keyword);
 
 		plus.forEach(plusKeyword => {
 			keywordConditions.push({
@@ -38,37 +816,29 @@ exports.getObjects = async ({dirname = '', keyword, after, limit = 50} = {}) =>
 				path: {[Op.notLike]: utils.generateLikeSyntax(minusKeyword)},
 			});
 		});
+		keywordConditions.push(...generateFilterConditions(fields));
 	}
 
 	if (after) {
 		const cursor = await ObjectModel.findOne({
-			where: {id: after},
-			attributes: ['id', 'type', 'basename'],
+			where: {profileId: s3.getProfileId(), id: after},
+			attributes: ['id', 'type', column],
 		});
 
 		if (cursor == null) {
 			throw new NotFoundError(`not found object ${after}`);
 		}
-
-		afterConditions.push(
-			{
-				[Op.and]: [
-					{type: {[Op.gte]: cursor.type}},
-					{basename: {[Op.gt]: cursor.basename}},
-				],
-			},
-			{
-				[Op.and]: [
-					{type: {[Op.gte]: cursor.type}},
-					{basename: cursor.basename},
-					{id: {[Op.gt]: cursor.id}},
-				],
-			},
-		);
+
+		afterConditions.push(...generateAfterConditions(cursor, column, sortDirection));
 	}
 
+	const listing = s3.getListingMode() === LISTING_MODE.LAZY && !keyword
+		? await listFolderOnDemand({abortSignal: $abortSignal, dirname, isCachedOnly: Boolean(after)})
+		: {listedAt: null, isOffline: false};
+
 	const objects = await ObjectModel.findAll({
 		where: {
+			profileId: s3.getProfileId(),
 			dirname: keywordConditions.length
 				? {[Op.like]: utils.generateLikeSyntax(dirname, {start: ''})}
 				: dirname,
@@ -77,24 +847,50 @@ exports.getObjects = async ({dirname = '', keyword, after, limit = 50} = {}) =>
 		},
 		order: [
 			['type', 'ASC'],
-			['basename', 'ASC'],
+			[column, sortDirection.toUpperCase()],
 			['id', 'ASC'],
 		],
 		limit: limit + 1,
 	});
 
 	return {
+		...listing,
 		hasNextPage: objects.length > limit,
 		items: objects.slice(0, limit).map(object => object.toJSON()),
 	};
 };
 
+exports.getObjects.schema = {
+	dirname: OPTIONAL_DIRNAME_SCHEMA,
+	...generateKeywordSchema(),
+	sortBy: {type: 'enum', optional: true, values: Object.values(OBJECT_SORT_FIELD)},
+	sortDirection: {type: 'enum', optional: true, values: Object.values(SORT_DIRECTION)},
+	...generateCursorPaginationSchema({maxLimit: LOCAL_LIST_MAX_LIMIT}),
+};
+
+/**
+ * Sync objects under the folder from S3 instead of the whole bucket.
+ * @param {AbortSignal} $abortSignal
+ * @param {string} dirname
+ * @param {boolean} isRecursive - Sync every object under the folder instead of its children.
+ * @returns {Promise<null>}
+ */
+exports.refreshFolder = async ({$abortSignal, dirname = '', isRecursive = false} = {}) => {
+	await s3.syncFolderFromS3({dirname, isRecursive, abortSignal: $abortSignal});
+	return null;
+};
+
+exports.refreshFolder.schema = {
+	dirname: OPTIONAL_DIRNAME_SCHEMA,
+	isRecursive: {type: 'boolean', optional: true},
+};
+
 /**
  * @param {number} id
  * @returns {Promise<ObjectModel>}
  */
 exports.getObject = async ({id} = {}) => {
-	const object = await ObjectModel.findOne({where: {id}});
+	const object = await ObjectModel.findOne({where: {profileId: s3.getProfileId(), id}});
 
 	if (!object) {
 		throw new NotFoundError();
@@ -113,6 +909,8 @@ exports.getObject = async ({id} = {}) => {
 	return result;
 };
 
+exports.getObject.schema = generateIdSchema();
+
 /**
  * @param {string} dirname
  * @param {string} basename
@@ -120,6 +918,7 @@ exports.getObject = async ({id} = {}) => {
  */
 exports.createFolder = async ({dirname, basename} = {}) => {
 	const object = new ObjectModel({
+		profileId: s3.getProfileId(),
 		type: OBJECT_TYPE.FOLDER,
 		path: (dirname || null) ? `${dirname}/${basename}/` : `${basename}/`,
 	});
@@ -127,6 +926,7 @@ exports.createFolder = async ({dirname, basename} = {}) => {
 	if (object.dirname) {
 		const parent = await ObjectModel.findOne({
 			where: {
+				profileId: object.profileId,
 				type: OBJECT_TYPE.FOLDER,
 				path: `${object.dirname}/`,
 			},
@@ -142,7 +942,7 @@ exports.createFolder = async ({dirname, basename} = {}) => {
 	} catch (error) {
 		if (
 			error instanceof UniqueConstraintError
-			&& (error.errors || [])[0]?.path === 'path'
+			&& (error.fields || []).includes('path')
 		) {
 			throw new ConflictError(error, {
 				frontendOperationCode: FRONTEND_OPERATION_CODE.SHOW_OBJECT_DUPLICATED_ALERT,
@@ -157,90 +957,182 @@ exports.createFolder = async ({dirname, basename} = {}) => {
 	return object.toJSON();
 };
 
+exports.createFolder.schema = {
+	dirname: OPTIONAL_DIRNAME_SCHEMA,
+	basename: objectSchema.basename,
+};
+
 /**
  * @param {IpcMainInvokeEvent} $event
+ * @param {AbortSignal} $abortSignal
  * @param {string} localPath
  * @param {string} dirname
  * @param {string} onProgressChannel
  * @returns {Promise<ObjectModel>}
  */
-exports.createFile = async ({$event, localPath, dirname, onProgressChannel} = {}) => {
-	const basename = path.basename(localPath);
-	const object = new ObjectModel({
-		type: OBJECT_TYPE.FILE,
-		path: (dirname || null) ? `${dirname}/${basename}` : `${basename}`,
-		storageClass: STORAGE_CLASS.STANDARD,
+exports.createFile = async ({$event, $abortSignal, localPath, dirname, onProgressChannel} = {}) => {
+	const object = await uploadFile({
+		localPath,
+		dirname,
+		abortSignal: $abortSignal,
+		onProgress: onProgressChannel
+			? progress => {
+				$event.sender.send(onProgressChannel, progress);
+			}
+			: null,
 	});
-	const onProgress = onProgressChannel
-		? progress => {
-			$event.sender.send(onProgressChannel, progress);
-		}
-		: null;
 
-	if (object.dirname) {
-		const parent = await ObjectModel.findOne({
-			where: {
-				type: OBJECT_TYPE.FOLDER,
-				path: `${object.dirname}/`,
-			},
+	return object.toJSON();
+};
+
+exports.createFile.schema = {
+	localPath: LOCAL_PATH_SCHEMA,
+	dirname: OPTIONAL_DIRNAME_SCHEMA,
+	onProgressChannel: ON_PROGRESS_CHANNEL_SCHEMA,
+};
+
+/**
+ * Upload the local folder into the dirname with its directory structure.
+ * Missing folders are created like createFolder does.
+ * Files already uploaded are kept when the request is cancelled.
+ * @param {IpcMainInvokeEvent} $event
+ * @param {AbortSignal} $abortSignal
+ * @param {string} localPath - The local folder.
+ * @param {string} dirname
+ * @param {string} onProgressChannel
+ * @returns {Promise<{folders: Array<ObjectModel>, files: Array<ObjectModel>}>} The created folders and files.
+ */
+exports.uploadFolder = async ({$event, $abortSignal, localPath, dirname, onProgressChannel} = {}) => {
+	const limit = pLimit(1);
+	const rootDirname = generateObjectPath({type: OBJECT_TYPE.FILE, dirname, basename: path.basename(localPath)});
+	const {folders, files} = await utils.walkDirectory(localPath);
+	const total = lodash.sumBy(files, 'size');
+	const createdFolders = [];
+	const createdFiles = [];
+	let uploadedSize = 0;
+
+	await assertFolderExists(dirname);
+	await Promise.all(['', ...folders].map(folder => limit(async () => {
+		createdFolders.push(...await ensureFolders(folder ? `${rootDirname}/${folder}` : rootDirname));
+	})));
+	await Promise.all(files.map(file => limit(async () => {
+		assertNotAborted($abortSignal);
+
+		const object = await uploadFile({
+			localPath: file.localPath,
+			dirname: path.posix.dirname(`${rootDirname}/${file.relativePath}`),
+			abortSignal: $abortSignal,
+			onProgress: onProgressChannel
+				? progress => {
+					$event.sender.send(onProgressChannel, {
+						basename: path.basename(file.localPath),
+						total,
+						loaded: uploadedSize + progress.loaded,
+					});
+				}
+				: null,
 		});
 
-		if (!parent) {
-			throw new NotFoundError(`not found parent "${object.dirname}"`);
-		}
-	}
+		uploadedSize += file.size;
+		createdFiles.push(object);
+	})));
 
-	try {
-		await object.save();
-	} catch (error) {
-		if (
-			error instanceof UniqueConstraintError
-			&& (error.errors || [])[0]?.path === 'path'
-		) {
-			throw new ConflictError(error, {
-				frontendOperationCode: FRONTEND_OPERATION_CODE.SHOW_OBJECT_DUPLICATED_ALERT,
-				frontendOperationValue: object.path,
-			});
+	return {
+		folders: createdFolders.map(folder => folder.toJSON()),
+		files: createdFiles.map(file => file.toJSON()),
+	};
+};
+
+exports.uploadFolder.schema = {
+	localPath: LOCAL_PATH_SCHEMA,
+	dirname: OPTIONAL_DIRNAME_SCHEMA,
+	onProgressChannel: ON_PROGRESS_CHANNEL_SCHEMA,
+};
+
+/**
+ * Queue uploads of local files and folders into the dirname.
+ * Folders keep their directory structure, missing folders are created right away.
+ * Nothing is queued when the request is cancelled while local folders are walked.
+ * @param {AbortSignal} $abortSignal
+ * @param {string} dirname
+ * @param {Array<string>} localPaths - Local files and folders.
+ * @returns {Promise<{folders: Array<ObjectModel>, transferCount: number}>} The created folders and the number of queued files.
+ */
+exports.enqueueUploads = async ({$abortSignal, dirname = '', localPaths = []} = {}) => {
+	const limit = pLimit(1);
+	const folderDirnames = [];
+	const createdFolders = [];
+	const transfers = [];
+
+	await assertFolderExists(dirname);
+	await Promise.all(localPaths.map(localPath => limit(async () => {
+		assertNotAborted($abortSignal);
+
+		const stats = await fs.promises.stat(localPath);
+		const objectPath = generateObjectPath({type: OBJECT_TYPE.FILE, dirname, basename: path.basename(localPath)});
+
+		if (!stats.isDirectory()) {
+			transfers.push({type: TRANSFER_TYPE.UPLOAD, path: objectPath, localPath, size: stats.size});
+			return;
 		}
 
-		throw error;
-	}
+		const {folders, files} = await utils.walkDirectory(localPath);
 
-	try {
-		console.log(mimeTypes.lookup(basename));
-		await s3.upload({
-			path: object.path,
-			content: fs.createReadStream(localPath),
-			options: {
-				ContentType: (mimeTypes.lookup(basename)) || 'application/octet-stream',
-			},
-			onProgress,
-		});
-		const objectHeaders = await s3.headObject(object.path);
+		folderDirnames.push(objectPath, ...folders.map(folder => `${objectPath}/${folder}`));
+		transfers.push(...files.map(file => ({
+			type: TRANSFER_TYPE.UPLOAD,
+			path: `${objectPath}/${file.relativePath}`,
+			localPath: file.localPath,
+			size: file.size,
+		})));
+	})));
 
-		object.size = objectHeaders.ContentLength;
-		object.lastModified = objectHeaders.LastModified;
-		await object.save();
-	} catch (error) {
-		console.log(error.message);
-		await object.destroy();
-		throw error;
-	}
+	await assertUploadPathsAvailable(transfers.map(transfer => transfer.path));
+	assertNotAborted($abortSignal);
+	await Promise.all(folderDirnames.map(folderDirname => limit(async () => {
+		createdFolders.push(...await ensureFolders(folderDirname));
+	})));
+	assertNotAborted($abortSignal);
+	await transferManager.enqueue(transfers);
 
-	return object.toJSON();
+	return {
+		folders: createdFolders.map(folder => folder.toJSON()),
+		transferCount: transfers.length,
+	};
+};
+
+exports.enqueueUploads.schema = {
+	dirname: OPTIONAL_DIRNAME_SCHEMA,
+	localPaths: {type: 'array', optional: true, items: LOCAL_PATH_SCHEMA},
 };
 
 /**
+ * The ETag of the object which the part file of the local path is written from.
+ * @param {string} localPath - The destination.
+ * @returns {string}
+ */
+function generateDownloadETagPath(localPath) {
+	return `${s3.getDownloadPartPath(localPath)}.etag`;
+}
+
+/**
+ * Files which are not finished are removed when the request is cancelled.
+ * Part files of failed downloads are kept with their ETags, the next download of the same object resumes them.
+ * Interrupted responses are resumed in the request as well, until the max attempts of the retry policy.
  * @param {IpcMainInvokeEvent} $event
+ * @param {AbortSignal} $abortSignal
  * @param {string} localPath
  * @param {string} dirname
  * @param {Array<number>} ids - Object ids
- * @param {string} onProgressChannel
+ * @param {string} onProgressChannel - Progress events of files, their total and loaded are bytes.
+ * 	Retries are retried S3 requests, an event without the file is sent for every retry.
+ * 	{total: number, loaded: number, retries: number, file: {id: number, basename: string, total: number, loaded: number}}
  * @returns {Promise<void>}
  */
-exports.downloadObjects = async ({$event, localPath, dirname, ids, onProgressChannel}) => {
+exports.downloadObjects = async ({$event, $abortSignal, localPath, dirname, ids, onProgressChannel}) => {
 	const objects = await ObjectModel.findAll({
 		where: {
+			profileId: s3.getProfileId(),
 			id: {[Op.in]: ids},
 		},
 	});
@@ -257,58 +1149,218 @@ exports.downloadObjects = async ({$event, localPath, dirname, ids, onProgressCha
 		throw new NotFoundError(`not found "${ids}"`);
 	}
 
-	const files = [];
-	const limit = pLimit(1);
-	const onProgress = onProgressChannel
-		? progress => {
-			$event.sender.send(onProgressChannel, progress);
+	const files = await findFilesOfObjects(objects);
+	const settings = await SettingsModel.findOne({where: {id: MAIN_SETTINGS_ID}});
+	const limit = pLimit(settings?.downloadConcurrency || TRANSFER_DOWNLOAD_CONCURRENCY);
+	const total = lodash.sumBy(files, file => file.size || 0);
+	const loadedFiles = {};
+	let retries = 0;
+	// Events without the file are sent for retries.
+	const sendProgress = file => {
+		if (onProgressChannel) {
+			$event.sender.send(onProgressChannel, {
+				total,
+				loaded: lodash.sum(Object.values(loadedFiles)),
+				retries,
+				file,
+			});
 		}
-		: null;
+	};
 
-	await Promise.all(objects.map(object => limit(async () => {
-		if (object.type === OBJECT_TYPE.FILE) {
-			files.push(object);
-			return;
+	const downloadFile = async (file, attempts = 1) => {
+		const filePath = generateLocalPath({localPath, dirname, objectPath: file.path});
+		const partPath = s3.getDownloadPartPath(filePath);
+		const etagPath = generateDownloadETagPath(filePath);
+		let startLoaded = null;
+		let loaded = 0;
+
+		assertNotAborted($abortSignal);
+		await fs.promises.mkdir(path.dirname(filePath), {recursive: true});
+
+		const headers = await s3.headObject(file.path, {abortSignal: $abortSignal, ChecksumMode: 'ENABLED'});
+		const partETag = await fs.promises.readFile(etagPath, 'utf8').catch(() => null);
+
+		if (partETag !== headers.ETag) {
+			// The part file was written from another version of the object, or it is unknown.
+			await fs.promises.rm(partPath, {force: true});
+			await fs.promises.writeFile(etagPath, headers.ETag);
 		}
 
-		const deepFiles = await ObjectModel.findAll({
-			where: {
-				path: {[Op.like]: utils.generateLikeSyntax(object.path, {start: ''})},
-				type: OBJECT_TYPE.FILE,
-			},
-		});
+		try {
+			await s3.downloadObject({
+				path: file.path,
+				localPath: filePath,
+				headers,
+				abortSignal: $abortSignal,
+				onProgress(progress) {
+					startLoaded = startLoaded ?? progress.loaded;
+					loaded = progress.loaded;
+					loadedFiles[file.id] = progress.loaded;
+					sendProgress({
+						id: file.id,
+						basename: file.basename,
+						total: progress.total,
+						loaded: progress.loaded,
+					});
+				},
+			});
+		} catch (error) {
+			if ($abortSignal?.aborted) {
+				await Promise.all([partPath, etagPath].map(leftPath => fs.promises.rm(leftPath, {force: true})));
+				throw error;
+			}
 
-		files.push(...deepFiles);
-	})));
+			// Requests are retried by the client, only the response which was interrupted after some bytes is resumed here.
+			if (loaded > startLoaded && retryPolicy.isRetryable(error) && attempts < retryPolicy.getMaxAttempts()) {
+				await retryPolicy.waitForRetry(error, attempts);
+				return downloadFile(file, attempts + 1);
+			}
 
-	await Promise.all(files.map((file, index) => limit(async () => {
-		const result = await s3.getObject(file.path);
-		const total = result.ContentLength;
-		let loaded = 0;
-		const writeStream = fs.createWriteStream(
-			path.join(localPath, ...file.path.replace(dirname, '').split(path.sep)),
-		);
+			throw error;
+		}
 
-		result.Body.pipe(writeStream);
-		result.Body.on('data', chunk => {
-			loaded += chunk.length;
+		await fs.promises.rm(etagPath, {force: true});
+	};
 
-			if (onProgress) {
-				const rate = 1 / files.length;
+	await retryPolicy.runWithRetryListener(
+		() => {
+			retries += 1;
+			sendProgress();
+		},
+		() => Promise.all(files.map(file => limit(() => downloadFile(file)))),
+	);
+};
 
-				onProgress({
-					basename: file.basename,
-					total: 100,
-					loaded: parseInt((index * rate * 100) + (loaded / total * rate * 100), 10),
-				});
-			}
-		});
+exports.downloadObjects.schema = {
+	localPath: LOCAL_PATH_SCHEMA,
+	dirname: objectSchema.dirname,
+	ids: IDS_SCHEMA,
+	onProgressChannel: ON_PROGRESS_CHANNEL_SCHEMA,
+};
 
-		return new Promise((resolve, reject) => {
-			result.Body.on('error', reject);
-			result.Body.on('end', resolve);
-		});
+/**
+ * Queue downloads of objects into the local folder.
+ * Selected folders are created right away to keep empty ones.
+ * @param {string} localPath - The local folder.
+ * @param {string} dirname
+ * @param {Array<number>} ids - Object ids
+ * @returns {Promise<{transferCount: number}>} The number of queued files.
+ */
+exports.enqueueDownloads = async ({localPath, dirname, ids} = {}) => {
+	const objects = await findObjectsByIds(ids);
+	const files = await findFilesOfObjects(objects);
+	const folders = excludeNestedObjects(objects).filter(object => object.type === OBJECT_TYPE.FOLDER);
+
+	await Promise.all(folders.map(folder => fs.promises.mkdir(
+		generateLocalPath({localPath, dirname, objectPath: folder.path}),
+		{recursive: true},
+	)));
+	await transferManager.enqueue(files.map(file => ({
+		type: TRANSFER_TYPE.DOWNLOAD,
+		path: file.path,
+		localPath: generateLocalPath({localPath, dirname, objectPath: file.path}),
+		size: file.size,
 	})));
+
+	return {transferCount: files.length};
+};
+
+exports.enqueueDownloads.schema = {
+	localPath: LOCAL_PATH_SCHEMA,
+	dirname: objectSchema.dirname,
+	ids: IDS_SCHEMA,
+};
+
+/**
+ * @param {string} dirname
+ * @param {Array<number>} ids
+ * @returns {string} The key of the dragged objects, it doesn't depend on the order of ids.
+ */
+function generateDragKey(dirname, ids) {
+	return `${dirname}:${[...ids].sort((a, b) => a - b).join(',')}`;
+}
+
+/**
+ * Download objects into a temporary folder, so they are dragged out of the window by `startDragObjects` later.
+ * The native drag must start while the mouse button is pressed, it can't wait for downloads.
+ * @param {IpcMainInvokeEvent} $event
+ * @param {AbortSignal} $abortSignal
+ * @param {string} dirname
+ * @param {Array<number>} ids - Object ids
+ * @param {string} onProgressChannel
+ * @returns {Promise<null>}
+ */
+exports.prepareDragObjects = async ({$event, $abortSignal, dirname, ids, onProgressChannel}) => {
+	const objects = await findObjectsByIds(ids);
+	const key = generateDragKey(dirname, ids);
+	const localPath = !preparedDrag?.localPaths && preparedDrag?.key === key
+		? preparedDrag.localPath
+		: await fs.promises.mkdtemp(path.join(os.tmpdir(), DRAG_TEMP_DIRECTORY_PREFIX));
+
+	if (preparedDrag && preparedDrag.localPath !== localPath) {
+		fs.rm(preparedDrag.localPath, {recursive: true, force: true}, () => {});
+	}
+
+	preparedDrag = {key, localPath};
+
+	try {
+		await exports.downloadObjects({$event, $abortSignal, localPath, dirname, ids, onProgressChannel});
+
+		const topObjects = excludeNestedObjects(objects);
+		const localPaths = topObjects.map(object => generateLocalPath({localPath, dirname, objectPath: object.path}));
+
+		// Empty folders have nothing downloaded.
+		await Promise.all(topObjects.map((object, index) =>
+			object.type === OBJECT_TYPE.FOLDER ? fs.promises.mkdir(localPaths[index], {recursive: true}) : null,
+		));
+		preparedDrag = {
+			key,
+			localPath,
+			localPaths,
+			icon: await app.getFileIcon(localPaths[0]),
+		};
+	} catch (error) {
+		if ($abortSignal?.aborted && preparedDrag?.localPath === localPath) {
+			fs.rm(localPath, {recursive: true, force: true}, () => {});
+			preparedDrag = null;
+		}
+
+		throw error;
+	}
+
+	return null;
+};
+
+exports.prepareDragObjects.schema = {
+	dirname: objectSchema.dirname,
+	ids: IDS_SCHEMA,
+	onProgressChannel: ON_PROGRESS_CHANNEL_SCHEMA,
+};
+
+/**
+ * Start dragging prepared objects out of the window, the operating system copies them to the drop location.
+ * It is called on dragstart and starts the drag without waiting for anything.
+ * @param {IpcMainInvokeEvent} $event
+ * @param {string} dirname
+ * @param {Array<number>} ids - Object ids
+ * @returns {null}
+ */
+exports.startDragObjects = ({$event, dirname, ids}) => {
+	if (!preparedDrag?.localPaths || preparedDrag.key !== generateDragKey(dirname, ids)) {
+		throw new BadRequestError('the objects are not prepared for dragging');
+	}
+
+	$event.sender.startDrag({
+		file: preparedDrag.localPaths[0],
+		files: preparedDrag.localPaths,
+		icon: preparedDrag.icon,
+	});
+	return null;
+};
+
+exports.startDragObjects.schema = {
+	dirname: objectSchema.dirname,
+	ids: IDS_SCHEMA,
 };
 
 /**
@@ -321,6 +1373,7 @@ exports.deleteObjects = async ({ids} = {}) => {
 	const folders = [];
 	const objects = await ObjectModel.findAll({
 		where: {
+			profileId: s3.getProfileId(),
 			id: {[Op.in]: ids},
 		},
 	});
@@ -342,12 +1395,14 @@ exports.deleteObjects = async ({ids} = {}) => {
 			const [deepFiles, deepFolders] = await Promise.all([
 				ObjectModel.findAll({
 					where: {
+						profileId: object.profileId,
 						type: OBJECT_TYPE.FILE,
 						path: {[Op.like]: utils.generateLikeSyntax(object.path, {start: ''})},
 					},
 				}),
 				ObjectModel.findAll({
 					where: {
+						profileId: object.profileId,
 						type: OBJECT_TYPE.FOLDER,
 						path: {[Op.like]: utils.generateLikeSyntax(object.path, {start: ''})},
 					},
@@ -383,3 +1438,143 @@ exports.deleteObjects = async ({ids} = {}) => {
 
 	return null;
 };
+
+exports.deleteObjects.schema = {
+	ids: IDS_SCHEMA,
+};
+
+/**
+ * @param {number} id
+ * @param {string} basename
+ * @returns {Promise<ObjectModel>}
+ */
+exports.renameObject = async ({id, basename} = {}) => {
+	const object = await ObjectModel.findOne({where: {profileId: s3.getProfileId(), id}});
+
+	if (!object) {
+		throw new NotFoundError();
+	}
+
+	const nextPath = generateObjectPath({type: object.type, dirname: object.dirname, basename});
+
+	if (nextPath !== object.path) {
+		await moveObjectsToPaths([{object, path: nextPath}]);
+	}
+
+	return object.toJSON();
+};
+
+exports.renameObject.schema = {
+	...generateIdSchema(),
+	basename: objectSchema.basename,
+};
+
+/**
+ * @param {Array<number>} ids
+ * @param {string} dirname - The destination folder.
+ * @returns {Promise<null>}
+ */
+exports.moveObjects = async ({ids, dirname = ''} = {}) => {
+	const objects = await findObjectsByIds(ids);
+
+	await assertFolderExists(dirname);
+	objects.forEach(object => {
+		if (object.type === OBJECT_TYPE.FOLDER && `${dirname}/`.startsWith(object.path)) {
+			throw new BadRequestError(`can't move "${object.path}" into itself`);
+		}
+	});
+
+	await moveObjectsToPaths(
+		excludeNestedObjects(objects)
+			.filter(object => object.dirname !== dirname)
+			.map(object => ({
+				object,
+				path: generateObjectPath({type: object.type, dirname, basename: object.basename}),
+			})),
+	);
+
+	return null;
+};
+
+exports.moveObjects.schema = {
+	ids: IDS_SCHEMA,
+	dirname: OPTIONAL_DIRNAME_SCHEMA,
+};
+
+/**
+ * Duplicate objects into the dirname on the server side, folders are copied recursively.
+ * @param {IpcMainInvokeEvent} $event
+ * @param {Array<number>} ids
+ * @param {string} dirname - The destination folder.
+ * @param {string} basename - The new name, only available when copying a single object.
+ * @param {string} onProgressChannel
+ * @returns {Promise<Array<ObjectModel>>} The created objects.
+ */
+exports.copyObjects = async ({$event, ids, dirname = '', basename, onProgressChannel} = {}) => {
+	const objects = await findObjectsByIds(ids);
+
+	if (basename && objects.length !== 1) {
+		throw new BadRequestError('basename is only available when copying a single object');
+	}
+
+	await assertFolderExists(dirname);
+	objects.forEach(object => {
+		if (object.type === OBJECT_TYPE.FOLDER && `${dirname}/`.startsWith(object.path)) {
+			throw new BadRequestError(`can't copy "${object.path}" into itself`);
+		}
+	});
+
+	const entries = await expandObjectTargets(
+		excludeNestedObjects(objects).map(object => ({
+			object,
+			path: generateObjectPath({type: object.type, dirname, basename: basename || object.basename}),
+		})),
+	);
+	const total = lodash.sumBy(entries, ({object}) => object.size || 0);
+	const loadedMap = {};
+	const onProgress = onProgressChannel
+		? progress => {
+			loadedMap[progress.Key] = progress.loaded;
+			$event.sender.send(onProgressChannel, {
+				basename: path.basename(progress.Key),
+				total,
+				loaded: lodash.sum(Object.values(loadedMap)),
+			});
+		}
+		: null;
+
+	const results = await copyEntriesOnS3(entries, {onProgress});
+	const failures = [];
+	const copiedEntries = [];
+
+	results.forEach((result, index) => {
+		if (result.status === 'rejected') {
+			failures.push({path: entries[index].object.path, message: result.reason?.message});
+		} else {
+			copiedEntries.push({...entries[index], storageClass: result.value});
+		}
+	});
+
+	// Copies which succeeded exist on S3 even when others failed, so they are indexed anyway.
+	const copies = await ObjectModel.bulkCreate(copiedEntries.map(({object, path, storageClass}) => ({
+		profileId: object.profileId,
+		type: object.type,
+		path,
+		...(object.type === OBJECT_TYPE.FILE
+			? {size: object.size, storageClass, lastModified: new Date()}
+			: undefined),
+	})));
+
+	if (failures.length) {
+		throw generatePartialFailureError('copy', failures);
+	}
+
+	return copies.map(copy => copy.toJSON());
+};
+
+exports.copyObjects.schema = {
+	ids: IDS_SCHEMA,
+	dirname: OPTIONAL_DIRNAME_SCHEMA,
+	basename: {...objectSchema.basename, optional: true},
+	onProgressChannel: ON_PROGRESS_CHANNEL_SCHEMA,
+};
@@ -0,0 +1,476 @@
+const {Op, UniqueConstraintError} = require('sequelize');
+const {
+	loadSharedConfigFiles,
+} = require('@aws-sdk/shared-ini-file-loader');
+const CREDENTIAL_SOURCE = require('../../../shared/constants/credential-source');
+const LISTING_MODE = require('../../../shared/constants/listing-mode');
+const PROFILE_CAPABILITY = require('../../../shared/constants/profile-capability');
+const TRANSFER_STATE = require('../../../shared/constants/transfer-state');
+const {
+	MAIN_SETTINGS_ID,
+} = require('../../../shared/constants/settings');
+const {BadRequestError, ConflictError, NotFoundError} = require('../../../shared/errors');
+const profileSchema = require('../../../shared/validation/model-schemas/profile');
+const {generateIdSchema} = require('../../../shared/validation/schema-generators');
+const ObjectModel = require('../../models/data/object-model');
+const ProfileModel = require('../../models/data/profile-model');
+const SettingsModel = require('../../models/data/settings-model');
+const StagedObjectModel = require('../../models/data/staged-object-model');
+const TransferModel = require('../../models/data/transfer-model');
+const mfaPrompt = require('../../common/mfa-prompt');
+const s3 = require('../../common/s3');
+const secretStore = require('../../common/secret-store');
+const transferManager = require('../../common/transfer-manager');
+
+/**
+ * Fields of the profile form which depend on the credential source or the role may be empty.
+ * @param {Object} schema
+ * @returns {Object}
+ */
+function makeOptionalSchema(schema) {
+	return {...schema, optional: true, nullable: true, empty: true};
+}
+
+// Fields of the credentials and the assumed role, handlers check which ones the credential source needs.
+const CREDENTIALS_SCHEMA = {
+	credentialSource: {...profileSchema.credentialSource, optional: true},
+	awsProfile: makeOptionalSchema(profileSchema.awsProfile),
+	accessKeyId: makeOptionalSchema(profileSchema.accessKeyId),
+	secretAccessKey: makeOptionalSchema(profileSchema.secretAccessKey),
+	roleArn: makeOptionalSchema(profileSchema.roleArn),
+	externalId: makeOptionalSchema(profileSchema.externalId),
+	mfaSerial: makeOptionalSchema(profileSchema.mfaSerial),
+	stsEndpoint: makeOptionalSchema(profileSchema.stsEndpoint),
+};
+const PROFILE_SCHEMA = {
+	name: profileSchema.name,
+	...CREDENTIALS_SCHEMA,
+	isSecretPersisted: {...profileSchema.isSecretPersisted, optional: true},
+	region: profileSchema.region,
+	bucket: profileSchema.bucket,
+	endpoint: makeOptionalSchema(profileSchema.endpoint),
+	listingMode: {...profileSchema.listingMode, optional: true},
+	capabilities: {
+		type: 'object',
+		optional: true,
+		nullable: true,
+		strict: 'remove',
+		props: Object.fromEntries(Object.values(PROFILE_CAPABILITY).map(capability => [
+			capability,
+			{type: 'boolean', optional: true, nullable: true},
+		])),
+	},
+};
+
+/**
+ * @param {number} id
+ * @returns {Promise<ProfileModel>}
+ */
+async function findProfile(id) {
+	const profile = await ProfileModel.findOne({where: {id}});
+
+	if (!profile) {
+		throw new NotFoundError(`not found profile "${id}"`);
+	}
+
+	return profile;
+}
+
+/**
+ * Save the profile, throw ConflictError when its name is used by another profile.
+ * @param {ProfileModel} profile
+ * @returns {Promise<void>}
+ */
+async function saveProfile(profile) {
+	try {
+		await profile.save();
+	} catch (error) {
+		if (error instanceof UniqueConstraintError) {
+			throw new ConflictError(`profile "${profile.name}" already exists`);
+		}
+
+		throw error;
+	}
+}
+
+/**
+ * @param {number|null} profileId
+ * @returns {Promise<void>}
+ */
+async function updateCurrentProfileId(profileId) {
+	await SettingsModel.upsert(
+		{
+			id: MAIN_SETTINGS_ID,
+			profileId,
+		},
+		{
+			updateOnDuplicate: [
+				'profileId',
+				'updatedAt',
+			],
+		},
+	);
+}
+
+/**
+ * Values of the credentials to save.
+ * The secret isn't saved when the profile doesn't persist it, the secret store keeps it until the app quits.
+ * @param {string} credentialSource - CREDENTIAL_SOURCE, static keys by default.
+ * @param {string} awsProfile
+ * @param {string} accessKeyId
+ * @param {string|null} secretAccessKey
+ * @param {boolean} isSecretPersisted
+ * @returns {Object}
+ */
+function generateCredentialValues({credentialSource, awsProfile, accessKeyId, secretAccessKey, isSecretPersisted}) {
+	if (credentialSource === CREDENTIAL_SOURCE.AWS_PROFILE) {
+		return {
+			credentialSource,
+			awsProfile,
+			accessKeyId: null,
+			isSecretPersisted: true,
+			secretAccessKey: null,
+		};
+	}
+
+	return {
+		credentialSource: CREDENTIAL_SOURCE.STATIC_KEYS,
+		awsProfile: null,
+		accessKeyId,
+		isSecretPersisted,
+		secretAccessKey: isSecretPersisted ? secretAccessKey : null,
+	};
+}
+
+/**
+ * Values of the assumed role, the external id, the MFA serial and the STS endpoint are only used with the role ARN.
+ * @param {string} roleArn
+ * @param {string} externalId
+ * @param {string} mfaSerial
+ * @param {string} stsEndpoint
+ * @returns {{roleArn: (string|null), externalId: (string|null), mfaSerial: (string|null), stsEndpoint: (string|null)}}
+ */
+function generateRoleValues({roleArn, externalId, mfaSerial, stsEndpoint}) {
+	return {
+		roleArn: roleArn || null,
+		externalId: (roleArn && externalId) || null,
+		mfaSerial: (roleArn && mfaSerial) || null,
+		stsEndpoint: (roleArn && stsEndpoint) || null,
+	};
+}
+
+/**
+ * Fill the secret from the saved profile when it is empty, the profile form doesn't show the saved one.
+ * @param {number} [id]
+ * @param {string} credentialSource - CREDENTIAL_SOURCE
+ * @param {string} awsProfile
+ * @param {string} accessKeyId
+ * @param {string} secretAccessKey
+ * @returns {Promise<{credentialSource: string, awsProfile: string, accessKeyId: string, secretAccessKey: string}>}
+ */
+async function resolveCredentials({id, credentialSource, awsProfile, accessKeyId, secretAccessKey}) {
+	if (credentialSource === CREDENTIAL_SOURCE.AWS_PROFILE) {
+		if (!awsProfile) {
+			throw new BadRequestError('the AWS profile is required');
+		}
+
+		return {credentialSource, awsProfile};
+	}
+
+	if (!secretAccessKey && id != null) {
+		const profile = await findProfile(id);
+
+		secretAccessKey = profile.secretAccessKey;
+	}
+
+	if (!accessKeyId || !secretAccessKey) {
+		throw new BadRequestError('the access key id and the secret access key are required');
+	}
+
+	return {credentialSource: CREDENTIAL_SOURCE.STATIC_KEYS, accessKeyId, secretAccessKey};
+}
+
+/**
+ * @returns {Promise<Array<ProfileModel>>}
+ */
+exports.getProfiles = async () => {
+	const profiles = await ProfileModel.findAll({order: [['name', 'ASC']]});
+
+	return profiles.map(profile => profile.toJSON());
+};
+
+exports.getProfiles.schema = {};
+
+/**
+ * Profiles of the AWS shared config and credentials files, the region is from the config file.
+ * @returns {Promise<Array<{name: string, region: (string|null)}>>}
+ */
+exports.getAwsProfiles = async () => {
+	const {configFile, credentialsFile} = await loadSharedConfigFiles();
+	const names = new Set([...Object.keys(credentialsFile), ...Object.keys(configFile)]);
+
+	return [...names].sort().map(name => ({
+		name,
+		region: configFile[name]?.region || null,
+	}));
+};
+
+exports.getAwsProfiles.schema = {};
+
+/**
+ * @param {string} name
+ * @param {string} credentialSource - CREDENTIAL_SOURCE, static keys by default.
+ * @param {string} awsProfile - The AWS profile name when the credential source is the AWS profile.
+ * @param {string} accessKeyId
+ * @param {string} secretAccessKey
+ * @param {boolean} [isSecretPersisted] - Keep the secret in memory only when it is false.
+ * @param {string} [roleArn] - Assume this role with the credentials.
+ * @param {string} [externalId]
+ * @param {string} [mfaSerial] - Ask the MFA token code when the role is assumed.
+ * @param {string} [stsEndpoint] - Assume the role on this endpoint instead of the regional STS endpoint.
+ * @param {string} region
+ * @param {string} bucket
+ * @param {string} endpoint
+ * @param {string} [listingMode] - LISTING_MODE, the local index by default.
+ * @param {Object<string, boolean|null>} [capabilities] - The capabilities of the connection test.
+ * @returns {Promise<ProfileModel>}
+ */
+exports.createProfile = async ({
+	name, credentialSource, awsProfile, accessKeyId, secretAccessKey, isSecretPersisted = true,
+	roleArn, externalId, mfaSerial, stsEndpoint, region, bucket, endpoint, listingMode = LISTING_MODE.INDEX, capabilities,
+} = {}) => {
+	const profile = new ProfileModel({
+		name,
+		...generateCredentialValues({credentialSource, awsProfile, accessKeyId, secretAccessKey, isSecretPersisted}),
+		...generateRoleValues({roleArn, externalId, mfaSerial, stsEndpoint}),
+		region,
+		bucket,
+		endpoint,
+		listingMode,
+		capabilities: capabilities || null,
+	});
+
+	await saveProfile(profile);
+	secretStore.setSessionSecret(profile.id, profile.isSecretPersisted ? null : secretAccessKey);
+	return profile.toJSON();
+};
+
+exports.createProfile.schema = PROFILE_SCHEMA;
+
+/**
+ * Objects cached from the previous bucket are removed when the bucket or the endpoint is changed,
+ * it is refused while the profile has pending transfers because they would be resumed with the new bucket.
+ * @param {number} id
+ * @param {string} name
+ * @param {string} credentialSource - CREDENTIAL_SOURCE, static keys by default.
+ * @param {string} awsProfile
+ * @param {string} accessKeyId
+ * @param {string} secretAccessKey - Keep the current one when it is empty.
+ * @param {boolean} [isSecretPersisted] - Keep the secret in memory only when it is false, the current value by default.
+ * @param {string} [roleArn]
+ * @param {string} [externalId]
+ * @param {string} [mfaSerial]
+ * @param {string} [stsEndpoint]
+ * @param {string} region
+ * @param {string} bucket
+ * @param {string} endpoint
+ * @param {string} [listingMode] - LISTING_MODE, the local index by default.
+ * @param {Object<string, boolean|null>} [capabilities] - The capabilities of the connection test.
+ * @returns {Promise<ProfileModel>}
+ */
+exports.updateProfile = async ({
+	id, name, credentialSource, awsProfile, accessKeyId, secretAccessKey, isSecretPersisted,
+	roleArn, externalId, mfaSerial, stsEndpoint, region, bucket, endpoint, listingMode = LISTING_MODE.INDEX, capabilities,
+} = {}) => {
+	const profile = await findProfile(id);
+	const secret = secretAccessKey || profile.secretAccessKey;
+
+	if (credentialSource !== CREDENTIAL_SOURCE.AWS_PROFILE && !secret) {
+		throw new BadRequestError('the secret access key is required');
+	}
+
+	Object.assign(profile, {
+		name,
+		...generateCredentialValues({
+			credentialSource,
+			awsProfile,
+			accessKeyId,
+			secretAccessKey: secret,
+			isSecretPersisted: isSecretPersisted ?? profile.isSecretPersisted,
+		}),
+		...generateRoleValues({roleArn, externalId, mfaSerial, stsEndpoint}),
+		region,
+		bucket,
+		endpoint,
+		listingMode,
+		capabilities: capabilities || null,
+	});
+
+	const isBucketChanged = profile.changed('bucket') || profile.changed('endpoint');
+
+	if (isBucketChanged) {
+		const pendingTransferCount = await TransferModel.count({
+			where: {
+				profileId: profile.id,
+				state: {[Op.in]: [TRANSFER_STATE.QUEUED, TRANSFER_STATE.RUNNING, TRANSFER_STATE.PAUSED, TRANSFER_STATE.FAILED]},
+			},
+		});
+
+		if (pendingTransferCount > 0) {
+			throw new ConflictError('cancel transfers of the profile before changing its bucket');
+		}
+
+		Object.assign(profile, {lastSyncedAt: null, lastSyncResult: null});
+	}
+
+	await saveProfile(profile);
+	secretStore.setSessionSecret(profile.id, profile.isSecretPersisted ? null : secret);
+
+	if (isBucketChanged) {
+		await ObjectModel.destroy({where: {profileId: profile.id}});
+	}
+
+	if (s3.getProfileId() === profile.id) {
+		await transferManager.updateProfile(profile);
+	}
+
+	return profile.toJSON();
+};
+
+exports.updateProfile.schema = {
+	...generateIdSchema(),
+	...PROFILE_SCHEMA,
+};
+
+/**
+ * List buckets available to the credentials of the profile form.
+ * @param {number} [id] - Use the secret of this profile when the secret is empty.
+ * @param {string} credentialSource - CREDENTIAL_SOURCE
+ * @param {string} awsProfile
+ * @param {string} accessKeyId
+ * @param {string} secretAccessKey
+ * @param {string} [roleArn]
+ * @param {string} [externalId]
+ * @param {string} [mfaSerial]
+ * @param {string} [stsEndpoint]
+ * @param {string} region
+ * @param {string} endpoint
+ * @returns {Promise<Array<{name: string, region: (string|null), createdAt: Date}>>}
+ */
+exports.listBuckets = async ({
+	id, credentialSource, awsProfile, accessKeyId, secretAccessKey, roleArn, externalId, mfaSerial, stsEndpoint, region, endpoint,
+} = {}) => {
+	const credentials = await resolveCredentials({id, credentialSource, awsProfile, accessKeyId, secretAccessKey});
+
+	return s3.listBuckets({
+		...credentials,
+		...generateRoleValues({roleArn, externalId, mfaSerial, stsEndpoint}),
+		region,
+		endpoint,
+	});
+};
+
+exports.listBuckets.schema = {
+	id: {...generateIdSchema().id, optional: true},
+	...CREDENTIALS_SCHEMA,
+	region: makeOptionalSchema(profileSchema.region),
+	endpoint: makeOptionalSchema(profileSchema.endpoint),
+};
+
+/**
+ * Test the connection of the profile form and which operations its credentials can do.
+ * @param {number} [id] - Use the secret of this profile when the secret is empty.
+ * @param {string} credentialSource - CREDENTIAL_SOURCE
+ * @param {string} awsProfile
+ * @param {string} accessKeyId
+ * @param {string} secretAccessKey
+ * @param {string} [roleArn]
+ * @param {string} [externalId]
+ * @param {string} [mfaSerial]
+ * @param {string} [stsEndpoint]
+ * @param {string} region
+ * @param {string} bucket
+ * @param {string} endpoint
+ * @returns {Promise<{isReachable, isAuthenticated, isBucketFound, capabilities, error}>}
+ */
+exports.testConnection = async ({
+	id, credentialSource, awsProfile, accessKeyId, secretAccessKey, roleArn, externalId, mfaSerial, stsEndpoint, region, bucket, endpoint,
+} = {}) => {
+	const credentials = await resolveCredentials({id, credentialSource, awsProfile, accessKeyId, secretAccessKey});
+
+	if (!region || !bucket) {
+		throw new BadRequestError('the region and the bucket are required');
+	}
+
+	return s3.testConnection({
+		...credentials,
+		...generateRoleValues({roleArn, externalId, mfaSerial, stsEndpoint}),
+		region,
+		bucket,
+		endpoint,
+	});
+};
+
+exports.testConnection.schema = {
+	id: {...generateIdSchema().id, optional: true},
+	...CREDENTIALS_SCHEMA,
+	region: makeOptionalSchema(profileSchema.region),
+	bucket: makeOptionalSchema(profileSchema.bucket),
+	endpoint: makeOptionalSchema(profileSchema.endpoint),
+};
+
+/**
+ * Answer the MFA prompt of the assumed role, an empty token code cancels it.
+ * @param {string} id
+ * @param {string|null} tokenCode
+ * @returns {Promise<null>}
+ */
+exports.answerMfaPrompt = async ({id, tokenCode} = {}) => {
+	mfaPrompt.answer({id, tokenCode});
+	return null;
+};
+
+exports.answerMfaPrompt.schema = {
+	id: {type: 'string', empty: false},
+	tokenCode: {type: 'string', optional: true, nullable: true},
+};
+
+/**
+ * Remove the profile with its objects, staged objects of syncs and transfers.
+ * @param {number} id
+ * @returns {Promise<null>}
+ */
+exports.deleteProfile = async ({id} = {}) => {
+	const profile = await findProfile(id);
+
+	if (s3.getProfileId() === profile.id) {
+		await transferManager.updateProfile(null);
+		await updateCurrentProfileId(null);
+	}
+
+	await Promise.all([
+		ObjectModel.destroy({where: {profileId: profile.id}}),
+		StagedObjectModel.destroy({where: {profileId: profile.id}}),
+		TransferModel.destroy({where: {profileId: profile.id}}),
+	]);
+	await profile.destroy();
+	secretStore.setSessionSecret(profile.id, null);
+	return null;
+};
+
+exports.deleteProfile.schema = generateIdSchema();
+
+/**
+ * Use the profile for S3 requests, objects and transfers.
+ * @param {number} id
+ * @returns {Promise<ProfileModel>}
+ */
+exports.switchProfile = async ({id} = {}) => {
+	const profile = await findProfile(id);
+
+	await updateCurrentProfileId(profile.id);
+	await transferManager.updateProfile(profile);
+	return profile.toJSON();
+};
+
+exports.switchProfile.schema = generateIdSchema();
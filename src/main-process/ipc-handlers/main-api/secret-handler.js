@@ -0,0 +1,43 @@
+const SECRET_PROTECTION = require('../../../shared/constants/secret-protection');
+const {
+	unlockSecretsFormSchema,
+	masterPasswordFormSchema,
+} = require('../../../shared/validation/form-schemas/secret');
+const secretStore = require('../../common/secret-store');
+
+/**
+ * @returns {Promise<{protection: (string|null), isUnlocked: boolean, isSafeStorageAvailable: boolean}>}
+ */
+exports.getSecretStatus = () => secretStore.getStatus();
+
+exports.getSecretStatus.schema = {};
+
+/**
+ * Unlock secrets of profiles with the master password, transfers start after that.
+ * @param {string} password
+ * @returns {Promise<{protection: (string|null), isUnlocked: boolean, isSafeStorageAvailable: boolean}>}
+ */
+exports.unlockSecrets = async ({password} = {}) => {
+	await secretStore.unlock(password);
+	return secretStore.getStatus();
+};
+
+exports.unlockSecrets.schema = {
+	password: {...unlockSecretsFormSchema.password, optional: true},
+};
+
+/**
+ * Protect secrets with the secret store of the OS or the master password.
+ * @param {string} protection - SECRET_PROTECTION
+ * @param {string} [password] - The master password.
+ * @returns {Promise<{protection: (string|null), isUnlocked: boolean, isSafeStorageAvailable: boolean}>}
+ */
+exports.updateSecretProtection = async ({protection, password} = {}) => {
+	await secretStore.updateProtection({protection, password});
+	return secretStore.getStatus();
+};
+
+exports.updateSecretProtection.schema = {
+	protection: {type: 'enum', values: Object.values(SECRET_PROTECTION)},
+	password: {...masterPasswordFormSchema.password, optional: true},
+};
@@ -1,11 +1,29 @@
+const lodash = require('lodash');
 const {
 	MAIN_SETTINGS_ID,
 } = require('../../../shared/constants/settings');
+const {BadRequestError} = require('../../../shared/errors');
+const settingsSchema = require('../../../shared/validation/model-schemas/settings');
+const ProfileModel = require('../../models/data/profile-model');
 const SettingsModel = require('../../models/data/settings-model');
+const retryPolicy = require('../../common/retry-policy');
 const s3 = require('../../common/s3');
+const transferManager = require('../../common/transfer-manager');
 
 /**
- * @returns {Promise<null|SettingsModel>}
+ * Record the last sync of the profile.
+ * @param {number} profileId
+ * @param {{pageCount: number, objectCount: number, byteCount: number, elapsed: number, error: (string|null)}} result
+ * @returns {Promise<void>}
+ */
+async function recordSyncResult(profileId, result) {
+	const profile = await ProfileModel.findOne({where: {id: profileId}});
+
+	await profile?.update({lastSyncedAt: new Date(), lastSyncResult: result});
+}
+
+/**
+ * @returns {Promise<null|SettingsModel>} The profile in use is "profileId".
  */
 exports.getSettings = async () => {
 	const settings = await SettingsModel.findOne({where: {id: MAIN_SETTINGS_ID}});
@@ -17,31 +35,30 @@ exports.getSettings = async () => {
 	return settings.toJSON();
 };
 
+exports.getSettings.schema = {};
+
 /**
- * @param {string} accessKeyId
- * @param {string} secretAccessKey
- * @param {string} region
- * @param {string} bucket
+ * Update the download concurrency and the retry policy of S3 requests, omitted fields of the retry policy are kept.
+ * @param {number} downloadConcurrency
+ * @param {number} [retryMaxAttempts]
+ * @param {number} [retryBaseDelay] - Milliseconds.
+ * @param {number} [retryJitter] - The random percentage of the delay.
  * @returns {Promise<SettingsModel>}
  */
-exports.updateS3Settings = async ({accessKeyId, secretAccessKey, region, bucket, endpoint} = {}) => {
+exports.updateTransferSettings = async ({downloadConcurrency, retryMaxAttempts, retryBaseDelay, retryJitter} = {}) => {
+	const values = lodash.omitBy(
+		{downloadConcurrency, retryMaxAttempts, retryBaseDelay, retryJitter},
+		value => value === undefined,
+	);
+
 	await SettingsModel.upsert(
 		{
+			...values,
 			id: MAIN_SETTINGS_ID,
-			accessKeyId,
-			region,
-			bucket,
-			...(secretAccessKey ? {secretAccessKey} : {}),
-			endpoint,
 		},
 		{
 			updateOnDuplicate: [
-				'accessKeyId',
-				'secretAccessKey',
-				'region',
-				'bucket',
-				'endpoint',
-				'cryptoIv',
+				...Object.keys(values),
 				'updatedAt',
 			],
 		},
@@ -49,11 +66,59 @@ exports.updateS3Settings = async ({accessKeyId, secretAccessKey, region, bucket,
 
 	const settings = await SettingsModel.findOne({where: {id: MAIN_SETTINGS_ID}});
 
-	s3.updateSettings(settings);
+	transferManager.updateSettings(settings);
+	retryPolicy.updatePolicy(settings);
 	return settings.toJSON();
 };
 
-exports.syncObjectsFromS3 = async () => {
-	await s3.syncObjectsFromS3();
+exports.updateTransferSettings.schema = {
+	downloadConcurrency: settingsSchema.downloadConcurrency,
+	retryMaxAttempts: {...settingsSchema.retryMaxAttempts, optional: true},
+	retryBaseDelay: {...settingsSchema.retryBaseDelay, optional: true},
+	retryJitter: {...settingsSchema.retryJitter, optional: true},
+};
+
+/**
+ * Sync objects of the profile in use, the result is recorded in the profile even when the sync fails.
+ * @param {Electron.IpcMainInvokeEvent} $event
+ * @param {AbortSignal} $abortSignal
+ * @param {string} onProgressChannel
+ * @returns {Promise<null>}
+ */
+exports.syncObjectsFromS3 = async ({$event, $abortSignal, onProgressChannel} = {}) => {
+	const profileId = s3.getProfileId();
+
+	if (profileId == null) {
+		throw new BadRequestError('no profile is in use');
+	}
+
+	const start = Date.now();
+	let progress = {pageCount: 0, objectCount: 0, byteCount: 0};
+
+	try {
+		const stats = await s3.syncObjectsFromS3({
+			abortSignal: $abortSignal,
+			onProgress(value) {
+				progress = value;
+				if (onProgressChannel) {
+					$event.sender.send(onProgressChannel, value);
+				}
+			},
+		});
+
+		await recordSyncResult(profileId, {...stats, error: null});
+	} catch (error) {
+		await recordSyncResult(profileId, {
+			...progress,
+			elapsed: Date.now() - start,
+			error: $abortSignal?.aborted ? 'the sync is cancelled' : error.message,
+		});
+		throw error;
+	}
+
 	return null;
 };
+
+exports.syncObjectsFromS3.schema = {
+	onProgressChannel: {type: 'string', optional: true},
+};
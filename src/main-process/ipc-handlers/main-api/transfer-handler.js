@@ -0,0 +1,133 @@
+const pLimit = require('p-limit');
+const {Op} = require('sequelize');
+const {
+	LOCAL_LIST_MAX_LIMIT,
+	MULTIPART_UPLOAD_STALE_AGE,
+} = require('../../../shared/constants/config');
+const TRANSFER_STATE = require('../../../shared/constants/transfer-state');
+const {
+	generateIdSchema,
+	generateCursorPaginationSchema,
+} = require('../../../shared/validation/schema-generators');
+const TransferModel = require('../../models/data/transfer-model');
+const s3 = require('../../common/s3');
+const transferManager = require('../../common/transfer-manager');
+
+const S3_REQUEST_CONCURRENCY = 4;
+
+/**
+ * Get transfers of the profile in use from the newest one.
+ * @param {integer} after
+ * @param {integer} limit
+ * @returns {Promise<{hasNextPage: boolean, items: TransferModel[]}>}
+ */
+exports.getTransfers = async ({after, limit = 50} = {}) => {
+	const transfers = await TransferModel.findAll({
+		where: {
+			profileId: s3.getProfileId(),
+			...(after ? {id: {[Op.lt]: after}} : undefined),
+		},
+		order: [['id', 'DESC']],
+		limit: limit + 1,
+	});
+
+	return {
+		hasNextPage: transfers.length > limit,
+		items: transfers.slice(0, limit).map(transferManager.serialize),
+	};
+};
+
+exports.getTransfers.schema = generateCursorPaginationSchema({maxLimit: LOCAL_LIST_MAX_LIMIT});
+
+/**
+ * @param {number} id
+ * @returns {Promise<null>}
+ */
+exports.pauseTransfer = async ({id} = {}) => {
+	await transferManager.pause(id);
+	return null;
+};
+
+exports.pauseTransfer.schema = generateIdSchema();
+
+/**
+ * @param {number} id
+ * @returns {Promise<null>}
+ */
+exports.resumeTransfer = async ({id} = {}) => {
+	await transferManager.resume(id);
+	return null;
+};
+
+exports.resumeTransfer.schema = generateIdSchema();
+
+/**
+ * @param {number} id
+ * @returns {Promise<null>}
+ */
+exports.cancelTransfer = async ({id} = {}) => {
+	await transferManager.cancel(id);
+	return null;
+};
+
+exports.cancelTransfer.schema = generateIdSchema();
+
+/**
+ * @param {number} id
+ * @returns {Promise<null>}
+ */
+exports.retryTransfer = async ({id} = {}) => {
+	await transferManager.retry(id);
+	return null;
+};
+
+exports.retryTransfer.schema = generateIdSchema();
+
+/**
+ * Remove completed and cancelled transfers of the profile in use.
+ * @returns {Promise<null>}
+ */
+exports.clearTransfers = async () => {
+	await TransferModel.destroy({
+		where: {
+			profileId: s3.getProfileId(),
+			state: {[Op.in]: [TRANSFER_STATE.COMPLETED, TRANSFER_STATE.CANCELLED]},
+		},
+	});
+	return null;
+};
+
+exports.clearTransfers.schema = {};
+
+/**
+ * Abort incomplete multipart uploads of the bucket which are not resumed by any transfer.
+ * Recent uploads are kept, they may be still running on other machines.
+ * @returns {Promise<{uploads: Array<{path: string, uploadId: string, initiated: Date}>}>} The aborted uploads.
+ */
+exports.cleanUpMultipartUploads = async () => {
+	const limit = pLimit(S3_REQUEST_CONCURRENCY);
+	const staleTime = Date.now() - MULTIPART_UPLOAD_STALE_AGE;
+	const uploads = await s3.listMultipartUploads();
+	const transfers = await TransferModel.findAll({
+		where: {uploadId: {[Op.ne]: null}},
+		attributes: ['uploadId'],
+	});
+	const resumableUploadIds = transfers.map(transfer => transfer.uploadId);
+	const staleUploads = uploads.filter(upload =>
+		!resumableUploadIds.includes(upload.UploadId) && upload.Initiated.getTime() < staleTime,
+	);
+
+	await Promise.all(staleUploads.map(upload => limit(() =>
+		s3.abortMultipartUpload({path: upload.Key, uploadId: upload.UploadId}),
+	)));
+
+	return {
+		uploads: staleUploads.map(upload => ({
+			path: upload.Key,
+			uploadId: upload.UploadId,
+			initiated: upload.Initiated,
+		})),
+	};
+};
+
+exports.cleanUpMultipartUploads.schema = {};
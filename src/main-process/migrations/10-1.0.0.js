@@ -0,0 +1,78 @@
+'use strict';
+
+const Sequelize = require('sequelize');
+
+/**
+ * Actions summary:
+ *
+ * addColumn "roleArn" to table "profiles"
+ * addColumn "externalId" to table "profiles"
+ * addColumn "mfaSerial" to table "profiles"
+ *
+ **/
+
+const info = {
+	revision: 10,
+	name: '1.0.0',
+	created: '2026-10-19T16:49:29.036Z',
+	comment: '',
+};
+
+const migrationCommands = [{
+	fn: 'addColumn',
+	params: [
+		'profiles',
+		'roleArn',
+		{
+			type: Sequelize.STRING(2048),
+			field: 'roleArn',
+			allowNull: true,
+		},
+	],
+},
+{
+	fn: 'addColumn',
+	params: [
+		'profiles',
+		'externalId',
+		{
+			type: Sequelize.STRING(1224),
+			field: 'externalId',
+			allowNull: true,
+		},
+	],
+},
+{
+	fn: 'addColumn',
+	params: [
+		'profiles',
+		'mfaSerial',
+		{
+			type: Sequelize.STRING,
+			field: 'mfaSerial',
+			allowNull: true,
+		},
+	],
+}];
+
+module.exports = {
+	pos: 0,
+	up(queryInterface, Sequelize) {
+		let index = this.pos;
+		return new Promise((resolve, reject) => {
+			function next() {
+				if (index < migrationCommands.length) {
+					const command = migrationCommands[index];
+					console.log('[#' + index + '] execute: ' + command.fn);
+					index++;
+					queryInterface[command.fn].apply(queryInterface, command.params).then(next, reject);
+				} else {
+					resolve();
+				}
+			}
+
+			next();
+		});
+	},
+	info,
+};
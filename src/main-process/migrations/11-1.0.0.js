@@ -0,0 +1,92 @@
+'use strict';
+
+const Sequelize = require('sequelize');
+
+/**
+ * Actions summary:
+ *
+ * addColumn "isSecretPersisted" to table "profiles"
+ * addColumn "secretSalt" to table "settings"
+ * addColumn "secretKey" to table "settings"
+ * addColumn "secretProtection" to table "settings"
+ *
+ **/
+
+const info = {
+	revision: 11,
+	name: '1.0.0',
+	created: '2026-10-19T16:58:16.727Z',
+	comment: '',
+};
+
+const migrationCommands = [{
+	fn: 'addColumn',
+	params: [
+		'profiles',
+		'isSecretPersisted',
+		{
+			type: Sequelize.BOOLEAN,
+			field: 'isSecretPersisted',
+			defaultValue: true,
+			allowNull: false,
+		},
+	],
+},
+{
+	fn: 'addColumn',
+	params: [
+		'settings',
+		'secretSalt',
+		{
+			type: Sequelize.STRING,
+			field: 'secretSalt',
+			allowNull: true,
+		},
+	],
+},
+{
+	fn: 'addColumn',
+	params: [
+		'settings',
+		'secretKey',
+		{
+			type: Sequelize.TEXT,
+			field: 'secretKey',
+			allowNull: true,
+		},
+	],
+},
+{
+	fn: 'addColumn',
+	params: [
+		'settings',
+		'secretProtection',
+		{
+			type: Sequelize.STRING,
+			field: 'secretProtection',
+			allowNull: true,
+		},
+	],
+}];
+
+module.exports = {
+	pos: 0,
+	up(queryInterface, Sequelize) {
+		let index = this.pos;
+		return new Promise((resolve, reject) => {
+			function next() {
+				if (index < migrationCommands.length) {
+					const command = migrationCommands[index];
+					console.log('[#' + index + '] execute: ' + command.fn);
+					index++;
+					queryInterface[command.fn].apply(queryInterface, command.params).then(next, reject);
+				} else {
+					resolve();
+				}
+			}
+
+			next();
+		});
+	},
+	info,
+};
@@ -0,0 +1,81 @@
+'use strict';
+
+const Sequelize = require('sequelize');
+
+/**
+ * Actions summary:
+ *
+ * addColumn "retryJitter" to table "settings"
+ * addColumn "retryBaseDelay" to table "settings"
+ * addColumn "retryMaxAttempts" to table "settings"
+ *
+ **/
+
+const info = {
+	revision: 12,
+	name: '1.0.0',
+	created: '2026-10-19T18:12:40.315Z',
+	comment: '',
+};
+
+const migrationCommands = [{
+	fn: 'addColumn',
+	params: [
+		'settings',
+		'retryJitter',
+		{
+			type: Sequelize.INTEGER,
+			field: 'retryJitter',
+			defaultValue: 100,
+			allowNull: false,
+		},
+	],
+},
+{
+	fn: 'addColumn',
+	params: [
+		'settings',
+		'retryBaseDelay',
+		{
+			type: Sequelize.INTEGER,
+			field: 'retryBaseDelay',
+			defaultValue: 100,
+			allowNull: false,
+		},
+	],
+},
+{
+	fn: 'addColumn',
+	params: [
+		'settings',
+		'retryMaxAttempts',
+		{
+			type: Sequelize.INTEGER,
+			field: 'retryMaxAttempts',
+			defaultValue: 3,
+			allowNull: false,
+		},
+	],
+}];
+
+module.exports = {
+	pos: 0,
+	up(queryInterface, Sequelize) {
+		let index = this.pos;
+		return new Promise((resolve, reject) => {
+			function next() {
+				if (index < migrationCommands.length) {
+					const command = migrationCommands[index];
+					console.log('[#' + index + '] execute: ' + command.fn);
+					index++;
+					queryInterface[command.fn].apply(queryInterface, command.params).then(next, reject);
+				} else {
+					resolve();
+				}
+			}
+
+			next();
+		});
+	},
+	info,
+};
@@ -0,0 +1,66 @@
+'use strict';
+
+const Sequelize = require('sequelize');
+
+/**
+ * Actions summary:
+ *
+ * addColumn "listedAt" to table "objects"
+ * addColumn "listingMode" to table "profiles"
+ *
+ **/
+
+const info = {
+	revision: 13,
+	name: '1.0.0',
+	created: '2026-10-19T20:41:07.528Z',
+	comment: '',
+};
+
+const migrationCommands = [{
+	fn: 'addColumn',
+	params: [
+		'objects',
+		'listedAt',
+		{
+			type: Sequelize.DATE,
+			field: 'listedAt',
+			allowNull: true,
+		},
+	],
+},
+{
+	fn: 'addColumn',
+	params: [
+		'profiles',
+		'listingMode',
+		{
+			type: Sequelize.STRING,
+			field: 'listingMode',
+			defaultValue: 'index',
+			allowNull: false,
+		},
+	],
+}];
+
+module.exports = {
+	pos: 0,
+	up(queryInterface, Sequelize) {
+		let index = this.pos;
+		return new Promise((resolve, reject) => {
+			function next() {
+				if (index < migrationCommands.length) {
+					const command = migrationCommands[index];
+					console.log('[#' + index + '] execute: ' + command.fn);
+					index++;
+					queryInterface[command.fn].apply(queryInterface, command.params).then(next, reject);
+				} else {
+					resolve();
+				}
+			}
+
+			next();
+		});
+	},
+	info,
+};
@@ -0,0 +1,153 @@
+'use strict';
+
+const Sequelize = require('sequelize');
+
+/**
+ * Actions summary:
+ *
+ * createTable "stagedObjects", deps: []
+ * addColumn "lastSyncResult" to table "profiles"
+ * addColumn "lastSyncedAt" to table "profiles"
+ * addIndex "staged_objects_sync_id_path" to table "stagedObjects"
+ * addIndex "staged_objects_profile_id" to table "stagedObjects"
+ *
+ **/
+
+const info = {
+	revision: 14,
+	name: '1.0.0',
+	created: '2026-10-19T21:27:53.104Z',
+	comment: '',
+};
+
+const migrationCommands = [{
+	fn: 'createTable',
+	params: [
+		'stagedObjects',
+		{
+			id: {
+				type: Sequelize.INTEGER,
+				field: 'id',
+				autoIncrement: true,
+				primaryKey: true,
+				allowNull: false,
+			},
+			syncId: {
+				type: Sequelize.STRING,
+				field: 'syncId',
+				allowNull: false,
+			},
+			profileId: {
+				type: Sequelize.INTEGER,
+				field: 'profileId',
+				allowNull: false,
+			},
+			type: {
+				type: Sequelize.TINYINT,
+				field: 'type',
+				allowNull: false,
+			},
+			path: {
+				type: Sequelize.STRING(1024),
+				field: 'path',
+				allowNull: false,
+			},
+			dirname: {
+				type: Sequelize.STRING(1024),
+				field: 'dirname',
+				allowNull: false,
+			},
+			basename: {
+				type: Sequelize.CITEXT,
+				field: 'basename',
+				allowNull: false,
+			},
+			lastModified: {
+				type: Sequelize.DATE,
+				field: 'lastModified',
+				allowNull: true,
+			},
+			size: {
+				type: Sequelize.BIGINT,
+				field: 'size',
+				allowNull: true,
+			},
+			storageClass: {
+				type: Sequelize.TINYINT,
+				field: 'storageClass',
+				allowNull: true,
+			},
+		},
+		{},
+	],
+},
+{
+	fn: 'addColumn',
+	params: [
+		'profiles',
+		'lastSyncResult',
+		{
+			type: Sequelize.TEXT,
+			field: 'lastSyncResult',
+			allowNull: true,
+		},
+	],
+},
+{
+	fn: 'addColumn',
+	params: [
+		'profiles',
+		'lastSyncedAt',
+		{
+			type: Sequelize.DATE,
+			field: 'lastSyncedAt',
+			allowNull: true,
+		},
+	],
+},
+{
+	fn: 'addIndex',
+	params: [
+		'stagedObjects',
+		['syncId', 'path'],
+		{
+			indexName: 'staged_objects_sync_id_path',
+			name: 'staged_objects_sync_id_path',
+			indicesType: 'UNIQUE',
+			type: 'UNIQUE',
+		},
+	],
+},
+{
+	fn: 'addIndex',
+	params: [
+		'stagedObjects',
+		['profileId'],
+		{
+			indexName: 'staged_objects_profile_id',
+			name: 'staged_objects_profile_id',
+		},
+	],
+}];
+
+module.exports = {
+	pos: 0,
+	up(queryInterface, Sequelize) {
+		let index = this.pos;
+		return new Promise((resolve, reject) => {
+			function next() {
+				if (index < migrationCommands.length) {
+					const command = migrationCommands[index];
+					console.log('[#' + index + '] execute: ' + command.fn);
+					index++;
+					queryInterface[command.fn].apply(queryInterface, command.params).then(next, reject);
+				} else {
+					resolve();
+				}
+			}
+
+			next();
+		});
+	},
+	info,
+};
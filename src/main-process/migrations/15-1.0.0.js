@@ -0,0 +1,52 @@
+'use strict';
+
+const Sequelize = require('sequelize');
+
+/**
+ * Actions summary:
+ *
+ * addColumn "stsEndpoint" to table "profiles"
+ *
+ **/
+
+const info = {
+	revision: 15,
+	name: '1.0.0',
+	created: '2026-10-19T18:09:33.259Z',
+	comment: '',
+};
+
+const migrationCommands = [{
+	fn: 'addColumn',
+	params: [
+		'profiles',
+		'stsEndpoint',
+		{
+			type: Sequelize.STRING,
+			field: 'stsEndpoint',
+			allowNull: true,
+		},
+	],
+}];
+
+module.exports = {
+	pos: 0,
+	up(queryInterface, Sequelize) {
+		let index = this.pos;
+		return new Promise((resolve, reject) => {
+			function next() {
+				if (index < migrationCommands.length) {
+					const command = migrationCommands[index];
+					console.log('[#' + index + '] execute: ' + command.fn);
+					index++;
+					queryInterface[command.fn].apply(queryInterface, command.params).then(next, reject);
+				} else {
+					resolve();
+				}
+			}
+
+			next();
+		});
+	},
+	info,
+};
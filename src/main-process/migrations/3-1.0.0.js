@@ -0,0 +1,137 @@
+'use strict';
+
+const Sequelize = require('sequelize');
+
+/**
+ * Actions summary:
+ *
+ * createTable "transfers", deps: []
+ * addIndex "transfers_state_next_attempt_at" to table "transfers"
+ *
+ **/
+
+const info = {
+	revision: 3,
+	name: '1.0.0',
+	created: '2026-10-19T16:07:20.431Z',
+	comment: '',
+};
+
+const migrationCommands = [{
+	fn: 'createTable',
+	params: [
+		'transfers',
+		{
+			id: {
+				type: Sequelize.INTEGER,
+				field: 'id',
+				autoIncrement: true,
+				primaryKey: true,
+				allowNull: false,
+			},
+			type: {
+				type: Sequelize.TINYINT,
+				field: 'type',
+				validate: {
+					isIn: [
+						[1, 2],
+					],
+				},
+				allowNull: false,
+			},
+			state: {
+				type: Sequelize.TINYINT,
+				field: 'state',
+				validate: {
+					isIn: [
+						[1, 2, 3, 4, 5, 6],
+					],
+				},
+				defaultValue: 1,
+				allowNull: false,
+			},
+			path: {
+				type: Sequelize.STRING(1024),
+				field: 'path',
+				allowNull: false,
+			},
+			localPath: {
+				type: Sequelize.STRING(1024),
+				field: 'localPath',
+				allowNull: false,
+			},
+			size: {
+				type: Sequelize.BIGINT,
+				field: 'size',
+				defaultValue: 0,
+				allowNull: false,
+			},
+			loaded: {
+				type: Sequelize.BIGINT,
+				field: 'loaded',
+				defaultValue: 0,
+				allowNull: false,
+			},
+			attempts: {
+				type: Sequelize.INTEGER,
+				field: 'attempts',
+				defaultValue: 0,
+				allowNull: false,
+			},
+			nextAttemptAt: {
+				type: Sequelize.DATE,
+				field: 'nextAttemptAt',
+				allowNull: true,
+			},
+			error: {
+				type: Sequelize.TEXT,
+				field: 'error',
+				allowNull: true,
+			},
+			createdAt: {
+				type: Sequelize.DATE,
+				field: 'createdAt',
+				allowNull: false,
+			},
+			updatedAt: {
+				type: Sequelize.DATE,
+				field: 'updatedAt',
+				allowNull: false,
+			},
+		},
+		{},
+	],
+},
+{
+	fn: 'addIndex',
+	params: [
+		'transfers',
+		['state', 'nextAttemptAt'],
+		{
+			indexName: 'transfers_state_next_attempt_at',
+			name: 'transfers_state_next_attempt_at',
+		},
+	],
+}];
+
+module.exports = {
+	pos: 0,
+	up(queryInterface, Sequelize) {
+		let index = this.pos;
+		return new Promise((resolve, reject) => {
+			function next() {
+				if (index < migrationCommands.length) {
+					const command = migrationCommands[index];
+					console.log('[#' + index + '] execute: ' + command.fn);
+					index++;
+					queryInterface[command.fn].apply(queryInterface, command.params).then(next, reject);
+				} else {
+					resolve();
+				}
+			}
+
+			next();
+		});
+	},
+	info,
+};
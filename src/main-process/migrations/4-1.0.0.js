@@ -0,0 +1,78 @@
+'use strict';
+
+const Sequelize = require('sequelize');
+
+/**
+ * Actions summary:
+ *
+ * addColumn "uploadId" to table "transfers"
+ * addColumn "partSize" to table "transfers"
+ * addColumn "parts" to table "transfers"
+ *
+ **/
+
+const info = {
+	revision: 4,
+	name: '1.0.0',
+	created: '2026-10-19T16:14:19.781Z',
+	comment: '',
+};
+
+const migrationCommands = [{
+	fn: 'addColumn',
+	params: [
+		'transfers',
+		'uploadId',
+		{
+			type: Sequelize.STRING(1024),
+			field: 'uploadId',
+			allowNull: true,
+		},
+	],
+},
+{
+	fn: 'addColumn',
+	params: [
+		'transfers',
+		'partSize',
+		{
+			type: Sequelize.BIGINT,
+			field: 'partSize',
+			allowNull: true,
+		},
+	],
+},
+{
+	fn: 'addColumn',
+	params: [
+		'transfers',
+		'parts',
+		{
+			type: Sequelize.TEXT,
+			field: 'parts',
+			allowNull: true,
+		},
+	],
+}];
+
+module.exports = {
+	pos: 0,
+	up(queryInterface, Sequelize) {
+		let index = this.pos;
+		return new Promise((resolve, reject) => {
+			function next() {
+				if (index < migrationCommands.length) {
+					const command = migrationCommands[index];
+					console.log('[#' + index + '] execute: ' + command.fn);
+					index++;
+					queryInterface[command.fn].apply(queryInterface, command.params).then(next, reject);
+				} else {
+					resolve();
+				}
+			}
+
+			next();
+		});
+	},
+	info,
+};
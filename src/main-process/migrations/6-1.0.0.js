@@ -0,0 +1,53 @@
+'use strict';
+
+const Sequelize = require('sequelize');
+
+/**
+ * Actions summary:
+ *
+ * addColumn "downloadConcurrency" to table "settings"
+ *
+ **/
+
+const info = {
+	revision: 6,
+	name: '1.0.0',
+	created: '2026-10-19T16:23:05.651Z',
+	comment: '',
+};
+
+const migrationCommands = [{
+	fn: 'addColumn',
+	params: [
+		'settings',
+		'downloadConcurrency',
+		{
+			type: Sequelize.INTEGER,
+			field: 'downloadConcurrency',
+			defaultValue: 4,
+			allowNull: false,
+		},
+	],
+}];
+
+module.exports = {
+	pos: 0,
+	up(queryInterface, Sequelize) {
+		let index = this.pos;
+		return new Promise((resolve, reject) => {
+			function next() {
+				if (index < migrationCommands.length) {
+					const command = migrationCommands[index];
+					console.log('[#' + index + '] execute: ' + command.fn);
+					index++;
+					queryInterface[command.fn].apply(queryInterface, command.params).then(next, reject);
+				} else {
+					resolve();
+				}
+			}
+
+			next();
+		});
+	},
+	info,
+};
@@ -0,0 +1,291 @@
+'use strict';
+
+const Sequelize = require('sequelize');
+
+/**
+ * Actions summary:
+ *
+ * createTable "profiles", deps: []
+ * addIndex "profiles_name" to table "profiles"
+ * addColumn "profileId" to table "settings"
+ * removeColumn "cryptoIv" from table "settings"
+ * removeColumn "accessKeyId" from table "settings"
+ * removeColumn "secretAccessKey" from table "settings"
+ * removeColumn "region" from table "settings"
+ * removeColumn "bucket" from table "settings"
+ * removeColumn "endpoint" from table "settings"
+ * removeIndex "objects_path" from table "objects"
+ * removeIndex "objects_dirname_type_basename_id" from table "objects"
+ * addColumn "profileId" to table "objects"
+ * addIndex "objects_profile_id_path" to table "objects"
+ * addIndex "objects_profile_id_dirname_type_basename_id" to table "objects"
+ * removeIndex "transfers_state_next_attempt_at" from table "transfers"
+ * addColumn "profileId" to table "transfers"
+ * addIndex "transfers_profile_id_state_next_attempt_at" to table "transfers"
+ *
+ * The S3 settings are moved into the first profile, existing objects and transfers belong to it.
+ * "profileId" of objects and transfers is nullable in the database,
+ * SQLite can't add a NOT NULL column without a default value. The models require it.
+ *
+ **/
+
+const info = {
+	revision: 7,
+	name: '1.0.0',
+	created: '2026-10-19T16:32:36.367Z',
+	comment: '',
+};
+
+const migrationCommands = [{
+	fn: 'createTable',
+	params: [
+		'profiles',
+		{
+			id: {
+				type: Sequelize.INTEGER,
+				field: 'id',
+				autoIncrement: true,
+				primaryKey: true,
+				allowNull: false,
+			},
+			name: {
+				type: Sequelize.STRING,
+				field: 'name',
+				allowNull: false,
+			},
+			cryptoIv: {
+				type: Sequelize.STRING,
+				field: 'cryptoIv',
+				allowNull: true,
+			},
+			accessKeyId: {
+				type: Sequelize.STRING,
+				field: 'accessKeyId',
+				allowNull: true,
+			},
+			secretAccessKey: {
+				type: Sequelize.STRING,
+				field: 'secretAccessKey',
+				allowNull: true,
+			},
+			region: {
+				type: Sequelize.STRING,
+				field: 'region',
+				allowNull: true,
+			},
+			bucket: {
+				type: Sequelize.STRING,
+				field: 'bucket',
+				allowNull: true,
+			},
+			endpoint: {
+				type: Sequelize.STRING,
+				field: 'endpoint',
+				allowNull: true,
+			},
+			createdAt: {
+				type: Sequelize.DATE,
+				field: 'createdAt',
+				allowNull: false,
+			},
+			updatedAt: {
+				type: Sequelize.DATE,
+				field: 'updatedAt',
+				allowNull: false,
+			},
+		},
+		{},
+	],
+},
+{
+	fn: 'addIndex',
+	params: [
+		'profiles',
+		['name'],
+		{
+			indexName: 'profiles_name',
+			name: 'profiles_name',
+			indicesType: 'UNIQUE',
+			type: 'UNIQUE',
+		},
+	],
+},
+{
+	fn: 'query',
+	params: [
+		'INSERT INTO profiles (name, cryptoIv, accessKeyId, secretAccessKey, region, bucket, endpoint, createdAt, updatedAt)'
+			+ ' SELECT COALESCE(bucket, \'Default\'), cryptoIv, accessKeyId, secretAccessKey, region, bucket, endpoint, createdAt, updatedAt'
+			+ ' FROM settings WHERE accessKeyId IS NOT NULL',
+	],
+},
+{
+	fn: 'addColumn',
+	params: [
+		'settings',
+		'profileId',
+		{
+			type: Sequelize.INTEGER,
+			field: 'profileId',
+			allowNull: true,
+		},
+	],
+},
+{
+	fn: 'query',
+	params: [
+		'UPDATE settings SET profileId = (SELECT MAX(id) FROM profiles)',
+	],
+},
+{
+	fn: 'removeColumn',
+	params: ['settings', 'cryptoIv'],
+},
+{
+	fn: 'removeColumn',
+	params: ['settings', 'accessKeyId'],
+},
+{
+	fn: 'removeColumn',
+	params: ['settings', 'secretAccessKey'],
+},
+{
+	fn: 'removeColumn',
+	params: ['settings', 'region'],
+},
+{
+	fn: 'removeColumn',
+	params: ['settings', 'bucket'],
+},
+{
+	fn: 'removeColumn',
+	params: ['settings', 'endpoint'],
+},
+{
+	fn: 'removeIndex',
+	params: [
+		'objects',
+		'objects_path',
+	],
+},
+{
+	fn: 'removeIndex',
+	params: [
+		'objects',
+		'objects_dirname_type_basename_id',
+	],
+},
+{
+	fn: 'addColumn',
+	params: [
+		'objects',
+		'profileId',
+		{
+			type: Sequelize.INTEGER,
+			field: 'profileId',
+			allowNull: true,
+		},
+	],
+},
+{
+	fn: 'query',
+	params: [
+		'UPDATE objects SET profileId = (SELECT profileId FROM settings)',
+	],
+},
+{
+	fn: 'query',
+	params: [
+		'DELETE FROM objects WHERE profileId IS NULL',
+	],
+},
+{
+	fn: 'addIndex',
+	params: [
+		'objects',
+		['profileId', 'path'],
+		{
+			indexName: 'objects_profile_id_path',
+			name: 'objects_profile_id_path',
+			indicesType: 'UNIQUE',
+			type: 'UNIQUE',
+		},
+	],
+},
+{
+	fn: 'addIndex',
+	params: [
+		'objects',
+		['profileId', 'dirname', 'type', 'basename', 'id'],
+		{
+			indexName: 'objects_profile_id_dirname_type_basename_id',
+			name: 'objects_profile_id_dirname_type_basename_id',
+		},
+	],
+},
+{
+	fn: 'removeIndex',
+	params: [
+		'transfers',
+		'transfers_state_next_attempt_at',
+	],
+},
+{
+	fn: 'addColumn',
+	params: [
+		'transfers',
+		'profileId',
+		{
+			type: Sequelize.INTEGER,
+			field: 'profileId',
+			allowNull: true,
+		},
+	],
+},
+{
+	fn: 'query',
+	params: [
+		'UPDATE transfers SET profileId = (SELECT profileId FROM settings)',
+	],
+},
+{
+	fn: 'query',
+	params: [
+		'DELETE FROM transfers WHERE profileId IS NULL',
+	],
+},
+{
+	fn: 'addIndex',
+	params: [
+		'transfers',
+		['profileId', 'state', 'nextAttemptAt'],
+		{
+			indexName: 'transfers_profile_id_state_next_attempt_at',
+			name: 'transfers_profile_id_state_next_attempt_at',
+		},
+	],
+}];
+
+module.exports = {
+	pos: 0,
+	up(queryInterface, Sequelize) {
+		let index = this.pos;
+		return new Promise((resolve, reject) => {
+			function next() {
+				if (index < migrationCommands.length) {
+					const command = migrationCommands[index];
+					console.log('[#' + index + '] execute: ' + command.fn);
+					index++;
+					const promise = command.fn === 'query'
+						? queryInterface.sequelize.query(...command.params)
+						: queryInterface[command.fn].apply(queryInterface, command.params);
+					promise.then(next, reject);
+				} else {
+					resolve();
+				}
+			}
+
+			next();
+		});
+	},
+	info,
+};
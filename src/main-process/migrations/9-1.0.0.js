@@ -0,0 +1,66 @@
+'use strict';
+
+const Sequelize = require('sequelize');
+
+/**
+ * Actions summary:
+ *
+ * addColumn "awsProfile" to table "profiles"
+ * addColumn "credentialSource" to table "profiles"
+ *
+ **/
+
+const info = {
+	revision: 9,
+	name: '1.0.0',
+	created: '2026-10-19T16:45:42.229Z',
+	comment: '',
+};
+
+const migrationCommands = [{
+	fn: 'addColumn',
+	params: [
+		'profiles',
+		'awsProfile',
+		{
+			type: Sequelize.STRING,
+			field: 'awsProfile',
+			allowNull: true,
+		},
+	],
+},
+{
+	fn: 'addColumn',
+	params: [
+		'profiles',
+		'credentialSource',
+		{
+			type: Sequelize.STRING,
+			field: 'credentialSource',
+			defaultValue: 'static-keys',
+			allowNull: false,
+		},
+	],
+}];
+
+module.exports = {
+	pos: 0,
+	up(queryInterface, Sequelize) {
+		let index = this.pos;
+		return new Promise((resolve, reject) => {
+			function next() {
+				if (index < migrationCommands.length) {
+					const command = migrationCommands[index];
+					console.log('[#' + index + '] execute: ' + command.fn);
+					index++;
+					queryInterface[command.fn].apply(queryInterface, command.params).then(next, reject);
+				} else {
+					resolve();
+				}
+			}
+
+			next();
+		});
+	},
+	info,
+};
@@ -7,6 +7,13 @@ const {connectDatabase} = require('../../common/database');
 
 const {sequelize} = connectDatabase();
 const attributes = {
+	/**
+	 * The connection profile which the object belongs to.
+	 */
+	profileId: {
+		type: DataTypes.INTEGER,
+		allowNull: false,
+	},
 	type: {
 		type: DataTypes.TINYINT,
 		allowNull: false,
@@ -82,12 +89,19 @@ const attributes = {
 			return entry[0];
 		},
 	},
+	/**
+	 * When the object was listed with its siblings by the on-demand listing, null when it is only indexed by syncs.
+	 */
+	listedAt: {
+		type: DataTypes.DATE,
+		allowNull: true,
+	},
 };
 const options = {
 	indexes: [
 		{
 			unique: true,
-			fields: ['path'],
+			fields: ['profileId', 'path'],
 		},
 		{
 			unique: false,
@@ -95,7 +109,7 @@ const options = {
 		},
 		{
 			unique: false,
-			fields: ['dirname', 'type', 'basename', 'id'],
+			fields: ['profileId', 'dirname', 'type', 'basename', 'id'],
 		},
 	],
 };
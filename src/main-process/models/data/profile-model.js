@@ -0,0 +1,185 @@
+const crypto = require('crypto');
+const lodash = require('lodash');
+const {DataTypes} = require('sequelize');
+const CREDENTIAL_SOURCE = require('../../../shared/constants/credential-source');
+const LISTING_MODE = require('../../../shared/constants/listing-mode');
+const {connectDatabase} = require('../../common/database');
+const secretStore = require('../../common/secret-store');
+const utils = require('../../common/utils');
+
+const {sequelize} = connectDatabase();
+const attributes = {
+	name: {
+		type: DataTypes.STRING,
+		allowNull: false,
+	},
+	/**
+	 * CREDENTIAL_SOURCE, the access key or the AWS profile.
+	 */
+	credentialSource: {
+		type: DataTypes.STRING,
+		allowNull: false,
+		defaultValue: CREDENTIAL_SOURCE.STATIC_KEYS,
+	},
+	/**
+	 * The profile name of the AWS shared config files.
+	 */
+	awsProfile: {
+		type: DataTypes.STRING,
+		allowNull: true,
+	},
+	cryptoIv: {
+		type: DataTypes.STRING,
+		allowNull: true,
+	},
+	accessKeyId: {
+		type: DataTypes.STRING,
+		allowNull: true,
+	},
+	/**
+	 * The secret access key isn't saved when it is false, it is kept in memory until the app quits.
+	 */
+	isSecretPersisted: {
+		type: DataTypes.BOOLEAN,
+		allowNull: false,
+		defaultValue: true,
+	},
+	secretAccessKey: {
+		type: DataTypes.STRING,
+		allowNull: true,
+		get() {
+			const value = this.getDataValue('secretAccessKey');
+
+			if (!this.getDataValue('isSecretPersisted')) {
+				return secretStore.getSessionSecret(this.id);
+			}
+
+			if (value == null) {
+				return null;
+			}
+
+			return utils.decrypt({
+				value: Buffer.from(value, 'base64'),
+				iv: Buffer.from(this.getDataValue('cryptoIv'), 'base64'),
+				key: secretStore.getSecretKey(),
+			}).toString();
+		},
+		set(value) {
+			if (value == null) {
+				this.setDataValue('cryptoIv', null);
+				this.setDataValue('secretAccessKey', null);
+				return;
+			}
+
+			const iv = crypto.randomBytes(16);
+
+			this.setDataValue('cryptoIv', iv.toString('base64'));
+			this.setDataValue(
+				'secretAccessKey',
+				utils.encrypt({value: Buffer.from(value, 'utf8'), iv, key: secretStore.getSecretKey()}).toString('base64'),
+			);
+		},
+	},
+	/**
+	 * The role which is assumed with the credentials, S3 requests use its temporary credentials.
+	 */
+	roleArn: {
+		type: new DataTypes.STRING(2048),
+		allowNull: true,
+	},
+	externalId: {
+		type: new DataTypes.STRING(1224),
+		allowNull: true,
+	},
+	/**
+	 * The serial number or the ARN of the MFA device, the token code is asked when the role is assumed.
+	 */
+	mfaSerial: {
+		type: DataTypes.STRING,
+		allowNull: true,
+	},
+	/**
+	 * The endpoint of STS which assumes the role, the regional STS endpoint of AWS is used when it is null.
+	 */
+	stsEndpoint: {
+		type: DataTypes.STRING,
+		allowNull: true,
+	},
+	region: {
+		type: DataTypes.STRING,
+		allowNull: true,
+	},
+	bucket: {
+		type: DataTypes.STRING,
+		allowNull: true,
+	},
+	endpoint: {
+		type: DataTypes.STRING,
+		allowNull: true,
+	},
+	/**
+	 * Operations the credentials can do from the last connection test, null is untested.
+	 * 	{list: true, get: true, put: false, delete: false, copy: false}
+	 */
+	capabilities: {
+		type: DataTypes.TEXT,
+		allowNull: true,
+		get() {
+			const value = this.getDataValue('capabilities');
+
+			return value == null ? null : JSON.parse(value);
+		},
+		set(value) {
+			this.setDataValue('capabilities', value == null ? null : JSON.stringify(value));
+		},
+	},
+	/**
+	 * LISTING_MODE, browse the local index or list folders from S3 on demand.
+	 */
+	listingMode: {
+		type: DataTypes.STRING,
+		allowNull: false,
+		defaultValue: LISTING_MODE.INDEX,
+	},
+	/**
+	 * When the last sync of the bucket finished, null until it is synced.
+	 */
+	lastSyncedAt: {
+		type: DataTypes.DATE,
+		allowNull: true,
+	},
+	/**
+	 * Statistics of the last sync, the error is null when it succeeded.
+	 * 	{pageCount: 3, objectCount: 2500, byteCount: 1048576, elapsed: 1200, error: null}
+	 */
+	lastSyncResult: {
+		type: DataTypes.TEXT,
+		allowNull: true,
+		get() {
+			const value = this.getDataValue('lastSyncResult');
+
+			return value == null ? null : JSON.parse(value);
+		},
+		set(value) {
+			this.setDataValue('lastSyncResult', value == null ? null : JSON.stringify(value));
+		},
+	},
+};
+const options = {
+	indexes: [
+		{
+			unique: true,
+			fields: ['name'],
+		},
+	],
+};
+const Model = sequelize.define('profile', attributes, options);
+
+Model.prototype.toJSON = function () {
+	// Fields are read one by one, the getter of the secret would decrypt it only to remove it.
+	const keys = lodash.without(Object.keys(this.dataValues), 'cryptoIv', 'secretAccessKey');
+
+	return lodash.cloneDeep(Object.fromEntries(keys.map(key => [key, this.get(key)])));
+};
+
+module.exports = Model;
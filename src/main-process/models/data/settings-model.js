@@ -1,53 +1,71 @@
-const crypto = require('crypto');
-const lodash = require('lodash');
 const {DataTypes} = require('sequelize');
+const {
+	S3_RETRY_MAX_ATTEMPTS,
+	S3_RETRY_BASE_DELAY,
+	S3_RETRY_JITTER,
+	TRANSFER_DOWNLOAD_CONCURRENCY,
+} = require('../../../shared/constants/config');
 const {connectDatabase} = require('../../common/database');
-const utils = require('../../common/utils');
 
 const {sequelize} = connectDatabase();
 const attributes = {
-	cryptoIv: {
-		type: DataTypes.STRING,
+	/**
+	 * The connection profile in use.
+	 */
+	profileId: {
+		type: DataTypes.INTEGER,
 		allowNull: true,
 	},
-	accessKeyId: {
-		type: DataTypes.STRING,
-		allowNull: true,
+	/**
+	 * The number of files which are downloaded at the same time.
+	 */
+	downloadConcurrency: {
+		type: DataTypes.INTEGER,
+		allowNull: false,
+		defaultValue: TRANSFER_DOWNLOAD_CONCURRENCY,
 	},
-	secretAccessKey: {
-		type: DataTypes.STRING,
-		allowNull: true,
-		get() {
-			const value = this.getDataValue('secretAccessKey');
-
-			if (value == null) {
-				return null;
-			}
-
-			return utils.decrypt({
-				value: Buffer.from(this.getDataValue('secretAccessKey'), 'base64'),
-				iv: Buffer.from(this.getDataValue('cryptoIv'), 'base64'),
-			}).toString();
-		},
-		set(value) {
-			const iv = crypto.randomBytes(16);
-
-			this.setDataValue('cryptoIv', iv.toString('base64'));
-			this.setDataValue(
-				'secretAccessKey',
-				utils.encrypt({value: Buffer.from(value, 'utf8'), iv}).toString('base64'),
-			);
-		},
+	/**
+	 * Attempts of S3 requests which fail with throttling or transient errors, the first one is included.
+	 */
+	retryMaxAttempts: {
+		type: DataTypes.INTEGER,
+		allowNull: false,
+		defaultValue: S3_RETRY_MAX_ATTEMPTS,
+	},
+	/**
+	 * Milliseconds before the first retry, it is doubled by every retry.
+	 */
+	retryBaseDelay: {
+		type: DataTypes.INTEGER,
+		allowNull: false,
+		defaultValue: S3_RETRY_BASE_DELAY,
 	},
-	region: {
+	/**
+	 * The random percentage of the delay, so retries of parallel requests don't happen at the same time.
+	 */
+	retryJitter: {
+		type: DataTypes.INTEGER,
+		allowNull: false,
+		defaultValue: S3_RETRY_JITTER,
+	},
+	/**
+	 * SECRET_PROTECTION of the key of secrets, null until it is protected.
+	 */
+	secretProtection: {
 		type: DataTypes.STRING,
 		allowNull: true,
 	},
-	bucket: {
-		type: DataTypes.STRING,
+	/**
+	 * The key of secrets which is encrypted by the secret store of the OS or the master password.
+	 */
+	secretKey: {
+		type: DataTypes.TEXT,
 		allowNull: true,
 	},
-	endpoint: {
+	/**
+	 * The scrypt salt of the master password.
+	 */
+	secretSalt: {
 		type: DataTypes.STRING,
 		allowNull: true,
 	},
@@ -58,10 +76,10 @@ const options = {
 const Model = sequelize.define('settings', attributes, options);
 
 Model.prototype.toJSON = function () {
-	const result = lodash.cloneDeep(this.get({plain: false}));
+	const result = this.get({plain: true});
 
-	delete result.cryptoIv;
-	delete result.secretAccessKey;
+	delete result.secretKey;
+	delete result.secretSalt;
 
 	return result;
 };
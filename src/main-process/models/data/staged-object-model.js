@@ -0,0 +1,65 @@
+const {DataTypes} = require('sequelize');
+const {connectDatabase} = require('../../common/database');
+
+const {sequelize} = connectDatabase();
+/**
+ * Objects which are listed by the sync in progress, they replace objects of the profile when the sync succeeds.
+ * Values are converted by the object model before they are staged.
+ */
+const attributes = {
+	/**
+	 * The sync which lists the object, rows of failed syncs are removed by the next sync.
+	 */
+	syncId: {
+		type: DataTypes.STRING,
+		allowNull: false,
+	},
+	profileId: {
+		type: DataTypes.INTEGER,
+		allowNull: false,
+	},
+	type: {
+		type: DataTypes.TINYINT,
+		allowNull: false,
+	},
+	path: {
+		type: new DataTypes.STRING(1024),
+		allowNull: false,
+	},
+	dirname: {
+		type: new DataTypes.STRING(1024),
+		allowNull: false,
+	},
+	basename: {
+		type: DataTypes.CITEXT,
+		allowNull: false,
+	},
+	lastModified: {
+		type: DataTypes.DATE,
+		allowNull: true,
+	},
+	size: {
+		type: DataTypes.BIGINT,
+		allowNull: true,
+	},
+	storageClass: {
+		type: DataTypes.TINYINT,
+		allowNull: true,
+	},
+};
+const options = {
+	timestamps: false,
+	indexes: [
+		{
+			unique: true,
+			fields: ['syncId', 'path'],
+		},
+		{
+			unique: false,
+			fields: ['profileId'],
+		},
+	],
+};
+const Model = sequelize.define('stagedObject', attributes, options);
+
+module.exports = Model;
@@ -0,0 +1,135 @@
+const path = require('path');
+const lodash = require('lodash');
+const {DataTypes} = require('sequelize');
+const TRANSFER_STATE = require('../../../shared/constants/transfer-state');
+const TRANSFER_TYPE = require('../../../shared/constants/transfer-type');
+const {connectDatabase} = require('../../common/database');
+
+const {sequelize} = connectDatabase();
+const attributes = {
+	/**
+	 * The connection profile which the transfer belongs to.
+	 */
+	profileId: {
+		type: DataTypes.INTEGER,
+		allowNull: false,
+	},
+	type: {
+		type: DataTypes.TINYINT,
+		allowNull: false,
+		validate: {
+			isIn: [Object.values(TRANSFER_TYPE)],
+		},
+	},
+	state: {
+		type: DataTypes.TINYINT,
+		allowNull: false,
+		defaultValue: TRANSFER_STATE.QUEUED,
+		validate: {
+			isIn: [Object.values(TRANSFER_STATE)],
+		},
+	},
+	/**
+	 * The object path on S3.
+	 * 	Upload: the destination.
+	 * 	Download: the source.
+	 */
+	path: {
+		type: new DataTypes.STRING(1024),
+		allowNull: false,
+	},
+	/**
+	 * The file path on the local machine.
+	 * 	Upload: the source.
+	 * 	Download: the destination.
+	 */
+	localPath: {
+		type: new DataTypes.STRING(1024),
+		allowNull: false,
+	},
+	size: {
+		type: DataTypes.BIGINT,
+		allowNull: false,
+		defaultValue: 0,
+	},
+	loaded: {
+		type: DataTypes.BIGINT,
+		allowNull: false,
+		defaultValue: 0,
+	},
+	/**
+	 * The number of failed attempts.
+	 */
+	attempts: {
+		type: DataTypes.INTEGER,
+		allowNull: false,
+		defaultValue: 0,
+	},
+	/**
+	 * Queued transfers wait until this time to be retried.
+	 */
+	nextAttemptAt: {
+		type: DataTypes.DATE,
+		allowNull: true,
+	},
+	error: {
+		type: DataTypes.TEXT,
+		allowNull: true,
+	},
+	/**
+	 * The multipart upload to resume.
+	 */
+	uploadId: {
+		type: new DataTypes.STRING(1024),
+		allowNull: true,
+	},
+	partSize: {
+		type: DataTypes.BIGINT,
+		allowNull: true,
+	},
+	/**
+	 * Uploaded parts of the multipart upload.
+	 * 	[{PartNumber: 1, ETag: '"b1946ac92492d2347c6235b4d2611184"'}]
+	 */
+	parts: {
+		type: DataTypes.TEXT,
+		allowNull: true,
+		get() {
+			const value = this.getDataValue('parts');
+
+			return value == null ? null : JSON.parse(value);
+		},
+		set(value) {
+			this.setDataValue('parts', value == null ? null : JSON.stringify(value));
+		},
+	},
+	/**
+	 * The ETag of the object which the part file of the download was written from.
+	 */
+	etag: {
+		type: new DataTypes.STRING(1024),
+		allowNull: true,
+	},
+};
+const options = {
+	indexes: [
+		{
+			unique: false,
+			fields: ['profileId', 'state', 'nextAttemptAt'],
+		},
+	],
+};
+const Model = sequelize.define('transfer', attributes, options);
+
+Model.prototype.toJSON = function () {
+	const result = lodash.cloneDeep(this.get({plain: false}));
+
+	delete result.uploadId;
+	delete result.partSize;
+	delete result.parts;
+	delete result.etag;
+	result.basename = path.posix.basename(this.path);
+	return result;
+};
+
+module.exports = Model;
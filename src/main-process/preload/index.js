@@ -4,8 +4,20 @@ const {
 } = require('../../shared/constants/ipc');
 const {api, dialog} = require('./utils');
 
-ipcRenderer.invoke(GET_CONFIG).then(config => {
-	contextBridge.exposeInMainWorld('config', config);
-});
-contextBridge.exposeInMainWorld('dialog', dialog);
-contextBridge.exposeInMainWorld('api', api);
+/**
+ * Generate the API of the renderer process from methods of the preload.
+ * Only functions are exposed, values of the preload never reach the renderer process.
+ * @param {Object} methods
+ * @returns {Object<string, function>}
+ */
+function generateBridgeApi(methods) {
+	return Object.fromEntries(
+		Object.entries(methods)
+			.filter(([, method]) => typeof method === 'function')
+			.map(([name, method]) => [name, (...args) => method(...args)]),
+	);
+}
+
+contextBridge.exposeInMainWorld('config', ipcRenderer.sendSync(GET_CONFIG));
+contextBridge.exposeInMainWorld('dialog', generateBridgeApi(dialog));
+contextBridge.exposeInMainWorld('api', generateBridgeApi(api));
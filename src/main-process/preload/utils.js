@@ -1,16 +1,19 @@
 const {ipcRenderer} = require('electron');
 const {
 	MAIN_API,
+	MAIN_API_CANCEL,
 	DIALOG: {SHOW_ERROR_BOX, SHOW_OPEN_DIALOG},
+	MFA,
 } = require('../../shared/constants/ipc');
 
 /**
  * @param {string} method
  * @param {Object} data
+ * @param {string} [requestId] - Cancel the request with this id by `api.cancelRequest`.
  * @returns {Promise<*>}
  */
-async function sendApiRequest({method, data}) {
-	const [error, result] = await ipcRenderer.invoke(MAIN_API, {method, data});
+async function sendApiRequest({method, data, requestId}) {
+	const [error, result] = await ipcRenderer.invoke(MAIN_API, {method, data, requestId});
 
 	if (error) {
 		throw error;
@@ -19,6 +22,36 @@ async function sendApiRequest({method, data}) {
 	return result;
 }
 
+/**
+ * Send the request with a channel of its progress.
+ * The listener doesn't get the IPC event, its sender is the ipcRenderer which must not reach the renderer process.
+ * @param {string} method
+ * @param {Object} data
+ * @param {function(Object)} [onProgress]
+ * @param {string} [requestId]
+ * @returns {Promise<*>}
+ */
+async function sendApiRequestWithProgress({method, data, onProgress, requestId}) {
+	const channel = `${method}.onProgress:${Math.random().toString(36)}`;
+	const onMessage = (_, progress) => onProgress(progress);
+
+	try {
+		if (typeof onProgress === 'function') {
+			ipcRenderer.on(channel, onMessage);
+		}
+
+		return await sendApiRequest({
+			method,
+			data: {...data, onProgressChannel: channel},
+			requestId,
+		});
+	} finally {
+		if (typeof onProgress === 'function') {
+			ipcRenderer.off(channel, onMessage);
+		}
+	}
+}
+
 exports.dialog = {
 	showErrorBox(title, content) {
 		ipcRenderer.invoke(SHOW_ERROR_BOX, [title, content]);
@@ -30,7 +63,7 @@ exports.dialog = {
 
 exports.api = {
 	/**
-	 * @param {{dirname, keyword, after, limit}} data
+	 * @param {{dirname, keyword, sortBy, sortDirection, after, limit}} data
 	 * @returns {Promise<{
 	 * 	hasNextPage,
 	 * 	items: Array<{id, type, path, basename, dirname, updatedAt, createdAt}>,
@@ -49,6 +82,14 @@ exports.api = {
 	getObject(data) {
 		return sendApiRequest({method: 'getObject', data});
 	},
+	/**
+	 * @param {string} [requestId] - Cancel the request by `cancelRequest` with this id.
+	 * @param {{dirname: string, isRecursive: (boolean|undefined)}} data
+	 * @returns {Promise<null>}
+	 */
+	refreshFolder({requestId, ...data} = {}) {
+		return sendApiRequest({method: 'refreshFolder', data, requestId});
+	},
 	/**
 	 * @param {{dirname: (null|string), basename: string}} data
 	 * @returns {Promise<{id, type, path, basename, dirname, updatedAt, createdAt}>}
@@ -57,52 +98,49 @@ exports.api = {
 		return sendApiRequest({method: 'createFolder', data});
 	},
 	/**
-	 * @param {function(event, {Bucket: string, Key: string, loaded: number, part: number, total: number})} onProgress
+	 * @param {function({Bucket: string, Key: string, loaded: number, part: number, total: number})} onProgress
+	 * @param {string} [requestId] - Cancel the request by `cancelRequest` with this id.
 	 * @param {{localPath: string, dirname: string}} data
 	 * @returns {Promise<ObjectModel>}
 	 */
-	async createFile({onProgress, ...data} = {}) {
-		const id = Math.random().toString(36);
-		const channel = `createFile.onProgress:${id}`;
-
-		try {
-			if (typeof onProgress === 'function') {
-				ipcRenderer.on(channel, onProgress);
-			}
-
-			return await sendApiRequest({
-				method: 'createFile',
-				data: {...data, onProgressChannel: channel},
-			});
-		} finally {
-			if (typeof onProgress === 'function') {
-				ipcRenderer.off(channel, onProgress);
-			}
-		}
+	createFile({onProgress, requestId, ...data} = {}) {
+		return sendApiRequestWithProgress({method: 'createFile', data, onProgress, requestId});
+	},
+	/**
+	 * @param {function({basename: string, total: number, loaded: number})} onProgress
+	 * @param {string} [requestId] - Cancel the request by `cancelRequest` with this id.
+	 * @param {{localPath: string, dirname: string}} data
+	 * @returns {Promise<{folders: Array<ObjectModel>, files: Array<ObjectModel>}>}
+	 */
+	uploadFolder({onProgress, requestId, ...data} = {}) {
+		return sendApiRequestWithProgress({method: 'uploadFolder', data, onProgress, requestId});
 	},
 	/**
-	 * @param {function(event, {basename: string, total: number, loaded: number})} onProgress
+	 * @param {function({total: number, loaded: number, retries: number, file: ({id: number, basename: string, total: number, loaded: number}|undefined)})} onProgress
+	 * @param {string} [requestId] - Cancel the request by `cancelRequest` with this id.
 	 * @param {{localPath: string, dirname: string, ids: Array<number>}} data
 	 * @returns {Promise<*>}
 	 */
-	async downloadObjects({onProgress, ...data} = {}) {
-		const id = Math.random().toString(36);
-		const channel = `downloadObjects.onProgress:${id}`;
-
-		try {
-			if (typeof onProgress === 'function') {
-				ipcRenderer.on(channel, onProgress);
-			}
-
-			return await sendApiRequest({
-				method: 'downloadObjects',
-				data: {...data, onProgressChannel: channel},
-			});
-		} finally {
-			if (typeof onProgress === 'function') {
-				ipcRenderer.off(channel, onProgress);
-			}
-		}
+	downloadObjects({onProgress, requestId, ...data} = {}) {
+		return sendApiRequestWithProgress({method: 'downloadObjects', data, onProgress, requestId});
+	},
+	/**
+	 * Download objects to a temporary folder, so they can be dragged out of the window by `startDragObjects`.
+	 * @param {function({total: number, loaded: number, retries: number, file: ({id: number, basename: string, total: number, loaded: number}|undefined)})} onProgress
+	 * @param {string} [requestId] - Cancel the request by `cancelRequest` with this id.
+	 * @param {{dirname: string, ids: Array<number>}} data
+	 * @returns {Promise<null>}
+	 */
+	prepareDragObjects({onProgress, requestId, ...data} = {}) {
+		return sendApiRequestWithProgress({method: 'prepareDragObjects', data, onProgress, requestId});
+	},
+	/**
+	 * Drag prepared objects out of the window, call it on dragstart.
+	 * @param {{dirname: string, ids: Array<number>}} data
+	 * @returns {Promise<null>}
+	 */
+	startDragObjects(data) {
+		return sendApiRequest({method: 'startDragObjects', data});
 	},
 	/**
 	 * @param {{ids: Array<number>}} data
@@ -112,22 +150,233 @@ exports.api = {
 		return sendApiRequest({method: 'deleteObjects', data});
 	},
 	/**
-	 * @returns {Promise<null|{id, accessKeyId, bucket, region, updatedAt, createdAt}>}
+	 * @param {{id: number, basename: string}} data
+	 * @returns {Promise<{id, type, path, basename, dirname, updatedAt, createdAt}>}
+	 */
+	renameObject(data) {
+		return sendApiRequest({method: 'renameObject', data});
+	},
+	/**
+	 * @param {{ids: Array<number>, dirname: string}} data
+	 * @returns {Promise<null>}
+	 */
+	moveObjects(data) {
+		return sendApiRequest({method: 'moveObjects', data});
+	},
+	/**
+	 * @param {function({basename: string, total: number, loaded: number})} onProgress
+	 * @param {{ids: Array<number>, dirname: string, basename: (string|undefined)}} data
+	 * @returns {Promise<Array<{id, type, path, basename, dirname, updatedAt, createdAt}>>}
+	 */
+	copyObjects({onProgress, ...data} = {}) {
+		return sendApiRequestWithProgress({method: 'copyObjects', data, onProgress});
+	},
+	/**
+	 * @param {string} [requestId] - Cancel the request by `cancelRequest` with this id.
+	 * @param {{dirname: string, localPaths: Array<string>}} data
+	 * @returns {Promise<{folders: Array<ObjectModel>, transferCount: number}>}
+	 */
+	enqueueUploads({requestId, ...data} = {}) {
+		return sendApiRequest({method: 'enqueueUploads', data, requestId});
+	},
+	/**
+	 * @param {{localPath: string, dirname: string, ids: Array<number>}} data
+	 * @returns {Promise<{transferCount: number}>}
+	 */
+	enqueueDownloads(data) {
+		return sendApiRequest({method: 'enqueueDownloads', data});
+	},
+	/**
+	 * @param {{after, limit}} data
+	 * @returns {Promise<{
+	 * 	hasNextPage,
+	 * 	items: Array<{
+	 * 		id, type, state, path, basename, localPath, size, loaded, speed, eta,
+	 * 		attempts, retries, nextAttemptAt, error, updatedAt, createdAt,
+	 * 	}>,
+	 * }>}
+	 */
+	getTransfers(data) {
+		return sendApiRequest({method: 'getTransfers', data});
+	},
+	/**
+	 * @param {{id: number}} data
+	 * @returns {Promise<null>}
+	 */
+	pauseTransfer(data) {
+		return sendApiRequest({method: 'pauseTransfer', data});
+	},
+	/**
+	 * @param {{id: number}} data
+	 * @returns {Promise<null>}
+	 */
+	resumeTransfer(data) {
+		return sendApiRequest({method: 'resumeTransfer', data});
+	},
+	/**
+	 * @param {{id: number}} data
+	 * @returns {Promise<null>}
+	 */
+	cancelTransfer(data) {
+		return sendApiRequest({method: 'cancelTransfer', data});
+	},
+	/**
+	 * @param {{id: number}} data
+	 * @returns {Promise<null>}
+	 */
+	retryTransfer(data) {
+		return sendApiRequest({method: 'retryTransfer', data});
+	},
+	/**
+	 * @returns {Promise<null>}
+	 */
+	clearTransfers() {
+		return sendApiRequest({method: 'clearTransfers'});
+	},
+	/**
+	 * @returns {Promise<{uploads: Array<{path: string, uploadId: string, initiated: Date}>}>}
+	 */
+	cleanUpMultipartUploads() {
+		return sendApiRequest({method: 'cleanUpMultipartUploads'});
+	},
+	/**
+	 * @returns {Promise<null|{id, profileId, downloadConcurrency, updatedAt, createdAt}>}
 	 */
 	getSettings() {
 		return sendApiRequest({method: 'getSettings'});
 	},
 	/**
-	 * @param {{accessKeyId: string, secretAccessKey: string, region: string, bucket: string, endpoint: string}} data
-	 * @returns {Promise<{id, accessKeyId, bucket, region, updatedAt, createdAt}>}
+	 * @returns {Promise<Array<{id, name, credentialSource, awsProfile, accessKeyId, isSecretPersisted, roleArn, externalId, mfaSerial, stsEndpoint, bucket, region, endpoint, capabilities, updatedAt, createdAt}>>}
 	 */
-	updateS3Settings(data) {
-		return sendApiRequest({method: 'updateS3Settings', data});
+	getProfiles() {
+		return sendApiRequest({method: 'getProfiles'});
 	},
 	/**
+	 * @param {{name: string, credentialSource: string, awsProfile: string, accessKeyId: string, secretAccessKey: string, isSecretPersisted: boolean, roleArn: string, externalId: string, mfaSerial: string, stsEndpoint: string, region: string, bucket: string, endpoint: string, capabilities: Object}} data
+	 * @returns {Promise<{id, name, credentialSource, awsProfile, accessKeyId, isSecretPersisted, roleArn, externalId, mfaSerial, stsEndpoint, bucket, region, endpoint, capabilities, updatedAt, createdAt}>}
+	 */
+	createProfile(data) {
+		return sendApiRequest({method: 'createProfile', data});
+	},
+	/**
+	 * @param {{id: number, name: string, credentialSource: string, awsProfile: string, accessKeyId: string, secretAccessKey: string, isSecretPersisted: boolean, roleArn: string, externalId: string, mfaSerial: string, stsEndpoint: string, region: string, bucket: string, endpoint: string, capabilities: Object}} data
+	 * @returns {Promise<{id, name, credentialSource, awsProfile, accessKeyId, isSecretPersisted, roleArn, externalId, mfaSerial, stsEndpoint, bucket, region, endpoint, capabilities, updatedAt, createdAt}>}
+	 */
+	updateProfile(data) {
+		return sendApiRequest({method: 'updateProfile', data});
+	},
+	/**
+	 * @returns {Promise<Array<{name: string, region: (string|null)}>>}
+	 */
+	getAwsProfiles() {
+		return sendApiRequest({method: 'getAwsProfiles'});
+	},
+	/**
+	 * @param {{id: number}} data
 	 * @returns {Promise<null>}
 	 */
-	syncObjectsFromS3() {
-		return sendApiRequest({method: 'syncObjectsFromS3'});
+	deleteProfile(data) {
+		return sendApiRequest({method: 'deleteProfile', data});
+	},
+	/**
+	 * @param {{id: number}} data
+	 * @returns {Promise<{id, name, credentialSource, awsProfile, accessKeyId, isSecretPersisted, roleArn, externalId, mfaSerial, stsEndpoint, bucket, region, endpoint, capabilities, updatedAt, createdAt}>}
+	 */
+	switchProfile(data) {
+		return sendApiRequest({method: 'switchProfile', data});
+	},
+	/**
+	 * The secret of the profile is used when the secretAccessKey is empty.
+	 * @param {{id: (number|undefined), credentialSource: string, awsProfile: string, accessKeyId: string, secretAccessKey: string, isSecretPersisted: boolean, roleArn: string, externalId: string, mfaSerial: string, stsEndpoint: string, region: string, endpoint: string}} data
+	 * @returns {Promise<Array<{name: string, region: (string|null), createdAt: Date}>>}
+	 */
+	listBuckets(data) {
+		return sendApiRequest({method: 'listBuckets', data});
+	},
+	/**
+	 * The secret of the profile is used when the secretAccessKey is empty.
+	 * @param {{id: (number|undefined), credentialSource: string, awsProfile: string, accessKeyId: string, secretAccessKey: string, isSecretPersisted: boolean, roleArn: string, externalId: string, mfaSerial: string, stsEndpoint: string, region: string, bucket: string, endpoint: string}} data
+	 * @returns {Promise<{
+	 * 	isReachable: boolean,
+	 * 	isAuthenticated: (boolean|null),
+	 * 	isBucketFound: (boolean|null),
+	 * 	capabilities: ({list, get, put, delete, copy}|null),
+	 * 	error: (string|null),
+	 * }>}
+	 */
+	testConnection(data) {
+		return sendApiRequest({method: 'testConnection', data});
+	},
+	/**
+	 * Listen prompts of the MFA token code when the role of the profile is assumed.
+	 * @param {function({id: string, mfaSerial: string})} listener
+	 * @returns {function(): void} - Remove the listener.
+	 */
+	onMfaPrompt(listener) {
+		const onMessage = (_, prompt) => listener(prompt);
+
+		ipcRenderer.on(MFA.PROMPT, onMessage);
+		return () => ipcRenderer.off(MFA.PROMPT, onMessage);
+	},
+	/**
+	 * Listen prompts which are closed by the main process, they timed out or their window navigated.
+	 * @param {function({id: string})} listener
+	 * @returns {function(): void} - Remove the listener.
+	 */
+	onMfaPromptClose(listener) {
+		const onMessage = (_, prompt) => listener(prompt);
+
+		ipcRenderer.on(MFA.PROMPT_CLOSE, onMessage);
+		return () => ipcRenderer.off(MFA.PROMPT_CLOSE, onMessage);
+	},
+	/**
+	 * @param {{id: string, tokenCode: (string|null)}} data - The prompt is cancelled when the tokenCode is null.
+	 * @returns {Promise<null>}
+	 */
+	answerMfaPrompt(data) {
+		return sendApiRequest({method: 'answerMfaPrompt', data});
+	},
+	/**
+	 * @returns {Promise<{protection: (string|null), isUnlocked: boolean, isSafeStorageAvailable: boolean}>}
+	 */
+	getSecretStatus() {
+		return sendApiRequest({method: 'getSecretStatus'});
+	},
+	/**
+	 * @param {{password: string}} data
+	 * @returns {Promise<{protection: (string|null), isUnlocked: boolean, isSafeStorageAvailable: boolean}>}
+	 */
+	unlockSecrets(data) {
+		return sendApiRequest({method: 'unlockSecrets', data});
+	},
+	/**
+	 * @param {{protection: string, password: (string|undefined)}} data
+	 * @returns {Promise<{protection: (string|null), isUnlocked: boolean, isSafeStorageAvailable: boolean}>}
+	 */
+	updateSecretProtection(data) {
+		return sendApiRequest({method: 'updateSecretProtection', data});
+	},
+	/**
+	 * @param {{downloadConcurrency: number, retryMaxAttempts: number, retryBaseDelay: number, retryJitter: number}} data
+	 * @returns {Promise<{id, profileId, downloadConcurrency, retryMaxAttempts, retryBaseDelay, retryJitter, updatedAt, createdAt}>}
+	 */
+	updateTransferSettings(data) {
+		return sendApiRequest({method: 'updateTransferSettings', data});
+	},
+	/**
+	 * @param {function({pageCount: number, objectCount: number, byteCount: number, elapsed: number})} [onProgress]
+	 * @param {string} [requestId] - Cancel the sync by `cancelRequest` with this id.
+	 * @returns {Promise<null>}
+	 */
+	syncObjectsFromS3({onProgress, requestId} = {}) {
+		return sendApiRequestWithProgress({method: 'syncObjectsFromS3', onProgress, requestId});
+	},
+	/**
+	 * Abort the running request, it is rejected with the status 499.
+	 * @param {string} requestId
+	 * @returns {void}
+	 */
+	cancelRequest(requestId) {
+		ipcRenderer.send(MAIN_API_CANCEL, requestId);
 	},
 };
@@ -1,10 +1,14 @@
 module.exports = {
 	NAVIGATION_TABS: {
 		OBJECTS: 'objects',
+		TRANSFERS: 'transfers',
 		SETTINGS: 'settings',
 	},
 	STORE_KEYS: {
 		CURRENT_NAVIGATION_TAB: 'CURRENT_NAVIGATION_TAB',
 		SETTINGS: 'SETTINGS',
+		// The connection profile in use.
+		PROFILE: 'PROFILE',
+		PROFILES: 'PROFILES',
 	},
 };
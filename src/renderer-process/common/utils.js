@@ -1,5 +1,32 @@
 const dayjs = require('dayjs');
 const {filesize} = require('filesize');
+const pupa = require('pupa');
+const FRONTEND_OPERATION_CODE = require('../../shared/constants/frontend-operation-code');
+const OBJECT_SORT_FIELD = require('../../shared/constants/object-sort-field');
+const SORT_DIRECTION = require('../../shared/constants/sort-direction');
+
+// What the user can do about errors of S3, "{0}" is the key or the bucket.
+const ERROR_GUIDANCE = {
+	[FRONTEND_OPERATION_CODE.SHOW_OBJECTS_PARTLY_FAILED_ALERT]:
+		'Other objects were done, the list is reloaded to show where they are now. Try again for the failed ones.',
+	[FRONTEND_OPERATION_CODE.SHOW_S3_ACCESS_DENIED_ALERT]:
+		'The policy of the credentials does not allow this on "{0}". '
+		+ 'Test the connection in settings to see which operations the profile can do, '
+		+ 'or ask the owner of the bucket for the permission.',
+	[FRONTEND_OPERATION_CODE.SHOW_S3_CREDENTIALS_REJECTED_ALERT]:
+		'Check the access key id and the secret access key of the profile in settings, '
+		+ 'temporary credentials may be expired.',
+	[FRONTEND_OPERATION_CODE.SHOW_S3_CLOCK_SKEWED_ALERT]:
+		'Sync the clock of this computer with the internet time then try again.',
+	[FRONTEND_OPERATION_CODE.SHOW_S3_BUCKET_NOT_FOUND_ALERT]:
+		'The bucket "{0}" does not exist or it is in another region, check the bucket and the region of the profile in settings.',
+	[FRONTEND_OPERATION_CODE.SHOW_S3_OBJECT_NOT_FOUND_ALERT]:
+		'The object "{0}" was removed from S3, sync objects in settings to refresh the list.',
+	[FRONTEND_OPERATION_CODE.SHOW_S3_OBJECT_ARCHIVED_ALERT]:
+		'The object "{0}" is archived in Glacier, restore it from Glacier first then try again after the restore is completed.',
+	[FRONTEND_OPERATION_CODE.SHOW_S3_SLOW_DOWN_ALERT]:
+		'S3 asks to send fewer requests, wait a moment then try again or lower the download concurrency in settings.',
+};
 
 /**
  * Convert the fastest-validator validate function for Formik.
@@ -86,3 +113,75 @@ exports.formatNumber = value => {
 
 exports.formatSize = value =>
 	filesize(value, {base: 2, round: 1, standard: 'jedec', symbols: {KB: 'kB'}});
+
+/**
+ * Format the duration.
+ * @param {number} seconds
+ * @returns {string} eg: "1:02:03", "2:03"
+ */
+exports.formatDuration = seconds => {
+	const hours = Math.floor(seconds / 3600);
+	const minutes = Math.floor((seconds % 3600) / 60);
+	const paddedSeconds = `${Math.floor(seconds % 60)}`.padStart(2, '0');
+
+	return hours
+		? `${hours}:${`${minutes}`.padStart(2, '0')}:${paddedSeconds}`
+		: `${minutes}:${paddedSeconds}`;
+};
+
+/**
+ * Get the last sort of objects in the bucket.
+ * @param {string} bucket
+ * @returns {{sortBy: string, sortDirection: string}}
+ */
+exports.getObjectsSort = bucket => {
+	try {
+		const sort = JSON.parse(window.localStorage.getItem(`objects-sort:${bucket}`));
+
+		if (sort?.sortBy && sort?.sortDirection) {
+			return sort;
+		}
+	} catch (_) {}
+
+	return {sortBy: OBJECT_SORT_FIELD.NAME, sortDirection: SORT_DIRECTION.ASC};
+};
+
+/**
+ * Remember the sort of objects in the bucket.
+ * @param {string} bucket
+ * @param {{sortBy: string, sortDirection: string}} sort
+ * @returns {void}
+ */
+exports.setObjectsSort = (bucket, {sortBy, sortDirection}) => {
+	window.localStorage.setItem(`objects-sort:${bucket}`, JSON.stringify({sortBy, sortDirection}));
+};
+
+/**
+ * Can the credentials of the profile do the operation? Untested operations are allowed.
+ * @param {{capabilities: (Object|null)}|null} profile
+ * @param {string} capability - PROFILE_CAPABILITY
+ * @returns {boolean}
+ */
+exports.isProfileCapable = (profile, capability) => profile?.capabilities?.[capability] !== false;
+
+/**
+ * The message of the error of the main API with guidance of its frontend operation code.
+ * @param {{message: string, extra: ({frontendOperationCode: string, frontendOperationValue: *}|undefined)}} error
+ * @returns {string}
+ */
+exports.getErrorMessage = error => {
+	const guidance = ERROR_GUIDANCE[error?.extra?.frontendOperationCode];
+
+	if (!guidance) {
+		return `${error?.message}`;
+	}
+
+	return `${error.message}\n\n${pupa(guidance, [error.extra.frontendOperationValue])}`;
+};
+
+/**
+ * Was the request of the main API cancelled by `api.cancelRequest`? It needs no error box.
+ * @param {{status: number}} error
+ * @returns {boolean}
+ */
+exports.isCancelledError = error => error?.status === 499;
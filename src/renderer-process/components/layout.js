@@ -4,63 +4,111 @@ const {
 	STORE_KEYS,
 } = require('../common/constants');
 const store = require('../common/store');
+const utils = require('../common/utils');
 const Base = require('./shared/base');
 const Loading = require('./shared/loading');
+const MfaPromptModal = require('./shared/mfa-prompt');
 const Navigation = require('./navigation');
 const Objects = require('./objects/objects');
 const Settings = require('./settings/settings');
+const Transfers = require('./transfers/transfers');
+const Unlock = require('./unlock/unlock');
 
 const {api} = window;
 
 module.exports = class Layout extends Base {
 	constructor(props) {
 		super(props);
+		// Nothing else is loaded before secrets are unlocked.
+		this.state.secretStatus = null;
 		this.state.currentNavigationTab = null;
+		this.state.profiles = [];
+		this.state.profile = null;
 		this.state.objects = null;
 	}
 
 	async componentDidMount() {
 		super.componentDidMount();
 
-		const settings = await api.getSettings();
-		const hasAccessKeyId = Boolean(settings?.accessKeyId);
-		const currentNavigationTab = hasAccessKeyId ? NAVIGATION_TABS.OBJECTS : NAVIGATION_TABS.SETTINGS;
+		const secretStatus = await api.getSecretStatus();
+
+		this.setState({secretStatus});
+		if (secretStatus.isUnlocked) {
+			await this.loadContent();
+		}
+	}
+
+	onUnlock = async secretStatus => {
+		this.setState({secretStatus});
+		await this.loadContent();
+	};
+
+	/**
+	 * Load settings and profiles, then objects of the profile in use.
+	 * @returns {Promise<void>}
+	 */
+	async loadContent() {
+		const [settings, profiles] = await Promise.all([api.getSettings(), api.getProfiles()]);
+		const profile = profiles.find(({id}) => id === settings?.profileId) || null;
+		const currentNavigationTab = profile ? NAVIGATION_TABS.OBJECTS : NAVIGATION_TABS.SETTINGS;
 
 		store.set(STORE_KEYS.SETTINGS, settings);
+		store.set(STORE_KEYS.PROFILES, profiles);
+		store.set(STORE_KEYS.PROFILE, profile);
 		store.set(STORE_KEYS.CURRENT_NAVIGATION_TAB, currentNavigationTab);
-		this.setState({currentNavigationTab});
+		this.setState({currentNavigationTab, profiles, profile});
 		this.$listens.push(
 			store.subscribe(STORE_KEYS.CURRENT_NAVIGATION_TAB, async (_, currentNavigationTab) => {
-				let objects;
-
-				if (currentNavigationTab === NAVIGATION_TABS.OBJECTS) {
-					if (store.get(STORE_KEYS.SETTINGS)?.accessKeyId) {
-						objects = await api.getObjects();
-					} else {
-						objects = {hasNextPage: false, items: []};
-					}
-				}
+				const objects = currentNavigationTab === NAVIGATION_TABS.OBJECTS
+					? await this.fetchObjects()
+					: undefined;
 
 				this.setState({currentNavigationTab, objects});
 			}),
+			store.subscribe(STORE_KEYS.PROFILES, (_, profiles) => {
+				this.setState({profiles});
+			}),
+			store.subscribe(STORE_KEYS.PROFILE, async (_, profile) => {
+				this.setState({profile, objects: null});
+
+				if (this.state.currentNavigationTab === NAVIGATION_TABS.OBJECTS) {
+					this.setState({objects: await this.fetchObjects()});
+				}
+			}),
 		);
 
-		if (hasAccessKeyId) {
-			const objects = await api.getObjects();
+		this.setState({objects: await this.fetchObjects()});
+	}
+
+	/**
+	 * Fetch the first page of objects of the profile in use.
+	 * @returns {Promise<{hasNextPage: boolean, items: Array<Object>}>}
+	 */
+	fetchObjects() {
+		const profile = store.get(STORE_KEYS.PROFILE);
 
-			this.setState({objects});
-		} else {
-			this.setState({objects: {hasNextPage: false, items: []}});
+		if (!profile) {
+			return Promise.resolve({hasNextPage: false, items: []});
 		}
+
+		return api.getObjects(utils.getObjectsSort(profile.bucket));
 	}
 
 	renderContent() {
-		const {currentNavigationTab, objects} = this.state;
+		const {secretStatus, currentNavigationTab, profile, objects} = this.state;
+
+		if (secretStatus && !secretStatus.isUnlocked) {
+			return <Unlock secretStatus={secretStatus} onUnlock={this.onUnlock}/>;
+		}
 
 		if (currentNavigationTab === NAVIGATION_TABS.SETTINGS) {
 			return <Settings/>;
 		}
 
+		if (currentNavigationTab === NAVIGATION_TABS.TRANSFERS) {
+			return <Transfers/>;
+		}
+
 		if (objects == null) {
 			return (
 				<div className="row">
@@ -71,18 +119,20 @@ module.exports = class Layout extends Base {
 			);
 		}
 
-		return <Objects objects={objects}/>;
+		// Remount it for another profile, its state belongs to the bucket.
+		return <Objects key={profile?.id} objects={objects}/>;
 	}
 
 	render() {
-		const {currentNavigationTab} = this.state;
+		const {currentNavigationTab, profiles, profile} = this.state;
 
 		return (
 			<>
-				<Navigation currentTab={currentNavigationTab}/>
+				<Navigation currentTab={currentNavigationTab} profiles={profiles} currentProfile={profile}/>
 				<div className="container-fluid py-3" style={{minHeight: 'calc(100vh - 50px)'}}>
 					{this.renderContent()}
 				</div>
+				<MfaPromptModal/>
 			</>
 		);
 	}
@@ -6,22 +6,48 @@ const {
 	STORE_KEYS,
 } = require('../common/constants');
 const store = require('../common/store');
+const utils = require('../common/utils');
+
+const {api, dialog} = window;
 
 module.exports = class Navigation extends React.PureComponent {
 	static propTypes = {
 		currentTab: PropTypes.oneOf(Object.values(NAVIGATION_TABS)),
+		profiles: PropTypes.arrayOf(PropTypes.shape({
+			id: PropTypes.number.isRequired,
+			name: PropTypes.string.isRequired,
+		})),
+		currentProfile: PropTypes.shape({
+			id: PropTypes.number.isRequired,
+		}),
 	};
 
 	static defaultProps = {
 		currentTab: null,
+		profiles: [],
+		currentProfile: null,
 	};
 
 	onClickTab(event) {
 		store.set(STORE_KEYS.CURRENT_NAVIGATION_TAB, event.target.dataset.tabName);
 	}
 
+	onChangeProfile = async event => {
+		try {
+			utils.addBusyClass();
+
+			const profile = await api.switchProfile({id: Number(event.target.value)});
+
+			store.set(STORE_KEYS.PROFILE, profile);
+		} catch (error) {
+			dialog.showErrorBox('Error', utils.getErrorMessage(error));
+		} finally {
+			utils.removeBusyClass();
+		}
+	};
+
 	render() {
-		const {currentTab} = this.props;
+		const {currentTab, profiles, currentProfile} = this.props;
 
 		return (
 			<nav className="sticky-top">
@@ -38,6 +64,18 @@ module.exports = class Navigation extends React.PureComponent {
 					>
 						Objects
 					</button>
+					<button
+						data-tab-name={NAVIGATION_TABS.TRANSFERS}
+						className={classnames(
+							'nav-link rounded-0',
+							{active: currentTab === NAVIGATION_TABS.TRANSFERS},
+						)}
+						style={{borderBottomColor: 'transparent'}}
+						type="button"
+						onClick={this.onClickTab}
+					>
+						Transfers
+					</button>
 					<button
 						data-tab-name={NAVIGATION_TABS.SETTINGS}
 						className={classnames(
@@ -50,6 +88,25 @@ module.exports = class Navigation extends React.PureComponent {
 					>
 						Settings
 					</button>
+					{
+						profiles.length > 0 && (
+							<div className="ms-auto d-flex align-items-center">
+								<select
+									className="form-select form-select-sm"
+									aria-label="Profile"
+									value={currentProfile?.id || ''}
+									onChange={this.onChangeProfile}
+								>
+									{!currentProfile && <option disabled value="">Select a profile</option>}
+									{
+										profiles.map(profile => (
+											<option key={profile.id} value={profile.id}>{profile.name}</option>
+										))
+									}
+								</select>
+							</div>
+						)
+					}
 				</div>
 			</nav>
 		);
@@ -70,7 +70,7 @@ module.exports = class NewFolderModal extends Base {
 				return;
 			}
 
-			dialog.showErrorBox('Error', `${error.message}`);
+			dialog.showErrorBox('Error', utils.getErrorMessage(error));
 		} finally {
 			this.setState(prevState => {
 				prevState.requestPool.delete(requestId);
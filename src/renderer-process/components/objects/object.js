@@ -49,7 +49,7 @@ module.exports = class ObjectModal extends Base {
 			setTimeout(() => this.props.onClose({reload: true}), 300);
 		} catch (error) {
 			utils.removeBusyClass();
-			dialog.showErrorBox('Error', `${error.message}`);
+			dialog.showErrorBox('Error', utils.getErrorMessage(error));
 		} finally {
 			this.setState(prevState => {
 				prevState.requestPool.delete(requestId);
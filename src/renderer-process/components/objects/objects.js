@@ -1,11 +1,20 @@
 const classnames = require('classnames');
+const pupa = require('pupa').default;
+const OverlayTrigger = require('react-bootstrap/OverlayTrigger').default;
+const Popover = require('react-bootstrap/Popover').default;
 const Toast = require('react-bootstrap/Toast').default;
 const ToastContainer = require('react-bootstrap/ToastContainer').default;
 const PropTypes = require('prop-types');
 const React = require('react');
 const InfiniteScroll = require('@kelp404/react-infinite-scroller');
+const OBJECT_SORT_FIELD = require('../../../shared/constants/object-sort-field');
 const OBJECT_TYPE = require('../../../shared/constants/object-type');
+const PROFILE_CAPABILITY = require('../../../shared/constants/profile-capability');
+const SORT_DIRECTION = require('../../../shared/constants/sort-direction');
 const STORAGE_CLASS = require('../../../shared/constants/storage-class');
+const {
+	SHOW_OBJECT_DUPLICATED_ALERT,
+} = require('../../../shared/constants/frontend-operation-code');
 const utils = require('../../common/utils');
 const store = require('../../common/store');
 const {STORE_KEYS} = require('../../common/constants');
@@ -13,9 +22,23 @@ const Base = require('../shared/base');
 const Loading = require('../shared/loading');
 const NewFolder = require('./new-folder');
 const ObjectModal = require('./object');
+const RelocateObjects = require('./relocate-objects');
+const RenameObject = require('./rename-object');
 const Uploader = require('./uploader');
 
 const {api, dialog} = window;
+// Help of the search syntax, filters are combined with words.
+const SEARCH_SYNTAX = [
+	{example: 'car -red', description: 'Names with "car" but without "red".'},
+	{example: 'type:file', description: 'Files or folders (type:folder).'},
+	{example: 'ext:zip,tar', description: 'Files with these extensions.'},
+	{example: 'size:>100MB', description: 'Files by size, also <, >=, <=.'},
+	{example: 'size:1KB..5MB', description: 'Files in the size range.'},
+	{example: 'modified:>2024-01-01', description: 'Modified after the day.'},
+	{example: 'modified:<7d', description: 'Modified within 7 days, units are h, d and w.'},
+	{example: 'class:GLACIER', description: 'Files in the storage class.'},
+	{example: 'in:path/prefix', description: 'Objects under the folder.'},
+];
 
 module.exports = class Objects extends Base {
 	static propTypes = {
@@ -30,24 +53,28 @@ module.exports = class Objects extends Base {
 				size: PropTypes.number,
 				storageClass: PropTypes.oneOf(Object.keys(STORAGE_CLASS)),
 			}).isRequired).isRequired,
+			// The listing of folders which are listed on demand.
+			listedAt: utils.generateDatePropTypes({isRequired: false}),
+			isOffline: PropTypes.bool,
 		}),
 	};
 
 	constructor(props) {
 		super(props);
 
-		const settings = store.get(STORE_KEYS.SETTINGS);
+		const profile = store.get(STORE_KEYS.PROFILE);
 
 		// Query arguments
 		this.state.dirname = '';
 		this.state.keyword = '';
+		this.state.sort = utils.getObjectsSort(profile?.bucket);
 
 		this.state.requestPool = new Set();
 		this.state.breadcrumb = {
 			items: [
 				{
 					id: Math.random().toString(36),
-					title: settings?.bucket,
+					title: profile?.bucket,
 					dirname: '',
 					basename: '',
 				},
@@ -58,11 +85,18 @@ module.exports = class Objects extends Base {
 		this.state.object = null;
 		this.state.isShowNewFolderModal = false;
 		this.state.isShowUploaderModal = false;
-		this.state.downloadToasts = [];
+		// The mode of the relocate objects modal, null when the modal is hidden.
+		this.state.relocateObjectsMode = null;
+		this.state.renamingObject = null;
+		this.state.toasts = [];
+		// "list" when files are dragged over the list, the folder id when over a folder row.
+		this.state.dropTarget = null;
+		// {dirname, ids} of objects which are downloaded for dragging out of the window.
+		this.state.preparedDrag = null;
 	}
 
-	updateQueryArguments = async ({dirname, keyword}) => {
-		const settings = store.get(STORE_KEYS.SETTINGS);
+	updateQueryArguments = async ({dirname, keyword, sort = this.state.sort}) => {
+		const profile = store.get(STORE_KEYS.PROFILE);
 		const requestId = Math.random().toString(36);
 
 		try {
@@ -71,17 +105,18 @@ module.exports = class Objects extends Base {
 				requestPool: new Set([...prevState.requestPool, requestId]),
 			}));
 
-			const result = await api.getObjects({dirname, keyword});
+			const result = await api.getObjects({dirname, keyword, ...sort});
 			const folders = (dirname || null)?.split('/') || [];
 
 			this.setState({
 				dirname,
 				keyword,
+				sort,
 				breadcrumb: {
 					items: [
 						{
 							id: Math.random().toString(36),
-							title: settings.bucket,
+							title: profile.bucket,
 							dirname: '',
 							basename: '',
 						},
@@ -100,7 +135,7 @@ module.exports = class Objects extends Base {
 				checked: Object.fromEntries(result.items.map(({id}) => [id, false])),
 			});
 		} catch (error) {
-			dialog.showErrorBox('Error', `${error.message}`);
+			dialog.showErrorBox('Error', utils.getErrorMessage(error));
 		} finally {
 			utils.removeBusyClass();
 			this.setState(prevState => {
@@ -122,6 +157,12 @@ module.exports = class Objects extends Base {
 		return false;
 	};
 
+	getCheckedObjects = () => {
+		const {checked, objects} = this.state;
+
+		return objects.items.slice(1).filter(object => checked[object.id]);
+	};
+
 	onChangeCheckAll = event => {
 		const {objects} = this.state;
 
@@ -190,7 +231,7 @@ module.exports = class Objects extends Base {
 				};
 			});
 		} catch (error) {
-			dialog.showErrorBox('Error', `${error.message}`);
+			dialog.showErrorBox('Error', utils.getErrorMessage(error));
 		} finally {
 			utils.removeBusyClass();
 			this.setState(prevState => {
@@ -219,7 +260,6 @@ module.exports = class Objects extends Base {
 
 	downloadObjects = async objectIds => {
 		const {dirname} = this.state;
-		const requestId = Math.random().toString(36);
 
 		try {
 			const dialogResult = await dialog.showOpenDialog({
@@ -229,34 +269,256 @@ module.exports = class Objects extends Base {
 				properties: ['openDirectory'],
 			});
 
-			await api.downloadObjects({
+			if (dialogResult.canceled) {
+				return;
+			}
+
+			const {transferCount} = await api.enqueueDownloads({
 				localPath: dialogResult.files[0].path,
 				dirname,
 				ids: objectIds,
-				onProgress: (_, progress) => {
-					this.setState(prevState => {
-						const newDownloadToasts = [...prevState.downloadToasts];
-						const newDownloadToast = newDownloadToasts.find(toast => toast.requestId === requestId);
-
-						if (newDownloadToast) {
-							newDownloadToast.basename = progress.basename;
-							newDownloadToast.total = progress.total;
-							newDownloadToast.loaded = progress.loaded;
-							return {downloadToasts: newDownloadToasts};
-						}
+			});
+
+			this.showNoticeToast('Download', pupa('Added {0} files to transfers.', [transferCount]));
+		} catch (error) {
+			dialog.showErrorBox('Error', utils.getErrorMessage(error));
+		}
+	};
+
+	/**
+	 * @param {string} requestId
+	 * @param {string} title
+	 * @param {number} percentage
+	 * @param {{id: number, basename: string, total: number, loaded: number}|undefined} file
+	 * 	The file has its own bar until it is finished.
+	 * @param {number} retries - Retried S3 requests.
+	 * @returns {void}
+	 */
+	updateProgressToast = (requestId, {title, percentage, file, retries}) => {
+		this.setState(prevState => {
+			const prevToast = prevState.toasts.find(toast => toast.requestId === requestId);
+			const files = (prevToast?.files || []).filter(item => item.id !== file?.id);
+
+			if (file && file.loaded < file.total) {
+				files.push(file);
+			}
+
+			const nextToast = {requestId, title, percentage, files, retries};
+
+			return {
+				toasts: prevToast
+					? prevState.toasts.map(toast => (toast.requestId === requestId ? nextToast : toast))
+					: [...prevState.toasts, nextToast],
+			};
+		});
+	};
+
+	showNoticeToast = (title, message) => {
+		const requestId = Math.random().toString(36);
+
+		this.setState(prevState => ({
+			toasts: [...prevState.toasts, {requestId, title, message}],
+		}));
+	};
+
+	removeToast = requestId => {
+		this.setState(prevState => ({
+			toasts: prevState.toasts.filter(toast => toast.requestId !== requestId),
+		}));
+	};
+
+	/**
+	 * Add local files and folders into the transfer queue to upload them into the folder.
+	 * @param {Array<string>} localPaths
+	 * @param {string} dirname
+	 * @returns {Promise<void>}
+	 */
+	enqueueUploads = async (localPaths, dirname) => {
+		try {
+			const {transferCount} = await api.enqueueUploads({dirname, localPaths});
+
+			this.showNoticeToast('Upload', pupa('Added {0} files to transfers.', [transferCount]));
+		} catch (error) {
+			if (error?.extra?.frontendOperationCode === SHOW_OBJECT_DUPLICATED_ALERT) {
+				dialog.showErrorBox(
+					'Error',
+					pupa('The path "{0}" is already exists.', [error.extra.frontendOperationValue]),
+				);
+			} else {
+				dialog.showErrorBox('Error', utils.getErrorMessage(error));
+			}
+		} finally {
+			const {dirname: currentDirname, keyword} = this.state;
+
+			// Missing folders are created right away.
+			this.updateQueryArguments({dirname: currentDirname, keyword});
+		}
+	};
+
+	/**
+	 * @param {string} capability - PROFILE_CAPABILITY
+	 * @returns {boolean}
+	 */
+	isCapable = capability => utils.isProfileCapable(store.get(STORE_KEYS.PROFILE), capability);
+
+	isDraggingLocalFiles = event => event.dataTransfer.types.includes('Files')
+		&& this.isCapable(PROFILE_CAPABILITY.PUT);
+
+	onDragOverObjects = event => {
+		if (!this.isDraggingLocalFiles(event)) {
+			return;
+		}
+
+		const {objectId} = event.currentTarget.dataset;
+
+		event.preventDefault();
+		event.stopPropagation();
+		event.dataTransfer.dropEffect = 'copy';
+		this.setState({dropTarget: objectId ? Number(objectId) : 'list'});
+	};
+
+	onDragLeaveObjects = event => {
+		// Entering a child element also fires "dragleave" on the parent.
+		if (event.currentTarget.contains(event.relatedTarget)) {
+			return;
+		}
+
+		this.setState({dropTarget: null});
+	};
+
+	onDropObjects = event => {
+		if (!this.isDraggingLocalFiles(event)) {
+			return;
+		}
+
+		const {objectId, objectDirname, objectBasename} = event.currentTarget.dataset;
+		let {dirname} = this.state;
+
+		if (objectId) {
+			dirname = (objectDirname || null)
+				? `${objectDirname}/${objectBasename}`
+				: objectBasename;
+		}
 
-						return {
-							downloadToasts: [...newDownloadToasts, {...progress, requestId}],
-						};
+		event.preventDefault();
+		event.stopPropagation();
+		this.setState({dropTarget: null});
+		this.enqueueUploads(Array.from(event.dataTransfer.files).map(file => file.path), dirname);
+	};
+
+	/**
+	 * Download objects into a temporary folder, they are dragged out of the window by the next drag.
+	 * @param {string} dirname
+	 * @param {Array<number>} ids
+	 * @returns {Promise<void>}
+	 */
+	prepareDragObjects = async (dirname, ids) => {
+		const requestId = Math.random().toString(36);
+
+		try {
+			this.setState({preparedDrag: null});
+			await api.prepareDragObjects({
+				dirname,
+				ids,
+				requestId,
+				onProgress: progress => {
+					this.updateProgressToast(requestId, {
+						title: 'Prepare to drag',
+						percentage: progress.total ? Math.floor((progress.loaded / progress.total) * 100) : 100,
+						file: progress.file,
+						retries: progress.retries,
 					});
 				},
 			});
+			this.setState({preparedDrag: {dirname, ids}});
+			this.showNoticeToast('Drag', 'The objects are ready, drag them again to drop them.');
+		} catch (error) {
+			if (!utils.isCancelledError(error)) {
+				dialog.showErrorBox('Error', utils.getErrorMessage(error));
+			}
+		} finally {
+			this.removeToast(requestId);
+		}
+	};
+
+	onDragStartObject = event => {
+		const {checked, dirname, preparedDrag} = this.state;
+		const objectId = Number(event.currentTarget.dataset.objectId);
+		const objectIds = checked[objectId]
+			? Object.entries(checked).filter(([_, value]) => value).map(([key]) => Number(key))
+			: [objectId];
+		const isPrepared = preparedDrag?.dirname === dirname
+			&& preparedDrag.ids.length === objectIds.length
+			&& objectIds.every(id => preparedDrag.ids.includes(id));
+
+		// The native drag replaces the drag of the row, it starts only while the mouse button is pressed.
+		event.preventDefault();
+		if (isPrepared) {
+			api.startDragObjects({dirname, ids: objectIds})
+				.catch(error => dialog.showErrorBox('Error', utils.getErrorMessage(error)));
+		} else {
+			this.prepareDragObjects(dirname, objectIds);
+		}
+	};
+
+	onClickRenameObjectButton = event => {
+		event.preventDefault();
+		this.setState({renamingObject: this.getCheckedObjects()[0]});
+	};
+
+	onCloseRenameObjectModal = ({reload} = {}) => {
+		this.setState({renamingObject: null});
+
+		if (reload) {
+			const {dirname, keyword} = this.state;
+
+			this.updateQueryArguments({dirname, keyword});
+		}
+	};
+
+	onClickMoveObjectsButton = event => {
+		event.preventDefault();
+		this.setState({relocateObjectsMode: RelocateObjects.MODES.MOVE});
+	};
+
+	onClickCopyObjectsButton = event => {
+		event.preventDefault();
+		this.setState({relocateObjectsMode: RelocateObjects.MODES.COPY});
+	};
+
+	onCloseRelocateObjectsModal = ({reload} = {}) => {
+		this.setState({relocateObjectsMode: null});
+
+		if (reload) {
+			const {dirname, keyword} = this.state;
+
+			this.updateQueryArguments({dirname, keyword});
+		}
+	};
+
+	onClickRefreshFolderButton = async event => {
+		const {dirname, keyword} = this.state;
+		const requestId = Math.random().toString(36);
+
+		event.preventDefault();
+		try {
+			utils.addBusyClass();
 			this.setState(prevState => ({
-				downloadToasts: prevState.downloadToasts.filter(toast => toast.requestId !== requestId),
+				requestPool: new Set([...prevState.requestPool, requestId]),
 			}));
+
+			await api.refreshFolder({dirname});
 		} catch (error) {
-			dialog.showErrorBox('Error', `${error.message}`);
+			dialog.showErrorBox('Error', utils.getErrorMessage(error));
+		} finally {
+			utils.removeBusyClass();
+			this.setState(prevState => {
+				prevState.requestPool.delete(requestId);
+				return {requestPool: new Set(prevState.requestPool)};
+			});
 		}
+
+		this.updateQueryArguments({dirname, keyword});
 	};
 
 	onClickNewFolderButton = event => {
@@ -314,7 +576,7 @@ module.exports = class Objects extends Base {
 
 			this.setState({object});
 		} catch (error) {
-			dialog.showErrorBox('Error', `${error.message}`);
+			dialog.showErrorBox('Error', utils.getErrorMessage(error));
 		} finally {
 			utils.removeBusyClass();
 			this.setState(prevState => {
@@ -335,47 +597,94 @@ module.exports = class Objects extends Base {
 	};
 
 	onLoadNextPage = async () => {
-		const {dirname, keyword, objects} = this.state;
+		const {dirname, keyword, sort, objects} = this.state;
 
 		try {
 			const result = await api.getObjects({
 				dirname,
 				keyword,
+				...sort,
 				after: objects.items.slice(-1)[0].id,
 			});
 
 			this.setState({
 				objects: {
-					...result,
+					...objects,
+					hasNextPage: result.hasNextPage,
 					items: [...objects.items, ...result.items],
 				},
 			});
 		} catch (error) {
-			dialog.showErrorBox('Error', `${error.message}`);
+			dialog.showErrorBox('Error', utils.getErrorMessage(error));
 		}
 	};
 
-	objectsHeaderComponent = (
-		<li key={0} className="list-group-item d-flex align-items-end">
-			<div className="pe-1">
-				<div className="form-check">
-					<input className="form-check-input" type="checkbox" onChange={this.onChangeCheckAll}/>
+	onClickSortHeader = event => {
+		const {dirname, keyword, sort} = this.state;
+		const {sortBy} = event.currentTarget.dataset;
+		const profile = store.get(STORE_KEYS.PROFILE);
+		const nextSort = {
+			sortBy,
+			sortDirection: sort.sortBy === sortBy && sort.sortDirection === SORT_DIRECTION.ASC
+				? SORT_DIRECTION.DESC
+				: SORT_DIRECTION.ASC,
+		};
+
+		event.preventDefault();
+		utils.setObjectsSort(profile?.bucket, nextSort);
+		this.updateQueryArguments({dirname, keyword, sort: nextSort});
+	};
+
+	/**
+	 * @param {string} sortBy - OBJECT_SORT_FIELD
+	 * @param {string} title
+	 * @returns {JSX.Element}
+	 */
+	renderSortHeader(sortBy, title) {
+		const {sort} = this.state;
+		const isActive = sort.sortBy === sortBy;
+
+		return (
+			<a
+				href="#"
+				data-sort-by={sortBy}
+				className="text-reset text-decoration-none"
+				onClick={this.onClickSortHeader}
+			>
+				<strong>{title}</strong>
+				<i
+					className={classnames('fa-solid fa-fw ms-1', {
+						'fa-sort text-muted': !isActive,
+						'fa-sort-up': isActive && sort.sortDirection === SORT_DIRECTION.ASC,
+						'fa-sort-down': isActive && sort.sortDirection === SORT_DIRECTION.DESC,
+					})}/>
+			</a>
+		);
+	}
+
+	renderObjectsHeader() {
+		return (
+			<li key={0} className="list-group-item d-flex align-items-end">
+				<div className="pe-1">
+					<div className="form-check">
+						<input className="form-check-input" type="checkbox" onChange={this.onChangeCheckAll}/>
+					</div>
 				</div>
-			</div>
-			<div className="flex-grow-1 px-1 text-truncate">
-				<strong>Name</strong>
-			</div>
-			<div className="d-none d-lg-block text-truncate" style={{minWidth: '200px'}}>
-				<strong>Storage class</strong>
-			</div>
-			<div className="px-1 text-truncate" style={{minWidth: '270px'}}>
-				<strong>Last modified</strong>
-			</div>
-			<div className="ps-1 text-end" style={{minWidth: '86px'}}>
-				<strong>Size</strong>
-			</div>
-		</li>
-	);
+				<div className="flex-grow-1 px-1 text-truncate">
+					{this.renderSortHeader(OBJECT_SORT_FIELD.NAME, 'Name')}
+				</div>
+				<div className="d-none d-lg-block text-truncate" style={{minWidth: '200px'}}>
+					{this.renderSortHeader(OBJECT_SORT_FIELD.STORAGE_CLASS, 'Storage class')}
+				</div>
+				<div className="px-1 text-truncate" style={{minWidth: '270px'}}>
+					{this.renderSortHeader(OBJECT_SORT_FIELD.LAST_MODIFIED, 'Last modified')}
+				</div>
+				<div className="ps-1 text-end" style={{minWidth: '86px'}}>
+					{this.renderSortHeader(OBJECT_SORT_FIELD.SIZE, 'Size')}
+				</div>
+			</li>
+		);
+	}
 
 	emptyObjectRowComponent = (
 		<li className="list-group-item py-4 text-muted text-center">Empty</li>
@@ -386,7 +695,7 @@ module.exports = class Objects extends Base {
 	);
 
 	renderObjectRow = object => {
-		const {checked, dirname, requestPool} = this.state;
+		const {checked, dirname, dropTarget, requestPool} = this.state;
 		const isApiProcessing = requestPool.size > 0;
 		let name = dirname
 			? object.path.replace(`${dirname}/`, '')
@@ -397,8 +706,24 @@ module.exports = class Objects extends Base {
 			name = name.slice(0, -1);
 		}
 
+		const isFolder = object.type === OBJECT_TYPE.FOLDER;
+
 		return (
-			<li key={object.id} className="object-row list-group-item d-flex align-items-end">
+			<li
+				key={object.id}
+				draggable={!isApiProcessing && this.isCapable(PROFILE_CAPABILITY.GET)}
+				data-object-id={object.id}
+				data-object-dirname={object.dirname}
+				data-object-basename={object.basename}
+				className={classnames(
+					'object-row list-group-item d-flex align-items-end',
+					{'drop-target': isFolder && dropTarget === object.id},
+				)}
+				onDragStart={this.onDragStartObject}
+				onDragOver={isFolder ? this.onDragOverObjects : undefined}
+				onDragLeave={isFolder ? this.onDragLeaveObjects : undefined}
+				onDrop={isFolder ? this.onDropObjects : undefined}
+			>
 				<div className="pe-1">
 					<div className="form-check">
 						<input
@@ -458,15 +783,190 @@ module.exports = class Objects extends Base {
 		);
 	};
 
+	renderSearchSyntaxPopover() {
+		return (
+			<Popover style={{maxWidth: '420px'}}>
+				<Popover.Header>Search syntax</Popover.Header>
+				<Popover.Body className="p-2">
+					<table className="table table-sm table-borderless m-0">
+						<tbody>
+							{
+								SEARCH_SYNTAX.map(item => (
+									<tr key={item.example}>
+										<td className="text-nowrap"><code>{item.example}</code></td>
+										<td><small>{item.description}</small></td>
+									</tr>
+								))
+							}
+						</tbody>
+					</table>
+				</Popover.Body>
+			</Popover>
+		);
+	}
+
+	/**
+	 * When the folder was listed from S3, profiles of the local index don't have it.
+	 * @returns {null|JSX.Element}
+	 */
+	renderListingStatus() {
+		const {objects} = this.state;
+
+		if (objects.isOffline) {
+			return (
+				<small className="text-danger me-2">
+					{objects.listedAt ? pupa('Offline, listed at {0}', [utils.formatDate(objects.listedAt)]) : 'Offline'}
+				</small>
+			);
+		}
+
+		if (!objects.listedAt) {
+			return this.renderLastSync();
+		}
+
+		return (
+			<small className="text-muted me-2">
+				{pupa('Listed at {0}', [utils.formatDate(objects.listedAt)])}
+			</small>
+		);
+	}
+
+	/**
+	 * The last sync of the bucket, objects of the index listing mode are as fresh as it.
+	 * @returns {(JSX.Element|null)}
+	 */
+	renderLastSync() {
+		const {lastSyncedAt, lastSyncResult} = store.get(STORE_KEYS.PROFILE) || {};
+
+		if (!lastSyncedAt || !lastSyncResult) {
+			return null;
+		}
+
+		if (lastSyncResult.error) {
+			return (
+				<small className="text-danger me-2" title={lastSyncResult.error}>
+					{pupa('Sync failed at {0}', [utils.formatDate(lastSyncedAt)])}
+				</small>
+			);
+		}
+
+		return (
+			<small
+				className="text-muted me-2"
+				title={pupa('{0} objects, {1}', [
+					utils.formatNumber(lastSyncResult.objectCount),
+					utils.formatSize(lastSyncResult.byteCount),
+				])}
+			>
+				{pupa('Synced at {0}', [utils.formatDate(lastSyncedAt)])}
+			</small>
+		);
+	}
+
+	renderObjectsToolbar() {
+		const {requestPool} = this.state;
+		const isApiProcessing = requestPool.size > 0;
+		const hasAnyChecked = this.hasAnyChecked();
+		const checkedObjects = this.getCheckedObjects();
+		const canList = this.isCapable(PROFILE_CAPABILITY.LIST);
+		const canGet = this.isCapable(PROFILE_CAPABILITY.GET);
+		const canPut = this.isCapable(PROFILE_CAPABILITY.PUT);
+		const canDelete = this.isCapable(PROFILE_CAPABILITY.DELETE);
+		const canCopy = this.isCapable(PROFILE_CAPABILITY.COPY);
+
+		return (
+			<div className="card-header d-flex justify-content-between">
+				<div>
+					<button
+						type="button"
+						className="btn btn-sm btn-outline-danger"
+						style={{lineHeight: 'initial'}}
+						disabled={isApiProcessing || !hasAnyChecked || !canDelete}
+						onClick={this.onClickDeleteObjectsButton}
+					>
+						Delete
+					</button>
+					<button
+						type="button"
+						className="btn btn-sm btn-outline-primary ms-2"
+						style={{lineHeight: 'initial'}}
+						disabled={isApiProcessing || !hasAnyChecked || !canGet}
+						onClick={this.onClickDownloadObjectsButton}
+					>
+						Download
+					</button>
+					<button
+						type="button"
+						className="btn btn-sm btn-outline-secondary ms-2"
+						style={{lineHeight: 'initial'}}
+						disabled={isApiProcessing || checkedObjects.length !== 1 || !canCopy || !canDelete}
+						onClick={this.onClickRenameObjectButton}
+					>
+						Rename
+					</button>
+					<button
+						type="button"
+						className="btn btn-sm btn-outline-secondary ms-2"
+						style={{lineHeight: 'initial'}}
+						disabled={isApiProcessing || !hasAnyChecked || !canCopy || !canDelete}
+						onClick={this.onClickMoveObjectsButton}
+					>
+						Move to…
+					</button>
+					<button
+						type="button"
+						className="btn btn-sm btn-outline-secondary ms-2"
+						style={{lineHeight: 'initial'}}
+						disabled={isApiProcessing || !hasAnyChecked || !canCopy}
+						onClick={this.onClickCopyObjectsButton}
+					>
+						Copy to…
+					</button>
+				</div>
+				<div>
+					{this.renderListingStatus()}
+					<button
+						type="button"
+						className="btn btn-sm btn-outline-secondary"
+						style={{lineHeight: 'initial'}}
+						title="Sync objects of this folder from S3"
+						disabled={isApiProcessing || !canList}
+						onClick={this.onClickRefreshFolderButton}
+					>
+						Refresh
+					</button>
+					<button
+						type="button"
+						className="btn btn-sm btn-outline-secondary ms-2"
+						style={{lineHeight: 'initial'}}
+						disabled={isApiProcessing || !canPut}
+						onClick={this.onClickNewFolderButton}
+					>
+						New folder
+					</button>
+					<button
+						type="button"
+						className="btn btn-sm btn-outline-success ms-2"
+						style={{lineHeight: 'initial'}}
+						disabled={isApiProcessing || !canPut}
+						onClick={this.onClickUploadButton}
+					>
+						Upload
+					</button>
+				</div>
+			</div>
+		);
+	}
+
 	render() {
 		const {
 			dirname, keyword,
-			isShowNewFolderModal, isShowUploaderModal,
-			breadcrumb, requestPool, objects, object,
-			downloadToasts,
+			isShowNewFolderModal, isShowUploaderModal, relocateObjectsMode,
+			breadcrumb, requestPool, objects, object, renamingObject,
+			toasts, dropTarget,
 		} = this.state;
 		const isApiProcessing = requestPool.size > 0;
-		const hasAnyChecked = this.hasAnyChecked();
+		const checkedObjects = this.getCheckedObjects();
 
 		return (
 			<div className="row">
@@ -500,10 +1000,20 @@ module.exports = class Objects extends Base {
 									<input
 										type="text"
 										className="form-control border-secondary"
-										placeholder="Name"
+										placeholder="Name or filters"
 										value={keyword}
 										onChange={this.onChangeKeyword}
 									/>
+									<OverlayTrigger
+										rootClose
+										trigger="click"
+										placement="bottom-end"
+										overlay={this.renderSearchSyntaxPopover()}
+									>
+										<button className="btn btn-outline-secondary" type="button" title="Search syntax">
+											<i className="fa-solid fa-circle-question"/>
+										</button>
+									</OverlayTrigger>
 									<button
 										className="btn btn-outline-secondary"
 										type="submit"
@@ -516,54 +1026,18 @@ module.exports = class Objects extends Base {
 						</form>
 					</div>
 
-					<div className="card shadow-sm">
-						<div className="card-header d-flex justify-content-between">
-							<div>
-								<button
-									type="button"
-									className="btn btn-sm btn-outline-danger"
-									style={{lineHeight: 'initial'}}
-									disabled={isApiProcessing || !hasAnyChecked}
-									onClick={this.onClickDeleteObjectsButton}
-								>
-									Delete
-								</button>
-								<button
-									type="button"
-									className="btn btn-sm btn-outline-primary ms-2"
-									style={{lineHeight: 'initial'}}
-									disabled={isApiProcessing || !hasAnyChecked}
-									onClick={this.onClickDownloadObjectsButton}
-								>
-									Download
-								</button>
-							</div>
-							<div>
-								<button
-									type="button"
-									className="btn btn-sm btn-outline-secondary"
-									style={{lineHeight: 'initial'}}
-									disabled={isApiProcessing}
-									onClick={this.onClickNewFolderButton}
-								>
-									New folder
-								</button>
-								<button
-									type="button"
-									className="btn btn-sm btn-outline-success ms-2"
-									style={{lineHeight: 'initial'}}
-									disabled={isApiProcessing}
-									onClick={this.onClickUploadButton}
-								>
-									Upload
-								</button>
-							</div>
-						</div>
+					<div
+						className={classnames('card shadow-sm', {'drop-target': dropTarget === 'list'})}
+						onDragOver={this.onDragOverObjects}
+						onDragLeave={this.onDragLeaveObjects}
+						onDrop={this.onDropObjects}
+					>
+						{this.renderObjectsToolbar()}
 
 						{
 							objects.items.length === 1 && (
 								<ul className="objects-wrapper list-group list-group-flush">
-									{this.objectsHeaderComponent}
+									{this.renderObjectsHeader()}
 									{this.emptyObjectRowComponent}
 								</ul>
 							)
@@ -578,7 +1052,7 @@ module.exports = class Objects extends Base {
 									hasMore={objects.hasNextPage}
 									loader={this.infiniteScrollLoadingComponent}
 								>
-									{this.objectsHeaderComponent}
+									{this.renderObjectsHeader()}
 									{objects.items.slice(1).map(object => this.renderObjectRow(object))}
 								</InfiniteScroll>
 							)
@@ -602,21 +1076,76 @@ module.exports = class Objects extends Base {
 						<Uploader dirname={dirname} onClose={this.onCloseUploaderModal}/>
 					)
 				}
+				{
+					renamingObject && (
+						<RenameObject object={renamingObject} onClose={this.onCloseRenameObjectModal}/>
+					)
+				}
+				{
+					relocateObjectsMode && (
+						<RelocateObjects
+							mode={relocateObjectsMode}
+							dirname={dirname}
+							objects={checkedObjects}
+							onClose={this.onCloseRelocateObjectsModal}/>
+					)
+				}
 				<ToastContainer position="bottom-end" className="p-3 position-fixed" style={{zIndex: 1200}}>
 					{
-						downloadToasts.map(downloadToast => (
-							<Toast key={downloadToast.requestId}>
+						toasts.map(toast => (
+							<Toast
+								key={toast.requestId}
+								autohide={toast.message != null}
+								delay={3000}
+								onClose={() => this.removeToast(toast.requestId)}
+							>
 								<Toast.Header closeButton={false}>
 									<strong className="me-auto text-truncate">
-										Download {downloadToast.basename}
+										{toast.title}
 									</strong>
 								</Toast.Header>
 								<Toast.Body>
-									<div className="progress" style={{height: '10px', width: '100%'}}>
-										<div
-											className="progress-bar progress-bar-striped progress-bar-animated"
-											style={{width: `${downloadToast.loaded}%`}}/>
-									</div>
+									{
+										toast.message == null
+											? (
+												<>
+													<div className="progress" style={{height: '10px', width: '100%'}}>
+														<div
+															className="progress-bar progress-bar-striped progress-bar-animated"
+															style={{width: `${toast.percentage}%`}}/>
+													</div>
+													{
+														toast.retries > 0 && (
+															<small className="d-block mt-1 text-warning">
+																{pupa('Retried {0} requests of S3.', [toast.retries])}
+															</small>
+														)
+													}
+													{
+														(toast.files || []).map(file => (
+															<div key={file.id} className="mt-2">
+																<small className="d-block text-muted text-truncate">{file.basename}</small>
+																<div className="progress" style={{height: '4px', width: '100%'}}>
+																	<div
+																		className="progress-bar"
+																		style={{width: `${Math.floor((file.loaded / file.total) * 100)}%`}}/>
+																</div>
+															</div>
+														))
+													}
+													<div className="mt-2 text-end">
+														<button
+															type="button" className="btn btn-sm btn-outline-secondary"
+															style={{lineHeight: 'initial'}}
+															onClick={() => api.cancelRequest(toast.requestId)}
+														>
+															Cancel
+														</button>
+													</div>
+												</>
+											)
+											: toast.message
+									}
 								</Toast.Body>
 							</Toast>
 						))
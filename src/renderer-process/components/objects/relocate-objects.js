@@ -0,0 +1,340 @@
+const classnames = require('classnames');
+const pupa = require('pupa').default;
+const PropTypes = require('prop-types');
+const React = require('react');
+const Modal = require('react-bootstrap/Modal').default;
+const OBJECT_TYPE = require('../../../shared/constants/object-type');
+const {
+	SHOW_OBJECT_DUPLICATED_ALERT,
+	SHOW_OBJECTS_PARTLY_FAILED_ALERT,
+} = require('../../../shared/constants/frontend-operation-code');
+const {
+	renameObjectFormSchema,
+} = require('../../../shared/validation/form-schemas/object');
+const utils = require('../../common/utils');
+const store = require('../../common/store');
+const {STORE_KEYS} = require('../../common/constants');
+const Base = require('../shared/base');
+const Loading = require('../shared/loading');
+
+const {api, dialog} = window;
+
+const MODES = {
+	MOVE: 'move',
+	COPY: 'copy',
+};
+
+module.exports = class RelocateObjectsModal extends Base {
+	static MODES = MODES;
+
+	static propTypes = {
+		onClose: PropTypes.func.isRequired,
+		mode: PropTypes.oneOf(Object.values(MODES)).isRequired,
+		dirname: PropTypes.string.isRequired,
+		objects: PropTypes.arrayOf(PropTypes.shape({
+			id: PropTypes.number.isRequired,
+			path: PropTypes.string.isRequired,
+			basename: PropTypes.string.isRequired,
+		}).isRequired).isRequired,
+	};
+
+	constructor(props) {
+		super(props);
+		this.state.requestPool = new Set();
+		this.state.isShowModal = true;
+		this.state.pathDuplicatedAlertMessage = null;
+		// The folder which is browsing in the picker.
+		this.state.dirname = props.dirname;
+		this.state.folders = null;
+		// The name of the copy, only available when copying a single object.
+		this.state.basename = props.objects.length === 1 ? props.objects[0].basename : '';
+		this.state.progress = null;
+	}
+
+	componentDidMount() {
+		super.componentDidMount();
+		this.loadFolders(this.props.dirname);
+	}
+
+	loadFolders = async (dirname, {after} = {}) => {
+		const requestId = Math.random().toString(36);
+
+		try {
+			this.setState(prevState => ({
+				requestPool: new Set([...prevState.requestPool, requestId]),
+				...(after ? undefined : {dirname, folders: null}),
+			}));
+
+			const result = await api.getObjects({dirname, after});
+			const items = result.items.filter(object => object.type === OBJECT_TYPE.FOLDER);
+
+			this.setState(prevState => ({
+				folders: {
+					// Folders are listed before files, so there are no more folders once a file shows up.
+					hasNextPage: result.hasNextPage && items.length === result.items.length,
+					items: after ? [...prevState.folders.items, ...items] : items,
+				},
+			}));
+		} catch (error) {
+			dialog.showErrorBox('Error', utils.getErrorMessage(error));
+			if (error?.extra?.frontendOperationCode === SHOW_OBJECTS_PARTLY_FAILED_ALERT) {
+				this.setState({isShowModal: false});
+				setTimeout(() => this.props.onClose({reload: true}), 300);
+			}
+		} finally {
+			this.setState(prevState => {
+				prevState.requestPool.delete(requestId);
+				return {requestPool: new Set(prevState.requestPool)};
+			});
+		}
+	};
+
+	onHideModal = () => {
+		this.setState({isShowModal: false});
+		setTimeout(this.props.onClose, 300);
+	};
+
+	onClickFolderLink = event => {
+		const {objectDirname, objectBasename} = event.target.dataset;
+		const dirname = (objectDirname || null)
+			? `${objectDirname}/${objectBasename}`
+			: objectBasename;
+
+		event.preventDefault();
+		this.loadFolders(dirname);
+	};
+
+	onClickMoreFoldersButton = event => {
+		const {dirname, folders} = this.state;
+
+		event.preventDefault();
+		this.loadFolders(dirname, {after: folders.items.slice(-1)[0].id});
+	};
+
+	onChangeBasename = event => {
+		this.setState({basename: event.target.value});
+	};
+
+	onClickSubmitButton = async event => {
+		const {mode, objects} = this.props;
+		const {dirname, basename} = this.state;
+		const requestId = Math.random().toString(36);
+
+		event.preventDefault();
+		try {
+			utils.addBusyClass();
+			this.setState(prevState => ({
+				pathDuplicatedAlertMessage: null,
+				requestPool: new Set([...prevState.requestPool, requestId]),
+			}));
+
+			if (mode === MODES.COPY) {
+				await api.copyObjects({
+					ids: objects.map(({id}) => id),
+					dirname,
+					basename: (objects.length === 1 && basename) || undefined,
+					onProgress: progress => {
+						this.setState({
+							progress: progress.total ? parseInt((progress.loaded / progress.total) * 100, 10) : 100,
+						});
+					},
+				});
+			} else {
+				await api.moveObjects({ids: objects.map(({id}) => id), dirname});
+			}
+
+			this.setState({isShowModal: false});
+			setTimeout(() => this.props.onClose({reload: true}), 300);
+		} catch (error) {
+			utils.removeBusyClass();
+			if (error?.extra?.frontendOperationCode === SHOW_OBJECT_DUPLICATED_ALERT) {
+				this.setState({
+					pathDuplicatedAlertMessage: pupa(
+						'The path "{0}" is already exists.',
+						[error?.extra?.frontendOperationValue],
+					),
+				});
+
+				return;
+			}
+
+			dialog.showErrorBox('Error', utils.getErrorMessage(error));
+		} finally {
+			this.setState(prevState => {
+				prevState.requestPool.delete(requestId);
+				return {requestPool: new Set(prevState.requestPool), progress: null};
+			});
+		}
+	};
+
+	renderBreadcrumb = () => {
+		const {dirname, requestPool} = this.state;
+		const isApiProcessing = requestPool.size > 0;
+		const folders = (dirname || null)?.split('/') || [];
+		const items = [
+			{title: store.get(STORE_KEYS.PROFILE)?.bucket, dirname: '', basename: ''},
+			...folders.map((folder, index) => ({
+				title: folder,
+				dirname: index >= 1 ? folders.slice(0, index).join('/') : '',
+				basename: folder,
+			})),
+		];
+
+		return (
+			<nav>
+				<ol className="breadcrumb mb-0">
+					{
+						items.map((item, index) => (
+							<li key={`${item.dirname}/${item.basename}`} className="breadcrumb-item">
+								{
+									index === items.length - 1
+										? item.title
+										: (
+											<a
+												data-object-dirname={item.dirname}
+												data-object-basename={item.basename}
+												href={`#${item.dirname}/${item.basename}`}
+												className={classnames({disabled: isApiProcessing})}
+												onClick={this.onClickFolderLink}
+											>
+												{item.title}
+											</a>
+										)
+								}
+							</li>
+						))
+					}
+				</ol>
+			</nav>
+		);
+	};
+
+	renderFolderRow = folder => {
+		const {objects} = this.props;
+		const {requestPool} = this.state;
+		const isApiProcessing = requestPool.size > 0;
+		// A folder can't be moved into itself.
+		const isMoving = objects.some(object => object.path === folder.path);
+
+		return (
+			<li key={folder.id} className="list-group-item d-flex align-items-end">
+				<div className="pe-1 text-muted">
+					<i className="fa-fw fa-regular fa-folder"/>
+				</div>
+				<div className="flex-grow-1 px-1 text-truncate">
+					{
+						isMoving
+							? <span className="text-muted">{folder.basename}</span>
+							: (
+								<a
+									data-object-dirname={folder.dirname}
+									data-object-basename={folder.basename}
+									href={`#${folder.id}`}
+									className={classnames({disabled: isApiProcessing})}
+									onClick={this.onClickFolderLink}
+								>
+									{folder.basename}
+								</a>
+							)
+					}
+				</div>
+			</li>
+		);
+	};
+
+	render() {
+		const {mode, objects} = this.props;
+		const {
+			isShowModal, requestPool, folders, pathDuplicatedAlertMessage, basename, progress,
+		} = this.state;
+		const isApiProcessing = requestPool.size > 0;
+		const isCopy = mode === MODES.COPY;
+
+		return (
+			<Modal
+				scrollable
+				size="lg"
+				show={isShowModal}
+				onHide={this.onHideModal}
+			>
+				<Modal.Header closeButton>
+					<Modal.Title>
+						{pupa(isCopy ? 'Copy {0} objects to…' : 'Move {0} objects to…', [objects.length])}
+					</Modal.Title>
+				</Modal.Header>
+
+				<Modal.Body>
+					<div className="mb-3">{this.renderBreadcrumb()}</div>
+					{
+						isCopy && objects.length === 1 && (
+							<div className="mb-3">
+								<label htmlFor="input-basename" className="form-label">Name</label>
+								<input
+									type="text" id="input-basename"
+									className="form-control"
+									value={basename}
+									maxLength={renameObjectFormSchema.basename.max}
+									onChange={this.onChangeBasename}/>
+							</div>
+						)
+					}
+					{
+						progress != null && (
+							<div className="progress mb-3" style={{height: '10px'}}>
+								<div
+									className="progress-bar progress-bar-striped progress-bar-animated"
+									style={{width: `${progress}%`}}/>
+							</div>
+						)
+					}
+					{
+						pathDuplicatedAlertMessage && (
+							<div className="alert alert-danger">{pathDuplicatedAlertMessage}</div>
+						)
+					}
+					<div className="card shadow-sm">
+						<ul className="list-group list-group-flush">
+							{folders == null && <li className="list-group-item"><Loading/></li>}
+							{
+								folders?.items.length === 0 && (
+									<li className="list-group-item py-4 text-muted text-center">No folders</li>
+								)
+							}
+							{folders?.items.map(this.renderFolderRow)}
+							{
+								folders?.hasNextPage && (
+									<li className="list-group-item text-center">
+										<button
+											disabled={isApiProcessing}
+											type="button"
+											className="btn btn-sm btn-link"
+											onClick={this.onClickMoreFoldersButton}
+										>
+											More
+										</button>
+									</li>
+								)
+							}
+						</ul>
+					</div>
+				</Modal.Body>
+
+				<Modal.Footer>
+					<button
+						type="button" className="btn btn-outline-secondary"
+						onClick={this.onHideModal}
+					>
+						Close
+					</button>
+					<button
+						disabled={isApiProcessing}
+						type="button" className="btn btn-outline-primary"
+						onClick={this.onClickSubmitButton}
+					>
+						{isCopy ? 'Copy here' : 'Move here'}
+					</button>
+				</Modal.Footer>
+			</Modal>
+		);
+	}
+};
@@ -0,0 +1,175 @@
+const classnames = require('classnames');
+const pupa = require('pupa').default;
+const PropTypes = require('prop-types');
+const {Formik, Form, Field} = require('formik');
+const React = require('react');
+const Modal = require('react-bootstrap/Modal').default;
+const OBJECT_TYPE = require('../../../shared/constants/object-type');
+const {
+	SHOW_OBJECT_DUPLICATED_ALERT,
+	SHOW_OBJECTS_PARTLY_FAILED_ALERT,
+} = require('../../../shared/constants/frontend-operation-code');
+const {
+	renameObjectFormSchema,
+} = require('../../../shared/validation/form-schemas/object');
+const {
+	validateRenameObjectForm,
+} = require('../../validators/object-validator');
+const utils = require('../../common/utils');
+const Base = require('../shared/base');
+
+const {api, dialog} = window;
+
+module.exports = class RenameObjectModal extends Base {
+	static propTypes = {
+		onClose: PropTypes.func.isRequired,
+		object: PropTypes.shape({
+			id: PropTypes.number.isRequired,
+			type: PropTypes.oneOf(Object.values(OBJECT_TYPE)).isRequired,
+			dirname: PropTypes.string.isRequired,
+			basename: PropTypes.string.isRequired,
+		}).isRequired,
+	};
+
+	constructor(props) {
+		super(props);
+		this.validators = {
+			validateRenameObjectForm: utils.makeFormikValidator(validateRenameObjectForm),
+		};
+		this.state.requestPool = new Set();
+		this.state.isShowModal = true;
+		this.state.pathDuplicatedAlertMessage = null;
+	}
+
+	generateRenameObjectInitialValues = () => ({
+		basename: this.props.object.basename,
+	});
+
+	onHideModal = () => {
+		this.setState({isShowModal: false});
+		setTimeout(this.props.onClose, 300);
+	};
+
+	onSubmitRenameObjectForm = async ({basename}) => {
+		const {object} = this.props;
+		const requestId = Math.random().toString(36);
+
+		try {
+			utils.addBusyClass();
+			this.setState(prevState => ({
+				pathDuplicatedAlertMessage: null,
+				requestPool: new Set([...prevState.requestPool, requestId]),
+			}));
+
+			await api.renameObject({id: object.id, basename});
+			this.setState({isShowModal: false});
+			setTimeout(() => this.props.onClose({reload: true}), 300);
+		} catch (error) {
+			utils.removeBusyClass();
+			if (error?.extra?.frontendOperationCode === SHOW_OBJECT_DUPLICATED_ALERT) {
+				this.setState({
+					pathDuplicatedAlertMessage: pupa(
+						'The path "{0}" is already exists.',
+						[error?.extra?.frontendOperationValue],
+					),
+				});
+
+				return;
+			}
+
+			dialog.showErrorBox('Error', utils.getErrorMessage(error));
+			if (error?.extra?.frontendOperationCode === SHOW_OBJECTS_PARTLY_FAILED_ALERT) {
+				this.setState({isShowModal: false});
+				setTimeout(() => this.props.onClose({reload: true}), 300);
+			}
+		} finally {
+			this.setState(prevState => {
+				prevState.requestPool.delete(requestId);
+				return {requestPool: new Set(prevState.requestPool)};
+			});
+		}
+	};
+
+	renderRenameObjectForm = ({errors, submitCount}) => {
+		const {object} = this.props;
+		const {pathDuplicatedAlertMessage, requestPool} = this.state;
+		const isApiProcessing = requestPool.size > 0;
+		const isSubmitted = submitCount > 0;
+
+		return (
+			<Form>
+				<Modal.Header closeButton>
+					<Modal.Title>Rename</Modal.Title>
+				</Modal.Header>
+
+				<Modal.Body>
+					<div className="mb-3">
+						<label htmlFor="input-basename" className="col-form-label">Name</label>
+						<div
+							className={classnames(
+								'input-group mb-3',
+								{'has-validation': (errors.basename && isSubmitted) || pathDuplicatedAlertMessage},
+							)}
+						>
+							{object.dirname && <span className="input-group-text">{object.dirname}/</span>}
+							<Field
+								autoFocus
+								type="text" id="input-basename" name="basename"
+								placeholder={object.type === OBJECT_TYPE.FOLDER ? 'Folder name' : 'File name'}
+								className={classnames(
+									'form-control',
+									{'is-invalid': (errors.basename && isSubmitted) || pathDuplicatedAlertMessage},
+								)}
+								maxLength={renameObjectFormSchema.basename.max}/>
+							{
+								((errors.basename && isSubmitted) || pathDuplicatedAlertMessage) && (
+									<div className="invalid-feedback">
+										{errors.basename && isSubmitted && <div>{errors.basename}</div>}
+										{pathDuplicatedAlertMessage && <div>{pathDuplicatedAlertMessage}</div>}
+									</div>
+								)
+							}
+						</div>
+					</div>
+				</Modal.Body>
+
+				<Modal.Footer>
+					<button
+						type="button" className="btn btn-outline-secondary"
+						onClick={this.onHideModal}
+					>
+						Close
+					</button>
+					<button
+						disabled={isApiProcessing}
+						type="submit" className="btn btn-outline-primary"
+					>
+						Submit
+					</button>
+				</Modal.Footer>
+			</Form>
+		);
+	};
+
+	render() {
+		const {validateRenameObjectForm} = this.validators;
+		const {isShowModal} = this.state;
+
+		return (
+			<Modal
+				scrollable
+				size="lg"
+				show={isShowModal}
+				onHide={this.onHideModal}
+			>
+				<Formik
+					initialValues={this.generateRenameObjectInitialValues()}
+					validate={validateRenameObjectForm}
+					onSubmit={this.onSubmitRenameObjectForm}
+				>
+					{this.renderRenameObjectForm}
+				</Formik>
+			</Modal>
+		);
+	}
+};
@@ -1,11 +1,11 @@
-const pLimit = require('p-limit');
 const pupa = require('pupa').default;
 const PropTypes = require('prop-types');
 const React = require('react');
 const Modal = require('react-bootstrap/Modal').default;
+const {
+	SHOW_OBJECT_DUPLICATED_ALERT,
+} = require('../../../shared/constants/frontend-operation-code');
 const utils = require('../../common/utils');
-const SuccessIcon = require('../shared/success-icon');
-const ErrorIcon = require('../shared/error-icon');
 const Base = require('../shared/base');
 
 const {api, dialog} = window;
@@ -24,17 +24,28 @@ module.exports = class UploaderPage extends Base {
 	}
 
 	onHideModal = () => {
+		// Closing the modal stops the upload which is being prepared.
+		this.state.requestPool.forEach(requestId => api.cancelRequest(requestId));
 		this.setState({isShowModal: false});
 		setTimeout(this.props.onClose, 300);
 	};
 
-	onClickAddFilesButton = async event => {
+	onClickAddFilesButton = event => {
 		event.preventDefault();
+		this.addLocalPaths(['openFile', 'multiSelections']);
+	};
+
+	onClickAddFoldersButton = event => {
+		event.preventDefault();
+		this.addLocalPaths(['openDirectory', 'multiSelections']);
+	};
+
+	addLocalPaths = async properties => {
 		const result = await dialog.showOpenDialog({
 			filters: [
 				{name: 'All Files', extensions: ['*']},
 			],
-			properties: ['openFile', 'multiSelections'],
+			properties,
 		});
 
 		if (result.canceled) {
@@ -74,76 +85,31 @@ module.exports = class UploaderPage extends Base {
 		try {
 			const {dirname} = this.props;
 			const {files} = this.state;
-			const uploadLimit = pLimit(1);
-			const updateStateLimit = pLimit(1);
-			let hasError;
-			const updateFileState = (fileId, fields) => new Promise(resolve => {
-				this.setState(
-					prevState => {
-						const index = prevState.files.findIndex(({id}) => fileId === id);
-
-						if (index < 0) {
-							return null;
-						}
-
-						return {
-							files: [
-								...prevState.files.slice(0, index),
-								{...prevState.files[index], ...fields},
-								...prevState.files.slice(index + 1),
-							],
-						};
-					},
-					resolve,
-				);
-			});
 
 			utils.addBusyClass();
 			this.setState(prevState => ({
 				requestPool: new Set([...prevState.requestPool, requestId]),
 			}));
 
-			await Promise.all(files.map(file => uploadLimit(async () => {
-				let isUploadSuccess;
-
-				try {
-					await updateFileState(file.id, {progress: 0});
-					await api.createFile({
-						localPath: file.path,
-						dirname,
-						async onProgress(_, progress) {
-							await updateStateLimit(() =>
-								updateFileState(
-									file.id,
-									{progress: parseInt((progress.loaded / progress.total) * 100, 10)},
-								),
-							);
-						},
-					});
-					isUploadSuccess = true;
-				} catch (_) {
-					isUploadSuccess = false;
-					hasError = true;
-				}
-
-				await updateStateLimit(() =>
-					updateFileState(file.id, {
-						progress: null,
-						isSuccess: isUploadSuccess,
-						isFailed: !isUploadSuccess,
-					}),
-				);
-			})));
-
-			if (hasError) {
-				utils.removeBusyClass();
-			} else {
-				this.setState({isShowModal: false});
-				setTimeout(() => this.props.onClose({reload: true}), 300);
-			}
+			// Files are uploaded by the transfer queue, missing folders are created right away.
+			await api.enqueueUploads({dirname, localPaths: files.map(file => file.path), requestId});
+			this.setState({isShowModal: false});
+			setTimeout(() => this.props.onClose({reload: true}), 300);
 		} catch (error) {
 			utils.removeBusyClass();
-			dialog.showErrorBox('Error', `${error.message}`);
+			if (utils.isCancelledError(error)) {
+				return;
+			}
+
+			if (error?.extra?.frontendOperationCode === SHOW_OBJECT_DUPLICATED_ALERT) {
+				dialog.showErrorBox(
+					'Error',
+					pupa('The path "{0}" is already exists.', [error.extra.frontendOperationValue]),
+				);
+				return;
+			}
+
+			dialog.showErrorBox('Error', utils.getErrorMessage(error));
 		} finally {
 			this.setState(prevState => {
 				prevState.requestPool.delete(requestId);
@@ -153,7 +119,7 @@ module.exports = class UploaderPage extends Base {
 	};
 
 	emptyFileRowComponent = (
-		<li className="list-group-item text-muted text-center py-4">Please add files to upload.</li>
+		<li className="list-group-item text-muted text-center py-4">Please add files or folders to upload.</li>
 	);
 
 	render() {
@@ -178,15 +144,26 @@ module.exports = class UploaderPage extends Base {
 					<div className="card shadow-sm">
 						<div className="card-header d-flex justify-content-between">
 							<div>Files</div>
-							<button
-								disabled={isApiProcessing}
-								type="button"
-								className="btn btn-sm btn-outline-success"
-								style={{lineHeight: 'initial'}}
-								onClick={this.onClickAddFilesButton}
-							>
-								Add
-							</button>
+							<div>
+								<button
+									disabled={isApiProcessing}
+									type="button"
+									className="btn btn-sm btn-outline-success"
+									style={{lineHeight: 'initial'}}
+									onClick={this.onClickAddFilesButton}
+								>
+									Add
+								</button>
+								<button
+									disabled={isApiProcessing}
+									type="button"
+									className="btn btn-sm btn-outline-success ms-2"
+									style={{lineHeight: 'initial'}}
+									onClick={this.onClickAddFoldersButton}
+								>
+									Add folders
+								</button>
+							</div>
 						</div>
 						<ul className="list-group list-group-flush">
 							{files.length === 0 && this.emptyFileRowComponent}
@@ -194,21 +171,21 @@ module.exports = class UploaderPage extends Base {
 								files.map(file => (
 									<li key={file.id} className="list-group-item d-flex justify-content-between">
 										<div className="d-flex align-items-center flex-grow-1 pe-2">
+											{
+												file.isDirectory && (
+													<div className="pe-1 text-muted">
+														<i className="fa-fw fa-regular fa-folder"/>
+													</div>
+												)
+											}
 											<div>{file.name}</div>
-											<div className="ms-2">
-												<small className="text-muted">{utils.formatSize(file.size)}</small>
-											</div>
 											{
-												file.progress != null && (
-													<div className="progress ms-2" style={{height: '10px', width: '100px'}}>
-														<div
-															className="progress-bar progress-bar-striped progress-bar-animated"
-															style={{width: `${file.progress}%`}}/>
+												!file.isDirectory && (
+													<div className="ms-2">
+														<small className="text-muted">{utils.formatSize(file.size)}</small>
 													</div>
 												)
 											}
-											{file.isSuccess && <div><SuccessIcon className="ms-2"/></div>}
-											{file.isFailed && <div><ErrorIcon className="ms-2"/></div>}
 										</div>
 										<button
 											disabled={isApiProcessing}
@@ -232,7 +209,7 @@ module.exports = class UploaderPage extends Base {
 						type="button" className="btn btn-outline-secondary"
 						onClick={this.onHideModal}
 					>
-						Close
+						{isApiProcessing ? 'Cancel' : 'Close'}
 					</button>
 					<button
 						disabled={isApiProcessing || !files.length}
@@ -1,12 +1,33 @@
 const classnames = require('classnames');
+const pupa = require('pupa').default;
 const React = require('react');
 const {Formik, Form, Field} = require('formik');
 const {
-	updateS3SettingsFormSchema,
+	S3_RETRY_MAX_ATTEMPTS,
+	S3_RETRY_BASE_DELAY,
+	S3_RETRY_JITTER,
+	S3_RETRY_THROTTLING_DELAY_FACTOR,
+	TRANSFER_DOWNLOAD_CONCURRENCY,
+} = require('../../../shared/constants/config');
+const CREDENTIAL_SOURCE = require('../../../shared/constants/credential-source');
+const LISTING_MODE = require('../../../shared/constants/listing-mode');
+const PROFILE_CAPABILITY = require('../../../shared/constants/profile-capability');
+const SECRET_PROTECTION = require('../../../shared/constants/secret-protection');
+const {
+	updateProfileFormSchema,
+} = require('../../../shared/validation/form-schemas/profile');
+const {
+	updateTransferSettingsFormSchema,
 } = require('../../../shared/validation/form-schemas/settings');
 const {
-	validateSetupS3SettingsForm,
-	validateUpdateS3SettingsForm,
+	validateCreateProfileForm,
+	validateUpdateProfileForm,
+} = require('../../validators/profile-validator');
+const {
+	validateMasterPasswordForm,
+} = require('../../validators/secret-validator');
+const {
+	validateUpdateTransferSettingsForm,
 } = require('../../validators/settings-validator');
 const utils = require('../../common/utils');
 const {
@@ -17,27 +38,113 @@ const Base = require('../shared/base');
 const SuccessIcon = require('../shared/success-icon');
 
 const {api, dialog} = window;
+const CAPABILITY_LABELS = {
+	[PROFILE_CAPABILITY.LIST]: 'List',
+	[PROFILE_CAPABILITY.GET]: 'Download',
+	[PROFILE_CAPABILITY.PUT]: 'Upload',
+	[PROFILE_CAPABILITY.DELETE]: 'Delete',
+	[PROFILE_CAPABILITY.COPY]: 'Copy',
+};
 
 module.exports = class Settings extends Base {
 	constructor(props) {
 		super(props);
 		this.validators = {
-			validateSetupS3SettingsForm: utils.makeFormikValidator(validateSetupS3SettingsForm),
-			validateUpdateS3SettingsForm: utils.makeFormikValidator(validateUpdateS3SettingsForm),
+			validateCreateProfileForm: utils.makeFormikValidator(validateCreateProfileForm),
+			validateUpdateProfileForm: utils.makeFormikValidator(validateUpdateProfileForm),
+			validateUpdateTransferSettingsForm: utils.makeFormikValidator(validateUpdateTransferSettingsForm),
+			validateMasterPasswordForm: utils.makeFormikValidator(validateMasterPasswordForm),
 		};
+		this.profileFormRef = React.createRef();
 		this.state.requestPool = new Set();
 		this.state.settings = store.get(STORE_KEYS.SETTINGS);
+		this.state.profile = store.get(STORE_KEYS.PROFILE);
+		this.state.isCreatingProfile = !this.state.profile;
 		this.state.isSubmitSuccess = false;
+		this.state.buckets = null;
+		// Profiles of the AWS shared config files, null until they are loaded.
+		this.state.awsProfiles = null;
+		// The report of the last connection test of the profile form.
+		this.state.connectionReport = null;
+		this.state.isSubmitTransferSettingsSuccess = false;
+		this.state.secretStatus = null;
+		this.state.isUpdateSecretProtectionSuccess = false;
 		this.state.isSyncSuccess = false;
+		// The request id of the running sync, it is cancelled with this id.
+		this.state.syncRequestId = null;
+		// {pageCount, objectCount, byteCount, elapsed} of the running sync.
+		this.state.syncProgress = null;
+		this.state.cleanUpResult = null;
 	}
 
-	generateS3SettingsInitialValues(settings) {
+	componentDidMount() {
+		super.componentDidMount();
+		this.$listens.push(
+			store.subscribe(STORE_KEYS.PROFILE, (_, profile) => {
+				this.setState({profile, isCreatingProfile: !profile, isSubmitSuccess: false, buckets: null, connectionReport: null});
+			}),
+		);
+		this.loadAwsProfiles();
+		this.loadSecretStatus();
+	}
+
+	loadSecretStatus = async () => {
+		try {
+			this.setState({secretStatus: await api.getSecretStatus()});
+		} catch (error) {
+			dialog.showErrorBox('Error', utils.getErrorMessage(error));
+		}
+	};
+
+	/**
+	 * Reload profiles after syncs, the result of the last sync is recorded in the profile.
+	 * @returns {Promise<void>}
+	 */
+	reloadProfiles = async () => {
+		try {
+			const profiles = await api.getProfiles();
+
+			store.set(STORE_KEYS.PROFILES, profiles);
+			store.set(STORE_KEYS.PROFILE, profiles.find(({id}) => id === store.get(STORE_KEYS.PROFILE)?.id) || null);
+		} catch (error) {
+			dialog.showErrorBox('Error', utils.getErrorMessage(error));
+		}
+	};
+
+	loadAwsProfiles = async () => {
+		try {
+			this.setState({awsProfiles: await api.getAwsProfiles()});
+		} catch (error) {
+			this.setState({awsProfiles: []});
+			dialog.showErrorBox('Error', utils.getErrorMessage(error));
+		}
+	};
+
+	generateProfileInitialValues(profile) {
 		return {
-			accessKeyId: settings?.accessKeyId || '',
+			name: profile?.name || '',
+			credentialSource: profile?.credentialSource || CREDENTIAL_SOURCE.STATIC_KEYS,
+			awsProfile: profile?.awsProfile || '',
+			roleArn: profile?.roleArn || '',
+			externalId: profile?.externalId || '',
+			mfaSerial: profile?.mfaSerial || '',
+			stsEndpoint: profile?.stsEndpoint || '',
+			accessKeyId: profile?.accessKeyId || '',
 			secretAccessKey: '',
-			region: settings?.region || '',
-			bucket: settings?.bucket || '',
-			endpoint: settings?.endpoint || '',
+			isSecretPersisted: profile?.isSecretPersisted ?? true,
+			region: profile?.region || '',
+			bucket: profile?.bucket || '',
+			endpoint: profile?.endpoint || '',
+			listingMode: profile?.listingMode || LISTING_MODE.INDEX,
+		};
+	}
+
+	generateTransferSettingsInitialValues(settings) {
+		return {
+			downloadConcurrency: settings?.downloadConcurrency || TRANSFER_DOWNLOAD_CONCURRENCY,
+			retryMaxAttempts: settings?.retryMaxAttempts || S3_RETRY_MAX_ATTEMPTS,
+			retryBaseDelay: settings?.retryBaseDelay || S3_RETRY_BASE_DELAY,
+			retryJitter: settings?.retryJitter ?? S3_RETRY_JITTER,
 		};
 	}
 
@@ -50,12 +157,103 @@ module.exports = class Settings extends Base {
 			this.setState(prevState => ({
 				requestPool: new Set([...prevState.requestPool, requestId]),
 				isSyncSuccess: false,
+				syncRequestId: requestId,
 			}));
 
-			await api.syncObjectsFromS3();
+			await api.syncObjectsFromS3({
+				requestId,
+				onProgress: syncProgress => this.setState({syncProgress}),
+			});
 			this.setState({isSyncSuccess: true});
 		} catch (error) {
-			dialog.showErrorBox('Error', `${error.message}`);
+			if (!utils.isCancelledError(error)) {
+				dialog.showErrorBox('Error', utils.getErrorMessage(error));
+			}
+		} finally {
+			utils.removeBusyClass();
+			this.setState(prevState => {
+				prevState.requestPool.delete(requestId);
+				return {requestPool: new Set(prevState.requestPool), syncRequestId: null, syncProgress: null};
+			});
+			this.reloadProfiles();
+		}
+	};
+
+	onClickCancelSyncButton = event => {
+		event.preventDefault();
+		api.cancelRequest(this.state.syncRequestId);
+	};
+
+	onClickCleanUpMultipartUploadsButton = async event => {
+		const requestId = Math.random().toString(36);
+
+		event.preventDefault();
+		try {
+			utils.addBusyClass();
+			this.setState(prevState => ({
+				requestPool: new Set([...prevState.requestPool, requestId]),
+				cleanUpResult: null,
+			}));
+
+			const cleanUpResult = await api.cleanUpMultipartUploads();
+
+			this.setState({cleanUpResult});
+		} catch (error) {
+			dialog.showErrorBox('Error', utils.getErrorMessage(error));
+		} finally {
+			utils.removeBusyClass();
+			this.setState(prevState => {
+				prevState.requestPool.delete(requestId);
+				return {requestPool: new Set(prevState.requestPool)};
+			});
+		}
+	};
+
+	onClickNewProfileButton = event => {
+		event.preventDefault();
+		this.setState({isCreatingProfile: true, isSubmitSuccess: false, buckets: null, connectionReport: null});
+	};
+
+	onClickCancelNewProfileButton = event => {
+		event.preventDefault();
+		this.setState({isCreatingProfile: false, buckets: null, connectionReport: null});
+	};
+
+	/**
+	 * List buckets with the credentials in the profile form.
+	 * @param {Event} event
+	 * @returns {Promise<void>}
+	 */
+	onClickBrowseBucketsButton = async event => {
+		const {profile, isCreatingProfile} = this.state;
+		const {values} = this.profileFormRef.current;
+		const requestId = Math.random().toString(36);
+
+		event.preventDefault();
+		try {
+			utils.addBusyClass();
+			this.setState(prevState => ({
+				requestPool: new Set([...prevState.requestPool, requestId]),
+				buckets: null,
+			}));
+
+			const buckets = await api.listBuckets({
+				id: isCreatingProfile ? undefined : profile.id,
+				credentialSource: values.credentialSource,
+				awsProfile: values.awsProfile,
+				accessKeyId: values.accessKeyId,
+				secretAccessKey: values.secretAccessKey,
+				roleArn: values.roleArn,
+				externalId: values.externalId,
+				mfaSerial: values.mfaSerial,
+				stsEndpoint: values.stsEndpoint,
+				region: values.region,
+				endpoint: values.endpoint,
+			});
+
+			this.setState({buckets});
+		} catch (error) {
+			dialog.showErrorBox('Error', utils.getErrorMessage(error));
 		} finally {
 			utils.removeBusyClass();
 			this.setState(prevState => {
@@ -65,7 +263,123 @@ module.exports = class Settings extends Base {
 		}
 	};
 
-	onSubmitUpdateS3SettingsForm = async (values, {resetForm}) => {
+	/**
+	 * @param {Object} values - Values of the profile form.
+	 * @returns {Promise<{isReachable, isAuthenticated, isBucketFound, capabilities, error}>}
+	 */
+	testConnection = async values => {
+		const {profile, isCreatingProfile} = this.state;
+
+		this.setState({connectionReport: null});
+
+		const connectionReport = await api.testConnection({
+			id: isCreatingProfile ? undefined : profile.id,
+			credentialSource: values.credentialSource,
+			awsProfile: values.awsProfile,
+			accessKeyId: values.accessKeyId,
+			secretAccessKey: values.secretAccessKey,
+			roleArn: values.roleArn,
+			externalId: values.externalId,
+			mfaSerial: values.mfaSerial,
+			stsEndpoint: values.stsEndpoint,
+			region: values.region,
+			bucket: values.bucket,
+			endpoint: values.endpoint,
+		});
+
+		this.setState({connectionReport});
+		return connectionReport;
+	};
+
+	onClickTestConnectionButton = async event => {
+		const requestId = Math.random().toString(36);
+
+		event.preventDefault();
+		try {
+			utils.addBusyClass();
+			this.setState(prevState => ({
+				requestPool: new Set([...prevState.requestPool, requestId]),
+			}));
+
+			await this.testConnection(this.profileFormRef.current.values);
+		} catch (error) {
+			dialog.showErrorBox('Error', utils.getErrorMessage(error));
+		} finally {
+			utils.removeBusyClass();
+			this.setState(prevState => {
+				prevState.requestPool.delete(requestId);
+				return {requestPool: new Set(prevState.requestPool)};
+			});
+		}
+	};
+
+	/**
+	 * Fill the region from the AWS config file.
+	 * @param {Event} event
+	 * @returns {void}
+	 */
+	onChangeAwsProfile = event => {
+		const {awsProfiles} = this.state;
+		const {setFieldValue} = this.profileFormRef.current;
+		const awsProfile = awsProfiles.find(({name}) => name === event.target.value);
+
+		setFieldValue('awsProfile', event.target.value);
+		if (awsProfile?.region) {
+			setFieldValue('region', awsProfile.region);
+		}
+	};
+
+	onClickBucket = event => {
+		const {bucketName, bucketRegion} = event.currentTarget.dataset;
+		const {setFieldValue} = this.profileFormRef.current;
+
+		event.preventDefault();
+		setFieldValue('bucket', bucketName);
+		if (bucketRegion) {
+			setFieldValue('region', bucketRegion);
+		}
+
+		this.setState({buckets: null});
+	};
+
+	onClickDeleteProfileButton = async event => {
+		const {profile} = this.state;
+		const requestId = Math.random().toString(36);
+
+		event.preventDefault();
+		try {
+			utils.addBusyClass();
+			this.setState(prevState => ({
+				requestPool: new Set([...prevState.requestPool, requestId]),
+			}));
+
+			await api.deleteProfile({id: profile.id});
+
+			const profiles = await api.getProfiles();
+			const nextProfile = profiles.length ? await api.switchProfile({id: profiles[0].id}) : null;
+
+			store.set(STORE_KEYS.PROFILES, profiles);
+			store.set(STORE_KEYS.PROFILE, nextProfile);
+		} catch (error) {
+			dialog.showErrorBox('Error', utils.getErrorMessage(error));
+		} finally {
+			utils.removeBusyClass();
+			this.setState(prevState => {
+				prevState.requestPool.delete(requestId);
+				return {requestPool: new Set(prevState.requestPool)};
+			});
+		}
+	};
+
+	/**
+	 * Test the connection first, the profile isn't saved when the test fails.
+	 * Create a profile and use it, or update the profile in use. Then sync its objects.
+	 * @param {Object} values
+	 * @param {function} resetForm
+	 * @returns {Promise<void>}
+	 */
+	onSubmitProfileForm = async (values, {resetForm}) => {
+		const {profile, isCreatingProfile} = this.state;
 		const requestId = Math.random().toString(36);
 
 		try {
@@ -75,24 +389,112 @@ module.exports = class Settings extends Base {
 				isSubmitSuccess: false,
 			}));
 
-			const result = await api.updateS3Settings({
-				...values,
-				secretAccessKey: values.secretAccessKey || undefined,
+			const {capabilities, error} = await this.testConnection(values);
+
+			if (error) {
+				return;
+			}
+
+			let nextProfile;
+
+			if (isCreatingProfile) {
+				const {id} = await api.createProfile({...values, capabilities});
+
+				nextProfile = await api.switchProfile({id});
+			} else {
+				nextProfile = await api.updateProfile({
+					...values,
+					id: profile.id,
+					secretAccessKey: values.secretAccessKey || undefined,
+					capabilities,
+				});
+			}
+
+			store.set(STORE_KEYS.PROFILES, await api.getProfiles());
+			store.set(STORE_KEYS.PROFILE, nextProfile);
+			// Folders of the lazy listing mode are listed when they are browsed instead.
+			if (
+				nextProfile.listingMode === LISTING_MODE.INDEX
+				&& utils.isProfileCapable(nextProfile, PROFILE_CAPABILITY.LIST)
+			) {
+				await api.syncObjectsFromS3();
+				await this.reloadProfiles();
+			}
+
+			this.setState({isSubmitSuccess: true});
+			resetForm({values: this.generateProfileInitialValues(nextProfile)});
+		} catch (error) {
+			dialog.showErrorBox('Error', utils.getErrorMessage(error));
+		} finally {
+			utils.removeBusyClass();
+			this.setState(prevState => {
+				prevState.requestPool.delete(requestId);
+				return {requestPool: new Set(prevState.requestPool)};
+			});
+		}
+	};
+
+	onSubmitUpdateTransferSettingsForm = async (values, {resetForm}) => {
+		const requestId = Math.random().toString(36);
+
+		try {
+			utils.addBusyClass();
+			this.setState(prevState => ({
+				requestPool: new Set([...prevState.requestPool, requestId]),
+				isSubmitTransferSettingsSuccess: false,
+			}));
+
+			const result = await api.updateTransferSettings({
+				downloadConcurrency: Number(values.downloadConcurrency),
+				retryMaxAttempts: Number(values.retryMaxAttempts),
+				retryBaseDelay: Number(values.retryBaseDelay),
+				retryJitter: Number(values.retryJitter),
 			});
 			const nextSettings = {
 				...store.get(STORE_KEYS.SETTINGS),
 				...result,
 			};
 
-			await api.syncObjectsFromS3();
 			store.set(STORE_KEYS.SETTINGS, nextSettings);
 			this.setState({
-				isSubmitSuccess: true,
+				isSubmitTransferSettingsSuccess: true,
 				settings: nextSettings,
 			});
-			resetForm({values: this.generateS3SettingsInitialValues(nextSettings)});
+			resetForm({values: this.generateTransferSettingsInitialValues(nextSettings)});
+		} catch (error) {
+			dialog.showErrorBox('Error', utils.getErrorMessage(error));
+		} finally {
+			utils.removeBusyClass();
+			this.setState(prevState => {
+				prevState.requestPool.delete(requestId);
+				return {requestPool: new Set(prevState.requestPool)};
+			});
+		}
+	};
+
+	/**
+	 * Protect secrets with the secret store of the OS or the master password.
+	 * @param {string} protection - SECRET_PROTECTION
+	 * @param {string} [password]
+	 * @returns {Promise<boolean>} Whether the protection is updated.
+	 */
+	updateSecretProtection = async ({protection, password}) => {
+		const requestId = Math.random().toString(36);
+
+		try {
+			utils.addBusyClass();
+			this.setState(prevState => ({
+				requestPool: new Set([...prevState.requestPool, requestId]),
+				isUpdateSecretProtectionSuccess: false,
+			}));
+
+			const secretStatus = await api.updateSecretProtection({protection, password});
+
+			this.setState({secretStatus, isUpdateSecretProtectionSuccess: true});
+			return true;
 		} catch (error) {
-			dialog.showErrorBox('Error', `${error.message}`);
+			dialog.showErrorBox('Error', utils.getErrorMessage(error));
+			return false;
 		} finally {
 			utils.removeBusyClass();
 			this.setState(prevState => {
@@ -102,118 +504,469 @@ module.exports = class Settings extends Base {
 		}
 	};
 
-	renderCreateFolderForm = ({errors, submitCount}) => {
-		const {settings, requestPool, isSubmitSuccess} = this.state;
-		const isSetupS3Settings = !settings?.accessKeyId;
+	onClickUseSafeStorageButton = event => {
+		event.preventDefault();
+		this.updateSecretProtection({protection: SECRET_PROTECTION.SAFE_STORAGE});
+	};
+
+	onSubmitMasterPasswordForm = async ({password}, {resetForm}) => {
+		if (await this.updateSecretProtection({protection: SECRET_PROTECTION.MASTER_PASSWORD, password})) {
+			resetForm();
+		}
+	};
+
+	/**
+	 * @param {string} name
+	 * @param {string} label
+	 * @param {Object} errors
+	 * @param {boolean} isSubmitted
+	 * @returns {JSX.Element}
+	 */
+	renderMasterPasswordField({name, label, errors, isSubmitted}) {
+		const isInvalid = Boolean(errors[name] && isSubmitted);
+
+		return (
+			<div className="mb-3">
+				<label htmlFor={`input-${name}`} className="form-label">{label}</label>
+				<Field
+					type="password" id={`input-${name}`} name={name}
+					className={classnames('form-control', {'is-invalid': isInvalid})}/>
+				{isInvalid && <div className="invalid-feedback">{errors[name]}</div>}
+			</div>
+		);
+	}
+
+	renderMasterPasswordForm = ({errors, submitCount}) => {
+		const {requestPool, secretStatus, isUpdateSecretProtectionSuccess} = this.state;
 		const isSubmitted = submitCount > 0;
 		const isApiProcessing = requestPool.size > 0;
+		const isMasterPassword = secretStatus?.protection === SECRET_PROTECTION.MASTER_PASSWORD;
 
 		return (
 			<Form className="card shadow-sm">
 				<div className="card-header">
-					S3 Settings
+					Secrets
 				</div>
 				<div className="card-body">
-					<div className="mb-3">
-						<label htmlFor="input-accessKeyId" className="form-label">Access Key ID</label>
-						<Field
-							autoFocus
-							type="text" id="input-accessKeyId" name="accessKeyId"
-							className={classnames(
-								'form-control',
-								{'is-invalid': errors.accessKeyId && isSubmitted},
-							)}
-							maxLength={updateS3SettingsFormSchema.accessKeyId.max}/>
+					<div className="mb-3 form-text mt-0">
 						{
-							(errors.accessKeyId && isSubmitted) && (
-								<div className="invalid-feedback">
-									{errors.accessKeyId}
-								</div>
-							)
+							isMasterPassword
+								? 'Secret access keys are encrypted with the master password, it is asked whenever the app starts.'
+								: 'Secret access keys are encrypted with the secret store of the OS.'
 						}
 					</div>
-					<div className="mb-3">
-						<label htmlFor="input-secretAccessKey" className="form-label">
-							{`Secret Access Key${isSetupS3Settings ? '' : ' (Optional)'}`}
-						</label>
-						<Field
-							type="password" id="input-secretAccessKey" name="secretAccessKey"
-							className={classnames(
-								'form-control',
-								{'is-invalid': errors.secretAccessKey && isSubmitted},
-							)}
-							maxLength={updateS3SettingsFormSchema.secretAccessKey.max}/>
-						{
-							(errors.secretAccessKey && isSubmitted) && (
-								<div className="invalid-feedback">
-									{errors.secretAccessKey}
-								</div>
-							)
-						}
+					{this.renderMasterPasswordField({name: 'password', label: 'Master Password', errors, isSubmitted})}
+					{this.renderMasterPasswordField({name: 'confirmPassword', label: 'Confirm Master Password', errors, isSubmitted})}
+					<div className="d-flex align-items-center">
+						<button disabled={isApiProcessing || !secretStatus} type="submit" className="btn btn-outline-primary">
+							{isMasterPassword ? 'Change master password' : 'Use master password'}
+						</button>
 						{
-							!isSetupS3Settings && (
-								<div className="form-text">
-									{'Keep empty when you don\'t want to change it.'}
-								</div>
+							(isMasterPassword && secretStatus.isSafeStorageAvailable) && (
+								<button
+									disabled={isApiProcessing}
+									type="button" className="btn btn-outline-secondary ms-2"
+									onClick={this.onClickUseSafeStorageButton}
+								>
+									Use the secret store of the OS
+								</button>
 							)
 						}
+						{isUpdateSecretProtectionSuccess && <SuccessIcon className="ms-2"/>}
 					</div>
-					<div className="mb-3">
-						<label htmlFor="input-region" className="form-label">Region</label>
-						<Field
-							type="text" id="input-region" name="region"
-							className={classnames(
-								'form-control',
-								{'is-invalid': errors.region && isSubmitted},
-							)}
-							maxLength={updateS3SettingsFormSchema.region.max}/>
-						{
-							(errors.region && isSubmitted) && (
-								<div className="invalid-feedback">
-									{errors.region}
-								</div>
-							)
-						}
+				</div>
+			</Form>
+		);
+	};
+
+	/**
+	 * @param {string} name
+	 * @param {string} label
+	 * @param {string} help
+	 * @param {Object} errors
+	 * @param {boolean} isSubmitted
+	 * @returns {JSX.Element}
+	 */
+	renderTransferSettingsField({name, label, help, errors, isSubmitted}) {
+		const isInvalid = Boolean(errors[name] && isSubmitted);
+
+		return (
+			<div className="mb-3">
+				<label htmlFor={`input-${name}`} className="form-label">{label}</label>
+				<Field
+					type="number" id={`input-${name}`} name={name}
+					className={classnames('form-control', {'is-invalid': isInvalid})}
+					min={updateTransferSettingsFormSchema[name].min}
+					max={updateTransferSettingsFormSchema[name].max}/>
+				{isInvalid && <div className="invalid-feedback">{errors[name]}</div>}
+				<div className="form-text">{help}</div>
+			</div>
+		);
+	}
+
+	renderTransferSettingsForm = ({errors, submitCount}) => {
+		const {requestPool, isSubmitTransferSettingsSuccess} = this.state;
+		const isSubmitted = submitCount > 0;
+		const isApiProcessing = requestPool.size > 0;
+
+		return (
+			<Form className="card shadow-sm">
+				<div className="card-header">
+					Transfers
+				</div>
+				<div className="card-body">
+					{this.renderTransferSettingsField({
+						name: 'downloadConcurrency',
+						label: 'Download Concurrency',
+						help: 'The number of files which are downloaded at the same time.',
+						errors,
+						isSubmitted,
+					})}
+					{this.renderTransferSettingsField({
+						name: 'retryMaxAttempts',
+						label: 'Retry Attempts',
+						help: 'Attempts of S3 requests which fail with throttling or network errors, the first attempt is included.',
+						errors,
+						isSubmitted,
+					})}
+					{this.renderTransferSettingsField({
+						name: 'retryBaseDelay',
+						label: 'Retry Base Delay (ms)',
+						help: pupa(
+							'The delay before the first retry, it is doubled by every retry. Throttled requests wait {0} times longer.',
+							[S3_RETRY_THROTTLING_DELAY_FACTOR],
+						),
+						errors,
+						isSubmitted,
+					})}
+					{this.renderTransferSettingsField({
+						name: 'retryJitter',
+						label: 'Retry Jitter (%)',
+						help: 'The random part of the delay, so requests which failed together don\'t retry at the same time.',
+						errors,
+						isSubmitted,
+					})}
+					<div className="d-flex align-items-center">
+						<button disabled={isApiProcessing} type="submit" className="btn btn-outline-primary">
+							Save
+						</button>
+						{isSubmitTransferSettingsSuccess && <SuccessIcon className="ms-2"/>}
 					</div>
+				</div>
+			</Form>
+		);
+	};
+
+	/**
+	 * @param {string} name
+	 * @param {string} label
+	 * @param {string} type
+	 * @param {string} help
+	 * @param {Object} errors
+	 * @param {boolean} isSubmitted
+	 * @param {boolean} autoFocus
+	 * @param {JSX.Element} button - The button next to the input.
+	 * @param {JSX.Element} children - Elements below the input.
+	 * @returns {JSX.Element}
+	 */
+	renderProfileField({name, label, type = 'text', help, errors, isSubmitted, autoFocus, button, children}) {
+		const isInvalid = Boolean(errors[name] && isSubmitted);
+
+		return (
+			<div className="mb-3">
+				<label htmlFor={`input-${name}`} className="form-label">{label}</label>
+				<div className={classnames({'input-group has-validation': button})}>
+					<Field
+						autoFocus={autoFocus}
+						type={type} id={`input-${name}`} name={name}
+						className={classnames('form-control', {'is-invalid': isInvalid})}
+						maxLength={updateProfileFormSchema[name].max}/>
+					{button}
+					{isInvalid && <div className="invalid-feedback">{errors[name]}</div>}
+				</div>
+				{help && <div className="form-text">{help}</div>}
+				{children}
+			</div>
+		);
+	}
+
+	renderBuckets() {
+		const {buckets} = this.state;
+
+		if (!buckets) {
+			return null;
+		}
+
+		return (
+			<div className="list-group mt-2" style={{maxHeight: '240px', overflowY: 'auto'}}>
+				{
+					buckets.length === 0 && (
+						<div className="list-group-item text-muted text-center">No buckets</div>
+					)
+				}
+				{
+					buckets.map(bucket => (
+						<button
+							key={bucket.name}
+							type="button"
+							className="list-group-item list-group-item-action d-flex justify-content-between"
+							data-bucket-name={bucket.name}
+							data-bucket-region={bucket.region || ''}
+							onClick={this.onClickBucket}
+						>
+							<span className="text-truncate">{bucket.name}</span>
+							<small className="text-muted ms-2">{bucket.region || 'Unknown region'}</small>
+						</button>
+					))
+				}
+			</div>
+		);
+	}
+
+	/**
+	 * @param {Object} errors
+	 * @param {boolean} isSubmitted
+	 * @returns {JSX.Element}
+	 */
+	renderAwsProfileField(errors, isSubmitted) {
+		const {awsProfiles} = this.state;
+		const isInvalid = Boolean(errors.awsProfile && isSubmitted);
+
+		return (
+			<div className="mb-3">
+				<label htmlFor="input-awsProfile" className="form-label">AWS Profile</label>
+				<Field
+					as="select" id="input-awsProfile" name="awsProfile"
+					className={classnames('form-select', {'is-invalid': isInvalid})}
+					onChange={this.onChangeAwsProfile}
+				>
+					<option value="">{awsProfiles ? 'Select a profile' : 'Loading…'}</option>
+					{awsProfiles?.map(({name}) => <option key={name} value={name}>{name}</option>)}
+				</Field>
+				{isInvalid && <div className="invalid-feedback">{errors.awsProfile}</div>}
+				<div className="form-text">
+					Profiles of ~/.aws/credentials and ~/.aws/config, credential_process and role_arn are supported.
+				</div>
+			</div>
+		);
+	}
+
+	/**
+	 * @param {Object} errors
+	 * @param {boolean} isSubmitted
+	 * @returns {JSX.Element}
+	 */
+	renderStaticKeysFields(errors, isSubmitted) {
+		const {isCreatingProfile} = this.state;
+
+		return (
+			<>
+				{this.renderProfileField({name: 'accessKeyId', label: 'Access Key ID', errors, isSubmitted})}
+				{this.renderProfileField({
+					name: 'secretAccessKey',
+					label: `Secret Access Key${isCreatingProfile ? '' : ' (Optional)'}`,
+					type: 'password',
+					help: isCreatingProfile ? null : 'Keep empty when you don\'t want to change it.',
+					errors,
+					isSubmitted,
+				})}
+				<div className="form-check mb-3">
+					<Field type="checkbox" id="input-isSecretPersisted" name="isSecretPersisted" className="form-check-input"/>
+					<label htmlFor="input-isSecretPersisted" className="form-check-label">Save the secret access key</label>
+					<div className="form-text">
+						Otherwise it is kept until the app quits, and it has to be entered again after restarting the app.
+					</div>
+				</div>
+			</>
+		);
+	}
+
+	/**
+	 * The external id and the MFA serial are shown with the role ARN.
+	 * @param {Object} values
+	 * @param {Object} errors
+	 * @param {boolean} isSubmitted
+	 * @returns {JSX.Element}
+	 */
+	renderRoleFields(values, errors, isSubmitted) {
+		return (
+			<>
+				{this.renderProfileField({
+					name: 'roleArn',
+					label: 'Role ARN (Optional)',
+					help: 'Assume this role with the credentials above, its session is refreshed before expiry.',
+					errors,
+					isSubmitted,
+				})}
+				{
+					values.roleArn && (
+						<>
+							{this.renderProfileField({name: 'externalId', label: 'External ID (Optional)', errors, isSubmitted})}
+							{this.renderProfileField({
+								name: 'mfaSerial',
+								label: 'MFA Serial (Optional)',
+								help: 'The token code is asked whenever the role is assumed, '
+									+ 'including refreshes of its session while transfers are running.',
+								errors,
+								isSubmitted,
+							})}
+							{this.renderProfileField({
+								name: 'stsEndpoint',
+								label: 'STS Endpoint (Optional)',
+								help: 'The role is assumed on the regional STS endpoint of AWS when it is empty, '
+									+ 'set it for S3 compatible services which serve STS.',
+								errors,
+								isSubmitted,
+							})}
+						</>
+					)
+				}
+			</>
+		);
+	}
+
+	/**
+	 * @param {boolean|null} value
+	 * @returns {JSX.Element}
+	 */
+	renderCheckIcon(value) {
+		if (value == null) {
+			return <i className="fa-fw fa-solid fa-question text-muted"/>;
+		}
+
+		return value
+			? <i className="fa-fw fa-solid fa-check text-success"/>
+			: <i className="fa-fw fa-solid fa-xmark text-danger"/>;
+	}
+
+	renderConnectionReport() {
+		const {connectionReport} = this.state;
+
+		if (!connectionReport) {
+			return null;
+		}
+
+		const {isReachable, isAuthenticated, isBucketFound, capabilities, error} = connectionReport;
+
+		return (
+			<div className="mb-3">
+				{
+					error && (
+						<ul className="list-unstyled small mb-2">
+							<li>{this.renderCheckIcon(isReachable)} Endpoint reachable</li>
+							<li>{this.renderCheckIcon(isAuthenticated)} Credentials valid</li>
+							<li>{this.renderCheckIcon(isBucketFound)} Bucket found</li>
+						</ul>
+					)
+				}
+				{error && <div className="text-danger small">{error}</div>}
+				{
+					capabilities && (
+						<div className="d-flex flex-wrap small">
+							{
+								Object.entries(CAPABILITY_LABELS).map(([capability, label]) => (
+									<span key={capability} className="me-3">
+										{this.renderCheckIcon(capabilities[capability])} {label}
+									</span>
+								))
+							}
+						</div>
+					)
+				}
+			</div>
+		);
+	}
+
+	renderProfileForm = ({values, errors, submitCount}) => {
+		const {profile, requestPool, isCreatingProfile, isSubmitSuccess} = this.state;
+		const isSubmitted = submitCount > 0;
+		const isApiProcessing = requestPool.size > 0;
+
+		return (
+			<Form className="card shadow-sm">
+				<div className="card-header d-flex justify-content-between align-items-center">
+					<div>{isCreatingProfile ? 'New profile' : 'Profile'}</div>
+					{
+						profile && (
+							<button
+								disabled={isApiProcessing}
+								type="button"
+								className="btn btn-sm btn-outline-secondary"
+								style={{lineHeight: 'initial'}}
+								onClick={isCreatingProfile ? this.onClickCancelNewProfileButton : this.onClickNewProfileButton}
+							>
+								{isCreatingProfile ? 'Cancel' : 'New profile'}
+							</button>
+						)
+					}
+				</div>
+				<div className="card-body">
+					{this.renderProfileField({name: 'name', label: 'Name', errors, isSubmitted, autoFocus: true})}
 					<div className="mb-3">
-						<label htmlFor="input-bucket" className="form-label">Bucket</label>
-						<Field
-							type="text" id="input-bucket" name="bucket"
-							className={classnames(
-								'form-control',
-								{'is-invalid': errors.bucket && isSubmitted},
-							)}
-							maxLength={updateS3SettingsFormSchema.bucket.max}/>
-						{
-							(errors.bucket && isSubmitted) && (
-								<div className="invalid-feedback">
-									{errors.bucket}
-								</div>
-							)
-						}
+						<label htmlFor="input-credentialSource" className="form-label">Credentials</label>
+						<Field as="select" id="input-credentialSource" name="credentialSource" className="form-select">
+							<option value={CREDENTIAL_SOURCE.STATIC_KEYS}>Access keys</option>
+							<option value={CREDENTIAL_SOURCE.AWS_PROFILE}>AWS profile</option>
+						</Field>
 					</div>
+					{
+						values.credentialSource === CREDENTIAL_SOURCE.AWS_PROFILE
+							? this.renderAwsProfileField(errors, isSubmitted)
+							: this.renderStaticKeysFields(errors, isSubmitted)
+					}
+					{this.renderRoleFields(values, errors, isSubmitted)}
+					{this.renderProfileField({name: 'region', label: 'Region', errors, isSubmitted})}
+					{this.renderProfileField({
+						name: 'bucket',
+						label: 'Bucket',
+						errors,
+						isSubmitted,
+						button: (
+							<button
+								disabled={isApiProcessing}
+								type="button" className="btn btn-outline-secondary"
+								onClick={this.onClickBrowseBucketsButton}
+							>
+								Browse
+							</button>
+						),
+						children: this.renderBuckets(),
+					})}
+					{this.renderProfileField({name: 'endpoint', label: 'Endpoint', errors, isSubmitted})}
 					<div className="mb-3">
-						<label htmlFor="input-endpoint" className="form-label">Endpoint</label>
-						<Field
-							type="text" id="input-endpoint" name="endpoint"
-							className={classnames(
-								'form-control',
-								{'is-invalid': errors.endpoint && isSubmitted},
-							)}
-							maxLength={updateS3SettingsFormSchema.endpoint.max}/>
-						{
-							(errors.endpoint && isSubmitted) && (
-								<div className="invalid-feedback">
-									{errors.endpoint}
-								</div>
-							)
-						}
+						<label htmlFor="input-listingMode" className="form-label">Listing</label>
+						<Field as="select" id="input-listingMode" name="listingMode" className="form-select">
+							<option value={LISTING_MODE.INDEX}>Local index of the whole bucket</option>
+							<option value={LISTING_MODE.LAZY}>List folders from S3 on demand</option>
+						</Field>
+						<div className="form-text">
+							For huge buckets, folders are listed when they are browsed. Keyword searches use the local index which is built by the sync.
+						</div>
 					</div>
+					{this.renderConnectionReport()}
 					<div className="d-flex align-items-center">
 						<button disabled={isApiProcessing} type="submit" className="btn btn-outline-primary">
 							Save
 						</button>
+						<button
+							disabled={isApiProcessing}
+							type="button" className="btn btn-outline-secondary ms-2"
+							onClick={this.onClickTestConnectionButton}
+						>
+							Test connection
+						</button>
 						{isSubmitSuccess && <SuccessIcon className="ms-2"/>}
+						{
+							!isCreatingProfile && (
+								<button
+									disabled={isApiProcessing}
+									type="button" className="btn btn-outline-danger ms-auto"
+									onClick={this.onClickDeleteProfileButton}
+								>
+									Delete
+								</button>
+							)
+						}
 					</div>
 				</div>
 			</Form>
@@ -222,11 +975,21 @@ module.exports = class Settings extends Base {
 
 	render() {
 		const {
-			validateSetupS3SettingsForm,
-			validateUpdateS3SettingsForm,
+			validateCreateProfileForm,
+			validateUpdateProfileForm,
+			validateUpdateTransferSettingsForm,
+			validateMasterPasswordForm,
 		} = this.validators;
-		const {settings, requestPool, isSyncSuccess} = this.state;
-		const isSetupS3Settings = !settings?.accessKeyId;
+		const {
+			settings,
+			profile,
+			requestPool,
+			isCreatingProfile,
+			isSyncSuccess,
+			syncRequestId,
+			syncProgress,
+			cleanUpResult,
+		} = this.state;
 		const isApiProcessing = requestPool.size > 0;
 
 		return (
@@ -234,11 +997,13 @@ module.exports = class Settings extends Base {
 				<div className="row justify-content-center mb-3">
 					<div className="col-12 col-sm-10 col-md-8 col-lg-6">
 						<Formik
-							initialValues={this.generateS3SettingsInitialValues(settings)}
-							validate={isSetupS3Settings ? validateSetupS3SettingsForm : validateUpdateS3SettingsForm}
-							onSubmit={this.onSubmitUpdateS3SettingsForm}
+							key={isCreatingProfile ? 'new' : profile.id}
+							innerRef={this.profileFormRef}
+							initialValues={this.generateProfileInitialValues(isCreatingProfile ? null : profile)}
+							validate={isCreatingProfile ? validateCreateProfileForm : validateUpdateProfileForm}
+							onSubmit={this.onSubmitProfileForm}
 						>
-							{this.renderCreateFolderForm}
+							{this.renderProfileForm}
 						</Formik>
 					</div>
 				</div>
@@ -255,14 +1020,93 @@ module.exports = class Settings extends Base {
 								</div>
 								<div className="d-flex align-items-center">
 									<button
-										disabled={isApiProcessing}
+										disabled={isApiProcessing || !utils.isProfileCapable(profile, PROFILE_CAPABILITY.LIST)}
 										type="button" className="btn btn-outline-primary"
 										onClick={this.onClickSyncButton}
 									>
 										Sync
 									</button>
+									{
+										syncRequestId && (
+											<button
+												type="button" className="btn btn-outline-secondary ms-2"
+												onClick={this.onClickCancelSyncButton}
+											>
+												Cancel
+											</button>
+										)
+									}
 									{isSyncSuccess && <SuccessIcon className="ms-2"/>}
 								</div>
+								{
+									syncProgress && (
+										<small className="form-text d-block mt-2">
+											{pupa('Listed {0} pages, {1} objects, {2} in {3}.', [
+												utils.formatNumber(syncProgress.pageCount),
+												utils.formatNumber(syncProgress.objectCount),
+												utils.formatSize(syncProgress.byteCount),
+												utils.formatDuration(syncProgress.elapsed / 1000),
+											])}
+										</small>
+									)
+								}
+							</div>
+						</div>
+					</div>
+				</div>
+
+				<div className="row justify-content-center mt-3">
+					<div className="col-12 col-sm-10 col-md-8 col-lg-6">
+						<Formik
+							initialValues={this.generateTransferSettingsInitialValues(settings)}
+							validate={validateUpdateTransferSettingsForm}
+							onSubmit={this.onSubmitUpdateTransferSettingsForm}
+						>
+							{this.renderTransferSettingsForm}
+						</Formik>
+					</div>
+				</div>
+
+				<div className="row justify-content-center mt-3">
+					<div className="col-12 col-sm-10 col-md-8 col-lg-6">
+						<Formik
+							initialValues={{password: '', confirmPassword: ''}}
+							validate={validateMasterPasswordForm}
+							onSubmit={this.onSubmitMasterPasswordForm}
+						>
+							{this.renderMasterPasswordForm}
+						</Formik>
+					</div>
+				</div>
+
+				<div className="row justify-content-center mt-3">
+					<div className="col-12 col-sm-10 col-md-8 col-lg-6">
+						<div className="card shadow-sm">
+							<div className="card-header">
+								Multipart uploads
+							</div>
+							<div className="card-body">
+								<div className="mb-2">
+									<label className="form-label">
+										Abort abandoned multipart uploads, their uploaded parts are still charged by AWS S3.
+									</label>
+								</div>
+								<div className="d-flex align-items-center">
+									<button
+										disabled={isApiProcessing}
+										type="button" className="btn btn-outline-danger"
+										onClick={this.onClickCleanUpMultipartUploadsButton}
+									>
+										Clean up
+									</button>
+									{
+										cleanUpResult && (
+											<small className="ms-2 text-muted">
+												{pupa('Aborted {0} multipart uploads.', [cleanUpResult.uploads.length])}
+											</small>
+										)
+									}
+								</div>
 							</div>
 						</div>
 					</div>
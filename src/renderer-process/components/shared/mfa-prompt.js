@@ -0,0 +1,155 @@
+const classnames = require('classnames');
+const {Formik, Form, Field} = require('formik');
+const pupa = require('pupa').default;
+const React = require('react');
+const Modal = require('react-bootstrap/Modal').default;
+const {
+	MFA_PROMPT_TIMEOUT,
+} = require('../../../shared/constants/config');
+const {
+	validateMfaTokenForm,
+} = require('../../validators/profile-validator');
+const utils = require('../../common/utils');
+const Base = require('./base');
+
+const {api, dialog} = window;
+
+// Ask the MFA token code when the main process assumes the role of the profile.
+// Sessions of the role are refreshed before expiry, so it is asked again while transfers are running.
+module.exports = class MfaPromptModal extends Base {
+	constructor(props) {
+		super(props);
+		this.validators = {
+			validateMfaTokenForm: utils.makeFormikValidator(validateMfaTokenForm),
+		};
+		this.state.requestPool = new Set();
+		// Prompts are answered one by one, the first one is shown.
+		this.state.prompts = [];
+	}
+
+	componentDidMount() {
+		super.componentDidMount();
+		this.$listens.push(
+			api.onMfaPrompt(prompt => {
+				this.setState(prevState => ({prompts: [...prevState.prompts, prompt]}));
+			}),
+			api.onMfaPromptClose(({id}) => {
+				this.setState(prevState => ({prompts: prevState.prompts.filter(prompt => prompt.id !== id)}));
+			}),
+		);
+	}
+
+	/**
+	 * @param {string|null} tokenCode - Cancel the prompt when it is null.
+	 * @returns {Promise<void>}
+	 */
+	answerPrompt = async tokenCode => {
+		const [prompt] = this.state.prompts;
+		const requestId = Math.random().toString(36);
+
+		try {
+			utils.addBusyClass();
+			this.setState(prevState => ({
+				requestPool: new Set([...prevState.requestPool, requestId]),
+			}));
+
+			await api.answerMfaPrompt({id: prompt.id, tokenCode});
+		} catch (error) {
+			dialog.showErrorBox('Error', utils.getErrorMessage(error));
+		} finally {
+			utils.removeBusyClass();
+			this.setState(prevState => {
+				prevState.requestPool.delete(requestId);
+				return {
+					requestPool: new Set(prevState.requestPool),
+					prompts: prevState.prompts.filter(({id}) => id !== prompt.id),
+				};
+			});
+		}
+	};
+
+	onHideModal = () => {
+		this.answerPrompt(null);
+	};
+
+	onSubmitMfaTokenForm = ({tokenCode}) => this.answerPrompt(tokenCode.trim());
+
+	renderMfaTokenForm = ({errors, submitCount}) => {
+		const {prompts: [prompt], requestPool} = this.state;
+		const isApiProcessing = requestPool.size > 0;
+		const isSubmitted = submitCount > 0;
+
+		return (
+			<Form>
+				<Modal.Header closeButton>
+					<Modal.Title>MFA token code</Modal.Title>
+				</Modal.Header>
+
+				<Modal.Body>
+					<label htmlFor="input-tokenCode" className="col-form-label">
+						The code of <code>{prompt.mfaSerial}</code> to assume the role.
+					</label>
+					<Field
+						autoFocus
+						type="text" id="input-tokenCode" name="tokenCode"
+						inputMode="numeric" autoComplete="one-time-code" maxLength={6}
+						className={classnames('form-control', {'is-invalid': errors.tokenCode && isSubmitted})}/>
+					{
+						(errors.tokenCode && isSubmitted) && (
+							<div className="invalid-feedback">{errors.tokenCode}</div>
+						)
+					}
+					<div className="form-text">
+						{pupa(
+							'The session of the role is refreshed before it expires, so the code is asked again while transfers are running. '
+							+ 'Requests wait for the code, they fail when it is cancelled or not entered in {0} minutes.',
+							[MFA_PROMPT_TIMEOUT / 60 / 1000],
+						)}
+					</div>
+				</Modal.Body>
+
+				<Modal.Footer>
+					<button
+						disabled={isApiProcessing}
+						type="button" className="btn btn-outline-secondary"
+						onClick={this.onHideModal}
+					>
+						Cancel
+					</button>
+					<button
+						disabled={isApiProcessing}
+						type="submit" className="btn btn-outline-primary"
+					>
+						Submit
+					</button>
+				</Modal.Footer>
+			</Form>
+		);
+	};
+
+	render() {
+		const {validateMfaTokenForm} = this.validators;
+		const {prompts: [prompt]} = this.state;
+
+		return (
+			<Modal
+				show={Boolean(prompt)}
+				backdrop="static"
+				onHide={this.onHideModal}
+			>
+				{
+					prompt && (
+						<Formik
+							key={prompt.id}
+							initialValues={{tokenCode: ''}}
+							validate={validateMfaTokenForm}
+							onSubmit={this.onSubmitMfaTokenForm}
+						>
+							{this.renderMfaTokenForm}
+						</Formik>
+					)
+				}
+			</Modal>
+		);
+	}
+};
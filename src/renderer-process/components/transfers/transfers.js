@@ -0,0 +1,273 @@
+const classnames = require('classnames');
+const pupa = require('pupa').default;
+const React = require('react');
+const TRANSFER_STATE = require('../../../shared/constants/transfer-state');
+const TRANSFER_TYPE = require('../../../shared/constants/transfer-type');
+const utils = require('../../common/utils');
+const Base = require('../shared/base');
+const Loading = require('../shared/loading');
+
+const {api, dialog} = window;
+
+const PAGE_SIZE = 50;
+const POLLING_INTERVAL = 1000;
+const STATE_TITLES = {
+	[TRANSFER_STATE.QUEUED]: 'Queued',
+	[TRANSFER_STATE.RUNNING]: 'Running',
+	[TRANSFER_STATE.PAUSED]: 'Paused',
+	[TRANSFER_STATE.FAILED]: 'Failed',
+	[TRANSFER_STATE.CANCELLED]: 'Cancelled',
+	[TRANSFER_STATE.COMPLETED]: 'Completed',
+};
+
+module.exports = class Transfers extends Base {
+	constructor(props) {
+		super(props);
+		this.state.requestPool = new Set();
+		this.state.limit = PAGE_SIZE;
+		this.state.transfers = null;
+	}
+
+	componentDidMount() {
+		super.componentDidMount();
+		this.loadTransfers();
+
+		// Transfers run in the main process, poll them to show the progress.
+		const timer = setInterval(this.loadTransfers, POLLING_INTERVAL);
+
+		this.$listens.push(() => clearInterval(timer));
+	}
+
+	loadTransfers = async () => {
+		try {
+			const transfers = await api.getTransfers({limit: this.state.limit});
+
+			this.setState({transfers});
+		} catch (error) {
+			dialog.showErrorBox('Error', utils.getErrorMessage(error));
+		}
+	};
+
+	/**
+	 * Call the api with the transfer id of the clicked button then reload transfers.
+	 * @param {function({id: number}): Promise} apiMethod
+	 * @param {Event} event
+	 * @returns {Promise<void>}
+	 */
+	runTransferAction = async (apiMethod, event) => {
+		const id = Number(event.target.dataset.transferId);
+		const requestId = Math.random().toString(36);
+
+		event.preventDefault();
+		try {
+			this.setState(prevState => ({
+				requestPool: new Set([...prevState.requestPool, requestId]),
+			}));
+
+			await apiMethod({id});
+			await this.loadTransfers();
+		} catch (error) {
+			dialog.showErrorBox('Error', utils.getErrorMessage(error));
+		} finally {
+			this.setState(prevState => {
+				prevState.requestPool.delete(requestId);
+				return {requestPool: new Set(prevState.requestPool)};
+			});
+		}
+	};
+
+	onClickPauseButton = event => this.runTransferAction(api.pauseTransfer, event);
+
+	onClickResumeButton = event => this.runTransferAction(api.resumeTransfer, event);
+
+	onClickCancelButton = event => this.runTransferAction(api.cancelTransfer, event);
+
+	onClickRetryButton = event => this.runTransferAction(api.retryTransfer, event);
+
+	onClickClearButton = async event => {
+		const requestId = Math.random().toString(36);
+
+		event.preventDefault();
+		try {
+			utils.addBusyClass();
+			this.setState(prevState => ({
+				requestPool: new Set([...prevState.requestPool, requestId]),
+			}));
+
+			await api.clearTransfers();
+			await this.loadTransfers();
+		} catch (error) {
+			dialog.showErrorBox('Error', utils.getErrorMessage(error));
+		} finally {
+			utils.removeBusyClass();
+			this.setState(prevState => {
+				prevState.requestPool.delete(requestId);
+				return {requestPool: new Set(prevState.requestPool)};
+			});
+		}
+	};
+
+	onClickMoreButton = event => {
+		event.preventDefault();
+		this.setState(
+			prevState => ({limit: prevState.limit + PAGE_SIZE}),
+			this.loadTransfers,
+		);
+	};
+
+	renderTransferButtons(transfer) {
+		const {requestPool} = this.state;
+		const isApiProcessing = requestPool.size > 0;
+		const buttons = [];
+
+		if ([TRANSFER_STATE.QUEUED, TRANSFER_STATE.RUNNING].includes(transfer.state)) {
+			buttons.push({title: 'Pause', className: 'btn-outline-secondary', onClick: this.onClickPauseButton});
+		}
+
+		if (transfer.state === TRANSFER_STATE.PAUSED) {
+			buttons.push({title: 'Resume', className: 'btn-outline-primary', onClick: this.onClickResumeButton});
+		}
+
+		if ([TRANSFER_STATE.FAILED, TRANSFER_STATE.CANCELLED].includes(transfer.state)) {
+			buttons.push({title: 'Retry', className: 'btn-outline-primary', onClick: this.onClickRetryButton});
+		}
+
+		if (![TRANSFER_STATE.CANCELLED, TRANSFER_STATE.COMPLETED].includes(transfer.state)) {
+			buttons.push({title: 'Cancel', className: 'btn-outline-danger', onClick: this.onClickCancelButton});
+		}
+
+		return buttons.map(button => (
+			<button
+				key={button.title}
+				data-transfer-id={transfer.id}
+				disabled={isApiProcessing}
+				type="button"
+				className={classnames('btn btn-sm ms-2', button.className)}
+				style={{lineHeight: 'initial'}}
+				onClick={button.onClick}
+			>
+				{button.title}
+			</button>
+		));
+	}
+
+	renderTransferRow = transfer => {
+		const percentage = transfer.size ? Math.floor((transfer.loaded / transfer.size) * 100) : 0;
+
+		return (
+			<li key={transfer.id} className="list-group-item d-flex align-items-center">
+				<div className="pe-2 text-muted">
+					{
+						transfer.type === TRANSFER_TYPE.UPLOAD
+							? <i className="fa-fw fa-solid fa-arrow-up"/>
+							: <i className="fa-fw fa-solid fa-arrow-down"/>
+					}
+				</div>
+				<div className="flex-grow-1 px-1 text-truncate">
+					<div className="text-truncate">{transfer.basename}</div>
+					<small className="d-block text-muted text-truncate">
+						{transfer.type === TRANSFER_TYPE.UPLOAD ? transfer.localPath : transfer.path}
+						{' → '}
+						{transfer.type === TRANSFER_TYPE.UPLOAD ? transfer.path : transfer.localPath}
+					</small>
+					{
+						transfer.error && (
+							<small className="d-block text-danger text-truncate">
+								{transfer.error}
+								{transfer.state === TRANSFER_STATE.QUEUED && ` (retry ${transfer.attempts})`}
+							</small>
+						)
+					}
+					{
+						transfer.retries > 0 && (
+							<small className="d-block text-warning text-truncate">
+								{pupa('Retried {0} requests of S3.', [transfer.retries])}
+							</small>
+						)
+					}
+				</div>
+				<div className="px-1" style={{minWidth: '160px'}}>
+					<small className="d-block">{STATE_TITLES[transfer.state]}</small>
+					{
+						transfer.state === TRANSFER_STATE.RUNNING && (
+							<div className="progress" style={{height: '10px'}}>
+								<div
+									className="progress-bar progress-bar-striped progress-bar-animated"
+									style={{width: `${percentage}%`}}/>
+							</div>
+						)
+					}
+				</div>
+				<pre className="px-1 m-0 text-end" style={{minWidth: '100px'}}>
+					{transfer.speed == null ? '-' : `${utils.formatSize(transfer.speed)}/s`}
+				</pre>
+				<pre className="px-1 m-0 text-end" style={{minWidth: '70px'}}>
+					{transfer.eta == null ? '-' : utils.formatDuration(transfer.eta)}
+				</pre>
+				<pre className="px-1 m-0 text-end" style={{minWidth: '86px'}}>
+					{utils.formatSize(transfer.size)}
+				</pre>
+				<div className="ps-1 text-end text-nowrap" style={{minWidth: '150px'}}>
+					{this.renderTransferButtons(transfer)}
+				</div>
+			</li>
+		);
+	};
+
+	render() {
+		const {requestPool, transfers} = this.state;
+		const isApiProcessing = requestPool.size > 0;
+
+		if (transfers == null) {
+			return (
+				<div className="row">
+					<div className="col-12 d-flex flex-column justify-content-center">
+						<Loading/>
+					</div>
+				</div>
+			);
+		}
+
+		return (
+			<div className="row">
+				<div className="col-12">
+					<div className="card shadow-sm">
+						<div className="card-header d-flex justify-content-between align-items-center">
+							<div>Transfers</div>
+							<button
+								type="button"
+								className="btn btn-sm btn-outline-secondary"
+								style={{lineHeight: 'initial'}}
+								disabled={isApiProcessing}
+								onClick={this.onClickClearButton}
+							>
+								Clear finished
+							</button>
+						</div>
+						<ul className="list-group list-group-flush">
+							{
+								transfers.items.length === 0 && (
+									<li className="list-group-item py-4 text-muted text-center">Empty</li>
+								)
+							}
+							{transfers.items.map(this.renderTransferRow)}
+							{
+								transfers.hasNextPage && (
+									<li className="list-group-item text-center">
+										<button
+											type="button"
+											className="btn btn-sm btn-link"
+											onClick={this.onClickMoreButton}
+										>
+											More
+										</button>
+									</li>
+								)
+							}
+						</ul>
+					</div>
+				</div>
+			</div>
+		);
+	}
+};
@@ -0,0 +1,153 @@
+const classnames = require('classnames');
+const PropTypes = require('prop-types');
+const React = require('react');
+const {Formik, Form, Field} = require('formik');
+const SECRET_PROTECTION = require('../../../shared/constants/secret-protection');
+const {
+	validateUnlockSecretsForm,
+	validateMasterPasswordForm,
+} = require('../../validators/secret-validator');
+const utils = require('../../common/utils');
+const Base = require('../shared/base');
+
+const {api, dialog} = window;
+
+// Secrets of profiles are locked at startup, ask the master password or set it the first time.
+module.exports = class Unlock extends Base {
+	static propTypes = {
+		secretStatus: PropTypes.shape({
+			protection: PropTypes.string,
+			isUnlocked: PropTypes.bool.isRequired,
+			isSafeStorageAvailable: PropTypes.bool.isRequired,
+		}).isRequired,
+		onUnlock: PropTypes.func.isRequired,
+	};
+
+	constructor(props) {
+		super(props);
+		this.validators = {
+			validateUnlockSecretsForm: utils.makeFormikValidator(validateUnlockSecretsForm),
+			validateMasterPasswordForm: utils.makeFormikValidator(validateMasterPasswordForm),
+		};
+		this.state.requestPool = new Set();
+	}
+
+	/**
+	 * Unlock secrets with the master password, or protect them with it when they aren't protected yet.
+	 * @param {{password: string}} values
+	 * @param {function} setFieldValue
+	 * @returns {Promise<void>}
+	 */
+	onSubmitForm = async ({password}, {setFieldValue}) => {
+		const {secretStatus, onUnlock} = this.props;
+		const requestId = Math.random().toString(36);
+
+		try {
+			utils.addBusyClass();
+			this.setState(prevState => ({
+				requestPool: new Set([...prevState.requestPool, requestId]),
+			}));
+
+			const nextSecretStatus = secretStatus.protection
+				? await api.unlockSecrets({password})
+				: await api.updateSecretProtection({protection: SECRET_PROTECTION.MASTER_PASSWORD, password});
+
+			onUnlock(nextSecretStatus);
+		} catch (error) {
+			setFieldValue('password', '');
+			dialog.showErrorBox('Error', utils.getErrorMessage(error));
+		} finally {
+			utils.removeBusyClass();
+			this.setState(prevState => {
+				prevState.requestPool.delete(requestId);
+				return {requestPool: new Set(prevState.requestPool)};
+			});
+		}
+	};
+
+	/**
+	 * @param {string} name
+	 * @param {string} label
+	 * @param {Object} errors
+	 * @param {boolean} isSubmitted
+	 * @param {boolean} autoFocus
+	 * @returns {JSX.Element}
+	 */
+	renderPasswordField({name, label, errors, isSubmitted, autoFocus}) {
+		const isInvalid = Boolean(errors[name] && isSubmitted);
+
+		return (
+			<div className="mb-3">
+				<label htmlFor={`input-${name}`} className="form-label">{label}</label>
+				<Field
+					autoFocus={autoFocus}
+					type="password" id={`input-${name}`} name={name}
+					className={classnames('form-control', {'is-invalid': isInvalid})}/>
+				{isInvalid && <div className="invalid-feedback">{errors[name]}</div>}
+			</div>
+		);
+	}
+
+	renderForm = ({errors, submitCount}) => {
+		const {secretStatus} = this.props;
+		const {requestPool} = this.state;
+		const isSubmitted = submitCount > 0;
+		const isApiProcessing = requestPool.size > 0;
+
+		if (secretStatus.protection === SECRET_PROTECTION.SAFE_STORAGE) {
+			return (
+				<div className="card shadow-sm">
+					<div className="card-header">Locked</div>
+					<div className="card-body text-danger">
+						Secrets are protected by the secret store of the OS, but it is not available now.
+					</div>
+				</div>
+			);
+		}
+
+		return (
+			<Form className="card shadow-sm">
+				<div className="card-header">
+					{secretStatus.protection ? 'Unlock' : 'Set the master password'}
+				</div>
+				<div className="card-body">
+					{
+						!secretStatus.protection && (
+							<p className="form-text mt-0">
+								Secret access keys of profiles are encrypted with the master password,
+								it is asked whenever the app starts and it cannot be recovered.
+							</p>
+						)
+					}
+					{this.renderPasswordField({name: 'password', label: 'Master Password', errors, isSubmitted, autoFocus: true})}
+					{
+						!secretStatus.protection
+							&& this.renderPasswordField({name: 'confirmPassword', label: 'Confirm Master Password', errors, isSubmitted})
+					}
+					<button disabled={isApiProcessing} type="submit" className="btn btn-outline-primary">
+						{secretStatus.protection ? 'Unlock' : 'Save'}
+					</button>
+				</div>
+			</Form>
+		);
+	};
+
+	render() {
+		const {validateUnlockSecretsForm, validateMasterPasswordForm} = this.validators;
+		const {secretStatus} = this.props;
+
+		return (
+			<div className="row justify-content-center">
+				<div className="col-12 col-sm-10 col-md-8 col-lg-6">
+					<Formik
+						initialValues={{password: '', confirmPassword: ''}}
+						validate={secretStatus.protection ? validateUnlockSecretsForm : validateMasterPasswordForm}
+						onSubmit={this.onSubmitForm}
+					>
+						{this.renderForm}
+					</Formik>
+				</div>
+			</div>
+		);
+	}
+};
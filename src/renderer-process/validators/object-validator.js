@@ -1,8 +1,10 @@
 const {validator} = require('.');
 const {
 	createFolderFormSchema,
+	renameObjectFormSchema,
 } = require('../../shared/validation/form-schemas/object');
 
 module.exports = {
 	validateCreateFolderForm: validator.compile(createFolderFormSchema),
+	validateRenameObjectForm: validator.compile(renameObjectFormSchema),
 };
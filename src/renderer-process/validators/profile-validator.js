@@ -0,0 +1,27 @@
+const CREDENTIAL_SOURCE = require('../../shared/constants/credential-source');
+const {validator} = require('.');
+const {
+	createProfileFormSchema,
+	updateProfileFormSchema,
+	awsProfileFormSchema,
+	mfaTokenFormSchema,
+} = require('../../shared/validation/form-schemas/profile');
+
+const validateAwsProfileForm = validator.compile(awsProfileFormSchema);
+
+/**
+ * Validate fields of the credential source, the access keys or the AWS profile.
+ * @param {function(Object): (true|Array)} validateStaticKeysForm
+ * @returns {function(Object): (true|Array)}
+ */
+function makeProfileFormValidator(validateStaticKeysForm) {
+	return values => values.credentialSource === CREDENTIAL_SOURCE.AWS_PROFILE
+		? validateAwsProfileForm(values)
+		: validateStaticKeysForm(values);
+}
+
+module.exports = {
+	validateCreateProfileForm: makeProfileFormValidator(validator.compile(createProfileFormSchema)),
+	validateUpdateProfileForm: makeProfileFormValidator(validator.compile(updateProfileFormSchema)),
+	validateMfaTokenForm: validator.compile(mfaTokenFormSchema),
+};
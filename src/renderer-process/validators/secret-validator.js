@@ -0,0 +1,10 @@
+const {validator} = require('.');
+const {
+	unlockSecretsFormSchema,
+	masterPasswordFormSchema,
+} = require('../../shared/validation/form-schemas/secret');
+
+module.exports = {
+	validateUnlockSecretsForm: validator.compile(unlockSecretsFormSchema),
+	validateMasterPasswordForm: validator.compile(masterPasswordFormSchema),
+};
@@ -1,8 +1,46 @@
 const DEFAULT = {
 	DATABASE_FILENAME: 'data.db',
+	S3_CLIENT_KEEP_ALIVE: true,
+	S3_CLIENT_MAX_SOCKETS: 50,
+	S3_CLIENT_CONNECTION_TIMEOUT: 10 * 1000,
+	// Seconds of the assumed role session, it is refreshed before expiry.
+	// It is the longest one roles can allow, roles which allow less fall back to the default max of roles,
+	// which is the limit of role chaining as well.
+	ASSUME_ROLE_DURATION: 12 * 60 * 60,
+	ASSUME_ROLE_FALLBACK_DURATION: 60 * 60,
+	// Milliseconds to wait for the MFA token code, requests which need the session fail after it.
+	MFA_PROMPT_TIMEOUT: 5 * 60 * 1000,
+	// Defaults of the retry policy of S3 requests in settings, the jitter is the random percentage of the delay.
+	S3_RETRY_MAX_ATTEMPTS: 3,
+	S3_RETRY_MAX_ATTEMPTS_LIMIT: 10,
+	S3_RETRY_BASE_DELAY: 100,
+	S3_RETRY_MAX_DELAY: 20 * 1000,
+	S3_RETRY_JITTER: 100,
+	// Throttled requests wait longer than other failed requests.
+	S3_RETRY_THROTTLING_DELAY_FACTOR: 5,
+	// Pages of objects and transfers of the local database, the transfers list grows its limit to reload loaded pages.
+	LOCAL_LIST_MAX_LIMIT: 10 * 1000,
+	// Folders listed on demand are listed from S3 again after this age, the cached listing is shown offline.
+	OBJECT_LISTING_TTL: 5 * 60 * 1000,
+	TRANSFER_UPLOAD_CONCURRENCY: 2,
+	// The default of the download concurrency in settings.
+	TRANSFER_DOWNLOAD_CONCURRENCY: 4,
+	TRANSFER_DOWNLOAD_MAX_CONCURRENCY: 16,
+	TRANSFER_MAX_ATTEMPTS: 5,
+	TRANSFER_RETRY_BASE_DELAY: 2 * 1000,
+	TRANSFER_RETRY_MAX_DELAY: 5 * 60 * 1000,
+	// Smaller files are uploaded from the start again instead of being resumed.
+	TRANSFER_RESUMABLE_UPLOAD_MIN_SIZE: 64 * 1024 * 1024,
+	TRANSFER_UPLOAD_PART_SIZE: 8 * 1024 * 1024,
+	TRANSFER_UPLOAD_PART_CONCURRENCY: 4,
+	// Multipart uploads which are not resumed by any transfer are abandoned after this age.
+	MULTIPART_UPLOAD_STALE_AGE: 24 * 60 * 60 * 1000,
 };
 const TEST = {
+	...DEFAULT,
 	DATABASE_FILENAME: 'data.test.db',
+	TRANSFER_RETRY_BASE_DELAY: 10,
+	MFA_PROMPT_TIMEOUT: 500,
 };
 
 module.exports = process.env.NODE_ENV === 'test'
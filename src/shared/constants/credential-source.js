@@ -0,0 +1,6 @@
+module.exports = {
+	// The access key id and the secret access key saved in the profile.
+	STATIC_KEYS: 'static-keys',
+	// A profile of the AWS shared config and credentials files, ~/.aws/config and ~/.aws/credentials.
+	AWS_PROFILE: 'aws-profile',
+};
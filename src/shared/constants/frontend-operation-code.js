@@ -1,3 +1,12 @@
 module.exports = {
 	SHOW_OBJECT_DUPLICATED_ALERT: 'OBJECT.ALERTS.DUPLICATED.SHOW',
+	SHOW_OBJECTS_PARTLY_FAILED_ALERT: 'OBJECT.ALERTS.PARTLY_FAILED.SHOW',
+	SHOW_FIELD_ERRORS: 'FORM.FIELD_ERRORS.SHOW',
+	SHOW_S3_ACCESS_DENIED_ALERT: 'S3.ALERTS.ACCESS_DENIED.SHOW',
+	SHOW_S3_CREDENTIALS_REJECTED_ALERT: 'S3.ALERTS.CREDENTIALS_REJECTED.SHOW',
+	SHOW_S3_CLOCK_SKEWED_ALERT: 'S3.ALERTS.CLOCK_SKEWED.SHOW',
+	SHOW_S3_BUCKET_NOT_FOUND_ALERT: 'S3.ALERTS.BUCKET_NOT_FOUND.SHOW',
+	SHOW_S3_OBJECT_NOT_FOUND_ALERT: 'S3.ALERTS.OBJECT_NOT_FOUND.SHOW',
+	SHOW_S3_OBJECT_ARCHIVED_ALERT: 'S3.ALERTS.OBJECT_ARCHIVED.SHOW',
+	SHOW_S3_SLOW_DOWN_ALERT: 'S3.ALERTS.SLOW_DOWN.SHOW',
 };
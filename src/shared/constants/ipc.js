@@ -1,5 +1,7 @@
 module.exports = {
 	MAIN_API: 'MAIN-API',
+	// Sent to the main process with the request id to abort the request of the main API.
+	MAIN_API_CANCEL: 'MAIN-API-CANCEL',
 	CONFIG: {
 		GET_CONFIG: 'GET-CONFIG',
 	},
@@ -7,4 +9,10 @@ module.exports = {
 		SHOW_ERROR_BOX: 'SHOW-ERROR-BOX',
 		SHOW_OPEN_DIALOG: 'SHOW-OPEN-DIALOG',
 	},
+	MFA: {
+		// Sent to the renderer process to ask the MFA token code.
+		PROMPT: 'MFA-PROMPT',
+		// Sent to the renderer process to close the prompt which is rejected by the main process.
+		PROMPT_CLOSE: 'MFA-PROMPT-CLOSE',
+	},
 };
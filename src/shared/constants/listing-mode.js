@@ -0,0 +1,6 @@
+module.exports = {
+	// Browse the local index of the whole bucket, it is built by the sync in settings.
+	INDEX: 'index',
+	// List folders from S3 when they are browsed, for buckets which are too large to index.
+	LAZY: 'lazy',
+};
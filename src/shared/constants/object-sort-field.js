@@ -0,0 +1,6 @@
+module.exports = {
+	NAME: 'name',
+	SIZE: 'size',
+	LAST_MODIFIED: 'lastModified',
+	STORAGE_CLASS: 'storageClass',
+};
@@ -0,0 +1,7 @@
+module.exports = {
+	LIST: 'list',
+	GET: 'get',
+	PUT: 'put',
+	DELETE: 'delete',
+	COPY: 'copy',
+};
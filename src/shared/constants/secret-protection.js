@@ -0,0 +1,6 @@
+module.exports = {
+	// The key of secrets is encrypted by the secret store of the OS with Electron safeStorage.
+	SAFE_STORAGE: 'safe-storage',
+	// The key of secrets is encrypted by a key derived from the master password, it is asked at startup.
+	MASTER_PASSWORD: 'master-password',
+};
@@ -0,0 +1,4 @@
+module.exports = {
+	ASC: 'asc',
+	DESC: 'desc',
+};
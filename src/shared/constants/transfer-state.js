@@ -0,0 +1,8 @@
+module.exports = {
+	QUEUED: 1,
+	RUNNING: 2,
+	PAUSED: 3,
+	FAILED: 4,
+	CANCELLED: 5,
+	COMPLETED: 6,
+};
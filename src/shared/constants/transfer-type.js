@@ -0,0 +1,4 @@
+module.exports = {
+	UPLOAD: 1,
+	DOWNLOAD: 2,
+};
@@ -1,6 +1,6 @@
 class BaseError extends Error {
 	constructor(message) {
-		super(message instanceof Error ? `${message}` : message?.message);
+		super(message instanceof Error || typeof message === 'string' ? `${message}` : message?.message);
 
 		if (message?.stack) {
 			this.stack = message.stack;
@@ -150,6 +150,24 @@ class TooManyRequestsError extends BaseError {
 	}
 }
 
+class CancelledError extends BaseError {
+	/**
+   * @param {*} message
+   * @param {{frontendOperationCode: string, frontendOperationValue: *}|undefined} extra
+   */
+	constructor(message, extra) {
+		// The status of nginx when the client closed the request.
+		super(message || 'cancelled');
+		if (message?.stack) {
+			this.secondaryStack = this.stack;
+			this.stack = message.stack;
+		}
+
+		this.status = 499;
+		this.extra = extra;
+	}
+}
+
 class MainProcessError extends BaseError {
 	/**
    * @param {*} message
@@ -176,5 +194,6 @@ module.exports = {
 	ConflictError,
 	UnprocessableEntityError,
 	TooManyRequestsError,
+	CancelledError,
 	MainProcessError,
 };
@@ -4,3 +4,7 @@ exports.createFolderFormSchema = {
 	dirname: objectSchema.dirname,
 	basename: objectSchema.basename,
 };
+
+exports.renameObjectFormSchema = {
+	basename: objectSchema.basename,
+};
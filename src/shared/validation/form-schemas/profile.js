@@ -0,0 +1,86 @@
+const profileSchema = require('../model-schemas/profile');
+
+// Fields of the assumed role are optional in all profile forms.
+const roleSchema = {
+	roleArn: {
+		...profileSchema.roleArn,
+		optional: true,
+		empty: true,
+	},
+	externalId: {
+		...profileSchema.externalId,
+		optional: true,
+		empty: true,
+	},
+	mfaSerial: {
+		...profileSchema.mfaSerial,
+		optional: true,
+		empty: true,
+	},
+	stsEndpoint: {
+		...profileSchema.stsEndpoint,
+		optional: true,
+		empty: true,
+	},
+};
+
+exports.createProfileFormSchema = {
+	name: profileSchema.name,
+	credentialSource: profileSchema.credentialSource,
+	accessKeyId: profileSchema.accessKeyId,
+	secretAccessKey: profileSchema.secretAccessKey,
+	isSecretPersisted: profileSchema.isSecretPersisted,
+	...roleSchema,
+	region: profileSchema.region,
+	bucket: profileSchema.bucket,
+	endpoint: profileSchema.endpoint,
+	listingMode: profileSchema.listingMode,
+};
+
+exports.updateProfileFormSchema = {
+	name: profileSchema.name,
+	credentialSource: profileSchema.credentialSource,
+	accessKeyId: profileSchema.accessKeyId,
+	secretAccessKey: {
+		...profileSchema.secretAccessKey,
+		optional: true,
+		empty: true,
+	},
+	isSecretPersisted: profileSchema.isSecretPersisted,
+	...roleSchema,
+	region: profileSchema.region,
+	bucket: profileSchema.bucket,
+	endpoint: {
+		...profileSchema.endpoint,
+		optional: true,
+		empty: true,
+	},
+	listingMode: profileSchema.listingMode,
+};
+
+// The profile which uses credentials of the AWS shared config files.
+exports.awsProfileFormSchema = {
+	name: profileSchema.name,
+	credentialSource: profileSchema.credentialSource,
+	awsProfile: profileSchema.awsProfile,
+	...roleSchema,
+	region: profileSchema.region,
+	bucket: profileSchema.bucket,
+	endpoint: {
+		...profileSchema.endpoint,
+		optional: true,
+		empty: true,
+	},
+	listingMode: profileSchema.listingMode,
+};
+
+exports.mfaTokenFormSchema = {
+	tokenCode: {
+		type: 'string',
+		trim: true,
+		pattern: /^\d{6}$/,
+		messages: {
+			stringPattern: 'The token code is 6 digits.',
+		},
+	},
+};
@@ -0,0 +1,24 @@
+const MASTER_PASSWORD_MAX_LENGTH = 1024;
+
+exports.unlockSecretsFormSchema = {
+	password: {
+		type: 'string',
+		empty: false,
+		max: MASTER_PASSWORD_MAX_LENGTH,
+	},
+};
+
+exports.masterPasswordFormSchema = {
+	password: {
+		type: 'string',
+		min: 8,
+		max: MASTER_PASSWORD_MAX_LENGTH,
+	},
+	confirmPassword: {
+		type: 'equal',
+		field: 'password',
+		messages: {
+			equalField: 'The passwords are different.',
+		},
+	},
+};
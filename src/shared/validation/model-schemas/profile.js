@@ -0,0 +1,72 @@
+const CREDENTIAL_SOURCE = require('../../constants/credential-source');
+const LISTING_MODE = require('../../constants/listing-mode');
+
+module.exports = {
+	name: {
+		type: 'string',
+		trim: true,
+		empty: false,
+		max: 255,
+	},
+	credentialSource: {
+		type: 'enum',
+		values: Object.values(CREDENTIAL_SOURCE),
+	},
+	awsProfile: {
+		type: 'string',
+		empty: false,
+		max: 255,
+	},
+	accessKeyId: {
+		type: 'string',
+		empty: false,
+		max: 255,
+	},
+	secretAccessKey: {
+		type: 'string',
+		empty: false,
+		max: 255,
+	},
+	isSecretPersisted: {
+		type: 'boolean',
+	},
+	roleArn: {
+		type: 'string',
+		empty: false,
+		max: 2048,
+	},
+	externalId: {
+		type: 'string',
+		empty: false,
+		max: 1224,
+	},
+	mfaSerial: {
+		type: 'string',
+		empty: false,
+		max: 255,
+	},
+	stsEndpoint: {
+		type: 'string',
+		empty: false,
+		max: 255,
+	},
+	region: {
+		type: 'string',
+		empty: false,
+		max: 255,
+	},
+	bucket: {
+		type: 'string',
+		empty: false,
+		max: 255,
+	},
+	endpoint: {
+		type: 'string',
+		empty: true,
+		max: 255,
+	},
+	listingMode: {
+		type: 'enum',
+		values: Object.values(LISTING_MODE),
+	},
+};
@@ -1,27 +1,36 @@
+const {
+	S3_RETRY_MAX_ATTEMPTS_LIMIT,
+	S3_RETRY_MAX_DELAY,
+	TRANSFER_DOWNLOAD_MAX_CONCURRENCY,
+} = require('../../constants/config');
+
 module.exports = {
-	accessKeyId: {
-		type: 'string',
-		empty: false,
-		max: 255,
+	downloadConcurrency: {
+		type: 'number',
+		convert: true,
+		integer: true,
+		min: 1,
+		max: TRANSFER_DOWNLOAD_MAX_CONCURRENCY,
 	},
-	secretAccessKey: {
-		type: 'string',
-		empty: false,
-		max: 255,
+	retryMaxAttempts: {
+		type: 'number',
+		convert: true,
+		integer: true,
+		min: 1,
+		max: S3_RETRY_MAX_ATTEMPTS_LIMIT,
 	},
-	region: {
-		type: 'string',
-		empty: false,
-		max: 255,
+	retryBaseDelay: {
+		type: 'number',
+		convert: true,
+		integer: true,
+		min: 10,
+		max: S3_RETRY_MAX_DELAY,
 	},
-	bucket: {
-		type: 'string',
-		empty: false,
-		max: 255,
-	},
-	endpoint: {
-		type: 'string',
-		empty: true,
-		max: 255,
+	retryJitter: {
+		type: 'number',
+		convert: true,
+		integer: true,
+		min: 0,
+		max: 100,
 	},
 };
@@ -15,7 +15,9 @@ function generateIdSchema({fieldName = 'id'} = {}) {
 	};
 }
 
-exports.generateCursorPaginationSchema = () => ({
+exports.generateIdSchema = generateIdSchema;
+
+exports.generateCursorPaginationSchema = ({maxLimit = PAGINATION_MAX_LIMIT} = {}) => ({
 	after: {
 		...generateIdSchema().id,
 		optional: true,
@@ -25,7 +27,7 @@ exports.generateCursorPaginationSchema = () => ({
 		optional: true,
 		convert: true,
 		min: 1,
-		max: PAGINATION_MAX_LIMIT,
+		max: maxLimit,
 		integer: true,
 	},
 });